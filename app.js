@@ -40,7 +40,7 @@ serviceRegistry.initialize(app,eventEmitter,options);
 
 const log = serviceRegistry.logger('console');
 const cache = serviceRegistry.cache('memory');
-const dataservice = serviceRegistry.dataService('memory');
+const dataservice = serviceRegistry.dataService('file');
 const filing = serviceRegistry.filing('local');
 const queue = serviceRegistry.queue('memory');
 const scheduling = serviceRegistry.scheduling('memory');
@@ -63,7 +63,7 @@ app.use('/docs', express.static(path.join(__dirname, 'docs')));
 app.use('/readme', express.static(path.join(__dirname, 'README.md')));
 
 const blog = require('./index.js');
-blog(app, server, eventEmitter, serviceRegistry,{});
+blog(app, server, eventEmitter, serviceRegistry, { dataProvider: 'file' });
 
 server.listen(process.env.PORT || 3003, () => {
   log.warn(`====================================`);
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Measures how long the file post store takes to list and look up posts
+ * in a blog of 5,000 posts. Run with `npm run bench:store`; pass a number to change
+ * the fixture size (`npm run bench:store -- 20000`).
+ */
+
+'use strict';
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { EventEmitter } = require('events');
+
+const createFilePostStore = require('../src/services/filePostStore');
+const { toSlug, buildExcerpt, estimateReadTime, normalizeTags, normalizeAuthor } = require('../src/routes/shared/helpers');
+
+const POST_COUNT = Number(process.argv[2]) || 5000;
+const RUNS = 20;
+const TOPICS = ['JavaScript', 'Node', 'Design', 'AI', 'Writing', 'Productivity', 'Databases', 'Testing'];
+
+/**
+ * Builds one fixture post file, in the format the store writes.
+ */
+const buildPostFile = (index) => {
+  const tags = [TOPICS[index % TOPICS.length], TOPICS[(index * 7) % TOPICS.length]];
+  const date = new Date(Date.UTC(2024, 0, 1) + index * 3600000).toISOString();
+  const paragraph = `Post ${index} looks at ${tags.join(' and ')} from a slightly different angle than the one before it.`;
+  return [
+    `Title: Benchmark post ${index}`,
+    'Subtitle: A fixture for the post store benchmark',
+    `Author: Writer ${index % 50}`,
+    `Tags: ${tags.join(', ')}`,
+    'Cover Image URL: ',
+    `Slug: benchmark-post-${index}`,
+    `Previous Slugs: ${index % 10 === 0 ? `old-benchmark-post-${index}` : ''}`,
+    `Status: ${index % 5 === 0 ? 'draft' : 'published'}`,
+    `Published: ${date.slice(0, 10).replace(/-/g, '/')}`,
+    'Schedule: ',
+    `Created: ${date}`,
+    `Updated: ${date}`,
+    `Claps: ${index % 13}`,
+    `Bookmarks: ${index % 7}`,
+    `Views: ${index % 101}`,
+    'Comments: 0',
+    'Version: 1',
+    '',
+    'Story:',
+    '',
+    Array.from({ length: 12 }, () => paragraph).join('\n\n'),
+    ''
+  ].join('\n');
+};
+
+const writeFixture = async (root) => {
+  const published = path.join(root, 'posts', 'published');
+  const drafts = path.join(root, 'posts', 'drafts');
+  await fs.mkdir(published, { recursive: true });
+  await fs.mkdir(drafts, { recursive: true });
+  for (let index = 0; index < POST_COUNT; index++) {
+    const dir = index % 5 === 0 ? drafts : published;
+    await fs.writeFile(path.join(dir, `benchmark-post-${index}.post`), buildPostFile(index));
+  }
+};
+
+/**
+ * Runs `task` `runs` times and reports the mean and slowest run in milliseconds.
+ */
+const measure = async (label, task, runs = RUNS) => {
+  const timings = [];
+  for (let run = 0; run < runs; run++) {
+    const started = process.hrtime.bigint();
+    await task(run);
+    timings.push(Number(process.hrtime.bigint() - started) / 1e6);
+  }
+  const mean = timings.reduce((sum, value) => sum + value, 0) / timings.length;
+  console.log(`${label.padEnd(48)} mean ${mean.toFixed(2).padStart(9)} ms   max ${Math.max(...timings).toFixed(2).padStart(9)} ms   (${runs} runs)`);
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'blog-store-bench-'));
+  const cwd = process.cwd();
+  try {
+    await writeFixture(root);
+    // The store keeps its posts under the working directory, like the app does
+    process.chdir(root);
+
+    const serviceRegistry = require('nooblyjs-core');
+    serviceRegistry.initialize(express(), new EventEmitter(), { logDir: path.join(root, 'logs'), dataDir: path.join(root, 'data') });
+    const store = createFilePostStore({
+      filing: serviceRegistry.filing('local'),
+      logger: { info: () => {}, warn: () => {}, error: console.error.bind(console, '[bench:error]') },
+      toSlug,
+      buildExcerpt,
+      estimateReadTime,
+      normalizeTags,
+      normalizeAuthor
+    });
+    await store.ready();
+
+    console.log(`File post store, ${POST_COUNT} posts\n`);
+    await measure('listAll (cold: parses every file)', () => store.listAll(), 1);
+    await measure('listAll (warm: served from the index)', () => store.listAll());
+    await wait(1100);
+    await measure('listAll (after the check interval: stats only)', () => store.listAll(), 1);
+    await measure('get(id)', (run) => store.get(`benchmark-post-${(run * 997) % POST_COUNT}`), 200);
+    await measure('getBySlug(current slug)', (run) => store.getBySlug(`benchmark-post-${(run * 991) % POST_COUNT}`), 200);
+    await measure('getBySlug(previous slug)', (run) => store.getBySlug(`old-benchmark-post-${((run * 10) % POST_COUNT)}`), 200);
+
+    const touched = path.join(root, 'posts', 'published', 'benchmark-post-1.post');
+    await fs.writeFile(touched, buildPostFile(1).replace('Claps: 1', 'Claps: 99'));
+    await wait(1100);
+    await measure('listAll (one file changed on disk)', () => store.listAll(), 1);
+    const changed = await store.get('benchmark-post-1');
+    if (changed.stats.claps !== 99) {
+      throw new Error('The index did not pick up a post changed on disk.');
+    }
+  } finally {
+    process.chdir(cwd);
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
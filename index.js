@@ -21,6 +21,7 @@ const Views = require('./src/views');
  * @param {EventEmitter} eventEmitter - Global event emitter for inter-service communication
  * @param {Object} serviceRegistry - NooblyJS Core service registry
  * @param {Object} options - Configuration options
+ * @param {string=} options.dataProvider - Data service provider to use, e.g. `file`; the registry's default otherwise
  * @return {void}
  */
 module.exports = (app, server, eventEmitter, serviceRegistry, options) => {
@@ -32,8 +33,9 @@ module.exports = (app, server, eventEmitter, serviceRegistry, options) => {
   const cache = serviceRegistry.cache();
   const queue = serviceRegistry.queue();
   const filing = serviceRegistry.filing();
-  const dataService = serviceRegistry.dataService();
+  const dataService = serviceRegistry.dataService(options.dataProvider);
   const search = serviceRegistry.searching();
+  const scheduling = serviceRegistry.scheduling();
   const measuring = serviceRegistry.measuring();
   const authService = serviceRegistry.authservice();
 
@@ -43,8 +45,8 @@ module.exports = (app, server, eventEmitter, serviceRegistry, options) => {
   // Register routes and views
   options.app = app
 
-  Routes(options, eventEmitter, { filing, cache, logger, queue, dataService, search, measuring, authService });
-  Views(options, eventEmitter, { filing, cache, logger, queue, dataService, search, measuring, authService, servicesAuthMiddleware });
+  const blog = Routes(options, eventEmitter, { filing, cache, logger, queue, dataService, search, measuring, authService, scheduling });
+  Views(options, eventEmitter, { filing, cache, logger, queue, dataService, search, measuring, authService, servicesAuthMiddleware, blog });
 
   // Serve README.md from root directory
   app.get('/applications/blog/README.md', (req, res) => {
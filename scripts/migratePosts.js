@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Rewrites every `.post` file under `./posts` in one format: legacy
+ * `Name: value` headers become YAML front matter, or back again with `--to=legacy`.
+ * Run from the blog's folder with `npm run migrate:posts`; add `-- --dry-run` to list
+ * the files that would change without touching them. Comments and counters stay in the
+ * files that hold them; `npm run migrate:activity` moves them out.
+ */
+
+'use strict';
+
+const path = require('path');
+const express = require('express');
+const { EventEmitter } = require('events');
+
+const createFilePostStore = require('../src/services/filePostStore');
+const { toSlug, buildExcerpt, estimateReadTime, normalizeTags, normalizeAuthor } = require('../src/routes/shared/helpers');
+
+const USAGE = 'Usage: node scripts/migratePosts.js [--to=yaml|legacy] [--dry-run]';
+
+const parseArgs = (args) => {
+  const options = { format: 'yaml', dryRun: false };
+  args.forEach((arg) => {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--to=')) {
+      options.format = arg.slice('--to='.length);
+    } else {
+      throw new Error(`Unknown option "${arg}".\n${USAGE}`);
+    }
+  });
+  if (!createFilePostStore.POST_FORMATS.includes(options.format)) {
+    throw new Error(`--to must be one of: ${createFilePostStore.POST_FORMATS.join(', ')}.\n${USAGE}`);
+  }
+  return options;
+};
+
+async function main() {
+  const { format, dryRun } = parseArgs(process.argv.slice(2));
+
+  const serviceRegistry = require('nooblyjs-core');
+  serviceRegistry.initialize(express(), new EventEmitter(), {
+    logDir: path.join(process.cwd(), '.app-blog', 'logs'),
+    dataDir: path.join(process.cwd(), '.app-blog', 'data')
+  });
+  const store = createFilePostStore({
+    filing: serviceRegistry.filing('local'),
+    logger: { info: () => {}, warn: console.warn.bind(console, '[migrate]'), error: console.error.bind(console, '[migrate]') },
+    toSlug,
+    buildExcerpt,
+    estimateReadTime,
+    normalizeTags,
+    normalizeAuthor
+  });
+
+  const { migrated, unchanged } = await store.migrate({ format, dryRun });
+  migrated.forEach((id) => console.log(`${dryRun ? 'would rewrite' : 'rewrote'}  ${id}`));
+  console.log(`\n${migrated.length} post(s) ${dryRun ? 'to rewrite' : 'rewritten'} as ${format}, ${unchanged.length} already ${format}.`);
+  if (!dryRun && migrated.length) {
+    console.log(`Set "Post File Format" to ${format} in the site settings so edits keep this format.`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.code === 'MIGRATION_MISMATCH' ? `${error.message} Nothing was written for it; fix the file and run again.` : error.message);
+  process.exitCode = 1;
+});
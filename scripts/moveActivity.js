@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Moves every post's comments and view, clap and bookmark counters out of
+ * its `.post` file into the blog's data store, so readers no longer rewrite the files
+ * writers author. New installs start on the data store; this is only needed for blogs
+ * whose post files already hold comments or counters. `--undo` writes them back into the
+ * files and empties the store; the blog then keeps them in the files until this runs again.
+ * Run from the blog's folder with `npm run migrate:activity` while the blog is stopped; add
+ * `-- --dry-run` to list the posts that would change without touching them, and
+ * `-- --provider=<name>` when the blog uses a data provider other than `file`.
+ */
+
+'use strict';
+
+const path = require('path');
+const express = require('express');
+const { EventEmitter } = require('events');
+
+const createFilePostStore = require('../src/services/filePostStore');
+const createPostActivityStore = require('../src/services/postActivityStore');
+const { CONTAINERS, toSlug, buildExcerpt, estimateReadTime, normalizeTags, normalizeAuthor } = require('../src/routes/shared/helpers');
+
+const USAGE = 'Usage: node scripts/moveActivity.js [--undo] [--dry-run] [--provider=<name>]';
+
+const parseArgs = (args) => {
+  const options = { undo: false, dryRun: false, provider: 'file' };
+  args.forEach((arg) => {
+    if (arg === '--undo') {
+      options.undo = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--provider=') && arg.length > '--provider='.length) {
+      options.provider = arg.slice('--provider='.length);
+    } else {
+      throw new Error(`Unknown option "${arg}".\n${USAGE}`);
+    }
+  });
+  return options;
+};
+
+async function main() {
+  const { undo, dryRun, provider } = parseArgs(process.argv.slice(2));
+
+  const serviceRegistry = require('nooblyjs-core');
+  serviceRegistry.initialize(express(), new EventEmitter(), {
+    logDir: path.join(process.cwd(), '.app-blog', 'logs'),
+    dataDir: path.join(process.cwd(), '.app-blog', 'data')
+  });
+  const logger = { info: () => {}, warn: console.warn.bind(console, '[migrate]'), error: console.error.bind(console, '[migrate]') };
+  const activity = createPostActivityStore({
+    dataService: serviceRegistry.dataService(provider),
+    logger,
+    commentsContainer: CONTAINERS.COMMENTS,
+    statsContainer: CONTAINERS.POST_STATS
+  });
+  await activity.ready();
+  const store = createFilePostStore({
+    filing: serviceRegistry.filing('local'),
+    logger,
+    toSlug,
+    buildExcerpt,
+    estimateReadTime,
+    normalizeTags,
+    normalizeAuthor
+  });
+
+  const result = undo ? await activity.moveIntoFiles(store, { dryRun }) : await activity.moveOutOfFiles(store, { dryRun });
+  result.moved.forEach((id) => console.log(`${dryRun ? 'would rewrite' : 'rewrote'}  ${id}`));
+  const where = undo ? 'back into their post files' : 'out of their post files';
+  console.log(`\n${result.moved.length} post(s) ${dryRun ? 'would have' : 'had'} comments and counters moved ${where}.`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+const { API_BASE_PATH, VIEW_BASE_PATH, toPublicPost, resolveReaderKey, sendJson, sendError } = require('./shared/helpers');
+const { authorize, can, denyUnlessAllowed } = require('./shared/permissions');
+const { SOCIAL_LINKS, MAX_BIO_LENGTH, MAX_DISPLAY_NAME_LENGTH } = require('../services/authorRegistry');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+const isUrl = (value) => /^https?:\/\/\S+$/i.test(value) || /^\/\S*$/.test(value);
+
+/**
+ * Shapes a profile for responses: the linked account stays private.
+ */
+const toProfileResponse = ({ userId, id, ...profile }, totalPosts, { followers, following }) => ({
+  ...profile,
+  url: `${VIEW_BASE_PATH}/@${profile.handle}`,
+  following,
+  stats: { posts: totalPosts, followers }
+});
+
+/**
+ * Checks a profile update body.
+ * @return {string|null} An error message, or null when valid.
+ */
+const validateProfileChanges = ({ displayName, bio, avatar, links, userId }) => {
+  if (displayName !== undefined) {
+    if (typeof displayName !== 'string' || !displayName.trim()) return 'displayName must be a non-empty string.';
+    if (displayName.trim().length > MAX_DISPLAY_NAME_LENGTH) return `displayName must be at most ${MAX_DISPLAY_NAME_LENGTH} characters.`;
+  }
+  if (bio !== undefined && bio !== null) {
+    if (typeof bio !== 'string') return 'bio must be a string or null.';
+    if (bio.trim().length > MAX_BIO_LENGTH) return `bio must be at most ${MAX_BIO_LENGTH} characters.`;
+  }
+  if (avatar !== undefined && avatar !== null && avatar !== '' && (typeof avatar !== 'string' || !isUrl(avatar))) {
+    return 'avatar must be an http(s) URL.';
+  }
+  if (links !== undefined) {
+    if (!links || typeof links !== 'object' || Array.isArray(links)) return 'links must be an object.';
+    const unknown = Object.keys(links).find((key) => !SOCIAL_LINKS.includes(key));
+    if (unknown) return `Unknown link "${unknown}". Use one of: ${SOCIAL_LINKS.join(', ')}.`;
+    const invalid = Object.keys(links).find((key) => links[key] !== null && links[key] !== '' && (typeof links[key] !== 'string' || !isUrl(links[key])));
+    if (invalid) return `links.${invalid} must be an http(s) URL.`;
+  }
+  if (userId !== undefined && userId !== null && typeof userId !== 'string') return 'userId must be a string or null.';
+  return null;
+};
+
+/**
+ * Registers author profile routes.
+ * @param {Object} app Express application
+ * @param {Object} authorRegistry Author registry service
+ * @param {Object} log Logger instance
+ * @param {Object} services Follow graph, for follower counts
+ */
+module.exports = (app, authorRegistry, log, { followGraph }) => {
+  /**
+   * GET AN AUTHOR PROFILE with post and follower counts (unregistered bylines are described from their posts)
+   */
+  app.get(`${API_BASE_PATH}/authors/:handle`, async (req, res) => {
+    try {
+      const profile = await authorRegistry.describe(req.params.handle);
+      if (!profile) {
+        return sendError(res, 404, 'AUTHOR_NOT_FOUND', 'Author not found.');
+      }
+      const [{ total }, follows] = await Promise.all([
+        authorRegistry.listPosts(profile.handle, { page: 1, pageSize: 1 }),
+        followGraph.describe(resolveReaderKey(req), 'author', profile.handle)
+      ]);
+      sendJson(res, 200, toProfileResponse(profile, total, follows));
+    } catch (error) {
+      log.error('Failed to get author', { error: error.message });
+      sendError(res, 500, 'AUTHOR_FETCH_FAILED', 'Unable to load author.');
+    }
+  });
+
+  /**
+   * LIST AN AUTHOR'S PUBLISHED POSTS (`?page=&pageSize=`)
+   */
+  app.get(`${API_BASE_PATH}/authors/:handle/posts`, async (req, res) => {
+    try {
+      const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+      const pageSize = req.query.pageSize !== undefined ? Number(req.query.pageSize) : DEFAULT_PAGE_SIZE;
+      if (!Number.isInteger(page) || page < 1) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'page must be a positive integer.');
+      }
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+      }
+
+      const profile = await authorRegistry.describe(req.params.handle);
+      if (!profile) {
+        return sendError(res, 404, 'AUTHOR_NOT_FOUND', 'Author not found.');
+      }
+      const { items, total } = await authorRegistry.listPosts(profile.handle, { page, pageSize });
+      sendJson(res, 200, items.map(toPublicPost), {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      });
+    } catch (error) {
+      log.error('Failed to list author posts', { error: error.message });
+      sendError(res, 500, 'AUTHOR_POSTS_FAILED', 'Unable to load posts.');
+    }
+  });
+
+  /**
+   * UPDATE AN AUTHOR PROFILE (the linked account, or an editor; only editors may link accounts)
+   */
+  app.patch(`${API_BASE_PATH}/authors/:handle`, authorize('author:edit'), async (req, res) => {
+    try {
+      const { displayName, bio, avatar, links, userId } = req.body || {};
+      const changes = { displayName, bio, avatar, links, userId };
+      const invalid = validateProfileChanges(changes);
+      if (invalid) {
+        return sendError(res, 400, 'VALIDATION_ERROR', invalid);
+      }
+
+      const current = await authorRegistry.describe(req.params.handle);
+      if (!current) {
+        return sendError(res, 404, 'AUTHOR_NOT_FOUND', 'Author not found.');
+      }
+      if (denyUnlessAllowed(req, res, 'author:edit', current)) return;
+      if (userId !== undefined && !can(req.caller, 'author:link-account')) {
+        return denyUnlessAllowed(req, res, 'author:link-account');
+      }
+      if (userId) {
+        const linked = await authorRegistry.findByUserId(userId);
+        if (linked && linked.handle !== current.handle) {
+          return sendError(res, 409, 'AUTHOR_ACCOUNT_LINKED', 'That account already writes as another author.', { handle: linked.handle });
+        }
+      }
+
+      const updated = await authorRegistry.update(current.handle, changes);
+      if (!updated) {
+        return sendError(res, 404, 'AUTHOR_NOT_FOUND', 'Author not found.');
+      }
+      const [{ total }, follows] = await Promise.all([
+        authorRegistry.listPosts(updated.handle, { page: 1, pageSize: 1 }),
+        followGraph.describe(resolveReaderKey(req), 'author', updated.handle)
+      ]);
+      sendJson(res, 200, toProfileResponse({ ...updated, registered: true }, total, follows));
+    } catch (error) {
+      if (error.code === 'DISPLAY_NAME_TAKEN') {
+        return sendError(res, 409, 'DISPLAY_NAME_TAKEN', error.message);
+      }
+      log.error('Failed to update author', { error: error.message });
+      sendError(res, 500, 'AUTHOR_UPDATE_FAILED', 'Unable to update author.');
+    }
+  });
+};
@@ -1,9 +1,10 @@
 'use strict';
 
-const { API_BASE_PATH, VIEW_BASE_PATH, CONTAINERS, escapeXml, sendJson, sendError } = require('./shared/helpers');
+const { API_BASE_PATH, VIEW_BASE_PATH, CONTAINERS, escapeXml, resolveBaseUrl, sendJson, sendError } = require('./shared/helpers');
+const { POLICY, can, canView } = require('./shared/permissions');
 
 /**
- * Registers backoffice/admin routes (status, feed, sitemaps).
+ * Registers backoffice/admin routes (status, caller, feed, sitemaps).
  * @param {Object} app Express application
  * @param {Object} dataStore Data store instance
  * @param {Object} log Logger instance
@@ -36,12 +37,32 @@ module.exports = (app, dataStore, log) => {
   });
 
   /**
-   * GET HOME FEED (featured, latest, trending, tags, drafts)
+   * GET CURRENT CALLER (role and the actions it allows, for hiding controls in the UI)
    */
-  app.get(`${API_BASE_PATH}/feed/home`, async (_req, res) => {
+  app.get(`${API_BASE_PATH}/me`, (req, res) => {
+    const caller = req.caller || { authenticated: false, role: 'reader' };
+    const permissions = Object.keys(POLICY).filter((action) => caller.authenticated && can(caller, action));
+    sendJson(res, 200, { ...caller, permissions });
+  });
+
+  /**
+   * GET HOME FEED (featured, latest, trending, tags, and the drafts the caller may edit)
+   */
+  app.get(`${API_BASE_PATH}/feed/home`, async (req, res) => {
     try {
       const feed = await getHomeFeed();
-      sendJson(res, 200, feed, { cached: false });
+      // The cached feed holds every draft; each caller only sees and counts those they may edit
+      const drafts = feed.drafts.filter((post) => canView(req.caller, post));
+      sendJson(
+        res,
+        200,
+        {
+          ...feed,
+          drafts: drafts.slice(0, 6),
+          totals: { ...feed.totals, posts: feed.totals.published + drafts.length, drafts: drafts.length }
+        },
+        { cached: false }
+      );
     } catch (error) {
       log.error('Failed to load home feed', { error: error.message });
       sendError(res, 500, 'FEED_FETCH_FAILED', 'Unable to load home feed.');
@@ -62,11 +83,7 @@ module.exports = (app, dataStore, log) => {
           return dateB - dateA;
         });
 
-      const forwardedProto = req.get('x-forwarded-proto');
-      const forwardedHost = req.get('x-forwarded-host');
-      const protocol = (forwardedProto ? forwardedProto.split(',')[0] : req.protocol || 'http') || 'http';
-      const host = (forwardedHost ? forwardedHost.split(',')[0] : req.get('host')) || '';
-      const baseUrl = host ? `${protocol}://${host}` : '';
+      const baseUrl = resolveBaseUrl(req);
       const postPrefix = `${baseUrl}${VIEW_BASE_PATH}/posts`;
 
       const urlEntries = published
@@ -0,0 +1,129 @@
+'use strict';
+
+const { API_BASE_PATH, resolveReaderKey, toPublicPost, sendJson, sendError } = require('./shared/helpers');
+const { canView } = require('./shared/permissions');
+const { MAX_COLLECTION_LENGTH } = require('../services/readingList');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Strips the reader key from a bookmark before it is returned.
+ */
+const toBookmarkResponse = ({ reader, ...bookmark }) => bookmark;
+
+/**
+ * Checks an optional collection name from a request body.
+ * @return {string|null} An error message, or null when valid.
+ */
+const validateCollection = (collection) => {
+  if (collection === undefined || collection === null) return null;
+  if (typeof collection !== 'string') return 'collection must be a string or null.';
+  if (collection.trim().length > MAX_COLLECTION_LENGTH) return `collection must be at most ${MAX_COLLECTION_LENGTH} characters.`;
+  return null;
+};
+
+/**
+ * Registers reading list routes: the reader's own bookmarks and collections.
+ * @param {Object} app Express application
+ * @param {Object} readingList Reading list service
+ * @param {Object} log Logger instance
+ */
+module.exports = (app, readingList, log) => {
+  /**
+   * BOOKMARK A POST (saving it again keeps a single bookmark, optionally moving it to `collection`)
+   */
+  app.post(`${API_BASE_PATH}/posts/:id/bookmark`, async (req, res) => {
+    try {
+      const { collection } = req.body || {};
+      const invalid = validateCollection(collection);
+      if (invalid) {
+        return sendError(res, 400, 'VALIDATION_ERROR', invalid);
+      }
+
+      const result = await readingList.add(req.params.id, resolveReaderKey(req), {
+        collection,
+        visible: (post) => canView(req.caller, post)
+      });
+      if (!result) {
+        return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
+      }
+      const bookmark = toBookmarkResponse(result.bookmark);
+      sendJson(res, result.created ? 201 : 200, { ...toPublicPost(result.post), myBookmark: bookmark }, { created: result.created, bookmark });
+    } catch (error) {
+      log.error('Failed to bookmark post', { error: error.message });
+      sendError(res, 500, 'POST_BOOKMARK_FAILED', 'Unable to bookmark post.');
+    }
+  });
+
+  /**
+   * LIST MY BOOKMARKS (`?page=&pageSize=&collection=`)
+   */
+  app.get(`${API_BASE_PATH}/bookmarks`, async (req, res) => {
+    try {
+      const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+      const pageSize = req.query.pageSize !== undefined ? Number(req.query.pageSize) : DEFAULT_PAGE_SIZE;
+      if (!Number.isInteger(page) || page < 1) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'page must be a positive integer.');
+      }
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+      }
+
+      const { collection } = req.query;
+      const { items, total, collections } = await readingList.list(resolveReaderKey(req), { page, pageSize, collection });
+      sendJson(res, 200, items.map(toBookmarkResponse), {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        collection: collection || null,
+        collections
+      });
+    } catch (error) {
+      log.error('Failed to list bookmarks', { error: error.message });
+      sendError(res, 500, 'BOOKMARK_LIST_FAILED', 'Unable to load your reading list.');
+    }
+  });
+
+  /**
+   * MOVE A BOOKMARK TO ANOTHER COLLECTION
+   */
+  app.patch(`${API_BASE_PATH}/bookmarks/:id`, async (req, res) => {
+    try {
+      const { collection } = req.body || {};
+      if (collection === undefined) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'collection is required (use null to remove it from a collection).');
+      }
+      const invalid = validateCollection(collection);
+      if (invalid) {
+        return sendError(res, 400, 'VALIDATION_ERROR', invalid);
+      }
+
+      const bookmark = await readingList.move(req.params.id, resolveReaderKey(req), collection);
+      if (!bookmark) {
+        return sendError(res, 404, 'BOOKMARK_NOT_FOUND', 'Bookmark not found.');
+      }
+      sendJson(res, 200, toBookmarkResponse(bookmark));
+    } catch (error) {
+      log.error('Failed to update bookmark', { error: error.message });
+      sendError(res, 500, 'BOOKMARK_UPDATE_FAILED', 'Unable to update bookmark.');
+    }
+  });
+
+  /**
+   * REMOVE A BOOKMARK
+   */
+  app.delete(`${API_BASE_PATH}/bookmarks/:id`, async (req, res) => {
+    try {
+      const result = await readingList.remove(req.params.id, resolveReaderKey(req));
+      if (!result) {
+        return sendError(res, 404, 'BOOKMARK_NOT_FOUND', 'Bookmark not found.');
+      }
+      sendJson(res, 200, { id: req.params.id, postId: result.bookmark.postId }, { deleted: true, bookmarks: result.post?.stats?.bookmarks ?? null });
+    } catch (error) {
+      log.error('Failed to delete bookmark', { error: error.message });
+      sendError(res, 500, 'BOOKMARK_DELETE_FAILED', 'Unable to remove bookmark.');
+    }
+  });
+};
@@ -1,40 +1,38 @@
 'use strict';
 
-const { API_BASE_PATH, CONTAINERS, sendJson, sendError } = require('./shared/helpers');
+const { API_BASE_PATH, resolveReaderKey, toPublicPost, sendJson, sendError } = require('./shared/helpers');
+const { canView } = require('./shared/permissions');
 
 /**
- * Registers clap and bookmark routes.
+ * Registers clap routes.
  * @param {Object} app Express application
- * @param {Object} dataStore Data store instance
+ * @param {Object} clapLedger Per-reader claps ledger
  * @param {Object} log Logger instance
  */
-module.exports = (app, dataStore, log) => {
-  const { getRecord, updateRecord, invalidateFeedCache } = dataStore;
+module.exports = (app, clapLedger, log) => {
+  const { maxClapsPerReader } = clapLedger;
 
   /**
-   * CLAP FOR A POST (add applause, max 50 per request)
+   * CLAP FOR A POST (each reader can give up to 50 claps per post)
    */
   app.post(`${API_BASE_PATH}/posts/:id/clap`, async (req, res) => {
     try {
       const { id } = req.params;
       const { amount = 1 } = req.body || {};
-      const clapsToAdd = Math.max(1, Math.min(Number(amount) || 1, 50));
+      const requested = Math.max(1, Math.min(Math.floor(Number(amount)) || 1, maxClapsPerReader));
 
-      const updated = await updateRecord(CONTAINERS.POSTS, id, (current) => {
-        if (!current) return null;
-        const stats = {
-          ...current.stats,
-          claps: (current.stats?.claps || 0) + clapsToAdd
-        };
-        return { ...current, stats };
-      });
-
-      if (!updated) {
+      const result = await clapLedger.clap(id, resolveReaderKey(req), requested, { visible: (post) => canView(req.caller, post) });
+      if (!result) {
         return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
       }
+      if (!result.added) {
+        return sendError(res, 409, 'POST_CLAP_LIMIT_REACHED', `You can clap at most ${maxClapsPerReader} times for a story.`, {
+          limit: maxClapsPerReader,
+          myClaps: result.myClaps
+        });
+      }
 
-      await invalidateFeedCache();
-      sendJson(res, 200, updated);
+      sendJson(res, 200, { ...toPublicPost(result.post), myClaps: result.myClaps }, { added: result.added, limit: maxClapsPerReader });
     } catch (error) {
       log.error('Failed to clap post', { error: error.message });
       sendError(res, 500, 'POST_CLAP_FAILED', 'Unable to record applause.');
@@ -42,27 +40,19 @@ module.exports = (app, dataStore, log) => {
   });
 
   /**
-   * BOOKMARK A POST (increment bookmark count)
+   * UNDO CLAPS (withdraws all of the reader's claps for a post)
    */
-  app.post(`${API_BASE_PATH}/posts/:id/bookmark`, async (req, res) => {
+  app.delete(`${API_BASE_PATH}/posts/:id/clap`, async (req, res) => {
     try {
       const { id } = req.params;
-      const updated = await updateRecord(CONTAINERS.POSTS, id, (current) => {
-        if (!current) return null;
-        const stats = {
-          ...current.stats,
-          bookmarks: (current.stats?.bookmarks || 0) + 1
-        };
-        return { ...current, stats };
-      });
-      if (!updated) {
+      const result = await clapLedger.undo(id, resolveReaderKey(req), { visible: (post) => canView(req.caller, post) });
+      if (!result) {
         return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
       }
-      await invalidateFeedCache();
-      sendJson(res, 200, updated);
+      sendJson(res, 200, { ...toPublicPost(result.post), myClaps: 0 }, { removed: result.removed, limit: maxClapsPerReader });
     } catch (error) {
-      log.error('Failed to bookmark post', { error: error.message });
-      sendError(res, 500, 'POST_BOOKMARK_FAILED', 'Unable to bookmark post.');
+      log.error('Failed to undo claps', { error: error.message });
+      sendError(res, 500, 'POST_CLAP_UNDO_FAILED', 'Unable to withdraw applause.');
     }
   });
 };
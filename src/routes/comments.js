@@ -1,34 +1,92 @@
 'use strict';
 
-const { API_BASE_PATH, CONTAINERS, normalizeAuthor, sendJson, sendError } = require('./shared/helpers');
+const {
+  API_BASE_PATH,
+  CONTAINERS,
+  DEFAULT_SITE_SETTINGS,
+  normalizeAuthor,
+  resolveReaderKey,
+  isPublishedComment,
+  toPublicComment,
+  sendJson,
+  sendError
+} = require('./shared/helpers');
+const { loadSettings } = require('./shared/settings');
+const { authorize, canView } = require('./shared/permissions');
+const { REPORT_REASONS, MODERATED_STATUSES } = require('../services/commentModeration');
+
+const DEFAULT_THREAD_DEPTH = 5;
+const MAX_THREAD_DEPTH = 20;
+const MAX_REPORT_DETAILS_LENGTH = 500;
+
+const byCreatedAt = (a, b) => new Date(a.createdAt || 0).getTime() - new Date(b.createdAt || 0).getTime();
+
+/**
+ * Builds a reply tree from a post's flat comment list.
+ * Replies whose parent no longer exists are shown at the top level. Below `maxDepth`
+ * replies are left out, but `replyCount` still reports them so clients can load the rest.
+ * @param {Array<Object>} comments
+ * @param {{maxDepth: number, rootId: (string|null)}} options
+ * @return {Array<Object>}
+ */
+function buildCommentTree(comments, { maxDepth, rootId = null }) {
+  const ids = new Set(comments.map((comment) => comment.id));
+  const children = new Map();
+  comments.forEach((comment) => {
+    const parentId = comment.parentId && ids.has(comment.parentId) ? comment.parentId : null;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(comment);
+  });
+
+  const buildLevel = (parentId, depth) =>
+    (children.get(parentId) || []).sort(byCreatedAt).map((comment) => {
+      const replies = children.get(comment.id) || [];
+      return {
+        ...comment,
+        parentId: comment.parentId || null,
+        depth,
+        replyCount: replies.length,
+        replies: depth + 1 < maxDepth ? buildLevel(comment.id, depth + 1) : []
+      };
+    });
+
+  return buildLevel(rootId, 0);
+}
 
 /**
  * Registers comment routes.
  * @param {Object} app Express application
  * @param {Object} dataStore Data store instance
  * @param {Object} log Logger instance
+ * @param {Object} moderator Comment moderation service
  */
-module.exports = (app, dataStore, log) => {
+module.exports = (app, dataStore, log, moderator) => {
   const { getRecord, updateRecord, invalidateFeedCache } = dataStore;
 
   /**
-   * LIST COMMENTS FOR A POST
+   * LIST COMMENTS FOR A POST (as a reply tree, `?depth=` levels deep, optionally below `?parentId=`)
    */
   app.get(`${API_BASE_PATH}/posts/:id/comments`, async (req, res) => {
     try {
       const { id } = req.params;
+      const { parentId } = req.query;
+      const depth = req.query.depth !== undefined ? Number(req.query.depth) : DEFAULT_THREAD_DEPTH;
+      if (!Number.isInteger(depth) || depth < 1 || depth > MAX_THREAD_DEPTH) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `depth must be an integer between 1 and ${MAX_THREAD_DEPTH}.`);
+      }
+
       // Look up the post to get its actual ID and comments (id param might be a slug)
       const post = await getRecord(CONTAINERS.POSTS, id);
-      if (!post) {
-        return sendJson(res, 200, [], { total: 0 });
+      if (!canView(req.caller, post)) {
+        return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
       }
-      const comments = Array.isArray(post.comments) ? post.comments : [];
-      const sorted = comments.sort((a, b) => {
-        const dateA = new Date(a.createdAt || 0).getTime();
-        const dateB = new Date(b.createdAt || 0).getTime();
-        return dateA - dateB;
-      });
-      sendJson(res, 200, sorted, { total: sorted.length });
+      // Held, rejected and spam comments never reach readers
+      const comments = (Array.isArray(post.comments) ? post.comments : []).filter(isPublishedComment).map(toPublicComment);
+      if (parentId && !comments.some((comment) => comment.id === parentId)) {
+        return sendError(res, 404, 'COMMENT_NOT_FOUND', 'Comment not found.');
+      }
+      const tree = buildCommentTree(comments, { maxDepth: depth, rootId: parentId || null });
+      sendJson(res, 200, tree, { total: comments.length, depth, parentId: parentId || null });
     } catch (error) {
       log.error('Failed to list comments', { error: error.message });
       sendError(res, 500, 'COMMENT_LIST_FAILED', 'Unable to load comments.');
@@ -42,40 +100,45 @@ module.exports = (app, dataStore, log) => {
     try {
       const { id } = req.params;
       const post = await getRecord(CONTAINERS.POSTS, id);
-      if (!post) {
+      if (!canView(req.caller, post)) {
         return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
       }
 
-      const { body, author } = req.body || {};
+      const { body, author, parentId } = req.body || {};
       if (!body || !body.trim()) {
         return sendError(res, 400, 'VALIDATION_ERROR', 'Comment text is required.');
       }
+      if (parentId && !(post.comments || []).some((comment) => comment.id === parentId && isPublishedComment(comment))) {
+        return sendError(res, 400, 'COMMENT_PARENT_NOT_FOUND', 'The comment you are replying to does not exist.', { parentId });
+      }
+
+      const settings = await loadSettings();
+      const commentAuthor = normalizeAuthor(author);
+      const status = await moderator.resolveInitialStatus(req.caller, settings.commentModeration);
 
       const now = new Date().toISOString();
       const commentId = `comment-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
       const commentRecord = {
         id: commentId,
         postId: post.id,
-        author: normalizeAuthor(author),
+        parentId: parentId || null,
+        author: commentAuthor,
+        // The signed-in account behind the comment, which first-time moderation trusts
+        ...(req.caller?.authenticated ? { accountId: req.caller.id } : {}),
         body: body.trim(),
-        status: 'published',
+        status,
         createdAt: now,
         updatedAt: now
       };
 
-      // Add comment to post's comments array
-      const existingComments = Array.isArray(post.comments) ? post.comments : [];
-      const updatedPost = await updateRecord(CONTAINERS.POSTS, post.id, (current) => ({
+      // Add comment to post's comments array (the store recounts published comments)
+      await updateRecord(CONTAINERS.POSTS, post.id, (current) => ({
         ...current,
-        comments: [...existingComments, commentRecord],
-        stats: {
-          ...current.stats,
-          comments: existingComments.length + 1
-        }
-      }));
-      
+        comments: [...(Array.isArray(current.comments) ? current.comments : []), commentRecord]
+      }), { touch: false });
+
       await invalidateFeedCache();
-      sendJson(res, 201, commentRecord);
+      sendJson(res, 201, commentRecord, { awaitingModeration: status === 'pending' });
     } catch (error) {
       log.error('Failed to create comment', { error: error.message });
       sendError(res, 500, 'COMMENT_CREATE_FAILED', 'Unable to create comment.');
@@ -83,57 +146,79 @@ module.exports = (app, dataStore, log) => {
   });
 
   /**
-   * UPDATE COMMENT
+   * UPDATE COMMENT (its text and/or a moderation status: published, rejected or spam)
    */
-  app.patch(`${API_BASE_PATH}/comments/:id`, async (req, res) => {
+  app.patch(`${API_BASE_PATH}/comments/:id`, authorize('comment:moderate'), async (req, res) => {
     try {
       const { id } = req.params;
       const { body, status } = req.body || {};
-
-      // Find the comment by searching through all posts
-      // This is not the most efficient, but necessary since comments are stored in post files
-      let foundComment = null;
-      let postWithComment = null;
-      
-      const allPosts = await dataStore.listRecords(CONTAINERS.POSTS);
-      for (const post of allPosts) {
-        if (Array.isArray(post.comments)) {
-          const comment = post.comments.find(c => c.id === id);
-          if (comment) {
-            foundComment = comment;
-            postWithComment = post;
-            break;
-          }
-        }
+      if (body !== undefined && (typeof body !== 'string' || !body.trim())) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'body must be non-empty text.');
+      }
+      if (status !== undefined && !MODERATED_STATUSES.includes(status)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `status must be one of: ${MODERATED_STATUSES.join(', ')}.`);
       }
 
-      if (!foundComment || !postWithComment) {
+      const comment = await moderator.edit(id, { body: body !== undefined ? body.trim() : undefined, status });
+      if (!comment) {
         return sendError(res, 404, 'COMMENT_NOT_FOUND', 'Comment not found.');
       }
-
-      // Update the comment in the post's comments array
-      const updatedComments = postWithComment.comments.map(c => {
-        if (c.id === id) {
-          return {
-            ...c,
-            body: body !== undefined ? body.trim() : c.body,
-            status: status || c.status,
-            updatedAt: new Date().toISOString()
-          };
-        }
-        return c;
-      });
-
-      const updated = await updateRecord(CONTAINERS.POSTS, postWithComment.id, (current) => ({
-        ...current,
-        comments: updatedComments
-      }));
-
-      const updatedComment = updatedComments.find(c => c.id === id);
-      sendJson(res, 200, updatedComment);
+      sendJson(res, 200, comment);
     } catch (error) {
       log.error('Failed to update comment', { error: error.message });
       sendError(res, 500, 'COMMENT_UPDATE_FAILED', 'Unable to update comment.');
     }
   });
+
+  /**
+   * REPORT COMMENT (once per reader, signed in or not; enough reports hold the comment for review)
+   */
+  app.post(`${API_BASE_PATH}/comments/:id/report`, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reason, details } = req.body || {};
+      if (!REPORT_REASONS.includes(reason)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `reason must be one of: ${REPORT_REASONS.join(', ')}.`);
+      }
+      if (details !== undefined && typeof details !== 'string') {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'details must be a string.');
+      }
+      if (details && details.length > MAX_REPORT_DETAILS_LENGTH) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `details must be at most ${MAX_REPORT_DETAILS_LENGTH} characters.`);
+      }
+
+      const settings = await loadSettings();
+      const threshold = Number(settings.commentReportThreshold) || DEFAULT_SITE_SETTINGS.commentReportThreshold;
+      const result = await moderator.report(id, { reader: resolveReaderKey(req), reason, details: (details || '').trim() }, threshold);
+
+      if (result.outcome === 'missing') {
+        return sendError(res, 404, 'COMMENT_NOT_FOUND', 'Comment not found.');
+      }
+      if (result.outcome === 'duplicate') {
+        return sendError(res, 409, 'COMMENT_ALREADY_REPORTED', 'You have already reported this comment.', { commentId: id });
+      }
+      log.info('Comment reported', { commentId: id, reason, flagged: result.outcome === 'flagged' });
+      sendJson(res, 201, { commentId: id, reason }, { received: true });
+    } catch (error) {
+      log.error('Failed to report comment', { error: error.message });
+      sendError(res, 500, 'COMMENT_REPORT_FAILED', 'Unable to report comment.');
+    }
+  });
+
+  /**
+   * DELETE COMMENT (replies move up to the deleted comment's parent)
+   */
+  app.delete(`${API_BASE_PATH}/comments/:id`, authorize('comment:moderate'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await moderator.apply('delete', [id]);
+      if (!result.updated.length) {
+        return sendError(res, 404, 'COMMENT_NOT_FOUND', 'Comment not found.');
+      }
+      sendJson(res, 200, { id }, { deleted: true });
+    } catch (error) {
+      log.error('Failed to delete comment', { error: error.message });
+      sendError(res, 500, 'COMMENT_DELETE_FAILED', 'Unable to delete comment.');
+    }
+  });
 };
@@ -1,43 +1,14 @@
 'use strict';
 
-const path = require('path');
-const { promises: fs } = require('fs');
-const { DEFAULT_SITE_SETTINGS, sendJson, sendError } = require('./shared/helpers');
+const { sendJson, sendError } = require('./shared/helpers');
+const { loadSettings, saveSettings } = require('./shared/settings');
+const { authorize } = require('./shared/permissions');
+const { MODERATION_MODES } = require('../services/commentModeration');
+const { POST_FORMATS } = require('../services/filePostStore');
 
-const SETTINGS_FILE_PATH = path.join(process.cwd(), '.data', 'blog-settings.json');
+const MAX_REPORT_THRESHOLD = 100;
 
-/**
- * Loads site settings from file or returns defaults.
- */
-async function loadSettings() {
-  try {
-    const data = await fs.readFile(SETTINGS_FILE_PATH, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return DEFAULT_SITE_SETTINGS;
-    }
-    throw error;
-  }
-}
-
-/**
- * Saves site settings to file.
- */
-async function saveSettings(settings, log) {
-  try {
-    const dataDir = path.dirname(SETTINGS_FILE_PATH);
-    await fs.mkdir(dataDir, { recursive: true });
-
-    const { id, key, createdAt, updatedAt, ...cleanSettings } = settings;
-
-    await fs.writeFile(SETTINGS_FILE_PATH, JSON.stringify(cleanSettings, null, 2), 'utf8');
-    return cleanSettings;
-  } catch (error) {
-    log.error('Failed to save settings file', { error: error.message });
-    throw error;
-  }
-}
+const isReportThreshold = (value) => Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= MAX_REPORT_THRESHOLD;
 
 /**
  * Registers customisation/settings routes.
@@ -61,7 +32,7 @@ module.exports = (app, log) => {
   /**
    * UPDATE SITE SETTINGS
    */
-  app.patch('/applications/blog/api/settings', async (req, res) => {
+  app.patch('/applications/blog/api/settings', authorize('settings:manage'), async (req, res) => {
     try {
       const payload = req.body || {};
       const currentSettings = await loadSettings();
@@ -72,6 +43,12 @@ module.exports = (app, log) => {
         primaryColor: payload.primaryColor !== undefined ? payload.primaryColor : currentSettings.primaryColor,
         backgroundColor: payload.backgroundColor !== undefined ? payload.backgroundColor : currentSettings.backgroundColor,
         bannerImage: payload.bannerImage !== undefined ? payload.bannerImage : currentSettings.bannerImage,
+        feedContent: payload.feedContent !== undefined ? (payload.feedContent === 'full' ? 'full' : 'excerpt') : currentSettings.feedContent,
+        commentModeration: MODERATION_MODES.includes(payload.commentModeration) ? payload.commentModeration : currentSettings.commentModeration,
+        commentReportThreshold: isReportThreshold(payload.commentReportThreshold)
+          ? Number(payload.commentReportThreshold)
+          : currentSettings.commentReportThreshold,
+        postFormat: POST_FORMATS.includes(payload.postFormat) ? payload.postFormat : currentSettings.postFormat,
         links: {
           twitter: payload.links?.twitter !== undefined ? payload.links.twitter : currentSettings.links?.twitter || '',
           instagram: payload.links?.instagram !== undefined ? payload.links.instagram : currentSettings.links?.instagram || '',
@@ -0,0 +1,275 @@
+'use strict';
+
+const crypto = require('crypto');
+const { VIEW_BASE_PATH, CONTAINERS, escapeXml, renderMarkdown, resolveBaseUrl } = require('./shared/helpers');
+const { loadSettings } = require('./shared/settings');
+
+const FEED_LIMIT = 20;
+
+const FEED_FORMATS = 'rss|atom|json';
+
+const CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+/**
+ * Registers syndication feed routes (RSS 2.0, Atom 1.0, JSON Feed 1.1) for the
+ * whole blog and per tag / per author.
+ * @param {Object} app Express application
+ * @param {Object} dataStore Data store instance
+ * @param {Object} log Logger instance
+ */
+module.exports = (app, dataStore, log) => {
+  const { listRecords } = dataStore;
+
+  const postDate = (post) => new Date(post.publishedAt || post.updatedAt || post.createdAt || 0);
+
+  const modifiedDate = (post) => new Date(post.updatedAt || post.publishedAt || post.createdAt || 0);
+
+  /**
+   * Helper: Published posts matching a scope, newest first.
+   */
+  const selectPosts = async (matches) => {
+    const posts = await listRecords(CONTAINERS.POSTS);
+    return posts
+      .filter((post) => post.status === 'published' && matches(post))
+      .sort((a, b) => postDate(b).getTime() - postDate(a).getTime());
+  };
+
+  /**
+   * Helper: Builds everything the renderers need from the request and scope.
+   */
+  const buildContext = (req, settings, scope, posts) => {
+    const baseUrl = resolveBaseUrl(req);
+    const siteTitle = settings.title || 'NooblyJS Blog';
+    const items = posts.slice(0, FEED_LIMIT).map((post) => ({
+      post,
+      url: `${baseUrl}${VIEW_BASE_PATH}/posts/${encodeURIComponent(post.slug || post.id)}`,
+      published: postDate(post),
+      modified: modifiedDate(post),
+      html: settings.feedContent === 'full' ? renderMarkdown(post.content || '') : null
+    }));
+    const updated = items.reduce((latest, item) => (item.modified > latest ? item.modified : latest), new Date(0));
+    return {
+      title: scope.label ? `${siteTitle} · ${scope.label}` : siteTitle,
+      description: scope.description || `Latest stories from ${siteTitle}`,
+      homeUrl: `${baseUrl}${scope.homePath || VIEW_BASE_PATH}`,
+      selfUrl: `${baseUrl}${req.path}`,
+      fullContent: settings.feedContent === 'full',
+      updated: items.length ? updated : null,
+      items
+    };
+  };
+
+  const renderRss = (ctx) => {
+    const items = ctx.items
+      .map(({ post, url, published, html }) => {
+        const lines = [
+          '    <item>',
+          `      <title>${escapeXml(post.title || 'Untitled')}</title>`,
+          `      <link>${escapeXml(url)}</link>`,
+          `      <guid isPermaLink="true">${escapeXml(url)}</guid>`,
+          `      <pubDate>${escapeXml(published.toUTCString())}</pubDate>`,
+          `      <dc:creator>${escapeXml(post.author?.name || 'Anonymous')}</dc:creator>`,
+          ...(post.tags || []).map((tag) => `      <category>${escapeXml(tag)}</category>`),
+          `      <description>${escapeXml(post.excerpt || '')}</description>`
+        ];
+        if (html) {
+          lines.push(`      <content:encoded>${escapeXml(html)}</content:encoded>`);
+        }
+        if (post.coverImage) {
+          lines.push(`      <enclosure url="${escapeXml(post.coverImage)}" type="image/jpeg" length="0"/>`);
+        }
+        lines.push('    </item>');
+        return lines.join('\n');
+      })
+      .join('\n');
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      '  <channel>',
+      `    <title>${escapeXml(ctx.title)}</title>`,
+      `    <link>${escapeXml(ctx.homeUrl)}</link>`,
+      `    <description>${escapeXml(ctx.description)}</description>`,
+      '    <language>en</language>',
+      ctx.updated ? `    <lastBuildDate>${escapeXml(ctx.updated.toUTCString())}</lastBuildDate>` : '',
+      `    <atom:link href="${escapeXml(ctx.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+      items,
+      '  </channel>',
+      '</rss>'
+    ]
+      .filter(Boolean)
+      .join('\n');
+  };
+
+  const renderAtom = (ctx) => {
+    const entries = ctx.items
+      .map(({ post, url, published, modified, html }) => {
+        const lines = [
+          '  <entry>',
+          `    <id>${escapeXml(url)}</id>`,
+          `    <title>${escapeXml(post.title || 'Untitled')}</title>`,
+          `    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+          `    <published>${escapeXml(published.toISOString())}</published>`,
+          `    <updated>${escapeXml(modified.toISOString())}</updated>`,
+          `    <author><name>${escapeXml(post.author?.name || 'Anonymous')}</name></author>`,
+          ...(post.tags || []).map((tag) => `    <category term="${escapeXml(tag)}"/>`),
+          `    <summary>${escapeXml(post.excerpt || '')}</summary>`
+        ];
+        if (html) {
+          lines.push(`    <content type="html">${escapeXml(html)}</content>`);
+        }
+        lines.push('  </entry>');
+        return lines.join('\n');
+      })
+      .join('\n');
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXml(ctx.selfUrl)}</id>`,
+      `  <title>${escapeXml(ctx.title)}</title>`,
+      `  <subtitle>${escapeXml(ctx.description)}</subtitle>`,
+      `  <updated>${escapeXml((ctx.updated || new Date(0)).toISOString())}</updated>`,
+      `  <link rel="self" type="application/atom+xml" href="${escapeXml(ctx.selfUrl)}"/>`,
+      `  <link rel="alternate" type="text/html" href="${escapeXml(ctx.homeUrl)}"/>`,
+      entries,
+      '</feed>'
+    ]
+      .filter(Boolean)
+      .join('\n');
+  };
+
+  const renderJson = (ctx) => {
+    const feed = {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: ctx.title,
+      description: ctx.description,
+      home_page_url: ctx.homeUrl,
+      feed_url: ctx.selfUrl,
+      language: 'en',
+      items: ctx.items.map(({ post, url, published, modified, html }) => {
+        const item = {
+          id: url,
+          url,
+          title: post.title || 'Untitled',
+          summary: post.excerpt || '',
+          date_published: published.toISOString(),
+          date_modified: modified.toISOString(),
+          authors: [{ name: post.author?.name || 'Anonymous' }],
+          tags: post.tags || []
+        };
+        if (html) {
+          item.content_html = html;
+        } else {
+          item.content_text = post.excerpt || '';
+        }
+        if (post.coverImage) {
+          item.image = post.coverImage;
+        }
+        return item;
+      })
+    };
+    return JSON.stringify(feed, null, 2);
+  };
+
+  const RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJson };
+
+  /**
+   * Helper: Answers 304 when the client's copy is still current.
+   */
+  const isNotModified = (req, etag, lastModified) => {
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch) {
+      return ifNoneMatch
+        .split(',')
+        .map((value) => value.trim().replace(/^W\//, ''))
+        .some((value) => value === etag || value === '*');
+    }
+    const ifModifiedSince = req.get('If-Modified-Since');
+    if (ifModifiedSince && lastModified) {
+      const since = new Date(ifModifiedSince).getTime();
+      // HTTP dates have second precision
+      return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+    }
+    return false;
+  };
+
+  /**
+   * Helper: Renders and sends a feed with conditional GET support.
+   */
+  const sendFeed = async (req, res, scope) => {
+    const { format } = req.params;
+    try {
+      const posts = await selectPosts(scope.matches);
+      if (scope.requireMatches && !posts.length) {
+        return res.status(404).type('text/plain').send('Feed not found');
+      }
+      const settings = await loadSettings();
+      if (scope.resolveLabel) {
+        scope.resolveLabel(posts);
+      }
+      const ctx = buildContext(req, settings, scope, posts);
+      const body = RENDERERS[format](ctx);
+      const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+
+      res.set('ETag', etag);
+      res.set('Cache-Control', 'public, max-age=300');
+      if (ctx.updated) {
+        res.set('Last-Modified', ctx.updated.toUTCString());
+      }
+      if (isNotModified(req, etag, ctx.updated)) {
+        return res.status(304).end();
+      }
+      res.type(CONTENT_TYPES[format]).send(body);
+    } catch (error) {
+      log.error('Failed to build feed', { format, error: error.message });
+      res.status(500).type('text/plain').send('Unable to generate feed');
+    }
+  };
+
+  /**
+   * GET SITE FEED (RSS, Atom or JSON Feed)
+   */
+  app.get(`${VIEW_BASE_PATH}/feed.:format(${FEED_FORMATS})`, (req, res) =>
+    sendFeed(req, res, { matches: () => true })
+  );
+
+  /**
+   * GET TAG FEED
+   */
+  app.get(`${VIEW_BASE_PATH}/tags/:slug/feed.:format(${FEED_FORMATS})`, (req, res) => {
+    const { slug } = req.params;
+    const scope = {
+      matches: (post) => (post.tagSlugs || []).includes(slug),
+      requireMatches: true,
+      resolveLabel: (posts) => {
+        const index = (posts[0].tagSlugs || []).indexOf(slug);
+        const tag = index === -1 ? slug : posts[0].tags[index];
+        scope.label = `#${tag}`;
+        scope.description = `Latest stories tagged ${tag}`;
+      }
+    };
+    return sendFeed(req, res, scope);
+  });
+
+  /**
+   * GET AUTHOR FEED
+   */
+  app.get(`${VIEW_BASE_PATH}/authors/:handle/feed.:format(${FEED_FORMATS})`, (req, res) => {
+    const { handle } = req.params;
+    const scope = {
+      matches: (post) => post.author?.handle === handle,
+      requireMatches: true,
+      resolveLabel: (posts) => {
+        const name = posts[0].author?.name || handle;
+        scope.label = name;
+        scope.description = `Latest stories by ${name}`;
+      }
+    };
+    return sendFeed(req, res, scope);
+  });
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+const { API_BASE_PATH, resolveReaderKey, toPublicPost, sendJson, sendError } = require('./shared/helpers');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Registers follow routes: following tags and authors, and the reader's "For you" feed.
+ * @param {Object} app Express application
+ * @param {Object} followGraph Follow graph service
+ * @param {Object} log Logger instance
+ * @param {Object} services Tag directory and author registry, to check what is followed
+ */
+module.exports = (app, followGraph, log, { tagDirectory, authorRegistry }) => {
+  /**
+   * Helper: Resolves a tag slug (or one of its aliases) to the tag readers follow.
+   */
+  const findTag = async (slug) => {
+    const canonical = (await tagDirectory.resolveAlias(slug)) || slug;
+    const tag = await tagDirectory.describe(canonical);
+    return tag ? tag.slug : null;
+  };
+
+  /**
+   * Helper: Resolves an author handle.
+   */
+  const findAuthor = async (handle) => {
+    const profile = await authorRegistry.describe(handle);
+    return profile ? profile.handle : null;
+  };
+
+  /**
+   * Helper: Registers follow and unfollow routes for one kind of target.
+   */
+  const registerFollowRoutes = (kind, path, find, notFound) => {
+    app.post(`${API_BASE_PATH}/${path}/follow`, async (req, res) => {
+      try {
+        const target = await find(req.params.target);
+        if (!target) {
+          return sendError(res, 404, notFound.code, notFound.message);
+        }
+        const { created, ...result } = await followGraph.follow(resolveReaderKey(req), kind, target);
+        sendJson(res, created ? 201 : 200, { kind, target, ...result }, { created });
+      } catch (error) {
+        log.error(`Failed to follow ${kind}`, { error: error.message });
+        sendError(res, 500, 'FOLLOW_FAILED', `Unable to follow this ${kind}.`);
+      }
+    });
+
+    app.delete(`${API_BASE_PATH}/${path}/follow`, async (req, res) => {
+      try {
+        // Tags and authors that no longer exist can still be unfollowed
+        const target = (await find(req.params.target)) || req.params.target;
+        const { deleted, ...result } = await followGraph.unfollow(resolveReaderKey(req), kind, target);
+        sendJson(res, 200, { kind, target, ...result }, { deleted });
+      } catch (error) {
+        log.error(`Failed to unfollow ${kind}`, { error: error.message });
+        sendError(res, 500, 'UNFOLLOW_FAILED', `Unable to unfollow this ${kind}.`);
+      }
+    });
+  };
+
+  /**
+   * FOLLOW / UNFOLLOW A TAG (aliases follow the tag they stand for)
+   */
+  registerFollowRoutes('tag', 'tags/:target', findTag, { code: 'TAG_NOT_FOUND', message: 'Tag not found.' });
+
+  /**
+   * FOLLOW / UNFOLLOW AN AUTHOR
+   */
+  registerFollowRoutes('author', 'authors/:target', findAuthor, { code: 'AUTHOR_NOT_FOUND', message: 'Author not found.' });
+
+  /**
+   * LIST WHAT I FOLLOW (tag slugs and author handles, most recently followed first)
+   */
+  app.get(`${API_BASE_PATH}/following`, async (req, res) => {
+    try {
+      const following = await followGraph.listFollowing(resolveReaderKey(req));
+      sendJson(res, 200, following, { total: following.tags.length + following.authors.length });
+    } catch (error) {
+      log.error('Failed to list follows', { error: error.message });
+      sendError(res, 500, 'FOLLOWING_FETCH_FAILED', 'Unable to load what you follow.');
+    }
+  });
+
+  /**
+   * GET MY "FOR YOU" FEED (`?page=&pageSize=`): posts from followed tags and authors
+   * blended with trending posts. Readers who follow nothing get the global trending
+   * feed, with `meta.personalised` false. Each post carries the `reason` it was picked.
+   */
+  app.get(`${API_BASE_PATH}/feed/recommended`, async (req, res) => {
+    try {
+      const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+      const pageSize = req.query.pageSize !== undefined ? Number(req.query.pageSize) : DEFAULT_PAGE_SIZE;
+      if (!Number.isInteger(page) || page < 1) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'page must be a positive integer.');
+      }
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+      }
+
+      const { items, total, personalised, following } = await followGraph.recommend(resolveReaderKey(req), { page, pageSize });
+      sendJson(res, 200, items.map(({ post, reason }) => ({ ...toPublicPost(post), reason })), {
+        personalised,
+        following,
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      });
+    } catch (error) {
+      log.error('Failed to load recommended feed', { error: error.message });
+      sendError(res, 500, 'FEED_FETCH_FAILED', 'Unable to load your feed.');
+    }
+  });
+};
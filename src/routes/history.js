@@ -0,0 +1,171 @@
+'use strict';
+
+const { API_BASE_PATH, CONTAINERS, toSlug, buildExcerpt, estimateReadTime, normalizeTags, resolveActor, sendJson, sendError } = require('./shared/helpers');
+const { authorize, denyUnlessAllowed } = require('./shared/permissions');
+
+/**
+ * Fields a restore copies back from a revision snapshot. Publication state
+ * (status, scheduledFor) stays under the control of the publish routes.
+ */
+const RESTORABLE_FIELDS = ['title', 'subtitle', 'slug', 'author', 'content', 'coverImage', 'tags', 'seo'];
+
+/**
+ * Registers post revision history routes.
+ * @param {Object} app Express application
+ * @param {Object} dataStore Data store instance
+ * @param {Object} log Logger instance
+ */
+module.exports = (app, dataStore, log) => {
+  const { getRecord, getPostBySlug, updateRecord, listPostRevisions, getPostRevision, diffPostRevisions, snapshotPost, invalidateFeedCache, upsertSearchIndex } = dataStore;
+
+  /**
+   * Helper: Finds the post a history route names, by id or by a current or previous slug.
+   */
+  const findPost = async (idOrSlug) => (await getRecord(CONTAINERS.POSTS, idOrSlug)) || getPostBySlug(idOrSlug);
+
+  /**
+   * Helper: Resolves the post a history route names and denies access unless the caller
+   * may see its history. Revisions of deleted posts are left to editors.
+   * @return {Promise<string|null>} The post's id, or null when the request was denied.
+   */
+  const resolveHistoryPostId = async (req, res, id) => {
+    const post = await findPost(id);
+    if (denyUnlessAllowed(req, res, 'post:history', post || {})) return null;
+    return post ? post.id : id;
+  };
+
+  /**
+   * LIST REVISIONS FOR A POST (newest first, without snapshots)
+   */
+  app.get(`${API_BASE_PATH}/posts/:id/history`, authorize('post:history'), async (req, res) => {
+    try {
+      const post = await findPost(req.params.id);
+      if (!post) {
+        return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
+      }
+      if (denyUnlessAllowed(req, res, 'post:history', post)) return;
+      const revisions = await listPostRevisions(post.id);
+      sendJson(res, 200, revisions, { total: revisions.length });
+    } catch (error) {
+      log.error('Failed to list post history', { error: error.message });
+      sendError(res, 500, 'HISTORY_LIST_FAILED', 'Unable to load post history.');
+    }
+  });
+
+  /**
+   * GET A SINGLE REVISION (with snapshot)
+   */
+  app.get(`${API_BASE_PATH}/posts/:id/history/:rev`, authorize('post:history'), async (req, res) => {
+    try {
+      const { rev } = req.params;
+      const id = await resolveHistoryPostId(req, res, req.params.id);
+      if (!id) return;
+      const revision = await getPostRevision(id, rev);
+      if (!revision) {
+        return sendError(res, 404, 'REVISION_NOT_FOUND', 'Revision not found.');
+      }
+      sendJson(res, 200, revision);
+    } catch (error) {
+      log.error('Failed to load post revision', { error: error.message });
+      sendError(res, 500, 'HISTORY_FETCH_FAILED', 'Unable to load revision.');
+    }
+  });
+
+  /**
+   * DIFF A REVISION (against the previous revision by default, `?against=<rev>` or `?against=current`)
+   */
+  app.get(`${API_BASE_PATH}/posts/:id/history/:rev/diff`, authorize('post:history'), async (req, res) => {
+    try {
+      const { rev } = req.params;
+      const id = await resolveHistoryPostId(req, res, req.params.id);
+      if (!id) return;
+      const { against } = req.query;
+      const revision = await getPostRevision(id, rev);
+      if (!revision) {
+        return sendError(res, 404, 'REVISION_NOT_FOUND', 'Revision not found.');
+      }
+
+      let base = null;
+      let baseLabel = null;
+      if (against === 'current') {
+        const post = await getRecord(CONTAINERS.POSTS, id);
+        if (!post) {
+          return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
+        }
+        base = snapshotPost(post);
+        baseLabel = 'current';
+      } else {
+        const baseRev = against !== undefined ? Number(against) : revision.rev - 1;
+        if (baseRev >= 1) {
+          const baseRevision = await getPostRevision(id, baseRev);
+          if (!baseRevision) {
+            return sendError(res, 404, 'REVISION_NOT_FOUND', 'Comparison revision not found.', { against });
+          }
+          base = baseRevision.snapshot;
+          baseLabel = baseRevision.rev;
+        }
+      }
+
+      // Against the live post this reads as "what restoring this revision would change".
+      const changes = diffPostRevisions(base, revision.snapshot);
+      sendJson(res, 200, changes, { rev: revision.rev, against: baseLabel, total: changes.length });
+    } catch (error) {
+      log.error('Failed to diff post revision', { error: error.message });
+      sendError(res, 500, 'HISTORY_DIFF_FAILED', 'Unable to compare revisions.');
+    }
+  });
+
+  /**
+   * RESTORE A REVISION (records the restore as a new revision)
+   */
+  app.post(`${API_BASE_PATH}/posts/:id/history/:rev/restore`, authorize('post:edit'), async (req, res) => {
+    try {
+      const { rev } = req.params;
+      const existing = await findPost(req.params.id);
+      if (!existing) {
+        return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
+      }
+      if (denyUnlessAllowed(req, res, 'post:edit', existing)) return;
+      const revision = await getPostRevision(existing.id, rev);
+      if (!revision) {
+        return sendError(res, 404, 'REVISION_NOT_FOUND', 'Revision not found.');
+      }
+
+      const updated = await updateRecord(
+        CONTAINERS.POSTS,
+        existing.id,
+        (current) => {
+          const restored = { ...current };
+          RESTORABLE_FIELDS.forEach((field) => {
+            if (revision.snapshot[field] !== undefined && revision.snapshot[field] !== null) {
+              restored[field] = revision.snapshot[field];
+            }
+          });
+          const tags = normalizeTags(restored.tags);
+          const content = restored.content || '';
+          return {
+            ...restored,
+            tags,
+            tagSlugs: tags.map((tag) => toSlug(tag)),
+            excerpt: buildExcerpt(content, 220),
+            readTimeMinutes: estimateReadTime(content)
+          };
+        },
+        { actor: resolveActor(req, existing.author), restoredFrom: revision.rev }
+      );
+
+      await upsertSearchIndex(updated);
+      await invalidateFeedCache();
+      sendJson(res, 200, updated, { restoredFrom: revision.rev });
+    } catch (error) {
+      if (error.code === 'SLUG_CONFLICT') {
+        return sendError(res, 409, 'POST_SLUG_CONFLICT', 'Another post now uses the slug from this revision.', {
+          slug: error.slug,
+          postId: error.conflictingId
+        });
+      }
+      log.error('Failed to restore post revision', { error: error.message });
+      sendError(res, 500, 'HISTORY_RESTORE_FAILED', 'Unable to restore revision.');
+    }
+  });
+};
@@ -2,7 +2,19 @@
 
 // Import shared utilities and data store
 const { initializeDataStore } = require('./shared/dataStore');
-const { buildLogger } = require('./shared/helpers');
+const { API_BASE_PATH, CONTAINERS, SEARCH_INDEX, toSlug, normalizeTags, buildSearchDocument, buildLogger } = require('./shared/helpers');
+const { createCallerResolver } = require('./shared/permissions');
+const { createReaderIdentity } = require('./shared/readerIdentity');
+const createPostScheduler = require('../services/postScheduler');
+const createPostWatcher = require('../services/postWatcher');
+const createCommentModerator = require('../services/commentModeration');
+const createClapLedger = require('../services/clapLedger');
+const createReadingList = require('../services/readingList');
+const createAuthorRegistry = require('../services/authorRegistry');
+const createPostSearch = require('../services/postSearch');
+const createTagDirectory = require('../services/tagDirectory');
+const createFollowGraph = require('../services/followGraph');
+const createRelatedPosts = require('../services/relatedPosts');
 
 // Import all route modules
 const registerPostsRoutes = require('./posts');
@@ -12,6 +24,14 @@ const registerTagsRoutes = require('./tags');
 const registerSearchingRoutes = require('./searching');
 const registerCustomisationsRoutes = require('./customisations');
 const registerBackofficeRoutes = require('./backoffice');
+const registerHistoryRoutes = require('./history');
+const registerSchedulingRoutes = require('./scheduling');
+const registerFeedRoutes = require('./feeds');
+const registerModerationRoutes = require('./moderation');
+const registerBookmarksRoutes = require('./bookmarks');
+const registerAuthorsRoutes = require('./authors');
+const registerFollowsRoutes = require('./follows');
+const registerRelatedRoutes = require('./related');
 
 
 /**
@@ -21,10 +41,12 @@ const registerBackofficeRoutes = require('./backoffice');
  * @param {Object} options Express binding
  * @param {import('events').EventEmitter} eventEmitter
  * @param {Object} services NooblyJS services
+ * @return {Promise<Object>} The data store, author registry, tag directory and caller
+ *     resolver, shared with the views so pages and the API read the same state
  */
 module.exports = async (options, eventEmitter, services) => {
   const app = options.app;
-  const { dataService, cache, logger, search, filing } = services;
+  const { dataService, cache, logger, search, filing, scheduling, authService } = services;
 
   if (!app) {
     throw new Error('Blog routes require an Express application instance.');
@@ -50,14 +72,118 @@ module.exports = async (options, eventEmitter, services) => {
     filing
   });
 
+  // Promote scheduled posts when their publication time arrives
+  const scheduler = createPostScheduler({
+    dataStore,
+    scheduling,
+    logger: log,
+    postsContainer: CONTAINERS.POSTS,
+    runsContainer: CONTAINERS.PUBLICATIONS
+  });
+  scheduler.start().catch((error) => {
+    log.error('Failed to start scheduled publishing', { error: error.message });
+  });
+
+  // Pick up .post files edited by hand or pulled with git while the server runs
+  const postWatcher = createPostWatcher({ dataStore, logger: log });
+  postWatcher.start().catch((error) => {
+    log.error('Failed to watch post files', { error: error.message });
+  });
+
+  // Hold and review comments according to the site's moderation mode
+  const moderator = createCommentModerator({
+    dataStore,
+    logger: log,
+    postsContainer: CONTAINERS.POSTS
+  });
+
+  // Track each reader's claps so they can be capped and undone
+  const clapLedger = createClapLedger({
+    dataStore,
+    logger: log,
+    postsContainer: CONTAINERS.POSTS,
+    ledgerContainer: CONTAINERS.CLAPS
+  });
+
+  // Keep each reader's saved posts in their own reading list
+  const readingList = createReadingList({
+    dataStore,
+    logger: log,
+    postsContainer: CONTAINERS.POSTS,
+    bookmarksContainer: CONTAINERS.BOOKMARKS
+  });
+
+  // Author profiles behind post bylines, linked to the accounts that write them
+  const authorRegistry = createAuthorRegistry({
+    dataStore,
+    logger: log,
+    toSlug,
+    postsContainer: CONTAINERS.POSTS,
+    authorsContainer: CONTAINERS.AUTHORS
+  });
+
+  // Rank search results from the search index the data store keeps up to date
+  const postSearch = createPostSearch({
+    dataStore,
+    search,
+    logger: log,
+    buildSearchDocument,
+    postsContainer: CONTAINERS.POSTS,
+    indexName: SEARCH_INDEX
+  });
+
+  // "More to read" under each post, scored by shared tags, author and wording
+  const relatedPosts = createRelatedPosts({
+    dataStore,
+    logger: log,
+    buildSearchDocument,
+    postsContainer: CONTAINERS.POSTS
+  });
+
+  // Tags and authors each reader follows, behind their "For you" feed
+  const followGraph = createFollowGraph({
+    dataStore,
+    logger: log,
+    toSlug,
+    postsContainer: CONTAINERS.POSTS,
+    followsContainer: CONTAINERS.FOLLOWS
+  });
+
+  // Tag metadata for tag landing pages, and renames, merges and aliases across posts
+  const tagDirectory = createTagDirectory({
+    dataStore,
+    logger: log,
+    toSlug,
+    normalizeTags,
+    followGraph,
+    postsContainer: CONTAINERS.POSTS,
+    tagsContainer: CONTAINERS.TAGS
+  });
+
+  // Resolve the caller's role for every API request; routes enforce the policy matrix
+  const resolveCaller = createCallerResolver({ authService, authorRegistry, log });
+  app.use(API_BASE_PATH, resolveCaller);
+  // Anonymous readers get an id from the server, for claps, bookmarks and follows
+  app.use(API_BASE_PATH, createReaderIdentity({ secret: options.readerSecret, log }));
+
   // Register all route modules
-  registerPostsRoutes(app, dataStore, log);
-  registerClapsRoutes(app, dataStore, log);
-  registerCommentsRoutes(app, dataStore, log);
-  registerTagsRoutes(app, dataStore, log);
-  registerSearchingRoutes(app, dataStore, log);
+  registerPostsRoutes(app, dataStore, log, { clapLedger, readingList, authorRegistry });
+  registerClapsRoutes(app, clapLedger, log);
+  registerCommentsRoutes(app, dataStore, log, moderator);
+  registerTagsRoutes(app, tagDirectory, log, { followGraph });
+  registerSearchingRoutes(app, postSearch, log);
   registerCustomisationsRoutes(app, log);
   registerBackofficeRoutes(app, dataStore, log);
+  registerHistoryRoutes(app, dataStore, log);
+  registerSchedulingRoutes(app, scheduler, log);
+  registerFeedRoutes(app, dataStore, log);
+  registerModerationRoutes(app, moderator, log);
+  registerBookmarksRoutes(app, readingList, log);
+  registerAuthorsRoutes(app, authorRegistry, log, { followGraph });
+  registerFollowsRoutes(app, followGraph, log, { tagDirectory, authorRegistry });
+  registerRelatedRoutes(app, dataStore, log, relatedPosts);
+
+  log.info('All blog API routes registered successfully', { routes: 15 });
 
-  log.info('All blog API routes registered successfully', { routes: 7 });
+  return { dataStore, authorRegistry, tagDirectory, resolveCaller };
 };
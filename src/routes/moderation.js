@@ -0,0 +1,55 @@
+'use strict';
+
+const { API_BASE_PATH, sendJson, sendError } = require('./shared/helpers');
+const { authorize } = require('./shared/permissions');
+
+const QUEUE_STATUSES = ['pending', 'flagged', 'spam', 'rejected', 'published'];
+const MAX_BULK_IDS = 200;
+
+/**
+ * Registers comment moderation routes for the author dashboard.
+ * @param {Object} app Express application
+ * @param {Object} moderator Comment moderation service
+ * @param {Object} log Logger instance
+ */
+module.exports = (app, moderator, log) => {
+  /**
+   * GET MODERATION QUEUE (pending by default, `?status=flagged|spam|rejected|published`)
+   */
+  app.get(`${API_BASE_PATH}/admin/moderation/queue`, authorize('comment:moderate'), async (req, res) => {
+    try {
+      const status = req.query.status || 'pending';
+      if (!QUEUE_STATUSES.includes(status)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `status must be one of: ${QUEUE_STATUSES.join(', ')}.`);
+      }
+      const queue = await moderator.listQueue({ status });
+      sendJson(res, 200, queue, { total: queue.length, status });
+    } catch (error) {
+      log.error('Failed to load moderation queue', { error: error.message });
+      sendError(res, 500, 'MODERATION_QUEUE_FAILED', 'Unable to load the moderation queue.');
+    }
+  });
+
+  /**
+   * BULK MODERATE COMMENTS (approve, reject, spam or delete)
+   */
+  app.post(`${API_BASE_PATH}/admin/moderation/:action(approve|reject|spam|delete)`, authorize('comment:moderate'), async (req, res) => {
+    try {
+      const { action } = req.params;
+      const { ids } = req.body || {};
+      if (!Array.isArray(ids) || !ids.length || ids.some((id) => typeof id !== 'string' || !id)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'ids must be a non-empty array of comment ids.');
+      }
+      if (ids.length > MAX_BULK_IDS) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `At most ${MAX_BULK_IDS} comments can be moderated at once.`);
+      }
+
+      const result = await moderator.apply(action, [...new Set(ids)]);
+      log.info('Comments moderated', { action, updated: result.updated.length, missing: result.missing.length });
+      sendJson(res, 200, result, { total: result.updated.length });
+    } catch (error) {
+      log.error('Failed to moderate comments', { error: error.message });
+      sendError(res, 500, 'MODERATION_ACTION_FAILED', 'Unable to moderate comments.');
+    }
+  });
+};
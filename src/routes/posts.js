@@ -1,20 +1,22 @@
 'use strict';
 
-const { API_BASE_PATH, CONTAINERS, toSlug, buildExcerpt, estimateReadTime, normalizeTags, normalizeAuthor, sendJson, sendError } = require('./shared/helpers');
+const { API_BASE_PATH, CONTAINERS, toSlug, buildExcerpt, estimateReadTime, normalizeTags, normalizeAuthor, resolveActor, resolveReaderKey, POST_VERSION_HEADER, IF_VERSION_HEADER, buildPostVersionTag, parseIfVersion, toPublicPost, sendJson, sendError } = require('./shared/helpers');
+const { authorize, can, canView, denyUnlessAllowed } = require('./shared/permissions');
 
 /**
  * Registers post CRUD routes.
  * @param {Object} app Express application
  * @param {Object} dataStore Data store instance
  * @param {Object} log Logger instance
+ * @param {Object} services Per-reader state (the claps ledger and reading list) and the author registry
  */
-module.exports = (app, dataStore, log) => {
-  const { listRecords, getRecord, createRecord, updateRecord, deleteRecord, invalidateFeedCache, upsertSearchIndex, removeFromSearchIndex } = dataStore;
+module.exports = (app, dataStore, log, { clapLedger, readingList, authorRegistry }) => {
+  const { listRecords, getRecord, getPostBySlug, findPostSlugOwner, createRecord, updateRecord, deleteRecord, invalidateFeedCache, upsertSearchIndex, removeFromSearchIndex } = dataStore;
 
   /**
    * Helper: Create a post record with derived fields.
    */
-  const createPostRecord = async (payload) => {
+  const createPostRecord = async (payload, options) => {
     const status = payload.status || 'draft';
     const publishedAt = status === 'published' ? payload.publishedAt || new Date().toISOString() : null;
     const tags = normalizeTags(payload.tags);
@@ -26,7 +28,8 @@ module.exports = (app, dataStore, log) => {
     const baseRecord = {
       title,
       subtitle,
-      slug: payload.slug || toSlug(title || `post-${Date.now()}`),
+      // The store derives a unique slug from the title when none is requested
+      slug: payload.slug || null,
       author,
       content,
       excerpt: payload.excerpt || buildExcerpt(content, 220),
@@ -51,20 +54,84 @@ module.exports = (app, dataStore, log) => {
       contentFormat: payload.contentFormat || 'markdown'
     };
 
-    const created = await createRecord(CONTAINERS.POSTS, baseRecord);
+    const created = await createRecord(CONTAINERS.POSTS, baseRecord, options);
     await upsertSearchIndex(created);
     await invalidateFeedCache();
     return created;
   };
 
   /**
-   * GET POSTS COLLECTION (with filtering, searching, sorting)
+   * Helper: Answer 409 with the current server copy of a post.
+   */
+  const sendConflict = (res, current) => {
+    res.set(POST_VERSION_HEADER, buildPostVersionTag(current));
+    sendError(res, 409, 'POST_VERSION_CONFLICT', 'This post was changed by someone else. Reload it before saving again.', {
+      current,
+      version: current.version
+    });
+  };
+
+  /**
+   * Helper: Answer 409 when a requested slug belongs to another post.
+   */
+  const sendSlugConflict = (res, slug, postId) => {
+    sendError(res, 409, 'POST_SLUG_CONFLICT', 'Another post already uses this slug.', { slug, postId });
+  };
+
+  /**
+   * Helper: Counts a view and answers with the post, the reader's own claps and bookmark, and its
+   * version tag. Caches revalidate every time, against the ETag Express derives from the whole body.
+   */
+  const sendPostView = async (req, res, post) => {
+    const updated = await updateRecord(CONTAINERS.POSTS, post.id, (existing) => {
+      const stats = {
+        ...existing.stats,
+        views: (existing.stats?.views || 0) + 1
+      };
+      return { ...existing, stats };
+    }, { touch: false });
+
+    const reader = resolveReaderKey(req);
+    const [myClaps, bookmark] = await Promise.all([clapLedger.getReaderClaps(post.id, reader), readingList.getReaderBookmark(post.id, reader)]);
+    const myBookmark = bookmark ? { id: bookmark.id, postId: bookmark.postId, collection: bookmark.collection, createdAt: bookmark.createdAt, updatedAt: bookmark.updatedAt } : null;
+    res.set('Cache-Control', 'no-cache');
+    res.set(POST_VERSION_HEADER, buildPostVersionTag(updated || post));
+    sendJson(res, 200, { ...toPublicPost(updated || post), myClaps, myBookmark });
+  };
+
+  /**
+   * Helper: The byline for a post written by the caller, from their author profile
+   * (registered on first use). Only editors may credit someone else.
+   */
+  const resolveByline = async (req, requested) => {
+    if (requested && can(req.caller, 'post:assign-author')) {
+      return requested;
+    }
+    const profile = await authorRegistry.ensureForUser(req.caller);
+    return { name: profile.displayName, handle: profile.handle };
+  };
+
+  /**
+   * Helper: Reads the version a client expects from If-Version and rejects stale requests.
+   * @return {{stale: boolean, expectedVersion: (number|null)}}
+   */
+  const checkIfVersion = (req, res, current) => {
+    const expectedVersion = parseIfVersion(req.get(IF_VERSION_HEADER));
+    if (expectedVersion !== null && expectedVersion !== current.version) {
+      sendConflict(res, current);
+      return { stale: true, expectedVersion };
+    }
+    return { stale: false, expectedVersion };
+  };
+
+  /**
+   * GET POSTS COLLECTION (with filtering, searching, sorting; drafts only for those who may edit them)
    */
   app.get(`${API_BASE_PATH}/posts`, async (req, res) => {
     try {
       const { status, tag, author, q, limit } = req.query;
       const posts = await listRecords(CONTAINERS.POSTS);
-      let filtered = posts;
+      let filtered = posts.filter((post) => canView(req.caller, post));
 
       if (status) {
         filtered = filtered.filter((post) => post.status === status);
@@ -100,7 +167,7 @@ module.exports = (app, dataStore, log) => {
 
       const limited = limit ? filtered.slice(0, Number(limit)) : filtered;
 
-      sendJson(res, 200, limited, {
+      sendJson(res, 200, limited.map(toPublicPost), {
         total: filtered.length,
         limit: limit ? Number(limit) : undefined
       });
@@ -113,15 +180,20 @@ module.exports = (app, dataStore, log) => {
   /**
    * CREATE POST
    */
-  app.post(`${API_BASE_PATH}/posts`, async (req, res) => {
+  app.post(`${API_BASE_PATH}/posts`, authorize('post:create'), async (req, res) => {
     try {
-      const { title, content, tags, status, subtitle, author, coverImage, seo, scheduledFor } = req.body || {};
+      const { title, content, tags, status, subtitle, coverImage, seo, scheduledFor, slug } = req.body || {};
       if (!title || !content) {
         return sendError(res, 400, 'VALIDATION_ERROR', 'Title and content are required.');
       }
+      if (slug !== undefined && slug !== null && !toSlug(slug)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'Slug must contain letters or numbers.');
+      }
+      const author = await resolveByline(req, req.body?.author);
 
       const post = await createPostRecord({
         title,
+        slug: slug ? toSlug(slug) : null,
         subtitle,
         content,
         tags,
@@ -130,10 +202,13 @@ module.exports = (app, dataStore, log) => {
         coverImage,
         seo,
         scheduledFor
-      });
+      }, { actor: resolveActor(req, author) });
 
       sendJson(res, 201, post);
     } catch (error) {
+      if (error.code === 'SLUG_CONFLICT') {
+        return sendSlugConflict(res, error.slug, error.conflictingId);
+      }
       log.error('Failed to create post', { error: error.message });
       sendError(res, 500, 'POST_CREATE_FAILED', 'Unable to create post.');
     }
@@ -146,37 +221,55 @@ module.exports = (app, dataStore, log) => {
     try {
       const { id } = req.params;
       const post = await getRecord(CONTAINERS.POSTS, id);
-      if (!post) {
+      if (!canView(req.caller, post)) {
         return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
       }
 
-      const updated = await updateRecord(CONTAINERS.POSTS, id, (existing) => {
-        const stats = {
-          ...existing.stats,
-          views: (existing.stats?.views || 0) + 1
-        };
-        return { ...existing, stats };
-      });
-
-      sendJson(res, 200, updated || post);
+      await sendPostView(req, res, post);
     } catch (error) {
       log.error('Failed to load post', { error: error.message });
       sendError(res, 500, 'POST_FETCH_FAILED', 'Unable to load post.');
     }
   });
 
+  /**
+   * GET POST BY SLUG (increments view count, 301 from a previous slug)
+   */
+  app.get(`${API_BASE_PATH}/posts/by-slug/:slug`, async (req, res) => {
+    try {
+      const { slug } = req.params;
+      const post = await getPostBySlug(slug);
+      if (!canView(req.caller, post)) {
+        return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
+      }
+      if (post.slug !== slug) {
+        return res.redirect(301, `${API_BASE_PATH}/posts/by-slug/${encodeURIComponent(post.slug)}`);
+      }
+
+      await sendPostView(req, res, post);
+    } catch (error) {
+      log.error('Failed to load post by slug', { error: error.message });
+      sendError(res, 500, 'POST_FETCH_FAILED', 'Unable to load post.');
+    }
+  });
+
   /**
    * UPDATE POST
    */
-  app.patch(`${API_BASE_PATH}/posts/:id`, async (req, res) => {
+  app.patch(`${API_BASE_PATH}/posts/:id`, authorize('post:edit'), async (req, res) => {
     try {
       const { id } = req.params;
       const existing = await getRecord(CONTAINERS.POSTS, id);
       if (!existing) {
         return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
       }
-
+      if (denyUnlessAllowed(req, res, 'post:edit', existing)) return;
       const payload = req.body || {};
+      if (payload.status && payload.status !== existing.status && denyUnlessAllowed(req, res, 'post:publish', existing)) return;
+
+      const { stale, expectedVersion } = checkIfVersion(req, res, existing);
+      if (stale) return;
+
       if (payload.title !== undefined && !payload.title) {
         return sendError(res, 400, 'VALIDATION_ERROR', 'Title cannot be empty.');
       }
@@ -184,19 +277,39 @@ module.exports = (app, dataStore, log) => {
         return sendError(res, 400, 'VALIDATION_ERROR', 'Content cannot be empty.');
       }
 
+      // An explicit slug must be free; a retitled post only follows its new title when that slug is free,
+      // and the old slug keeps redirecting either way.
+      let nextSlug = existing.slug;
+      if (payload.slug !== undefined && payload.slug !== null) {
+        nextSlug = toSlug(payload.slug);
+        if (!nextSlug) {
+          return sendError(res, 400, 'VALIDATION_ERROR', 'Slug must contain letters or numbers.');
+        }
+        const owner = await findPostSlugOwner(nextSlug, existing.id);
+        if (owner) {
+          return sendSlugConflict(res, nextSlug, owner);
+        }
+      } else if (payload.title !== undefined && payload.title.trim() !== existing.title) {
+        const derived = toSlug(payload.title);
+        if (derived && !(await findPostSlugOwner(derived, existing.id))) {
+          nextSlug = derived;
+        }
+      }
+
       const updated = await updateRecord(CONTAINERS.POSTS, id, (current) => {
         const nextStatus = payload.status || current.status;
         const content = payload.content !== undefined ? payload.content : current.content;
         const tags = payload.tags ? normalizeTags(payload.tags) : current.tags;
         const title = payload.title !== undefined ? payload.title.trim() : current.title;
         const subtitle = payload.subtitle !== undefined ? payload.subtitle.trim() : current.subtitle;
-        const author = payload.author ? normalizeAuthor(payload.author) : current.author;
+        // Only editors can move a post to another author's byline
+        const author = payload.author && can(req.caller, 'post:assign-author') ? normalizeAuthor(payload.author) : current.author;
 
         return {
           ...current,
           title,
           subtitle,
-          slug: payload.slug || (title ? toSlug(title) : current.slug),
+          slug: nextSlug,
           content,
           excerpt: payload.excerpt || buildExcerpt(content, 220),
           coverImage: payload.coverImage !== undefined ? payload.coverImage : current.coverImage,
@@ -216,12 +329,19 @@ module.exports = (app, dataStore, log) => {
           },
           author
         };
-      });
+      }, { actor: resolveActor(req, existing.author), expectedVersion });
 
       await upsertSearchIndex(updated);
       await invalidateFeedCache();
+      res.set(POST_VERSION_HEADER, buildPostVersionTag(updated));
       sendJson(res, 200, updated);
     } catch (error) {
+      if (error.code === 'VERSION_CONFLICT') {
+        return sendConflict(res, error.current);
+      }
+      if (error.code === 'SLUG_CONFLICT') {
+        return sendSlugConflict(res, error.slug, error.conflictingId);
+      }
       log.error('Failed to update post', { error: error.message });
       sendError(res, 500, 'POST_UPDATE_FAILED', 'Unable to update post.');
     }
@@ -230,13 +350,16 @@ module.exports = (app, dataStore, log) => {
   /**
    * DELETE POST
    */
-  app.delete(`${API_BASE_PATH}/posts/:id`, async (req, res) => {
+  app.delete(`${API_BASE_PATH}/posts/:id`, authorize('post:delete'), async (req, res) => {
     try {
       const { id } = req.params;
       const existing = await getRecord(CONTAINERS.POSTS, id);
       if (!existing) {
         return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
       }
+      if (denyUnlessAllowed(req, res, 'post:delete', existing)) return;
+
+      if (checkIfVersion(req, res, existing).stale) return;
 
       const success = await deleteRecord(CONTAINERS.POSTS, id);
       if (!success) {
@@ -255,7 +378,7 @@ module.exports = (app, dataStore, log) => {
   /**
    * PUBLISH POST (or schedule it)
    */
-  app.post(`${API_BASE_PATH}/posts/:id/publish`, async (req, res) => {
+  app.post(`${API_BASE_PATH}/posts/:id/publish`, authorize('post:publish'), async (req, res) => {
     try {
       const { id } = req.params;
       const { scheduledFor } = req.body || {};
@@ -263,20 +386,68 @@ module.exports = (app, dataStore, log) => {
       if (!existing) {
         return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
       }
+      if (denyUnlessAllowed(req, res, 'post:publish', existing)) return;
+      if (scheduledFor && Number.isNaN(new Date(scheduledFor).getTime())) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'scheduledFor must be a valid date.');
+      }
+
+      const { stale, expectedVersion } = checkIfVersion(req, res, existing);
+      if (stale) return;
 
       const updated = await updateRecord(CONTAINERS.POSTS, id, (current) => ({
         ...current,
         status: scheduledFor ? 'scheduled' : 'published',
-        scheduledFor: scheduledFor || null,
+        scheduledFor: scheduledFor ? new Date(scheduledFor).toISOString() : null,
         publishedAt: scheduledFor ? current.publishedAt : current.publishedAt || new Date().toISOString()
-      }));
+      }), { actor: resolveActor(req, existing.author), expectedVersion });
 
       await upsertSearchIndex(updated);
       await invalidateFeedCache();
+      res.set(POST_VERSION_HEADER, buildPostVersionTag(updated));
       sendJson(res, 200, updated);
     } catch (error) {
+      if (error.code === 'VERSION_CONFLICT') {
+        return sendConflict(res, error.current);
+      }
       log.error('Failed to publish post', { error: error.message });
       sendError(res, 500, 'POST_PUBLISH_FAILED', 'Unable to publish post.');
     }
   });
+
+  /**
+   * UNSCHEDULE POST (return a scheduled post to draft)
+   */
+  app.post(`${API_BASE_PATH}/posts/:id/unschedule`, authorize('post:publish'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const existing = await getRecord(CONTAINERS.POSTS, id);
+      if (!existing) {
+        return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
+      }
+      if (denyUnlessAllowed(req, res, 'post:publish', existing)) return;
+      if (existing.status !== 'scheduled') {
+        return sendError(res, 400, 'POST_NOT_SCHEDULED', 'Only scheduled posts can be unscheduled.', { status: existing.status });
+      }
+
+      const { stale, expectedVersion } = checkIfVersion(req, res, existing);
+      if (stale) return;
+
+      const updated = await updateRecord(CONTAINERS.POSTS, id, (current) => ({
+        ...current,
+        status: 'draft',
+        scheduledFor: null
+      }), { actor: resolveActor(req, existing.author), expectedVersion });
+
+      await upsertSearchIndex(updated);
+      await invalidateFeedCache();
+      res.set(POST_VERSION_HEADER, buildPostVersionTag(updated));
+      sendJson(res, 200, updated);
+    } catch (error) {
+      if (error.code === 'VERSION_CONFLICT') {
+        return sendConflict(res, error.current);
+      }
+      log.error('Failed to unschedule post', { error: error.message });
+      sendError(res, 500, 'POST_UNSCHEDULE_FAILED', 'Unable to unschedule post.');
+    }
+  });
 };
@@ -0,0 +1,50 @@
+'use strict';
+
+const { API_BASE_PATH, CONTAINERS, toPublicPost, sendJson, sendError } = require('./shared/helpers');
+const { canView } = require('./shared/permissions');
+
+const DEFAULT_LIMIT = 4;
+const MAX_LIMIT = 10;
+
+/**
+ * Registers related posts routes.
+ * @param {Object} app Express application
+ * @param {Object} dataStore Data store instance
+ * @param {Object} log Logger instance
+ * @param {Object} relatedPosts Related posts service
+ */
+module.exports = (app, dataStore, log, relatedPosts) => {
+  const { getRecord } = dataStore;
+
+  /**
+   * GET RELATED POSTS (`?limit=`): other published posts sharing tags, author or wording,
+   * best first. Each carries its `score` and `related` ({sharedTags, sameAuthor, similarity}).
+   */
+  app.get(`${API_BASE_PATH}/posts/:id/related`, async (req, res) => {
+    try {
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_LIMIT;
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `limit must be an integer between 1 and ${MAX_LIMIT}.`);
+      }
+
+      const post = await getRecord(CONTAINERS.POSTS, req.params.id);
+      if (!canView(req.caller, post)) {
+        return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found.');
+      }
+      const related = await relatedPosts.find(post, { limit });
+      sendJson(
+        res,
+        200,
+        related.map(({ post: match, score, sharedTags, sameAuthor, similarity }) => ({
+          ...toPublicPost(match),
+          score,
+          related: { sharedTags, sameAuthor, similarity }
+        })),
+        { postId: post.id, limit, total: related.length }
+      );
+    } catch (error) {
+      log.error('Failed to load related posts', { error: error.message });
+      sendError(res, 500, 'RELATED_FETCH_FAILED', 'Unable to load related posts.');
+    }
+  });
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+const { API_BASE_PATH, sendJson, sendError } = require('./shared/helpers');
+const { authorize } = require('./shared/permissions');
+
+/**
+ * Registers scheduled publishing routes.
+ * @param {Object} app Express application
+ * @param {Object} scheduler Post scheduler instance
+ * @param {Object} log Logger instance
+ */
+module.exports = (app, scheduler, log) => {
+  /**
+   * LIST UPCOMING PUBLICATIONS (scheduled posts, soonest first)
+   */
+  app.get(`${API_BASE_PATH}/schedule`, authorize('schedule:view'), async (req, res) => {
+    try {
+      const { limit } = req.query;
+      const upcoming = await scheduler.listUpcoming();
+      const limited = limit ? upcoming.slice(0, Number(limit)) : upcoming;
+      sendJson(res, 200, limited, {
+        total: upcoming.length,
+        limit: limit ? Number(limit) : undefined,
+        intervalSeconds: scheduler.intervalSeconds,
+        lastRunAt: scheduler.getLastRunAt()
+      });
+    } catch (error) {
+      log.error('Failed to list scheduled posts', { error: error.message });
+      sendError(res, 500, 'SCHEDULE_LIST_FAILED', 'Unable to load upcoming publications.');
+    }
+  });
+
+  /**
+   * LIST SCHEDULED PUBLICATION OUTCOMES (success and failure records)
+   */
+  app.get(`${API_BASE_PATH}/schedule/runs`, authorize('schedule:view'), async (req, res) => {
+    try {
+      const { postId, status } = req.query;
+      let runs = await scheduler.listRuns();
+      if (postId) {
+        runs = runs.filter((run) => run.postId === postId);
+      }
+      if (status) {
+        runs = runs.filter((run) => run.status === status);
+      }
+      sendJson(res, 200, runs, { total: runs.length });
+    } catch (error) {
+      log.error('Failed to list scheduled publication runs', { error: error.message });
+      sendError(res, 500, 'SCHEDULE_RUNS_FAILED', 'Unable to load publication history.');
+    }
+  });
+};
@@ -1,41 +1,161 @@
 'use strict';
 
-const { API_BASE_PATH, CONTAINERS, sendJson, sendError } = require('./shared/helpers');
+const { API_BASE_PATH, toSlug, toPublicPost, sendJson, sendError } = require('./shared/helpers');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const MAX_QUERY_LENGTH = 200;
+const MAX_FILTER_VALUES = 10;
+const DEFAULT_SUGGESTIONS = 5;
+const MAX_SUGGESTIONS = 10;
+const MIN_SUGGEST_LENGTH = 2;
+
+/**
+ * Reads a filter that may be repeated (`?tag=a&tag=b`) or comma separated (`?tag=a,b`).
+ */
+const readList = (value) =>
+  [...new Set([].concat(value || []).flatMap((entry) => String(entry).split(',')).map((entry) => toSlug(entry)).filter(Boolean))];
+
+/**
+ * Reads a `from`/`to` date. A bare `YYYY-MM-DD` for `to` covers that whole day.
+ * @return {Date|null|undefined} undefined when absent, null when invalid.
+ */
+const readDate = (value, endOfDay) => {
+  if (value === undefined || value === '') return undefined;
+  const text = String(value);
+  const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.999Z` : text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Reads a read-time bound in minutes.
+ * @return {number|null|undefined} undefined when absent, null when invalid.
+ */
+const readMinutes = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const minutes = Number(value);
+  return Number.isInteger(minutes) && minutes >= 0 ? minutes : null;
+};
+
+/**
+ * Parses and checks the search filters.
+ * @return {{filters: Object, error: (string|null)}}
+ */
+const parseFilters = (query) => {
+  const filters = {
+    tags: readList(query.tag),
+    authors: readList(query.author),
+    from: readDate(query.from, false),
+    to: readDate(query.to, true),
+    minRead: readMinutes(query.minRead),
+    maxRead: readMinutes(query.maxRead)
+  };
+  let error = null;
+  if (filters.tags.length > MAX_FILTER_VALUES || filters.authors.length > MAX_FILTER_VALUES) {
+    error = `Filter by at most ${MAX_FILTER_VALUES} tags and ${MAX_FILTER_VALUES} authors.`;
+  } else if (filters.from === null || filters.to === null) {
+    error = 'from and to must be dates (YYYY-MM-DD or ISO 8601).';
+  } else if (filters.from && filters.to && filters.from > filters.to) {
+    error = 'from must not be after to.';
+  } else if (filters.minRead === null || filters.maxRead === null) {
+    error = 'minRead and maxRead must be whole minutes.';
+  } else if (filters.minRead !== undefined && filters.maxRead !== undefined && filters.minRead > filters.maxRead) {
+    error = 'minRead must not be greater than maxRead.';
+  }
+  return { filters, error };
+};
+
+/**
+ * Whether any filter narrows the results.
+ */
+const hasFilters = (filters) =>
+  filters.tags.length > 0 || filters.authors.length > 0 || Boolean(filters.from || filters.to) || filters.minRead !== undefined || filters.maxRead !== undefined;
+
+/**
+ * Echoes the applied filters back in the response meta.
+ */
+const describeFilters = (filters) => ({
+  tag: filters.tags,
+  author: filters.authors,
+  from: filters.from ? filters.from.toISOString() : null,
+  to: filters.to ? filters.to.toISOString() : null,
+  minRead: filters.minRead ?? null,
+  maxRead: filters.maxRead ?? null
+});
 
 /**
  * Registers search routes.
  * @param {Object} app Express application
- * @param {Object} dataStore Data store instance
+ * @param {Object} postSearch Post search service
  * @param {Object} log Logger instance
  */
-module.exports = (app, dataStore, log) => {
-  const { listRecords } = dataStore;
+module.exports = (app, postSearch, log) => {
+  /**
+   * SUGGEST COMPLETIONS (`?q=&limit=`) for a search box as it is typed: post titles, tags
+   * and authors whose words start with the last word typed. `limit` applies per kind.
+   */
+  app.get(`${API_BASE_PATH}/search/suggest`, async (req, res) => {
+    try {
+      // Trailing whitespace is kept: it marks the last word as finished
+      const q = typeof req.query.q === 'string' ? req.query.q.trimStart() : '';
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_SUGGESTIONS;
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `limit must be an integer between 1 and ${MAX_SUGGESTIONS}.`);
+      }
+      if (q.length > MAX_QUERY_LENGTH) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `q must be at most ${MAX_QUERY_LENGTH} characters.`);
+      }
+      if (q.trim().length < MIN_SUGGEST_LENGTH) {
+        return sendJson(res, 200, [], { query: q, limit });
+      }
+
+      const suggestions = await postSearch.suggest(q, { limit });
+      sendJson(res, 200, suggestions, { query: q, limit });
+    } catch (error) {
+      log.error('Failed to suggest search completions', { error: error.message });
+      sendError(res, 500, 'SEARCH_SUGGEST_FAILED', 'Unable to load suggestions.');
+    }
+  });
 
   /**
-   * SEARCH POSTS (full-text search across title, content, tags, author)
+   * SEARCH POSTS (`?q=&page=&pageSize=`). Words are ANDed, `OR` joins alternatives and
+   * `"quoted phrases"` must appear as written. Each result carries its `score` and
+   * `highlights`: escaped HTML per matched field, with matches wrapped in `<mark>`.
+   * Filters: `tag` (all must match), `author` (any may match), `from`/`to` on the
+   * publication date and `minRead`/`maxRead` in minutes. Tag and author facet counts
+   * are returned in `meta.facets`. When few posts match, misspelled words also match
+   * their closest known spelling and `meta.didYouMean` holds the corrected query.
    */
   app.get(`${API_BASE_PATH}/search`, async (req, res) => {
     try {
-      const { q } = req.query;
-      if (!q || !q.trim()) {
-        return sendJson(res, 200, []);
-      }
-
-      const posts = await listRecords(CONTAINERS.POSTS);
-      const term = q.trim().toLowerCase();
-      const matches = posts.filter((post) => {
-        if (post.status !== 'published') return false;
-        return (
-          post.title?.toLowerCase().includes(term) ||
-          post.subtitle?.toLowerCase().includes(term) ||
-          post.excerpt?.toLowerCase().includes(term) ||
-          post.content?.toLowerCase().includes(term) ||
-          post.author?.name?.toLowerCase().includes(term) ||
-          (post.tags || []).some((tag) => tag.toLowerCase().includes(term))
-        );
-      });
-      log.info('Search completed', { query: q, matchCount: matches.length });
-      sendJson(res, 200, matches);
+      const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+      const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+      const pageSize = req.query.pageSize !== undefined ? Number(req.query.pageSize) : DEFAULT_PAGE_SIZE;
+      if (!Number.isInteger(page) || page < 1) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'page must be a positive integer.');
+      }
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+      }
+      if (q.length > MAX_QUERY_LENGTH) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `q must be at most ${MAX_QUERY_LENGTH} characters.`);
+      }
+      const { filters, error } = parseFilters(req.query);
+      if (error) {
+        return sendError(res, 400, 'VALIDATION_ERROR', error);
+      }
+      if (!q && !hasFilters(filters)) {
+        return sendJson(res, 200, [], { query: '', terms: [], filters: describeFilters(filters), facets: { tags: [], authors: [] }, didYouMean: null, page, pageSize, total: 0, totalPages: 0 });
+      }
+
+      const { items, total, terms, facets, didYouMean } = await postSearch.query(q, { page, pageSize, filters });
+      log.info('Search completed', { query: q, matchCount: total, didYouMean });
+      sendJson(
+        res,
+        200,
+        items.map(({ post, score, highlights, matchedFields }) => ({ ...toPublicPost(post), score, highlights, matchedFields })),
+        { query: q, terms, filters: describeFilters(filters), facets, didYouMean, page, pageSize, total, totalPages: Math.ceil(total / pageSize) }
+      );
     } catch (error) {
       log.error('Failed to search posts', { error: error.message });
       sendError(res, 500, 'SEARCH_FAILED', 'Unable to search posts.');
@@ -1,7 +1,10 @@
 'use strict';
 
 const createFilePostStore = require('../../services/filePostStore');
-const { CONTAINERS, CACHE_KEYS, ONE_MINUTE, toSlug, buildExcerpt, estimateReadTime, normalizeTags, normalizeAuthor, buildSearchDocument } = require('./helpers');
+const createPostActivityStore = require('../../services/postActivityStore');
+const { resolveAuthor } = require('../../services/authorRegistry');
+const { loadSettings } = require('./settings');
+const { CONTAINERS, CACHE_KEYS, SEARCH_INDEX, ONE_MINUTE, toSlug, buildExcerpt, estimateReadTime, normalizeTags, normalizeAuthor, buildSearchDocument, toPublicPost } = require('./helpers');
 
 /**
  * Initializes data store with services and returns data access functions.
@@ -19,6 +22,37 @@ async function initializeDataStore(options) {
   const provider = dataService.provider;
   const log = logger || {};
 
+  // Tag aliases (alias slug -> canonical tag) applied whenever a post is written
+  let tagAliases = new Map();
+
+  /**
+   * Ensures a container exists on the data service.
+   */
+  const ensureContainer = async (containerName) => {
+    const containers = provider.containers;
+    if (containers && containers.has(containerName)) {
+      return;
+    }
+    try {
+      await dataService.createContainer(containerName);
+    } catch (error) {
+      const alreadyExists = typeof error.message === 'string' && error.message.includes('already exists');
+      if (!alreadyExists) {
+        log.error?.('Failed to initialize container', { containerName, error: error.message });
+        throw error;
+      }
+    }
+  };
+
+  const containersReady = (async () => {
+    for (const container of Object.values(CONTAINERS)) {
+      await ensureContainer(container);
+    }
+  })();
+
+  // Set once at startup: whether comments and counters have been moved out of the post files
+  let activityMoved = false;
+
   const postStore = createFilePostStore({
     filing,
     logger: log,
@@ -26,11 +60,78 @@ async function initializeDataStore(options) {
     buildExcerpt,
     estimateReadTime,
     normalizeTags,
-    normalizeAuthor
+    normalizeAuthor,
+    getTagAliases: () => tagAliases,
+    // Site settings pick the file format posts are saved in
+    getPostFormat: async () => (await loadSettings()).postFormat,
+    keepsActivity: () => !activityMoved
+  });
+
+  // Comments and counters live in their own containers, so readers never rewrite post files;
+  // blogs whose files already hold them keep them there until `npm run migrate:activity`
+  const postActivity = createPostActivityStore({
+    dataService,
+    logger: log,
+    commentsContainer: CONTAINERS.COMMENTS,
+    statsContainer: CONTAINERS.POST_STATS
   });
 
-  const postsReady = postStore
-    .ready()
+  const sameFields = (a, b) => {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every((key) => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+  };
+
+  /**
+   * Wraps a post updater so it sees the post with its comments and stats. The activity
+   * goes to the activity store; the post store only rewrites the file when authored fields
+   * changed, or to move out activity an older file still carries.
+   * @param {Function|Object} updater
+   * @param {Function} onSaved Called with each post the updater changed
+   * @return {Function} Updater for the post store
+   */
+  const splitActivityUpdate = (updater, onSaved) => async (current) => {
+    const activity = await postActivity.forPost(current.id);
+    const before = postActivity.attach(current, activity);
+    const next = typeof updater === 'function' ? await updater(before) : { ...before, ...updater };
+    if (!next) return null;
+    await postActivity.save(current.id, next, activity);
+    onSaved(current.id);
+    const authored = postActivity.withoutActivity(next);
+    if (!postActivity.hasActivity(current) && sameFields(postActivity.withoutActivity(current), authored)) {
+      return null;
+    }
+    return { ...authored, comments: [] };
+  };
+
+  /**
+   * Reads where comments and counters are kept. A data service that forgets its records on
+   * restart is never used for them, even if they were moved to it. A new install, or a blog
+   * whose post files hold no comments or counters, starts on the activity store; files
+   * that hold some keep them until `npm run migrate:activity` moves them.
+   */
+  const resolveActivityStorage = async () => {
+    if (!postActivity.isPersistent()) {
+      log.info?.('Comments and counters stay in post files; the data service does not persist them');
+      return;
+    }
+    activityMoved = await postActivity.isMoved();
+    if (!activityMoved) {
+      // Reads the files as they are, seeding the sample posts on a new install
+      await postStore.ready();
+      const posts = await postStore.listAll();
+      if (postStore.wasSeeded() || !posts.some(postActivity.hasActivity)) {
+        await postActivity.moveOutOfFiles(postStore);
+        activityMoved = true;
+      } else {
+        log.warn?.('Post files hold comments and counters; run `npm run migrate:activity` so readers stop rewriting them');
+      }
+    }
+    log.info?.(activityMoved ? 'Comments and counters are read from the activity store' : 'Comments and counters are kept in post files');
+  };
+
+  const postsReady = containersReady
+    .then(resolveActivityStorage)
+    .then(() => postStore.ready())
     .catch((error) => {
       log.error?.('Failed to initialize post storage', { error: error.message });
       throw error;
@@ -53,44 +154,43 @@ async function initializeDataStore(options) {
     });
 
   /**
-   * Ensures a container exists on the data service.
+   * Retrieves the backing map for a container.
    */
-  const ensureContainer = async (containerName) => {
-    const containers = provider.containers;
-    if (containers && containers.has(containerName)) {
-      return;
-    }
-    try {
-      await dataService.createContainer(containerName);
-    } catch (error) {
-      const alreadyExists = typeof error.message === 'string' && error.message.includes('already exists');
-      if (!alreadyExists) {
-        log.error?.('Failed to initialize container', { containerName, error: error.message });
-        throw error;
-      }
-    }
+  const getContainerMap = (container) => {
+    return provider.containers?.get(container) || new Map();
   };
 
-  const containersReady = (async () => {
-    for (const container of Object.values(CONTAINERS)) {
-      await ensureContainer(container);
-    }
-  })();
+  /**
+   * Resolves post bylines against the author registry, so profile changes show on every post.
+   */
+  const withAuthorProfiles = async (posts) => {
+    const profiles = await listRecords(CONTAINERS.AUTHORS);
+    return posts.map((post) => (post && post.author ? { ...post, author: resolveAuthor(post.author, profiles) } : post));
+  };
+
+  const withAuthorProfile = async (post) => (post ? (await withAuthorProfiles([post]))[0] : post);
 
   /**
-   * Retrieves the backing map for a container.
+   * Attaches each post's comments and stats from the activity store.
    */
-  const getContainerMap = (container) => {
-    return provider.containers?.get(container) || new Map();
+  const withActivity = async (posts) => {
+    if (!activityMoved) return posts;
+    const activity = await postActivity.load(posts.filter(Boolean).map((post) => post.id));
+    return posts.map((post) => (post ? postActivity.attach(post, activity.get(post.id)) : post));
   };
 
+  /**
+   * Resolves a post as readers see it: with its activity and its author's profile.
+   */
+  const toPostRecord = async (post) => (post ? withAuthorProfile((await withActivity([post]))[0]) : post);
+
   /**
    * Lists all records for a container.
    */
   const listRecords = async (container) => {
     if (container === CONTAINERS.POSTS) {
       await postsReady;
-      return postStore.listAll();
+      return withAuthorProfiles(await withActivity(await postStore.listAll()));
     }
     await containersReady;
 
@@ -109,7 +209,7 @@ async function initializeDataStore(options) {
   const getRecord = async (container, id) => {
     if (container === CONTAINERS.POSTS) {
       await postsReady;
-      return postStore.get(id);
+      return toPostRecord(await postStore.get(id));
     }
     await containersReady;
     try {
@@ -123,10 +223,15 @@ async function initializeDataStore(options) {
   /**
    * Persists a new record.
    */
-  const createRecord = async (container, payload) => {
+  const createRecord = async (container, payload, options) => {
     if (container === CONTAINERS.POSTS) {
       await postsReady;
-      return postStore.create(payload);
+      if (!activityMoved) {
+        return toPostRecord(await postStore.create(payload, options));
+      }
+      const created = await postStore.create({ ...postActivity.withoutActivity(payload), comments: [] }, options);
+      await postActivity.save(created.id, payload);
+      return toPostRecord(created);
     }
     await containersReady;
     const now = new Date().toISOString();
@@ -136,13 +241,32 @@ async function initializeDataStore(options) {
     return saved || { ...record, id };
   };
 
+  /**
+   * Updates a post; comment and counter changes go to the activity store, not its file.
+   * @throws {Error} As the post store does; a `VERSION_CONFLICT` carries the `current` post with its activity.
+   */
+  const updatePost = async (id, updater, options) => {
+    if (!activityMoved) {
+      return toPostRecord(await postStore.update(id, updater, options));
+    }
+    let applied = false;
+    try {
+      const saved = await postStore.update(id, splitActivityUpdate(updater, () => { applied = true; }), options);
+      if (!applied) return null;
+      return toPostRecord(saved || (await postStore.get(id)));
+    } catch (error) {
+      if (error.current) error.current = await toPostRecord(error.current);
+      throw error;
+    }
+  };
+
   /**
    * Updates an existing record in-place.
    */
-  const updateRecord = async (container, id, updater) => {
+  const updateRecord = async (container, id, updater, options) => {
     if (container === CONTAINERS.POSTS) {
       await postsReady;
-      return postStore.update(id, updater);
+      return updatePost(id, updater, options);
     }
     await containersReady;
     try {
@@ -168,7 +292,9 @@ async function initializeDataStore(options) {
   const deleteRecord = async (container, id) => {
     if (container === CONTAINERS.POSTS) {
       await postsReady;
-      return postStore.remove(id);
+      const removed = await postStore.remove(id);
+      if (removed && activityMoved) await postActivity.remove(id);
+      return removed;
     }
     await containersReady;
     try {
@@ -180,6 +306,83 @@ async function initializeDataStore(options) {
     }
   };
 
+  /**
+   * Rewrites several posts in one batch through the post store.
+   * @param {Array<string>} ids
+   * @param {Function} updater Called with each post; returning null leaves it unchanged
+   * @param {Object=} options Passed to the post store (e.g. `actor`)
+   * @return {Promise<Array<Object>>} The updated posts.
+   */
+  const updatePosts = async (ids, updater, options) => {
+    await postsReady;
+    if (!activityMoved) {
+      return withAuthorProfiles(await postStore.updateMany(ids, updater, options));
+    }
+    const applied = [];
+    const collect = async () => withAuthorProfiles(await withActivity(await Promise.all(applied.map((id) => postStore.get(id)))));
+    try {
+      await postStore.updateMany(ids, splitActivityUpdate(updater, (id) => applied.push(id)), options);
+    } catch (error) {
+      error.updated = await collect();
+      throw error;
+    }
+    return collect();
+  };
+
+  /**
+   * Reloads the tag aliases from the tag records, so later post writes use them.
+   */
+  const refreshTagAliases = async () => {
+    const records = await listRecords(CONTAINERS.TAGS);
+    tagAliases = new Map(records.flatMap((record) => (record.aliases || []).map((alias) => [alias, record.tag || record.slug])));
+    return tagAliases;
+  };
+
+  refreshTagAliases().catch((error) => {
+    log.warn?.('Failed to load tag aliases', { error: error.message });
+  });
+
+  /**
+   * Retrieves a post by its current or a previous slug.
+   */
+  const getPostBySlug = async (slug) => {
+    await postsReady;
+    return toPostRecord(await postStore.getBySlug(slug));
+  };
+
+  /**
+   * Returns the id of another post currently using a slug, or null.
+   */
+  const findPostSlugOwner = async (slug, exceptId) => {
+    await postsReady;
+    return postStore.findSlugOwner(slug, exceptId);
+  };
+
+  /**
+   * Re-reads a post file changed outside the blog and reports what became of its post.
+   */
+  const reloadPostFile = async (filePath) => {
+    await postsReady;
+    const result = await postStore.reload(filePath);
+    return { ...result, post: await toPostRecord(result.post) };
+  };
+
+  /**
+   * Lists revision summaries for a post, newest first.
+   */
+  const listPostRevisions = async (id) => {
+    await postsReady;
+    return postStore.listRevisions(id);
+  };
+
+  /**
+   * Retrieves a single post revision including its snapshot.
+   */
+  const getPostRevision = async (id, rev) => {
+    await postsReady;
+    return postStore.getRevision(id, rev);
+  };
+
   /**
    * Invalidates cached feed data.
    */
@@ -189,18 +392,39 @@ async function initializeDataStore(options) {
     }
   };
 
+  const searchIndexListeners = [];
+
+  /**
+   * Registers a listener called with `(id, document)` whenever a post is indexed for
+   * search, and with `(id, null)` when it leaves the index.
+   * @param {Function} listener
+   */
+  const onSearchIndexChange = (listener) => {
+    searchIndexListeners.push(listener);
+  };
+
+  const notifySearchIndexChange = (id, document) => {
+    searchIndexListeners.forEach((listener) => {
+      try {
+        listener(id, document);
+      } catch (error) {
+        log.warn?.('Search index listener failed', { postId: id, error: error.message });
+      }
+    });
+  };
+
   /**
    * Updates the search index for a post.
    */
   const upsertSearchIndex = async (post) => {
+    const document = post.status === 'published' ? buildSearchDocument(post) : null;
+    notifySearchIndexChange(post.id, document);
     if (!search) return;
     try {
-      await search.remove(post.id, 'blog-posts');
+      await search.remove(post.id, SEARCH_INDEX);
     } catch (_) {
       // ignore remove errors
     }
-    if (post.status !== 'published') return;
-    const document = buildSearchDocument(post);
     if (!document) return;
     try {
       log.info?.('Indexing post for search', {
@@ -210,7 +434,7 @@ async function initializeDataStore(options) {
         searchTextLength: document.searchText?.length || 0,
         searchTextSample: document.searchText?.substring(0, 100)
       });
-      await search.add(post.id, document, 'blog-posts');
+      await search.add(post.id, document, SEARCH_INDEX);
       log.info?.('Successfully indexed post', { postId: post.id });
     } catch (error) {
       log.warn?.('Failed to index post for search', { postId: post.id, error: error.message });
@@ -221,19 +445,20 @@ async function initializeDataStore(options) {
    * Removes a post from the search index.
    */
   const removeFromSearchIndex = async (id) => {
+    notifySearchIndexChange(id, null);
     if (!search) return;
     try {
-      await search.remove(id, 'blog-posts');
+      await search.remove(id, SEARCH_INDEX);
     } catch (error) {
       log.warn?.('Failed to remove post from search index', { postId: id, error: error.message });
     }
   };
 
   /**
-   * Builds the home feed payload.
+   * Builds the home feed payload. It lists every draft; routes pick those the caller may see.
    */
   const buildHomeFeed = async () => {
-    const posts = await listRecords(CONTAINERS.POSTS);
+    const posts = (await listRecords(CONTAINERS.POSTS)).map(toPublicPost);
     const published = posts.filter((post) => post.status === 'published');
 
     const sortedByFreshness = [...published].sort((a, b) => {
@@ -274,7 +499,7 @@ async function initializeDataStore(options) {
       latest,
       trending: trendingShort,
       tags,
-      drafts: drafts.slice(0, 6),
+      drafts,
       totals: {
         posts: posts.length,
         published: published.length,
@@ -303,7 +528,7 @@ async function initializeDataStore(options) {
   containersReady
     .then(async () => {
       try {
-        const posts = await postStore.listAll();
+        const posts = await withActivity(await postStore.listAll());
         await Promise.allSettled(posts.map((post) => upsertSearchIndex(post)));
         log.info?.('Search index warmed with existing posts', { count: posts.length });
       } catch (error) {
@@ -323,9 +548,20 @@ async function initializeDataStore(options) {
     createRecord,
     updateRecord,
     deleteRecord,
+    updatePosts,
+    refreshTagAliases,
+    getPostBySlug,
+    findPostSlugOwner,
+    postDirectories: postStore.directories,
+    reloadPostFile,
+    listPostRevisions,
+    getPostRevision,
+    diffPostRevisions: postStore.diffRevisions,
+    snapshotPost: postStore.snapshotRevision,
     invalidateFeedCache,
     upsertSearchIndex,
     removeFromSearchIndex,
+    onSearchIndexChange,
     buildHomeFeed,
     getHomeFeed
   };
@@ -1,5 +1,7 @@
 'use strict';
 
+const crypto = require('crypto');
+
 /**
  * Constants
  */
@@ -9,21 +11,42 @@ const VIEW_BASE_PATH = '/applications/blog';
 const CONTAINERS = {
   POSTS: 'blog_posts',
   COMMENTS: 'blog_comments',
+  POST_STATS: 'blog_post_stats',
   BOOKMARKS: 'blog_bookmarks',
-  SITE_SETTINGS: 'blog_site_settings'
+  CLAPS: 'blog_claps',
+  AUTHORS: 'blog_authors',
+  TAGS: 'blog_tags',
+  FOLLOWS: 'blog_follows',
+  SITE_SETTINGS: 'blog_site_settings',
+  PUBLICATIONS: 'blog_publications'
 };
 
+const SEARCH_INDEX = 'blog-posts';
+
 const CACHE_KEYS = {
   HOME_FEED: 'blog:feed:home'
 };
 
 const ONE_MINUTE = 60 * 1000;
 
+/**
+ * Response header carrying a post's version, which clients send back in IF_VERSION_HEADER
+ * to save over that version only. Neither is an ETag or If-Match: a post response also
+ * holds counters and comments that change without a new version.
+ */
+const POST_VERSION_HEADER = 'X-Post-Version';
+
+const IF_VERSION_HEADER = 'If-Version';
+
 const DEFAULT_SITE_SETTINGS = {
   title: 'NooblyJS Blog',
   primaryColor: '#0d6efd',
   backgroundColor: '#ffffff',
   bannerImage: '',
+  feedContent: 'excerpt',
+  commentModeration: 'first-time',
+  commentReportThreshold: 3,
+  postFormat: 'legacy',
   links: {
     twitter: '',
     instagram: '',
@@ -76,20 +99,23 @@ function estimateReadTime(content = '') {
 }
 
 /**
- * Normalizes and deduplicates tags.
+ * Normalizes and deduplicates tags, ignoring case. Tags whose slug is a known alias
+ * are replaced by the tag they stand for.
  * @param {Array<string>} tags
+ * @param {Map<string, string>=} aliases Canonical tag names keyed by alias slug
  * @return {Array<string>}
  */
-function normalizeTags(tags = []) {
+function normalizeTags(tags = [], aliases) {
   if (!Array.isArray(tags)) return [];
-  const unique = new Set();
+  const unique = new Map();
   tags.forEach((tag) => {
     if (typeof tag !== 'string') return;
-    const trimmed = tag.trim();
+    const trimmed = tag.trim().replace(/\s+/g, ' ');
     if (!trimmed) return;
-    unique.add(trimmed.replace(/\s+/g, ' '));
+    const canonical = (aliases && aliases.get(toSlug(trimmed))) || trimmed;
+    if (!unique.has(canonical.toLowerCase())) unique.set(canonical.toLowerCase(), canonical);
   });
-  return Array.from(unique).slice(0, 10);
+  return Array.from(unique.values()).slice(0, 10);
 }
 
 /**
@@ -122,6 +148,91 @@ function normalizeAuthor(author) {
   };
 }
 
+/**
+ * Resolves who is making a change, preferring the authenticated user.
+ * @param {import('express').Request} req
+ * @param {Object|string=} fallback
+ * @return {Object|string|null}
+ */
+function resolveActor(req, fallback) {
+  const user = req && req.user;
+  if (user) {
+    return user.name || user.username || user.email || fallback || null;
+  }
+  return fallback || null;
+}
+
+/**
+ * Resolves a stable, anonymous key for the reader making a request: the signed-in
+ * user, else the reader id the server issued in a signed cookie (`req.readerId`), else
+ * the client address and user agent. Only a hash is returned, so it is safe to persist.
+ * @param {import('express').Request} req
+ * @return {string}
+ */
+function resolveReaderKey(req) {
+  const user = req && req.user;
+  let source;
+  if (user && (user.id || user.username || user.email)) {
+    source = `user:${user.id || user.username || user.email}`;
+  } else if (req && req.readerId) {
+    source = `reader:${req.readerId}`;
+  } else {
+    source = `anon:${req?.ip || ''}:${(req && req.get && req.get('User-Agent')) || ''}`;
+  }
+  return crypto.createHash('sha256').update(source).digest('hex').slice(0, 16);
+}
+
+/**
+ * Builds the value of a post's version header from its version counter.
+ * @param {Object} post
+ * @return {string}
+ */
+function buildPostVersionTag(post) {
+  return String(Number(post?.version || 1));
+}
+
+/**
+ * Parses an If-Version header into the post version it expects.
+ * @param {string|undefined} header
+ * @return {number|null} The expected version (NaN when it is not one), or null when the header is absent.
+ */
+function parseIfVersion(header) {
+  if (!header) return null;
+  const value = header.trim();
+  if (!value) return null;
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Whether a comment is visible to readers. Comments written before moderation have no status.
+ * @param {Object} comment
+ * @return {boolean}
+ */
+function isPublishedComment(comment) {
+  return (comment?.status || 'published') === 'published';
+}
+
+/**
+ * Returns a copy of a comment for public responses, without its abuse reports or the
+ * account that posted it.
+ * @param {Object} comment
+ * @return {Object}
+ */
+function toPublicComment(comment) {
+  const { reports, reportCount, accountId, ...rest } = comment;
+  return rest;
+}
+
+/**
+ * Returns a copy of a post for public responses, without held, rejected or spam comments.
+ * @param {Object} post
+ * @return {Object}
+ */
+function toPublicPost(post) {
+  if (!post || !Array.isArray(post.comments)) return post;
+  return { ...post, comments: post.comments.filter(isPublishedComment).map(toPublicComment) };
+}
+
 /**
  * Builds a search document from a post with denormalized text for matching.
  * @param {Object} post
@@ -211,6 +322,62 @@ function escapeXml(value = '') {
     .replace(/'/g, '&apos;');
 }
 
+/**
+ * Escapes arbitrary text for HTML contexts.
+ * @param {string} value
+ * @return {string}
+ */
+function escapeHtml(value = '') {
+  return value
+    .toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders post markdown into HTML, matching the reader client's renderer
+ * (paragraphs, line breaks and unordered lists).
+ * @param {string} content
+ * @return {string}
+ */
+function renderMarkdown(content = '') {
+  return escapeHtml(content)
+    .split(/\n{2,}/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .map((block) => {
+      if (/^[-*]\s+/m.test(block)) {
+        const items = block
+          .split(/\n/)
+          .map((line) => line.replace(/^[-*]\s+/, '').trim())
+          .filter(Boolean)
+          .map((line) => `<li>${line}</li>`)
+          .join('');
+        return `<ul>${items}</ul>`;
+      }
+      return `<p>${block.replace(/\n/g, '<br>')}</p>`;
+    })
+    .join('');
+}
+
+/**
+ * Resolves the public base URL of a request. Proxy headers are only honoured when the
+ * app's `trust proxy` setting trusts the peer, as `req.protocol` and `req.hostname` do;
+ * feeds built from this URL are cached publicly, so a client must not be able to pick it.
+ * @param {import('express').Request} req
+ * @return {string} e.g. `https://example.com`, or an empty string when the host is unknown.
+ */
+function resolveBaseUrl(req) {
+  // Same check as `req.hostname`, which would also drop the port
+  const trustProxy = req.app?.get('trust proxy fn');
+  const forwardedHost = trustProxy && trustProxy(req.socket?.remoteAddress, 0) ? req.get('x-forwarded-host') : null;
+  const host = (forwardedHost ? forwardedHost.split(',')[0].trim() : req.get('host')) || '';
+  return host ? `${req.protocol || 'http'}://${host}` : '';
+}
+
 /**
  * Builds a safe default logger when the registry logger is unavailable.
  * @param {Object|undefined} logger
@@ -266,17 +433,30 @@ module.exports = {
   VIEW_BASE_PATH,
   CONTAINERS,
   CACHE_KEYS,
+  SEARCH_INDEX,
   ONE_MINUTE,
   DEFAULT_SITE_SETTINGS,
+  POST_VERSION_HEADER,
+  IF_VERSION_HEADER,
   // Helpers
   toSlug,
   buildExcerpt,
   estimateReadTime,
   normalizeTags,
   normalizeAuthor,
+  resolveActor,
+  resolveReaderKey,
+  buildPostVersionTag,
+  parseIfVersion,
   buildSearchDocument,
   stripSearchMetadata,
   escapeXml,
+  isPublishedComment,
+  toPublicComment,
+  toPublicPost,
+  escapeHtml,
+  renderMarkdown,
+  resolveBaseUrl,
   buildLogger,
   sendJson,
   sendError
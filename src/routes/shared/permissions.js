@@ -0,0 +1,208 @@
+'use strict';
+
+const { sendError } = require('./helpers');
+
+/**
+ * Roles from least to most privileged. Every role can do what the roles before it can.
+ */
+const ROLES = ['reader', 'author', 'editor', 'admin'];
+
+/**
+ * Account roles from the auth service that map onto blog roles. NooblyJS accounts
+ * are registered as `user`; on the blog those accounts are readers until they are
+ * given the `author` role (or a higher one).
+ */
+const ROLE_ALIASES = {
+  user: 'reader',
+  administrator: 'admin'
+};
+
+/**
+ * Policy matrix. `role` is the least role allowed to attempt the action; for
+ * actions with `own`, callers below `any` may only act on posts they wrote.
+ */
+const POLICY = {
+  'post:create': { role: 'author' },
+  'post:edit': { role: 'author', own: true, any: 'editor' },
+  'post:publish': { role: 'author', own: true, any: 'editor' },
+  'post:delete': { role: 'author', own: true, any: 'editor' },
+  'post:history': { role: 'author', own: true, any: 'editor' },
+  'post:assign-author': { role: 'editor' },
+  'author:edit': { role: 'author', own: true, any: 'editor' },
+  'author:link-account': { role: 'editor' },
+  'tag:edit': { role: 'editor' },
+  'tag:manage': { role: 'editor' },
+  'schedule:view': { role: 'author' },
+  'comment:moderate': { role: 'editor' },
+  'settings:manage': { role: 'admin' }
+};
+
+const rank = (role) => ROLES.indexOf(role);
+
+const ANONYMOUS = Object.freeze({ authenticated: false, id: null, name: null, handle: null, role: 'reader' });
+
+/**
+ * Picks the most privileged blog role from an account's `role` / `roles`.
+ * @param {Object} user
+ * @return {string}
+ */
+function resolveRole(user) {
+  const candidates = [].concat(user.roles || [], user.role || []).map((role) => String(role).toLowerCase());
+  return candidates
+    .map((role) => ROLE_ALIASES[role] || role)
+    .filter((role) => rank(role) !== -1)
+    .reduce((best, role) => (rank(role) > rank(best) ? role : best), 'reader');
+}
+
+/**
+ * Builds the caller description attached to requests as `req.caller`. `handle` stays
+ * null until an author profile is found linked to the account's id: a handle taken
+ * from a name the account chose would let it own other authors' posts.
+ * @param {Object} user Account from the session or the auth service
+ * @return {{authenticated: boolean, id: (string|null), name: string, handle: null, role: string}}
+ */
+function toCaller(user) {
+  return {
+    authenticated: true,
+    id: user.id || user.username || null,
+    name: user.name || user.displayName || user.username || user.email || 'Member',
+    handle: null,
+    role: resolveRole(user)
+  };
+}
+
+/**
+ * Whether a caller wrote a post, or is the account linked to an author profile. A post
+ * belongs to the account linked (by `userId`) to the profile of its byline's handle, as
+ * the post's file holds it; reading never changes that handle.
+ * @param {Object} caller
+ * @param {Object} resource A post, or an author profile
+ * @return {boolean}
+ */
+function isOwner(caller, resource) {
+  if (!caller.authenticated || !resource) return false;
+  if (resource.author) return Boolean(caller.handle && resource.author.handle === caller.handle);
+  return Boolean(resource.userId && resource.userId === caller.id);
+}
+
+/**
+ * Checks the policy matrix for a caller, optionally against a specific post or profile.
+ * @param {Object} caller
+ * @param {string} action A POLICY key
+ * @param {Object=} post Post (or author profile) the action applies to, for ownership rules
+ * @return {boolean}
+ */
+function can(caller, action, post) {
+  const policy = POLICY[action];
+  if (!policy) return false;
+  const role = caller?.role || 'reader';
+  if (rank(role) < rank(policy.role)) return false;
+  if (!policy.own || !post) return true;
+  return rank(role) >= rank(policy.any) || isOwner(caller, post);
+}
+
+/**
+ * Whether a caller may read a post: anyone once it is published; drafts and scheduled
+ * posts only those who may edit them.
+ * @param {Object} caller
+ * @param {Object} post
+ * @return {boolean}
+ */
+function canView(caller, post) {
+  return Boolean(post) && (post.status === 'published' || can(caller || ANONYMOUS, 'post:edit', post));
+}
+
+/**
+ * Answers 401 for anonymous callers and 403 for everyone else.
+ */
+function sendDenied(res, caller, action) {
+  if (!caller?.authenticated) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, 401, 'AUTH_REQUIRED', 'Sign in to continue.');
+  }
+  return sendError(res, 403, 'FORBIDDEN', 'You do not have permission to do that.', { action, role: caller.role });
+}
+
+/**
+ * Denies the request unless the caller may act on this particular post.
+ * @return {boolean} true when the request was denied and answered.
+ */
+function denyUnlessAllowed(req, res, action, post) {
+  if (can(req.caller || ANONYMOUS, action, post)) return false;
+  sendDenied(res, req.caller || ANONYMOUS, action);
+  return true;
+}
+
+/**
+ * Route middleware enforcing the role part of a policy. Ownership rules are
+ * checked with `can()` once the route has loaded the post.
+ * @param {string} action A POLICY key
+ * @return {Function} Express middleware
+ */
+function authorize(action) {
+  return (req, res, next) => {
+    const caller = req.caller || ANONYMOUS;
+    if (!caller.authenticated || !can(caller, action)) {
+      return sendDenied(res, caller, action);
+    }
+    next();
+  };
+}
+
+/**
+ * Creates the middleware that resolves who is calling the API: the signed-in
+ * session user, else the account behind an `Authorization: Bearer` token. Callers
+ * take the handle and display name of the author profile linked to their account, so
+ * bylines and ownership checks follow the profile.
+ * @param {Object} deps
+ * @param {Object=} deps.authService NooblyJS auth service
+ * @param {Object=} deps.authorRegistry Author profiles
+ * @param {Object} deps.log
+ * @return {Function} Express middleware setting `req.caller`
+ */
+function createCallerResolver({ authService, authorRegistry, log }) {
+  const lookupToken = async (token) => {
+    if (!authService || typeof authService.validateSession !== 'function') return null;
+    const session = await authService.validateSession(token);
+    if (!session) return null;
+    const user = session.user || session;
+    if (user.role || user.roles || typeof authService.getUserByUsername !== 'function' || !user.username) {
+      return user;
+    }
+    return (await authService.getUserByUsername(user.username)) || user;
+  };
+
+  return async (req, _res, next) => {
+    req.caller = ANONYMOUS;
+    try {
+      const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+      if (req.user) {
+        req.caller = toCaller(req.user);
+      } else if (match) {
+        const user = await lookupToken(match[1].trim());
+        if (user) {
+          req.user = user;
+          req.caller = toCaller(user);
+        }
+      }
+      const profile = req.caller.authenticated && authorRegistry ? await authorRegistry.findByUserId(req.caller.id) : null;
+      if (profile) {
+        req.caller = { ...req.caller, name: profile.displayName || req.caller.name, handle: profile.handle };
+      }
+    } catch (error) {
+      log.warn?.('Failed to resolve API caller', { error: error.message });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  POLICY,
+  can,
+  canView,
+  isOwner,
+  authorize,
+  denyUnlessAllowed,
+  createCallerResolver
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const { promises: fs } = require('fs');
+const { VIEW_BASE_PATH, sendError } = require('./helpers');
+
+const READER_COOKIE = 'blog_reader';
+const READER_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+const SECRET_FILE_PATH = path.join(process.cwd(), '.data', 'blog-reader-secret');
+
+/**
+ * Loads the key reader cookies are signed with, creating it on first start so cookies
+ * stay valid across restarts.
+ * @return {Promise<string>}
+ */
+async function loadReaderSecret() {
+  try {
+    const secret = (await fs.readFile(SECRET_FILE_PATH, 'utf8')).trim();
+    if (secret) return secret;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  const secret = crypto.randomBytes(32).toString('hex');
+  await fs.mkdir(path.dirname(SECRET_FILE_PATH), { recursive: true });
+  await fs.writeFile(SECRET_FILE_PATH, secret, { encoding: 'utf8', mode: 0o600 });
+  return secret;
+}
+
+const readCookie = (req, name) => {
+  const pair = (req.get('Cookie') || '')
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+/**
+ * Creates the middleware that gives each anonymous reader an id issued by the server:
+ * a random id in a signed, HTTP-only cookie, set on the first request without a valid
+ * one. `req.readerId` is only set once the cookie comes back, so a client that drops
+ * cookies keeps falling back to its address and user agent instead of starting afresh
+ * (with a fresh clap allowance) on every request. Clients cannot pick the id, so they
+ * cannot pose as other readers either.
+ * @param {Object} deps
+ * @param {string=} deps.secret Signing key; by default one kept in `.data/blog-reader-secret`
+ * @param {Object} deps.log
+ * @return {Function} Express middleware
+ */
+function createReaderIdentity({ secret, log }) {
+  const secretReady = secret ? Promise.resolve(secret) : loadReaderSecret();
+  secretReady.catch((error) => {
+    log.error('Failed to load the reader cookie secret', { error: error.message });
+  });
+  const sign = (key, id) => crypto.createHmac('sha256', key).update(id).digest('base64url');
+
+  const verify = (key, value) => {
+    const [id, signature] = (value || '').split('.');
+    if (!id || !signature) return null;
+    const expected = Buffer.from(sign(key, id));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? id : null;
+  };
+
+  return async (req, res, next) => {
+    let key;
+    try {
+      key = await secretReady;
+    } catch (_error) {
+      // Without the key no reader can be told apart, so claps and bookmarks cannot be kept
+      return sendError(res, 500, 'READER_IDENTITY_FAILED', 'Unable to identify the reader.');
+    }
+    const readerId = verify(key, readCookie(req, READER_COOKIE));
+    if (readerId) {
+      req.readerId = readerId;
+    } else {
+      const issued = crypto.randomBytes(16).toString('base64url');
+      res.cookie(READER_COOKIE, `${issued}.${sign(key, issued)}`, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        path: VIEW_BASE_PATH,
+        maxAge: READER_COOKIE_MAX_AGE
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { READER_COOKIE, createReaderIdentity };
@@ -0,0 +1,43 @@
+'use strict';
+
+const path = require('path');
+const { promises: fs } = require('fs');
+const { DEFAULT_SITE_SETTINGS } = require('./helpers');
+
+const SETTINGS_FILE_PATH = path.join(process.cwd(), '.data', 'blog-settings.json');
+
+/**
+ * Loads site settings from file or returns defaults.
+ * Missing keys fall back to the defaults so older settings files keep working.
+ */
+async function loadSettings() {
+  try {
+    const data = await fs.readFile(SETTINGS_FILE_PATH, 'utf8');
+    return { ...DEFAULT_SITE_SETTINGS, ...JSON.parse(data) };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return DEFAULT_SITE_SETTINGS;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Saves site settings to file.
+ */
+async function saveSettings(settings, log) {
+  try {
+    const dataDir = path.dirname(SETTINGS_FILE_PATH);
+    await fs.mkdir(dataDir, { recursive: true });
+
+    const { id, key, createdAt, updatedAt, ...cleanSettings } = settings;
+
+    await fs.writeFile(SETTINGS_FILE_PATH, JSON.stringify(cleanSettings, null, 2), 'utf8');
+    return cleanSettings;
+  } catch (error) {
+    log.error('Failed to save settings file', { error: error.message });
+    throw error;
+  }
+}
+
+module.exports = { SETTINGS_FILE_PATH, loadSettings, saveSettings };
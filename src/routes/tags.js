@@ -1,36 +1,246 @@
 'use strict';
 
-const { API_BASE_PATH, CONTAINERS, toSlug, sendJson, sendError } = require('./shared/helpers');
+const { API_BASE_PATH, VIEW_BASE_PATH, toSlug, toPublicPost, resolveActor, resolveReaderKey, sendJson, sendError } = require('./shared/helpers');
+const { authorize } = require('./shared/permissions');
+const { TAG_SORTS, MAX_DESCRIPTION_LENGTH } = require('../services/tagDirectory');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const MAX_TAG_LENGTH = 60;
+const MAX_ALIASES = 20;
+
+const isUrl = (value) => /^https?:\/\/\S+$/i.test(value) || /^\/\S*$/.test(value);
+const isColor = (value) => /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+
+/**
+ * Shapes a tag for responses.
+ */
+const toTagResponse = ({ id, registered, ...tag }) => ({
+  ...tag,
+  url: `${VIEW_BASE_PATH}/tags/${encodeURIComponent(tag.slug)}`
+});
+
+/**
+ * Checks a tag update body.
+ * @return {string|null} An error message, or null when valid.
+ */
+const validateTagChanges = ({ description, coverImage, color }) => {
+  if (description !== undefined && description !== null) {
+    if (typeof description !== 'string') return 'description must be a string or null.';
+    if (description.trim().length > MAX_DESCRIPTION_LENGTH) return `description must be at most ${MAX_DESCRIPTION_LENGTH} characters.`;
+  }
+  if (coverImage !== undefined && coverImage !== null && coverImage !== '' && (typeof coverImage !== 'string' || !isUrl(coverImage))) {
+    return 'coverImage must be an http(s) URL.';
+  }
+  if (color !== undefined && color !== null && color !== '' && (typeof color !== 'string' || !isColor(color))) {
+    return 'color must be a hex colour such as #0d6efd.';
+  }
+  return null;
+};
+
+/**
+ * Checks a new tag name.
+ * @return {string|null} An error message, or null when valid.
+ */
+const validateTagName = (name, field) => {
+  if (typeof name !== 'string' || !name.trim()) return `${field} must be a non-empty string.`;
+  if (name.trim().length > MAX_TAG_LENGTH) return `${field} must be at most ${MAX_TAG_LENGTH} characters.`;
+  if (!toSlug(name)) return `${field} must contain letters or digits.`;
+  return null;
+};
+
+/**
+ * Whether a tag change should only be previewed (`?dryRun=true` or `{"dryRun": true}`).
+ */
+const isDryRun = (req) => req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+/**
+ * Responds with the outcome of a change that rewrites posts: the tag as it is (or would
+ * be) afterwards and every affected post with its tags before and after.
+ */
+const sendTagChange = (res, { tag, affected }, dryRun) =>
+  sendJson(res, 200, { tag: toTagResponse(tag), dryRun, affected }, { total: affected.length });
+
+/**
+ * Maps the tag directory's errors to responses.
+ */
+const sendTagChangeError = (res, log, error, action) => {
+  if (error.code === 'TAG_NOT_FOUND') {
+    return sendError(res, 404, 'TAG_NOT_FOUND', error.message, { slug: error.slug });
+  }
+  if (error.code === 'TAG_EXISTS') {
+    return sendError(res, 409, 'TAG_EXISTS', `${error.message} Merge the tags instead.`, { slug: error.slug });
+  }
+  if (error.code === 'TAG_ALIAS_CONFLICT') {
+    return sendError(res, 409, 'TAG_ALIAS_CONFLICT', error.message, { alias: error.alias, owner: error.owner });
+  }
+  log.error(`Failed to ${action}`, { error: error.message, updated: error.updated?.length });
+  // A batch that stopped part way reports which posts were already rewritten
+  sendError(res, 500, 'TAG_REWRITE_FAILED', `Unable to ${action}.`, error.updated ? { updated: error.updated.map((post) => post.id) } : undefined);
+};
 
 /**
  * Registers tag routes.
  * @param {Object} app Express application
- * @param {Object} dataStore Data store instance
+ * @param {Object} tagDirectory Tag directory service
  * @param {Object} log Logger instance
+ * @param {Object} services Follow graph, for follower counts
  */
-module.exports = (app, dataStore, log) => {
-  const { listRecords } = dataStore;
-
+module.exports = (app, tagDirectory, log, { followGraph }) => {
   /**
-   * GET ALL TAGS (with post counts, sorted by popularity)
+   * GET ALL TAGS (with post counts, follower counts and metadata, sorted by popularity)
    */
   app.get(`${API_BASE_PATH}/tags`, async (_req, res) => {
     try {
-      const posts = await listRecords(CONTAINERS.POSTS);
-      const tagCounts = new Map();
-      posts.forEach((post) => {
-        if (post.status !== 'published') return;
-        (post.tags || []).forEach((tag) => {
-          tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
-        });
-      });
-      const tags = Array.from(tagCounts.entries())
-        .map(([tag, count]) => ({ tag, count, slug: toSlug(tag) }))
-        .sort((a, b) => b.count - a.count);
-      sendJson(res, 200, tags, { total: tags.length });
+      const [tags, followers] = await Promise.all([tagDirectory.list(), followGraph.countFollowers('tag')]);
+      sendJson(res, 200, tags.map((tag) => ({ ...toTagResponse(tag), followers: followers.get(tag.slug) || 0 })), { total: tags.length });
     } catch (error) {
       log.error('Failed to list tags', { error: error.message });
       sendError(res, 500, 'TAG_LIST_FAILED', 'Unable to load tags.');
     }
   });
+
+  /**
+   * GET A TAG with its followers, whether the reader follows it and one page of its
+   * published posts (`?page=&pageSize=&sort=recent|popular`)
+   */
+  app.get(`${API_BASE_PATH}/tags/:slug`, async (req, res) => {
+    try {
+      const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+      const pageSize = req.query.pageSize !== undefined ? Number(req.query.pageSize) : DEFAULT_PAGE_SIZE;
+      const sort = req.query.sort !== undefined ? String(req.query.sort) : TAG_SORTS[0];
+      if (!Number.isInteger(page) || page < 1) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'page must be a positive integer.');
+      }
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+      }
+      if (!TAG_SORTS.includes(sort)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `sort must be one of: ${TAG_SORTS.join(', ')}.`);
+      }
+
+      const tag = await tagDirectory.describe(req.params.slug);
+      if (!tag) {
+        return sendError(res, 404, 'TAG_NOT_FOUND', 'Tag not found.');
+      }
+      const [{ items, total }, follows] = await Promise.all([
+        tagDirectory.listPosts(tag.slug, { page, pageSize, sort }),
+        followGraph.describe(resolveReaderKey(req), 'tag', tag.slug)
+      ]);
+      sendJson(res, 200, { ...toTagResponse(tag), ...follows, posts: items.map(toPublicPost) }, {
+        sort,
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      });
+    } catch (error) {
+      log.error('Failed to get tag', { error: error.message });
+      sendError(res, 500, 'TAG_FETCH_FAILED', 'Unable to load tag.');
+    }
+  });
+
+  /**
+   * UPDATE A TAG'S DESCRIPTION, COVER IMAGE OR COLOUR (editors)
+   */
+  app.patch(`${API_BASE_PATH}/tags/:slug`, authorize('tag:edit'), async (req, res) => {
+    try {
+      const { description, coverImage, color } = req.body || {};
+      const changes = { description, coverImage, color };
+      const invalid = validateTagChanges(changes);
+      if (invalid) {
+        return sendError(res, 400, 'VALIDATION_ERROR', invalid);
+      }
+
+      const updated = await tagDirectory.update(req.params.slug, changes);
+      if (!updated) {
+        return sendError(res, 404, 'TAG_NOT_FOUND', 'Tag not found.');
+      }
+      sendJson(res, 200, toTagResponse(updated));
+    } catch (error) {
+      log.error('Failed to update tag', { error: error.message });
+      sendError(res, 500, 'TAG_UPDATE_FAILED', 'Unable to update tag.');
+    }
+  });
+
+  /**
+   * RENAME A TAG on every post (`{name, dryRun}`)
+   */
+  app.post(`${API_BASE_PATH}/tags/:slug/rename`, authorize('tag:manage'), async (req, res) => {
+    try {
+      const { name } = req.body || {};
+      const invalid = validateTagName(name, 'name');
+      if (invalid) {
+        return sendError(res, 400, 'VALIDATION_ERROR', invalid);
+      }
+      const dryRun = isDryRun(req);
+      const result = await tagDirectory.rename(req.params.slug, name.trim(), { dryRun, actor: resolveActor(req) });
+      if (!result) {
+        return sendError(res, 404, 'TAG_NOT_FOUND', 'Tag not found.');
+      }
+      sendTagChange(res, result, dryRun);
+    } catch (error) {
+      sendTagChangeError(res, log, error, 'rename tag');
+    }
+  });
+
+  /**
+   * MERGE TAGS into one, new or existing (`{tags: [slug…], into, dryRun}`)
+   */
+  app.post(`${API_BASE_PATH}/tags/merge`, authorize('tag:manage'), async (req, res) => {
+    try {
+      const { tags, into } = req.body || {};
+      if (!Array.isArray(tags) || !tags.length || tags.some((tag) => typeof tag !== 'string' || !toSlug(tag))) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'tags must be a non-empty array of tag slugs.');
+      }
+      const invalid = validateTagName(into, 'into');
+      if (invalid) {
+        return sendError(res, 400, 'VALIDATION_ERROR', invalid);
+      }
+      const dryRun = isDryRun(req);
+      const result = await tagDirectory.merge(tags.map((tag) => toSlug(tag)), into.trim(), { dryRun, actor: resolveActor(req) });
+      sendTagChange(res, result, dryRun);
+    } catch (error) {
+      sendTagChangeError(res, log, error, 'merge tags');
+    }
+  });
+
+  /**
+   * SET A TAG'S ALIASES (`{aliases: [name…], dryRun}`); posts using them are rewritten now and on every save
+   */
+  app.put(`${API_BASE_PATH}/tags/:slug/aliases`, authorize('tag:manage'), async (req, res) => {
+    try {
+      const { aliases } = req.body || {};
+      if (!Array.isArray(aliases) || aliases.some((alias) => typeof alias !== 'string' || !toSlug(alias))) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'aliases must be an array of tag names.');
+      }
+      if (aliases.length > MAX_ALIASES) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `A tag can have at most ${MAX_ALIASES} aliases.`);
+      }
+      const dryRun = isDryRun(req);
+      const result = await tagDirectory.setAliases(req.params.slug, aliases, { dryRun, actor: resolveActor(req) });
+      if (!result) {
+        return sendError(res, 404, 'TAG_NOT_FOUND', 'Tag not found.');
+      }
+      sendTagChange(res, result, dryRun);
+    } catch (error) {
+      sendTagChangeError(res, log, error, 'set tag aliases');
+    }
+  });
+
+  /**
+   * DELETE A TAG from every post, with its metadata and aliases (`?dryRun=true` to preview)
+   */
+  app.delete(`${API_BASE_PATH}/tags/:slug`, authorize('tag:manage'), async (req, res) => {
+    try {
+      const dryRun = isDryRun(req);
+      const result = await tagDirectory.remove(req.params.slug, { dryRun, actor: resolveActor(req) });
+      if (!result) {
+        return sendError(res, 404, 'TAG_NOT_FOUND', 'Tag not found.');
+      }
+      sendTagChange(res, result, dryRun);
+    } catch (error) {
+      sendTagChangeError(res, log, error, 'delete tag');
+    }
+  });
 };
@@ -0,0 +1,225 @@
+'use strict';
+
+const createKeyedQueue = require('./keyedQueue');
+
+const MAX_BIO_LENGTH = 500;
+const MAX_DISPLAY_NAME_LENGTH = 80;
+
+/**
+ * Social links an author profile can list.
+ */
+const SOCIAL_LINKS = ['website', 'twitter', 'instagram', 'tiktok', 'github', 'linkedin', 'mastodon'];
+
+/**
+ * Resolves a post's byline against the registered profiles by its handle (a bare
+ * `Author: Name` line has the name's slug as handle). Unknown bylines are returned as
+ * they are. The handle is never changed, so ownership checks still see the byline the
+ * post's file holds.
+ * @param {Object} author Normalized byline (`{name, handle, avatar, bio}`)
+ * @param {Array<Object>} profiles Author profiles
+ * @return {Object} Byline with the profile's name, avatar and bio when one matches.
+ */
+function resolveAuthor(author, profiles) {
+  if (!author || !profiles.length) return author;
+  const profile = profiles.find((candidate) => candidate.handle === author.handle);
+  if (!profile) return author;
+  return {
+    name: profile.displayName || author.name,
+    handle: profile.handle,
+    avatar: profile.avatar || null,
+    bio: profile.bio || null
+  };
+}
+
+/**
+ * Creates the author registry. Each profile is a record (`{handle, displayName, bio,
+ * avatar, links, userId}`) in the authors container; `userId` links it to the auth
+ * account that writes as this author. Posts keep only the byline, which is resolved
+ * against the registry when they are read.
+ * @param {Object} deps
+ * @param {Object} deps.dataStore Blog data store
+ * @param {Object} deps.logger
+ * @param {Function} deps.toSlug
+ * @param {string} deps.postsContainer Container name for posts
+ * @param {string} deps.authorsContainer Container name for author profiles
+ * @return {Object}
+ */
+function createAuthorRegistry({ dataStore, logger, toSlug, postsContainer, authorsContainer }) {
+  if (!dataStore) {
+    throw new Error('authorRegistry requires the blog data store.');
+  }
+
+  const log = logger || {
+    info: () => {},
+    error: console.error.bind(console, '[authorRegistry:error]')
+  };
+
+  const { listRecords, createRecord, updateRecord } = dataStore;
+
+  // Profiles are created on first write; two requests from the same account must not create two
+  const serialize = createKeyedQueue();
+
+  const listProfiles = () => listRecords(authorsContainer);
+
+  const findByHandle = async (handle) => (await listProfiles()).find((profile) => profile.handle === handle) || null;
+
+  /**
+   * Picks the first free handle from `base`, `base-2`, `base-3`… Handles of registered
+   * profiles and of bylines on posts are both taken.
+   */
+  const uniqueHandle = async (base) => {
+    const [profiles, posts] = await Promise.all([listProfiles(), listRecords(postsContainer)]);
+    const taken = new Set([...profiles.map((profile) => profile.handle), ...posts.map((post) => post.author?.handle).filter(Boolean)]);
+    const root = toSlug(base) || 'author';
+    let handle = root;
+    for (let suffix = 2; taken.has(handle); suffix += 1) {
+      handle = `${root}-${suffix}`;
+    }
+    return handle;
+  };
+
+  /**
+   * Whether another author already goes by a display name: a profile, or a byline on a
+   * post, under a different handle. Names are compared ignoring case.
+   * @param {string} displayName
+   * @param {string=} handle The author taking the name, whose own uses do not count
+   * @return {Promise<boolean>}
+   */
+  const isDisplayNameTaken = async (displayName, handle) => {
+    const name = (displayName || '').trim().toLowerCase();
+    if (!name) return false;
+    const [profiles, posts] = await Promise.all([listProfiles(), listRecords(postsContainer)]);
+    const sameName = (value) => (value || '').trim().toLowerCase() === name;
+    return (
+      profiles.some((profile) => profile.handle !== handle && sameName(profile.displayName)) ||
+      posts.some((post) => post.author && post.author.handle !== handle && sameName(post.author.name))
+    );
+  };
+
+  const normalizeLinks = (links = {}) =>
+    SOCIAL_LINKS.reduce((normalized, key) => {
+      if (typeof links[key] === 'string' && links[key].trim()) normalized[key] = links[key].trim();
+      return normalized;
+    }, {});
+
+  /**
+   * Returns the profile linked to an auth account, if any.
+   * @param {string} userId
+   * @return {Promise<Object|null>}
+   */
+  const findByUserId = async (userId) => {
+    if (!userId) return null;
+    return (await listProfiles()).find((profile) => profile.userId === userId) || null;
+  };
+
+  /**
+   * Returns an author by handle: the registered profile, or one derived from the
+   * bylines of their posts when the author was never registered.
+   * @param {string} handle
+   * @return {Promise<Object|null>} null when no profile or post uses the handle.
+   */
+  const describe = async (handle) => {
+    const profile = await findByHandle(handle);
+    if (profile) return { ...profile, registered: true };
+    const posts = await listRecords(postsContainer);
+    const byline = posts.find((post) => post.author?.handle === handle)?.author;
+    if (!byline) return null;
+    return {
+      handle,
+      displayName: byline.name,
+      bio: byline.bio || null,
+      avatar: byline.avatar || null,
+      links: {},
+      userId: null,
+      registered: false
+    };
+  };
+
+  /**
+   * Lists an author's published posts, newest first.
+   * @param {string} handle
+   * @param {{page: number, pageSize: number}} options
+   * @return {Promise<{items: Array<Object>, total: number}>}
+   */
+  const listPosts = async (handle, { page, pageSize }) => {
+    const posts = (await listRecords(postsContainer))
+      .filter((post) => post.status === 'published' && post.author?.handle === handle)
+      .sort((a, b) => new Date(b.publishedAt || b.createdAt || 0).getTime() - new Date(a.publishedAt || a.createdAt || 0).getTime());
+    const start = (page - 1) * pageSize;
+    return { items: posts.slice(start, start + pageSize), total: posts.length };
+  };
+
+  /**
+   * Returns the profile of the account writing a post, creating it on first use. A new
+   * profile never takes over a handle already registered or used in a byline; it gets a
+   * numbered one, and goes by that handle when another author already uses its name.
+   * @param {{id: string, name: string}} caller
+   * @return {Promise<Object>}
+   */
+  const ensureForUser = (caller) =>
+    serialize(`user:${caller.id}`, async () => {
+      const existing = await findByUserId(caller.id);
+      if (existing) return existing;
+      const handle = await uniqueHandle(caller.name);
+      const profile = await createRecord(authorsContainer, {
+        handle,
+        displayName: (await isDisplayNameTaken(caller.name, handle)) ? handle : caller.name,
+        bio: null,
+        avatar: null,
+        links: {},
+        userId: caller.id
+      });
+      log.info?.('Author profile created', { handle: profile.handle });
+      return profile;
+    });
+
+  /**
+   * Updates a profile, registering it first when the handle so far only exists as a
+   * byline on posts.
+   * @param {string} handle
+   * @param {{displayName?: string, bio?: string, avatar?: string, links?: Object, userId?: string}} changes
+   * @return {Promise<Object|null>} null when no profile or post uses the handle.
+   * @throws {Error} With code `DISPLAY_NAME_TAKEN` when another author goes by the new display name.
+   */
+  const update = (handle, changes) =>
+    serialize(`handle:${handle}`, async () => {
+      const current = await describe(handle);
+      if (!current) return null;
+      if (changes.displayName !== undefined && (await isDisplayNameTaken(changes.displayName, handle))) {
+        const error = new Error('Another author already goes by that display name.');
+        error.code = 'DISPLAY_NAME_TAKEN';
+        throw error;
+      }
+
+      const next = { ...current };
+      if (changes.displayName !== undefined) next.displayName = changes.displayName.trim();
+      if (changes.bio !== undefined) next.bio = changes.bio ? changes.bio.trim() : null;
+      if (changes.avatar !== undefined) next.avatar = changes.avatar || null;
+      if (changes.links !== undefined) next.links = normalizeLinks({ ...current.links, ...changes.links });
+      if (changes.userId !== undefined) next.userId = changes.userId || null;
+      delete next.registered;
+
+      if (!current.registered) {
+        const created = await createRecord(authorsContainer, next);
+        log.info?.('Author profile registered from byline', { handle });
+        return created;
+      }
+      return updateRecord(authorsContainer, current.id, (existing) => ({ ...existing, ...next }));
+    });
+
+  return {
+    listProfiles,
+    findByUserId,
+    describe,
+    listPosts,
+    ensureForUser,
+    update
+  };
+}
+
+createAuthorRegistry.resolveAuthor = resolveAuthor;
+createAuthorRegistry.SOCIAL_LINKS = SOCIAL_LINKS;
+createAuthorRegistry.MAX_BIO_LENGTH = MAX_BIO_LENGTH;
+createAuthorRegistry.MAX_DISPLAY_NAME_LENGTH = MAX_DISPLAY_NAME_LENGTH;
+
+module.exports = createAuthorRegistry;
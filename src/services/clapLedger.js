@@ -0,0 +1,124 @@
+'use strict';
+
+const createKeyedQueue = require('./keyedQueue');
+
+const MAX_CLAPS_PER_READER = 50;
+
+/**
+ * Creates the claps ledger. Each reader's applause for a post is kept as one
+ * ledger entry (`{postId, reader, claps}`) so it can be capped and undone, while
+ * the post's `stats.claps` keeps the running total used by feeds and sorting.
+ * @param {Object} deps
+ * @param {Object} deps.dataStore Blog data store
+ * @param {Object} deps.logger
+ * @param {string} deps.postsContainer Container name for posts
+ * @param {string} deps.ledgerContainer Container name for ledger entries
+ * @param {number=} deps.maxClapsPerReader
+ * @return {Object}
+ */
+function createClapLedger({ dataStore, logger, postsContainer, ledgerContainer, maxClapsPerReader = MAX_CLAPS_PER_READER }) {
+  if (!dataStore) {
+    throw new Error('clapLedger requires the blog data store.');
+  }
+
+  const log = logger || {
+    info: () => {},
+    error: console.error.bind(console, '[clapLedger:error]')
+  };
+
+  const { listRecords, getRecord, createRecord, updateRecord, deleteRecord, invalidateFeedCache } = dataStore;
+
+  // Claps for the same post and reader are applied one at a time so the cap holds under bursts
+  const serialize = createKeyedQueue();
+
+  const findEntry = async (postId, reader) => {
+    const entries = await listRecords(ledgerContainer);
+    return entries.find((entry) => entry.postId === postId && entry.reader === reader) || null;
+  };
+
+  const adjustPostClaps = (postId, delta) =>
+    updateRecord(postsContainer, postId, (current) => {
+      if (!current) return null;
+      const stats = {
+        ...current.stats,
+        claps: Math.max(0, (current.stats?.claps || 0) + delta)
+      };
+      return { ...current, stats };
+    }, { touch: false });
+
+  /**
+   * Returns how many times a reader has clapped for a post.
+   * @param {string} postId
+   * @param {string} reader Reader key
+   * @return {Promise<number>}
+   */
+  const getReaderClaps = async (postId, reader) => {
+    const entry = await findEntry(postId, reader);
+    return entry ? Number(entry.claps) || 0 : 0;
+  };
+
+  /**
+   * Adds claps from a reader, up to the per-reader cap.
+   * @param {string} postId
+   * @param {string} reader Reader key
+   * @param {number} amount Claps requested
+   * @param {{visible?: function(Object): boolean}=} options `visible` tells whether the reader may see the post
+   * @return {Promise<{post: (Object|null), added: number, myClaps: number}|null>} null when the post does not exist or is not visible.
+   */
+  const clap = (postId, reader, amount, { visible = () => true } = {}) =>
+    serialize(`${postId}:${reader}`, async () => {
+      const post = await getRecord(postsContainer, postId);
+      if (!post || !visible(post)) return null;
+
+      const entry = await findEntry(post.id, reader);
+      const myClaps = entry ? Number(entry.claps) || 0 : 0;
+      const added = Math.max(0, Math.min(amount, maxClapsPerReader - myClaps));
+      if (!added) {
+        return { post, added: 0, myClaps };
+      }
+
+      if (entry) {
+        await updateRecord(ledgerContainer, entry.id, (existing) => ({ ...existing, claps: myClaps + added }));
+      } else {
+        await createRecord(ledgerContainer, { postId: post.id, reader, claps: added });
+      }
+      const updated = await adjustPostClaps(post.id, added);
+      await invalidateFeedCache();
+      return { post: updated || post, added, myClaps: myClaps + added };
+    });
+
+  /**
+   * Withdraws all of a reader's claps for a post.
+   * @param {string} postId
+   * @param {string} reader Reader key
+   * @param {{visible?: function(Object): boolean}=} options `visible` tells whether the reader may see the post
+   * @return {Promise<{post: (Object|null), removed: number, myClaps: number}|null>} null when the post does not exist or is not visible.
+   */
+  const undo = (postId, reader, { visible = () => true } = {}) =>
+    serialize(`${postId}:${reader}`, async () => {
+      const post = await getRecord(postsContainer, postId);
+      if (!post || !visible(post)) return null;
+
+      const entry = await findEntry(post.id, reader);
+      if (!entry) {
+        return { post, removed: 0, myClaps: 0 };
+      }
+      const removed = Number(entry.claps) || 0;
+      await deleteRecord(ledgerContainer, entry.id);
+      const updated = await adjustPostClaps(post.id, -removed);
+      await invalidateFeedCache();
+      log.info?.('Claps withdrawn', { postId: post.id, removed });
+      return { post: updated || post, removed, myClaps: 0 };
+    });
+
+  return {
+    getReaderClaps,
+    clap,
+    undo,
+    maxClapsPerReader
+  };
+}
+
+createClapLedger.MAX_CLAPS_PER_READER = MAX_CLAPS_PER_READER;
+
+module.exports = createClapLedger;
@@ -0,0 +1,268 @@
+'use strict';
+
+/**
+ * Moderation modes: `open` publishes every comment, `first-time` holds comments from
+ * readers without an approved comment yet, `all` holds every comment for review.
+ */
+const MODERATION_MODES = ['open', 'first-time', 'all'];
+
+/**
+ * Reasons readers can give when reporting a comment.
+ */
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'off-topic', 'other'];
+
+/**
+ * Moderation actions and the comment status each one sets (`delete` removes the comment).
+ * Approving a comment also dismisses its reports.
+ */
+const MODERATION_ACTIONS = {
+  approve: 'published',
+  reject: 'rejected',
+  spam: 'spam',
+  delete: null
+};
+
+/**
+ * Statuses a moderator may set on a comment directly: those the moderation actions set.
+ */
+const MODERATED_STATUSES = Object.values(MODERATION_ACTIONS).filter(Boolean);
+
+/**
+ * Creates the comment moderation subsystem. The data store hands out each post with
+ * its comments, so every action is applied per post through it, keeping the post's
+ * updated date: comments are reader activity, not edits to the post.
+ * @param {Object} deps
+ * @param {Object} deps.dataStore Blog data store
+ * @param {Object} deps.logger
+ * @param {string} deps.postsContainer Container name for posts
+ * @return {Object}
+ */
+function createCommentModerator({ dataStore, logger, postsContainer }) {
+  if (!dataStore) {
+    throw new Error('commentModeration requires the blog data store.');
+  }
+
+  const log = logger || {
+    info: () => {},
+    error: console.error.bind(console, '[commentModeration:error]')
+  };
+
+  const { listRecords, updateRecord, invalidateFeedCache } = dataStore;
+
+  const statusOf = (comment) => comment.status || 'published';
+
+  /**
+   * Decides the status of a new comment under the configured mode. Under `first-time`
+   * only signed-in callers whose account has had a comment approved skip the queue; the
+   * name a comment is posted under is the client's to choose and proves nothing.
+   * @param {{authenticated: boolean, id: (string|null)}} caller The API caller
+   * @param {string} mode One of MODERATION_MODES
+   * @return {Promise<string>} `published` or `pending`
+   */
+  const resolveInitialStatus = async (caller, mode) => {
+    if (mode === 'all') return 'pending';
+    if (mode !== 'first-time') return 'published';
+    if (!caller?.authenticated || !caller.id) return 'pending';
+    const posts = await listRecords(postsContainer);
+    const approvedBefore = posts.some((post) =>
+      (post.comments || []).some((comment) => comment.accountId === caller.id && statusOf(comment) === 'published')
+    );
+    return approvedBefore ? 'published' : 'pending';
+  };
+
+  /**
+   * Lists comments with a given status across all posts, oldest first.
+   * @param {{status?: string}=} options
+   * @return {Promise<Array<Object>>} Comments with a `post` summary attached.
+   */
+  const listQueue = async ({ status = 'pending' } = {}) => {
+    const posts = await listRecords(postsContainer);
+    const queue = [];
+    posts.forEach((post) => {
+      (post.comments || []).forEach((comment) => {
+        if (statusOf(comment) !== status) return;
+        queue.push({
+          ...comment,
+          reportCount: (comment.reports || []).length,
+          postId: post.id,
+          post: { id: post.id, title: post.title, slug: post.slug, status: post.status }
+        });
+      });
+    });
+    return queue.sort((a, b) => new Date(a.createdAt || 0).getTime() - new Date(b.createdAt || 0).getTime());
+  };
+
+  /**
+   * Records a reader's report against a published comment and holds the comment as
+   * `flagged` once its report count reaches the threshold. Each reader reports a comment once.
+   * @param {string} commentId
+   * @param {{reader: string, reason: string, details?: string}} report
+   * @param {number} threshold Reports needed to hold the comment
+   * @return {Promise<{outcome: string, comment?: Object}>} `outcome` is `reported`,
+   *   `flagged`, `duplicate` or `missing`.
+   */
+  const report = async (commentId, { reader, reason, details = '' }, threshold) => {
+    const posts = await listRecords(postsContainer);
+    const post = posts.find((candidate) => (candidate.comments || []).some((comment) => comment.id === commentId));
+    if (!post) return { outcome: 'missing' };
+
+    let result = { outcome: 'missing' };
+    await updateRecord(postsContainer, post.id, (current) => {
+      const comments = Array.isArray(current.comments) ? current.comments : [];
+      const target = comments.find((comment) => comment.id === commentId);
+      // Held comments are not visible to readers, so they cannot be reported either
+      if (!target || statusOf(target) !== 'published') {
+        result = { outcome: 'missing' };
+        return null;
+      }
+      const reports = Array.isArray(target.reports) ? target.reports : [];
+      if (reports.some((existing) => existing.reader === reader)) {
+        result = { outcome: 'duplicate', comment: target };
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      const nextReports = [...reports, { reader, reason, details, createdAt: now }];
+      const flagged = nextReports.length >= threshold;
+      const updated = {
+        ...target,
+        reports: nextReports,
+        reportCount: nextReports.length,
+        status: flagged ? 'flagged' : target.status,
+        updatedAt: flagged ? now : target.updatedAt
+      };
+      result = { outcome: flagged ? 'flagged' : 'reported', comment: updated };
+      return {
+        ...current,
+        comments: comments.map((comment) => (comment.id === commentId ? updated : comment))
+      };
+    }, { touch: false });
+
+    if (result.outcome === 'flagged') {
+      log.info?.('Comment held after reports', { postId: post.id, commentId, reports: result.comment.reportCount });
+      await invalidateFeedCache();
+    }
+    return result;
+  };
+
+  /**
+   * Removes comments, moving their replies up to the nearest surviving ancestor.
+   */
+  const removeComments = (comments, ids) => {
+    const parents = new Map(comments.map((comment) => [comment.id, comment.parentId || null]));
+    const survivingAncestor = (parentId) => {
+      let current = parentId;
+      while (current && ids.has(current)) {
+        current = parents.get(current) || null;
+      }
+      return current;
+    };
+    return comments
+      .filter((comment) => !ids.has(comment.id))
+      .map((comment) => (comment.parentId && ids.has(comment.parentId) ? { ...comment, parentId: survivingAncestor(comment.parentId) } : comment));
+  };
+
+  /**
+   * Applies a moderation action to a set of comments, one write per affected post.
+   * @param {string} action One of the MODERATION_ACTIONS keys
+   * @param {Array<string>} ids Comment ids
+   * @return {Promise<{action: string, updated: Array<string>, missing: Array<string>}>}
+   */
+  const apply = async (action, ids) => {
+    if (!Object.prototype.hasOwnProperty.call(MODERATION_ACTIONS, action)) {
+      throw new Error(`Unknown moderation action: ${action}`);
+    }
+    const wanted = new Set(ids);
+    const posts = await listRecords(postsContainer);
+    const updated = [];
+
+    for (const post of posts) {
+      if (!(post.comments || []).some((comment) => wanted.has(comment.id))) continue;
+      const saved = await updateRecord(postsContainer, post.id, (current) => {
+        const comments = Array.isArray(current.comments) ? current.comments : [];
+        const hits = comments.filter((comment) => wanted.has(comment.id));
+        if (!hits.length) return null;
+        hits.forEach((comment) => updated.push(comment.id));
+        if (action === 'delete') {
+          return { ...current, comments: removeComments(comments, new Set(hits.map((comment) => comment.id))) };
+        }
+        const now = new Date().toISOString();
+        return {
+          ...current,
+          comments: comments.map((comment) => {
+            if (!wanted.has(comment.id)) return comment;
+            const moderated = { ...comment, status: MODERATION_ACTIONS[action], updatedAt: now };
+            if (action === 'approve') {
+              moderated.reports = [];
+              moderated.reportCount = 0;
+            }
+            return moderated;
+          })
+        };
+      }, { touch: false });
+      if (saved) {
+        log.info?.('Moderated comments', { postId: post.id, action });
+      }
+    }
+
+    if (updated.length) {
+      await invalidateFeedCache();
+    }
+    return { action, updated, missing: ids.filter((id) => !updated.includes(id)) };
+  };
+
+  /**
+   * Edits one comment's text and/or status in the post's latest comments. Setting it to
+   * `published` dismisses its reports, as approving does.
+   * @param {string} commentId
+   * @param {{body?: string, status?: string}} changes `status` is one of MODERATED_STATUSES
+   * @return {Promise<Object|null>} The edited comment, or null when there is no such comment.
+   */
+  const edit = async (commentId, { body, status }) => {
+    if (status !== undefined && !MODERATED_STATUSES.includes(status)) {
+      throw new Error(`Unknown comment status: ${status}`);
+    }
+    const posts = await listRecords(postsContainer);
+    const post = posts.find((candidate) => (candidate.comments || []).some((comment) => comment.id === commentId));
+    if (!post) return null;
+
+    let edited = null;
+    await updateRecord(postsContainer, post.id, (current) => {
+      const comments = Array.isArray(current.comments) ? current.comments : [];
+      const target = comments.find((comment) => comment.id === commentId);
+      if (!target) return null;
+      edited = {
+        ...target,
+        body: body !== undefined ? body : target.body,
+        status: status || target.status,
+        updatedAt: new Date().toISOString()
+      };
+      if (status === 'published') {
+        edited.reports = [];
+        edited.reportCount = 0;
+      }
+      return { ...current, comments: comments.map((comment) => (comment.id === commentId ? edited : comment)) };
+    }, { touch: false });
+
+    if (edited) {
+      log.info?.('Edited comment', { postId: post.id, commentId, status: edited.status });
+      await invalidateFeedCache();
+    }
+    return edited;
+  };
+
+  return {
+    resolveInitialStatus,
+    listQueue,
+    report,
+    apply,
+    edit
+  };
+}
+
+createCommentModerator.MODERATION_MODES = MODERATION_MODES;
+createCommentModerator.MODERATION_ACTIONS = MODERATION_ACTIONS;
+createCommentModerator.MODERATED_STATUSES = MODERATED_STATUSES;
+createCommentModerator.REPORT_REASONS = REPORT_REASONS;
+
+module.exports = createCommentModerator;
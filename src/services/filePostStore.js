@@ -2,9 +2,92 @@
 
 const path = require('path');
 const fs = require('fs').promises;
+const createPostHistoryStore = require('./postHistoryStore');
+const createKeyedQueue = require('./keyedQueue');
+const { parseFrontMatter, stringifyFrontMatter } = require('./frontMatter');
 
 const POST_EXTENSION = '.post';
 
+/**
+ * Formats a post file can be written in: `legacy` `Name: value` headers followed by a
+ * `Story:` line, or `yaml` front matter between `---` lines followed by the story.
+ * Both are always read.
+ */
+const POST_FORMATS = ['legacy', 'yaml'];
+const DEFAULT_POST_FORMAT = 'legacy';
+const FRONT_MATTER_FENCE = '---';
+
+// Record fields front matter stores in this order; any others follow them. `stats` and
+// `comments` are left out once the blog keeps reader activity in its own store
+const FRONT_MATTER_FIELDS = ['title', 'subtitle', 'author', 'tags', 'coverImage', 'slug', 'previousSlugs', 'status', 'publishedAt', 'scheduledFor', 'createdAt', 'updatedAt', 'version', 'stats', 'seo', 'contentFormat', 'excerpt', 'comments'];
+// Record fields worked out again whenever a post is read
+const DERIVED_FIELDS = ['id', 'content', 'tagSlugs', 'readTimeMinutes'];
+const FRONT_MATTER_DATES = ['publishedAt', 'scheduledFor', 'createdAt', 'updatedAt'];
+
+// Posts are written to a temporary file first; listings and the watcher skip these
+const TEMP_EXTENSION = '.tmp';
+
+// Lock key for creating posts; slugs never contain a colon, so no post id can clash with it
+const CREATE_LOCK = ':create';
+
+// How long a full listing trusts the in-memory index before checking files for outside changes
+const INDEX_CHECK_INTERVAL_MS = 1000;
+
+const REPORT_FIELD_SEPARATOR = ' | ';
+
+const DATE_HEADERS = ['published', 'schedule', 'created', 'updated'];
+const NUMBER_HEADERS = ['claps', 'bookmarks', 'views', 'comments', 'version'];
+const STATUSES = ['published', 'scheduled', 'draft'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const asText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+// Front matter lists may also be written as one comma-separated string
+const asList = (value) => {
+  if (Array.isArray(value)) return value.filter((item) => item !== null && item !== undefined);
+  return typeof value === 'string' ? value.split(',').map((item) => item.trim()).filter(Boolean) : [];
+};
+
+/**
+ * Formats an abuse report as a single `Report:` line: reader key, reason, time and details.
+ */
+function formatReportLine(report) {
+  const details = String(report.details || '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s\|\s/g, ' / ')
+    .trim();
+  const fields = [report.reader || '', report.reason || 'other', report.createdAt || ''];
+  if (details) fields.push(details);
+  return fields.join(REPORT_FIELD_SEPARATOR);
+}
+
+/**
+ * Parses a `Report:` line written by formatReportLine.
+ */
+function parseReportLine(value) {
+  const [reader, reason, createdAt, ...rest] = value.split(REPORT_FIELD_SEPARATOR);
+  if (!reader) return null;
+  return {
+    reader: reader.trim(),
+    reason: (reason || 'other').trim(),
+    createdAt: (createdAt || '').trim(),
+    details: rest.join(REPORT_FIELD_SEPARATOR).trim()
+  };
+}
+
+const AUTHOR_HANDLE_PATTERN = /^(.*?)\s*\(@([a-z0-9-]+)\)$/;
+
+/**
+ * Parses an `Author:` header. Bylines whose handle is not simply the slug of the
+ * name carry it explicitly, as in `Stephen (@stephen-2)`.
+ */
+function parseAuthorLine(value) {
+  const match = AUTHOR_HANDLE_PATTERN.exec(value || '');
+  if (!match) return value || 'Anonymous';
+  return { name: match[1] || match[2], handle: match[2] };
+}
+
 /**
  * Creates a file-backed post store using the NooblyJS filing service.
  * @param {Object} deps
@@ -15,9 +98,13 @@ const POST_EXTENSION = '.post';
  * @param {Function} deps.estimateReadTime
  * @param {Function} deps.normalizeTags
  * @param {Function} deps.normalizeAuthor
+ * @param {Function=} deps.getTagAliases Returns the tag aliases applied when a post is written
+ * @param {Function=} deps.getPostFormat Resolves the format posts are written in (one of POST_FORMATS)
+ * @param {Function=} deps.keepsActivity Whether post files keep their comments and counters (the
+ *   default), or the blog has moved them to its activity store
  * @return {Object}
  */
-function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateReadTime, normalizeTags, normalizeAuthor }) {
+function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateReadTime, normalizeTags, normalizeAuthor, getTagAliases, getPostFormat, keepsActivity = () => true }) {
   if (!filing) {
     throw new Error('filePostStore requires a filing provider.');
   }
@@ -30,14 +117,23 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
   const baseDir = path.resolve(process.cwd(), 'posts');
   const publishedDir = path.join(baseDir, 'published');
   const draftsDir = path.join(baseDir, 'drafts');
+  const historyDir = path.join(baseDir, 'history');
+  const recoveredDir = path.join(baseDir, 'recovered');
+
+  const history = createPostHistoryStore({ filing, logger: log, baseDir: historyDir, normalizeAuthor });
+
+  // Updates to one post run one at a time, so concurrent claps and comments cannot overwrite each other
+  const lock = createKeyedQueue();
 
   let readyPromise;
+  let seeded = false;
 
   const ensureReady = () => {
     if (!readyPromise) {
       readyPromise = (async () => {
         await fs.mkdir(publishedDir, { recursive: true });
         await fs.mkdir(draftsDir, { recursive: true });
+        await recoverInterruptedWrites();
         await seedIfNeeded();
       })().catch((error) => {
         log.error?.('postStore initialization failed', { error: error.message });
@@ -70,7 +166,42 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
     }
   };
 
+  /**
+   * Splits a front matter document into its YAML and its story.
+   * @return {{yaml: string, firstLine: number, closed: boolean, story: string}|null} Null for legacy documents.
+   */
+  const splitFrontMatter = (raw = '') => {
+    const lines = raw.toString().replace(/^\uFEFF/, '').split(/\r?\n/);
+    if (lines[0].trim() !== FRONT_MATTER_FENCE) return null;
+    const end = lines.findIndex((line, index) => index > 0 && line.trim() === FRONT_MATTER_FENCE);
+    return {
+      yaml: lines.slice(1, end === -1 ? lines.length : end).join('\n'),
+      firstLine: 2,
+      closed: end !== -1,
+      story: end === -1 ? '' : lines.slice(end + 1).join('\n').replace(/^\s*\n/, '')
+    };
+  };
+
+  /**
+   * Parses a post file in either format. Broken front matter reads as empty, like a
+   * legacy file without headers; findDocumentProblems tells where it broke.
+   * @return {{format: string, data: Object, story: string}|{format: string, meta: Object, story: string, comments: Array}}
+   */
   const parseDocument = (raw = '') => {
+    const document = splitFrontMatter(raw);
+    if (!document) {
+      return { format: 'legacy', ...parseHeaderDocument(raw) };
+    }
+    let data = {};
+    try {
+      data = parseFrontMatter(document.yaml, document.firstLine);
+    } catch (error) {
+      if (error.code !== 'FRONT_MATTER_INVALID') throw error;
+    }
+    return { format: 'yaml', data: isPlainObject(data) ? data : {}, story: document.story };
+  };
+
+  const parseHeaderDocument = (raw = '') => {
     const text = raw.toString();
     const lines = text.split(/\r?\n/);
     const storyIndex = lines.findIndex((line) => line.trim().toLowerCase() === 'story:');
@@ -116,24 +247,35 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
         const value = trimmed.slice(colonIndex + 1).trim();
         
         if (!currentComment) {
-          currentComment = { id: '', author: { name: '', handle: '' }, body: '', status: 'published', createdAt: '', updatedAt: '' };
+          currentComment = { id: '', parentId: null, author: { name: '', handle: '' }, body: '', status: 'published', createdAt: '', updatedAt: '' };
         }
         
         if (key === 'id') {
           currentComment.id = value;
+        } else if (key === 'parent') {
+          currentComment.parentId = value || null;
         } else if (key === 'author') {
           currentComment.author = normalizeAuthor(value);
+        } else if (key === 'account') {
+          currentComment.accountId = value || null;
         } else if (key === 'status') {
           currentComment.status = value || 'published';
         } else if (key === 'created') {
           currentComment.createdAt = value;
         } else if (key === 'updated') {
           currentComment.updatedAt = value;
+        } else if (key === 'reports') {
+          currentComment.reportCount = Number(value) || 0;
+        } else if (key === 'report') {
+          const report = parseReportLine(value);
+          if (report) {
+            currentComment.reports = [...(currentComment.reports || []), report];
+          }
         }
       } else {
         // Comment body line
         if (!currentComment) {
-          currentComment = { id: '', author: { name: 'Anonymous', handle: 'anonymous' }, body: '', status: 'published', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+          currentComment = { id: '', parentId: null, author: { name: 'Anonymous', handle: 'anonymous' }, body: '', status: 'published', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
         }
         if (currentComment.body) {
           currentComment.body += '\n' + trimmed;
@@ -190,6 +332,102 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
     return `${formatDateOutput(iso)} ${time}`;
   };
 
+  /**
+   * Lists what a post file gets wrong, each with its line number. Files are still read
+   * leniently (a bad date is ignored, a missing title becomes "Untitled"); this is for
+   * telling whoever edited the file by hand.
+   * @param {string} raw
+   * @return {Array<{line: number, message: string}>}
+   */
+  const findDocumentProblems = (raw = '') => {
+    const document = splitFrontMatter(raw);
+    return document ? findFrontMatterProblems(document) : findHeaderProblems(raw);
+  };
+
+  const findFrontMatterProblems = (document) => {
+    let data;
+    try {
+      data = parseFrontMatter(document.yaml, document.firstLine);
+    } catch (error) {
+      if (error.code !== 'FRONT_MATTER_INVALID') throw error;
+      return [{ line: error.line, message: error.reason }];
+    }
+    const lines = document.yaml.split(/\r?\n/);
+    const lineOf = (key) => {
+      const at = lines.findIndex((line) => line.startsWith(`${key}:`));
+      return at === -1 ? 1 : at + document.firstLine;
+    };
+    const problems = [];
+    if (!asText(data.title)) {
+      problems.push({ line: 1, message: 'Missing "title".' });
+    }
+    FRONT_MATTER_DATES.forEach((key) => {
+      if (asText(data[key]) && !parseDateField(asText(data[key]))) {
+        problems.push({ line: lineOf(key), message: `"${key}" is not a date: "${data[key]}" (use an ISO date).` });
+      }
+    });
+    if (asText(data.status) && !STATUSES.includes(asText(data.status).toLowerCase())) {
+      problems.push({ line: lineOf('status'), message: `Unknown status "${data.status}"; the post is read as a draft.` });
+    }
+    if (data.version !== undefined && data.version !== null && !Number.isFinite(Number(data.version))) {
+      problems.push({ line: lineOf('version'), message: `"version" is not a number: "${data.version}".` });
+    }
+    ['author', 'stats', 'seo'].forEach((key) => {
+      if (data[key] !== undefined && data[key] !== null && !isPlainObject(data[key]) && !(key === 'author' && typeof data[key] === 'string')) {
+        problems.push({ line: lineOf(key), message: `"${key}" must be a mapping of "key: value" pairs.` });
+      }
+    });
+    if (data.comments !== undefined && data.comments !== null && !Array.isArray(data.comments)) {
+      problems.push({ line: lineOf('comments'), message: '"comments" must be a list.' });
+    }
+    if (!document.closed) {
+      problems.push({ line: lines.length + 1, message: 'Missing the closing "---" line, so the post has no content.' });
+    }
+    return problems;
+  };
+
+  const findHeaderProblems = (raw) => {
+    const lines = raw.toString().split(/\r?\n/);
+    const storyIndex = lines.findIndex((line) => line.trim().toLowerCase() === 'story:');
+    const headerLines = storyIndex === -1 ? lines : lines.slice(0, storyIndex);
+    const problems = [];
+    const seen = new Set();
+    headerLines.forEach((text, index) => {
+      const line = index + 1;
+      if (!text.trim()) return;
+      const separator = text.indexOf(':');
+      if (separator === -1) {
+        problems.push({ line, message: `Expected "Name: value" but found "${text.trim()}".` });
+        return;
+      }
+      const name = text.slice(0, separator).trim();
+      const key = name.toLowerCase();
+      const value = text.slice(separator + 1).trim();
+      if (seen.has(key)) {
+        problems.push({ line, message: `"${name}" is set more than once; the last one is used.` });
+      }
+      seen.add(key);
+      if (!value) return;
+      if (DATE_HEADERS.includes(key) && !parseDateField(value)) {
+        problems.push({ line, message: `"${name}" is not a date: "${value}" (use YYYY/MM/DD or an ISO date).` });
+      } else if (NUMBER_HEADERS.includes(key) && !Number.isFinite(Number(value))) {
+        problems.push({ line, message: `"${name}" is not a number: "${value}".` });
+      } else if (key === 'status' && !STATUSES.includes(value.toLowerCase())) {
+        problems.push({ line, message: `Unknown status "${value}"; the post is read as a draft.` });
+      }
+    });
+    if (!seen.has('title')) {
+      problems.push({ line: 1, message: 'Missing the "Title:" header.' });
+    }
+    if (storyIndex === -1) {
+      problems.push({ line: lines.length, message: 'Missing the "Story:" line, so the post has no content.' });
+    }
+    return problems;
+  };
+
+  const carriesActivity = (post) =>
+    post.comments.length > 0 || ['views', 'claps', 'bookmarks'].some((counter) => post.stats[counter] > 0);
+
   const normalizeStatus = (value) => {
     const status = (value || '').toString().toLowerCase();
     if (status === 'published') return 'published';
@@ -221,6 +459,7 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
         comments: Number(post.stats?.comments || 0)
       },
       comments: Array.isArray(post.comments) ? post.comments.map(c => ({ ...c })) : [],
+      previousSlugs: Array.isArray(post.previousSlugs) ? [...post.previousSlugs] : [],
       author: post.author ? { ...post.author } : null,
       seo: post.seo ? { ...post.seo } : null
     };
@@ -235,7 +474,11 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
     const content = (story || '').replace(/\r\n/g, '\n').trimEnd();
     const tags = normalizeTags(meta.tags ? meta.tags.split(',') : []);
     const slug = meta.slug || toSlug(title) || id;
-    const author = normalizeAuthor(meta.author || 'Anonymous');
+    const previousSlugs = (meta['previous slugs'] || '')
+      .split(',')
+      .map((value) => value.trim())
+      .filter((value) => value && value !== slug);
+    const author = normalizeAuthor(parseAuthorLine(meta.author));
     const status = normalizeStatus(meta.status || statusHint);
     const scheduledFor = parseDateField(meta.schedule);
     let publishedAt = parseDateField(meta.published);
@@ -252,7 +495,7 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
       views: Number(meta.views ?? 0) || 0,
       claps: Number(meta.claps ?? 0) || 0,
       bookmarks: Number(meta.bookmarks ?? 0) || 0,
-      comments: Number(meta.comments ?? 0) || (comments ? comments.length : 0)
+      comments: Number(meta.comments ?? 0) || (comments ? comments.filter((comment) => (comment.status || 'published') === 'published').length : 0)
     };
 
     const record = {
@@ -260,6 +503,7 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
       title,
       subtitle: meta.subtitle || '',
       slug,
+      previousSlugs,
       author,
       content,
       excerpt: buildExcerpt(content, 220),
@@ -278,6 +522,7 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
         canonicalUrl: null
       },
       contentFormat: 'markdown',
+      version: Number(meta.version) || 1,
       createdAt,
       updatedAt
     };
@@ -285,25 +530,194 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
     return record;
   };
 
-  const serializePost = (post) => {
+  const buildCommentFromFrontMatter = (comment) => ({
+    ...comment,
+    id: asText(comment.id),
+    parentId: asText(comment.parentId) || null,
+    author: normalizeAuthor(comment.author || 'Anonymous'),
+    body: asText(comment.body),
+    status: asText(comment.status) || 'published',
+    createdAt: asText(comment.createdAt),
+    updatedAt: asText(comment.updatedAt)
+  });
+
+  /**
+   * Builds a post from YAML front matter. Fields the blog does not know (a series,
+   * co-authors) are kept on the record as they were written.
+   */
+  const buildRecordFromFrontMatter = (data, story, filePath, statusHint, fileStats) => {
+    const id = path.basename(filePath, POST_EXTENSION);
+    const extra = Object.fromEntries(Object.entries(data).filter(([key]) => !FRONT_MATTER_FIELDS.includes(key) && !DERIVED_FIELDS.includes(key)));
+    const title = asText(data.title) || 'Untitled';
+    const content = (story || '').replace(/\r\n/g, '\n').trimEnd();
+    const tags = normalizeTags(asList(data.tags).map(String));
+    const slug = asText(data.slug) || toSlug(title) || id;
+    const status = normalizeStatus(asText(data.status) || statusHint);
+    const scheduledFor = parseDateField(asText(data.scheduledFor));
+    let publishedAt = parseDateField(asText(data.publishedAt));
+    if (status !== 'published') {
+      if (status !== 'scheduled') {
+        publishedAt = null;
+      }
+    } else if (!publishedAt && fileStats) {
+      publishedAt = fileStats.mtime.toISOString();
+    }
+    const createdAt = parseDateField(asText(data.createdAt)) || publishedAt || (fileStats ? fileStats.birthtime.toISOString() : new Date().toISOString());
+    const updatedAt = parseDateField(asText(data.updatedAt)) || (fileStats ? fileStats.mtime.toISOString() : createdAt);
+    const comments = asList(data.comments).filter(isPlainObject).map(buildCommentFromFrontMatter).filter((comment) => comment.body);
+    const stats = isPlainObject(data.stats) ? data.stats : {};
+    const seo = isPlainObject(data.seo) ? data.seo : {};
+
+    return {
+      ...extra,
+      id,
+      title,
+      subtitle: asText(data.subtitle),
+      slug,
+      previousSlugs: asList(data.previousSlugs).map(String).filter((value) => value && value !== slug),
+      author: normalizeAuthor(data.author || 'Anonymous'),
+      content,
+      excerpt: asText(data.excerpt) || buildExcerpt(content, 220),
+      coverImage: asText(data.coverImage) || null,
+      tags,
+      tagSlugs: tags.map((tag) => toSlug(tag)),
+      status,
+      publishedAt,
+      scheduledFor,
+      readTimeMinutes: estimateReadTime(content),
+      stats: {
+        views: Number(stats.views ?? 0) || 0,
+        claps: Number(stats.claps ?? 0) || 0,
+        bookmarks: Number(stats.bookmarks ?? 0) || 0,
+        comments: Number(stats.comments ?? 0) || comments.filter((comment) => comment.status === 'published').length
+      },
+      comments,
+      seo: {
+        ...seo,
+        title: asText(seo.title) || title,
+        description: asText(seo.description) || buildExcerpt(content, 160),
+        canonicalUrl: asText(seo.canonicalUrl) || null
+      },
+      contentFormat: asText(data.contentFormat) || 'markdown',
+      version: Number(data.version) || 1,
+      createdAt,
+      updatedAt
+    };
+  };
+
+  /**
+   * Formats the `Author:` header, adding the handle when the name alone would not lead back to it.
+   */
+  const formatAuthorLine = (author) => {
+    const name = author?.name || 'Anonymous';
+    return author?.handle && author.handle !== toSlug(name) ? `${name} (@${author.handle})` : name;
+  };
+
+  const toFrontMatterAuthor = (author) => ({
+    name: author?.name || 'Anonymous',
+    handle: author?.handle || toSlug(author?.name || '') || 'anonymous'
+  });
+
+  /**
+   * Writes a post as YAML front matter followed by its story. Every field of the record
+   * is kept, except those worked out again when it is read and, without `activity`, its
+   * comments and stats.
+   */
+  const serializeFrontMatterPost = (post, { activity = true } = {}) => {
+    const content = (post.content || '').replace(/\r\n/g, '\n').trimEnd();
+    const extra = Object.fromEntries(
+      Object.entries(post).filter(([key]) => !FRONT_MATTER_FIELDS.includes(key) && !DERIVED_FIELDS.includes(key))
+    );
+    const comments = activity && Array.isArray(post.comments) ? post.comments : [];
+    const data = {
+      title: post.title || 'Untitled',
+      subtitle: post.subtitle || '',
+      author: toFrontMatterAuthor(post.author),
+      tags: Array.isArray(post.tags) ? post.tags : [],
+      coverImage: post.coverImage || null,
+      slug: post.slug || post.id,
+      previousSlugs: Array.isArray(post.previousSlugs) ? post.previousSlugs : [],
+      status: post.status || 'draft',
+      publishedAt: post.publishedAt || null,
+      scheduledFor: post.scheduledFor || null,
+      createdAt: post.createdAt || null,
+      updatedAt: post.updatedAt || null,
+      version: Number(post.version || 1),
+      stats: activity
+        ? {
+            views: Number(post.stats?.views || 0),
+            claps: Number(post.stats?.claps || 0),
+            bookmarks: Number(post.stats?.bookmarks || 0),
+            comments: Number(post.stats?.comments || 0)
+          }
+        : undefined,
+      seo: post.seo ? { ...post.seo } : undefined,
+      contentFormat: post.contentFormat || 'markdown',
+      // Only an excerpt written by hand; the usual one comes from the story
+      excerpt: post.excerpt && post.excerpt !== buildExcerpt(content, 220) ? post.excerpt : undefined,
+      ...extra,
+      comments: comments.length
+        ? comments.map(({ id, parentId, author, status, createdAt, updatedAt, body, ...rest }) => ({
+            id: id || '',
+            parentId: parentId || null,
+            author: toFrontMatterAuthor(author),
+            status: status || 'published',
+            createdAt: createdAt || null,
+            updatedAt: updatedAt && updatedAt !== createdAt ? updatedAt : undefined,
+            ...rest,
+            body: body || ''
+          }))
+        : undefined
+    };
+    return `${FRONT_MATTER_FENCE}\n${stringifyFrontMatter(data)}${FRONT_MATTER_FENCE}\n\n${content ? `${content}\n` : ''}`;
+  };
+
+  /**
+   * Writes a post in one of POST_FORMATS, with its comments and counters unless
+   * `options.activity` is false.
+   */
+  const serializePost = (post, format = DEFAULT_POST_FORMAT, options) =>
+    format === 'yaml' ? serializeFrontMatterPost(post, options) : serializeHeaderPost(post, options);
+
+  /**
+   * The format new writes use: the one `deps.getPostFormat` picks, or legacy headers.
+   */
+  const resolvePostFormat = async () => {
+    if (!getPostFormat) return DEFAULT_POST_FORMAT;
+    try {
+      const format = await getPostFormat();
+      return POST_FORMATS.includes(format) ? format : DEFAULT_POST_FORMAT;
+    } catch (error) {
+      log.warn?.('Failed to resolve the post file format', { error: error.message });
+      return DEFAULT_POST_FORMAT;
+    }
+  };
+
+  const serializeHeaderPost = (post, { activity = true } = {}) => {
     const tagsLine = Array.isArray(post.tags) ? post.tags.join(', ') : '';
     const story = (post.content || '').replace(/\r\n/g, '\n').trimEnd();
     const lines = [
       ['Title', post.title || 'Untitled'],
       ['Subtitle', post.subtitle || ''],
-      ['Author', post.author?.name || 'Anonymous'],
+      ['Author', formatAuthorLine(post.author)],
       ['Tags', tagsLine],
       ['Cover Image URL', post.coverImage || ''],
       ['Slug', post.slug || post.id],
+      ['Previous Slugs', Array.isArray(post.previousSlugs) ? post.previousSlugs.join(', ') : ''],
       ['Status', post.status || 'draft'],
       ['Published', formatDateOutput(post.publishedAt)],
       ['Schedule', formatDateTimeOutput(post.scheduledFor)],
       ['Created', post.createdAt || ''],
       ['Updated', post.updatedAt || ''],
-      ['Claps', Number(post.stats?.claps || 0)],
-      ['Bookmarks', Number(post.stats?.bookmarks || 0)],
-      ['Views', Number(post.stats?.views || 0)],
-      ['Comments', Number(post.stats?.comments || 0)]
+      ...(activity
+        ? [
+            ['Claps', Number(post.stats?.claps || 0)],
+            ['Bookmarks', Number(post.stats?.bookmarks || 0)],
+            ['Views', Number(post.stats?.views || 0)],
+            ['Comments', Number(post.stats?.comments || 0)]
+          ]
+        : []),
+      ['Version', Number(post.version || 1)]
     ];
     const header = lines
       .map(([label, value]) => `${label}: ${value === null || value === undefined ? '' : value}`)
@@ -312,14 +726,20 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
     
     // Serialize comments
     let commentsBlock = '';
-    if (Array.isArray(post.comments) && post.comments.length > 0) {
+    if (activity && Array.isArray(post.comments) && post.comments.length > 0) {
       const commentLines = ['Comments:'];
       post.comments.forEach((comment, index) => {
         if (index > 0) {
           commentLines.push('---');
         }
         commentLines.push(`ID: ${comment.id || ''}`);
+        if (comment.parentId) {
+          commentLines.push(`Parent: ${comment.parentId}`);
+        }
         commentLines.push(`Author: ${comment.author?.name || 'Anonymous'}`);
+        if (comment.accountId) {
+          commentLines.push(`Account: ${comment.accountId}`);
+        }
         commentLines.push(`Status: ${comment.status || 'published'}`);
         if (comment.createdAt) {
           commentLines.push(`Created: ${comment.createdAt}`);
@@ -327,6 +747,10 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
         if (comment.updatedAt && comment.updatedAt !== comment.createdAt) {
           commentLines.push(`Updated: ${comment.updatedAt}`);
         }
+        if (Array.isArray(comment.reports) && comment.reports.length > 0) {
+          commentLines.push(`Reports: ${comment.reports.length}`);
+          comment.reports.forEach((report) => commentLines.push(`Report: ${formatReportLine(report)}`));
+        }
         commentLines.push(''); // Blank line before body
         if (comment.body) {
           commentLines.push(comment.body);
@@ -338,11 +762,41 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
     return `${header}\n\nStory:\n\n${storyBlock}${commentsBlock}`;
   };
 
-  const persistRecord = async (record, previousPath) => {
+  let tempCounter = 0;
+
+  /**
+   * Writes a post file so that readers, and a crash, only ever see its old or its new
+   * content: the document goes to a temporary file in the same folder, is flushed to
+   * disk and then renamed over the post.
+   */
+  const writeAtomically = async (targetPath, doc) => {
+    const tempPath = path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.${process.pid}-${++tempCounter}${TEMP_EXTENSION}`);
+    try {
+      const handle = await fs.open(tempPath, 'w');
+      try {
+        await handle.writeFile(doc, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempPath, targetPath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  };
+
+  const persistRecord = async (record, previousPath, options) => {
     await ensureReady();
-    // Preserve comments from existing record if updating and new record doesn't have comments
+    return writeRecord(record, previousPath, options);
+  };
+
+  // Writes without waiting for the store to be ready, for the startup work that makes it ready
+  const writeRecord = async (record, previousPath, { touch = true, activity = keepsActivity() } = {}) => {
+    // Preserve comments from existing record if updating and new record doesn't carry them
+    // (an empty array is kept as-is so removing the last comment sticks)
     let existingComments = [];
-    if (!Array.isArray(record.comments) || record.comments.length === 0) {
+    if (activity && !Array.isArray(record.comments)) {
       // Try to get existing comments from the current file
       const currentPath = previousPath || path.join(record.status === 'published' ? publishedDir : draftsDir, `${record.id}${POST_EXTENSION}`);
       if (await fileExists(currentPath)) {
@@ -363,15 +817,19 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
       title: record.title || 'Untitled',
       subtitle: record.subtitle || '',
       tags: Array.isArray(record.tags) ? [...record.tags] : [],
-      comments: Array.isArray(record.comments) && record.comments.length > 0 ? record.comments : existingComments,
-      stats: { ...(record.stats || {}) },
+      // Without activity the file keeps neither comments nor counters
+      comments: !activity ? [] : Array.isArray(record.comments) ? record.comments : existingComments,
+      stats: activity ? { ...(record.stats || {}) } : {},
       seo: record.seo ? { ...record.seo } : null,
       author: record.author ? { ...record.author } : record.author
     };
 
     normalized.slug = normalized.slug || toSlug(normalized.title) || normalized.id;
+    normalized.previousSlugs = Array.isArray(normalized.previousSlugs)
+      ? [...new Set(normalized.previousSlugs)].filter((slug) => slug && slug !== normalized.slug)
+      : [];
     normalized.status = normalizeStatus(normalized.status);
-    normalized.tags = normalizeTags(normalized.tags);
+    normalized.tags = normalizeTags(normalized.tags, getTagAliases ? getTagAliases() : undefined);
     normalized.tagSlugs = normalized.tags.map((tag) => toSlug(tag));
     normalized.author = normalizeAuthor(normalized.author);
     normalized.content = (normalized.content || '').replace(/\r\n/g, '\n');
@@ -386,8 +844,10 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
     } else {
       normalized.publishedAt = null;
     }
-    // Update comment count from actual comments array
-    const commentCount = Array.isArray(normalized.comments) ? normalized.comments.length : 0;
+    // Update comment count from the comments readers can see (held, rejected and spam comments don't count)
+    const commentCount = Array.isArray(normalized.comments)
+      ? normalized.comments.filter((comment) => (comment.status || 'published') === 'published').length
+      : 0;
     normalized.stats = {
       views: Number(normalized.stats.views || 0),
       claps: Number(normalized.stats.claps || 0),
@@ -406,20 +866,19 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
           canonicalUrl: null
         };
     normalized.contentFormat = normalized.contentFormat || 'markdown';
+    normalized.version = Number(normalized.version) || 1;
 
     const nowIso = new Date().toISOString();
     normalized.createdAt = normalized.createdAt || nowIso;
-    normalized.updatedAt = nowIso;
+    normalized.updatedAt = touch || !normalized.updatedAt ? nowIso : normalized.updatedAt;
 
     const targetDir = normalized.status === 'published' ? publishedDir : draftsDir;
     const targetPath = path.join(targetDir, `${normalized.id}${POST_EXTENSION}`);
-    const doc = serializePost(normalized);
+    const doc = serializePost(normalized, await resolvePostFormat(), { activity });
 
-    if (await fileExists(targetPath)) {
-      await filing.update(targetPath, doc);
-    } else {
-      await filing.create(targetPath, doc);
-    }
+    // The new file is in place before the old one goes; a crash in between leaves the post
+    // in both folders, which startup recovery resolves
+    await writeAtomically(targetPath, doc);
 
     if (previousPath && previousPath !== targetPath) {
       try {
@@ -430,80 +889,297 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
         }
       }
     }
+    await indexWritten(targetPath, doc);
 
     return finalize(normalized, targetPath);
   };
 
-  const readPostFile = async (filePath, statusHint) => {
-    const raw = await filing.read(filePath, 'utf8');
-    let fileStats = null;
+  /**
+   * Parsed posts kept in memory, keyed by id, with slug maps for lookups by the current
+   * slug and by every slug a post used before. Writes through this store update it
+   * directly; files changed by anything else are noticed by their mtime and size, which
+   * are checked on every lookup of a single post and, for whole listings, at most every
+   * INDEX_CHECK_INTERVAL_MS. Callers always get copies, so they cannot change the index.
+   */
+  const index = {
+    entries: new Map(),
+    current: new Map(),
+    previous: new Map(),
+    checkedAt: 0,
+    checking: null
+  };
+
+  const statFile = async (filePath) => {
     try {
-      fileStats = await fs.stat(filePath);
-    } catch (_) {
-      // ignore stat errors
+      return await fs.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
     }
-    const { meta, story, comments } = parseDocument(raw);
-    const record = buildRecordFromMeta(meta, story, comments, filePath, statusHint, fileStats);
+  };
+
+  const isFresh = (entry, filePath, stats) =>
+    Boolean(entry && entry.filePath === filePath && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size);
+
+  const copyOf = (entry) => finalize(entry.post, entry.filePath);
+
+  const unindexSlugs = (id) => {
+    const entry = index.entries.get(id);
+    if (!entry) return;
+    const { post } = entry;
+    if (index.current.get(post.slug) === id) index.current.delete(post.slug);
+    post.previousSlugs.forEach((slug) => {
+      if (index.previous.get(slug) === id) index.previous.delete(slug);
+    });
+  };
+
+  const setEntry = (post, filePath, stats, problems = []) => {
+    unindexSlugs(post.id);
+    index.entries.set(post.id, { post, filePath, mtimeMs: stats.mtimeMs, size: stats.size, problems, indexedAt: Date.now() });
+    index.current.set(post.slug, post.id);
+    post.previousSlugs.forEach((slug) => {
+      if (!index.previous.has(slug)) index.previous.set(slug, post.id);
+    });
+    return index.entries.get(post.id);
+  };
+
+  const dropEntry = (id) => {
+    unindexSlugs(id);
+    index.entries.delete(id);
+  };
+
+  const statusHintFor = (filePath) => (path.dirname(filePath) === publishedDir ? 'published' : 'draft');
+
+  const parseFile = (raw, filePath, stats) => {
+    const document = parseDocument(raw);
+    const statusHint = statusHintFor(filePath);
+    const record =
+      document.format === 'yaml'
+        ? buildRecordFromFrontMatter(document.data, document.story, filePath, statusHint, stats)
+        : buildRecordFromMeta(document.meta, document.story, document.comments, filePath, statusHint, stats);
     return finalize(record, filePath);
   };
 
-  const readDirectory = async (dir, statusHint) => {
-    const files = (await safeList(dir)).filter(isPostFile);
-    const posts = [];
-    for (const file of files) {
-      const filePath = path.join(dir, file);
-      posts.push(await readPostFile(filePath, statusHint));
+  /**
+   * Indexes a document this store just wrote, parsed exactly as a later read would see it.
+   */
+  const indexWritten = async (filePath, doc) => {
+    const stats = await statFile(filePath);
+    if (stats) setEntry(parseFile(doc, filePath, stats), filePath, stats);
+  };
+
+  /**
+   * Reads and indexes a post file; `since` keeps an entry written while the read was
+   * under way from being replaced by what the read saw before.
+   * @return {Promise<Object|null>} The index entry, or null when the file disappeared.
+   */
+  const loadFile = async (filePath, stats, since) => {
+    let raw;
+    try {
+      raw = await filing.read(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    const post = parseFile(raw, filePath, stats);
+    const existing = index.entries.get(post.id);
+    if (since !== undefined && existing && existing.indexedAt > since) return existing;
+    return setEntry(post, filePath, stats, findDocumentProblems(raw));
+  };
+
+  /**
+   * Brings the index in step with both post directories, re-reading only files whose
+   * mtime or size changed. Skipped when the last check is recent, unless `force` is set.
+   */
+  const refreshIndex = async ({ force = false } = {}) => {
+    if (!force && index.checkedAt && Date.now() - index.checkedAt < INDEX_CHECK_INTERVAL_MS) return;
+    if (index.checking) {
+      await index.checking;
+      if (!force) return;
     }
-    return posts;
+    index.checking = (async () => {
+      const startedAt = Date.now();
+      const seen = new Set();
+      for (const dir of [publishedDir, draftsDir]) {
+        const files = (await safeList(dir)).filter(isPostFile);
+        for (const file of files) {
+          const filePath = path.join(dir, file);
+          const stats = await statFile(filePath);
+          if (!stats) continue;
+          const id = path.basename(file, POST_EXTENSION);
+          const entry = isFresh(index.entries.get(id), filePath, stats) ? index.entries.get(id) : await loadFile(filePath, stats, startedAt);
+          if (entry) seen.add(entry.post.id);
+        }
+      }
+      Array.from(index.entries.entries()).forEach(([id, entry]) => {
+        if (!seen.has(id) && entry.indexedAt <= startedAt) dropEntry(id);
+      });
+      index.checkedAt = Date.now();
+    })().finally(() => {
+      index.checking = null;
+    });
+    await index.checking;
   };
 
+  const byFilePath = (a, b) => {
+    const dirA = a.filePath.startsWith(publishedDir) ? 0 : 1;
+    const dirB = b.filePath.startsWith(publishedDir) ? 0 : 1;
+    if (dirA !== dirB) return dirA - dirB;
+    return a.filePath < b.filePath ? -1 : a.filePath > b.filePath ? 1 : 0;
+  };
+
+  /**
+   * Lists every post, published ones first.
+   * @return {Promise<Array<Object>>}
+   */
   const listAll = async () => {
     await ensureReady();
-    const [published, drafts] = await Promise.all([readDirectory(publishedDir, 'published'), readDirectory(draftsDir, 'draft')]);
-    return [...published, ...drafts];
+    await refreshIndex();
+    return Array.from(index.entries.values()).sort(byFilePath).map(copyOf);
   };
 
+  /**
+   * Retrieves a post by id, re-reading its file only when it changed since it was indexed.
+   * @param {string} id
+   * @return {Promise<Object|null>}
+   */
   const get = async (id) => {
     await ensureReady();
-    const publishedPath = path.join(publishedDir, `${id}${POST_EXTENSION}`);
-    if (await fileExists(publishedPath)) {
-      return readPostFile(publishedPath, 'published');
-    }
-    const draftPath = path.join(draftsDir, `${id}${POST_EXTENSION}`);
-    if (await fileExists(draftPath)) {
-      return readPostFile(draftPath, 'draft');
+    for (const dir of [publishedDir, draftsDir]) {
+      const filePath = path.join(dir, `${id}${POST_EXTENSION}`);
+      const stats = await statFile(filePath);
+      if (!stats) continue;
+      const entry = index.entries.get(id);
+      if (isFresh(entry, filePath, stats)) return copyOf(entry);
+      const loaded = await loadFile(filePath, stats);
+      if (loaded) return copyOf(loaded);
     }
+    dropEntry(id);
     return null;
   };
 
+  /**
+   * Finds a post by its current slug or by a slug it used before.
+   * Callers compare `post.slug` with the requested slug to decide whether to redirect.
+   * @param {string} slug
+   * @return {Promise<Object|null>}
+   */
+  const getBySlug = async (slug) => {
+    await ensureReady();
+    const lookup = async () => {
+      const id = index.current.get(slug) || index.previous.get(slug);
+      if (!id) return null;
+      const post = await get(id);
+      return post && (post.slug === slug || post.previousSlugs.includes(slug)) ? post : null;
+    };
+    await refreshIndex();
+    const post = await lookup();
+    if (post) return post;
+    // Files can change outside this process, so confirm a miss against a fresh index
+    await refreshIndex({ force: true });
+    return lookup();
+  };
+
+  /**
+   * Returns the id of another post currently using `slug`, or null when it is free.
+   * @param {string} slug
+   * @param {string=} exceptId
+   * @return {Promise<string|null>}
+   */
+  const findSlugOwner = async (slug, exceptId) => {
+    await ensureReady();
+    await refreshIndex({ force: true });
+    const owner = index.current.get(slug);
+    return owner && owner !== exceptId ? owner : null;
+  };
+
+  const assertSlugAvailable = async (slug, exceptId) => {
+    const owner = await findSlugOwner(slug, exceptId);
+    if (owner) {
+      const conflict = new Error(`Slug "${slug}" is already used by post ${owner}.`);
+      conflict.code = 'SLUG_CONFLICT';
+      conflict.slug = slug;
+      conflict.conflictingId = owner;
+      throw conflict;
+    }
+  };
+
   const ensureUniqueId = async (baseId) => {
+    await refreshIndex({ force: true });
     let candidate = baseId;
     let suffix = 1;
     while (
       await fileExists(path.join(publishedDir, `${candidate}${POST_EXTENSION}`)) ||
-      await fileExists(path.join(draftsDir, `${candidate}${POST_EXTENSION}`))
+      await fileExists(path.join(draftsDir, `${candidate}${POST_EXTENSION}`)) ||
+      index.current.has(candidate)
     ) {
       candidate = `${baseId}-${suffix++}`;
     }
     return candidate;
   };
 
-  const create = async (payload) => {
+  /**
+   * Creates a post. An explicit `payload.slug` must be free; otherwise the slug is
+   * derived from the title and made unique alongside the id.
+   * @throws {Error} With code `SLUG_CONFLICT` when the requested slug is taken.
+   */
+  const create = (payload, options = {}) => lock(CREATE_LOCK, () => createPost(payload, options));
+
+  const createPost = async (payload, options) => {
     await ensureReady();
-    const baseSlug = toSlug(payload.slug || payload.title || `post-${Date.now()}`) || `post-${Date.now()}`;
+    const requestedSlug = payload.slug ? toSlug(payload.slug) : null;
+    if (requestedSlug) {
+      await assertSlugAvailable(requestedSlug);
+    }
+    const baseSlug = requestedSlug || toSlug(payload.title || '') || `post-${Date.now()}`;
     const id = await ensureUniqueId(baseSlug);
     const record = {
       ...payload,
       id,
-      slug: payload.slug || baseSlug
+      slug: requestedSlug || id,
+      previousSlugs: []
     };
-    return persistRecord(record);
+    const saved = await persistRecord(record);
+    await recordRevision(null, saved, options);
+    return saved;
+  };
+
+  const recordRevision = async (previous, next, options) => {
+    try {
+      await history.record(previous, next, options);
+    } catch (error) {
+      log.error?.('Failed to record post revision', { postId: next.id, error: error.message });
+    }
   };
 
-  const update = async (id, updater) => {
+  const hasAuthoredChanges = (previous, next) => {
+    return JSON.stringify(history.snapshot(previous)) !== JSON.stringify(history.snapshot(next));
+  };
+
+  /**
+   * Updates a post, bumping its version and recording a revision when authored fields change.
+   * Engagement-only updates (views, claps, comments) keep the version so they never cause edit conflicts.
+   * @param {string} id
+   * @param {Function|Object} updater
+   * A slug change keeps the old slug in `previousSlugs` so existing links can redirect.
+   * @param {{actor?: (Object|string), restoredFrom?: number, expectedVersion?: number, touch?: boolean, activity?: boolean}=} options
+   *   `touch: false` keeps the post's updated date, for rewrites that are not edits; `activity`
+   *   overrides `deps.keepsActivity` for this write.
+   * @throws {Error} With code `VERSION_CONFLICT` and the `current` record when `expectedVersion` is stale.
+   * @throws {Error} With code `SLUG_CONFLICT` when the new slug belongs to another post.
+   */
+  const update = (id, updater, options = {}) => lock(id, () => updatePost(id, updater, options));
+
+  const updatePost = async (id, updater, options) => {
     await ensureReady();
     const existing = await get(id);
     if (!existing) return null;
+    if (options.expectedVersion !== undefined && options.expectedVersion !== null && Number(options.expectedVersion) !== existing.version) {
+      const conflict = new Error(`Post ${id} is at version ${existing.version}, expected ${options.expectedVersion}.`);
+      conflict.code = 'VERSION_CONFLICT';
+      conflict.current = existing;
+      throw conflict;
+    }
     const previousPath = existing.__filePath;
     const base = finalize(existing, previousPath);
     let next;
@@ -520,29 +1196,150 @@ function createFilePostStore({ filing, logger, toSlug, buildExcerpt, estimateRea
     if (!next) return null;
     next.id = id;
     next.slug = next.slug || existing.slug || id;
+    if (next.slug !== existing.slug) {
+      await assertSlugAvailable(next.slug, id);
+      next.previousSlugs = [...(existing.previousSlugs || []), existing.slug].filter((slug) => slug !== next.slug);
+    } else {
+      next.previousSlugs = existing.previousSlugs || [];
+    }
     next.createdAt = next.createdAt || existing.createdAt;
     // Ensure comments array is preserved
     if (!Array.isArray(next.comments)) {
       next.comments = base.comments || [];
     }
-    return persistRecord(next, previousPath);
+    next.version = hasAuthoredChanges(existing, next) ? existing.version + 1 : existing.version;
+    const saved = await persistRecord(next, previousPath, { touch: options.touch !== false, activity: options.activity ?? keepsActivity() });
+    await recordRevision(existing, saved, options);
+    return saved;
+  };
+
+  /**
+   * Updates several posts in one batch, one after another, as `update` would. The batch
+   * stops at the first failure; the error then carries the posts already `updated`.
+   * @param {Array<string>} ids
+   * @param {Function} updater Called with each post; returning null leaves it unchanged
+   * @param {{actor?: (Object|string)}=} options
+   * @return {Promise<Array<Object>>} The updated posts.
+   */
+  const updateMany = async (ids, updater, options = {}) => {
+    await ensureReady();
+    const updated = [];
+    for (const id of ids) {
+      try {
+        const saved = await update(id, updater, options);
+        if (saved) updated.push(saved);
+      } catch (error) {
+        error.updated = updated;
+        throw error;
+      }
+    }
+    return updated;
   };
 
-  const remove = async (id) => {
+  const remove = (id) => lock(id, () => removePost(id));
+
+  const removePost = async (id) => {
     await ensureReady();
     const publishedPath = path.join(publishedDir, `${id}${POST_EXTENSION}`);
     if (await fileExists(publishedPath)) {
       await filing.delete(publishedPath);
+      await history.removeAll(id);
+      dropEntry(id);
       return true;
     }
     const draftPath = path.join(draftsDir, `${id}${POST_EXTENSION}`);
     if (await fileExists(draftPath)) {
       await filing.delete(draftPath);
+      await history.removeAll(id);
+      dropEntry(id);
       return true;
     }
     return false;
   };
 
+  /**
+   * Re-reads a post file that changed on disk outside this store, e.g. edited by hand or
+   * pulled with git. Files this store wrote itself are already indexed, so they come back
+   * with `changed` false, as does a post that moved between the drafts and published folders
+   * when its old path is reported after the new one.
+   * @param {string} filePath Path of the created, changed or deleted file
+   * @return {Promise<{id: string, post: Object|null, changed: boolean, problems: Array<{line: number, message: string}>}>}
+   *   `post` is null once the post has no file left; `problems` are those of a changed file.
+   */
+  const reload = async (filePath) => {
+    await ensureReady();
+    const id = path.basename(filePath, POST_EXTENSION);
+    const before = index.entries.get(id);
+    const post = await get(id);
+    const after = index.entries.get(id);
+    const changed = before !== after;
+    return { id, post, changed, problems: changed && after ? after.problems : [] };
+  };
+
+  /**
+   * Rewrites every post file in another format, such as legacy header files as YAML front
+   * matter. Posts keep their dates and version and nothing is added to their history.
+   * Each rewrite is read back first and must produce the same post.
+   * @param {{format: string, dryRun?: boolean}} options
+   * @return {Promise<{format: string, dryRun: boolean, migrated: Array<string>, unchanged: Array<string>}>} Post ids.
+   * @throws {Error} With code `INVALID_POST_FORMAT`, or `MIGRATION_MISMATCH` and the post's `id`
+   *   when a post would not survive the rewrite (the files already rewritten stay rewritten).
+   */
+  const migrate = async ({ format, dryRun = false }) => {
+    await ensureReady();
+    if (!POST_FORMATS.includes(format)) {
+      const invalid = new Error(`Unknown post format "${format}"; use one of: ${POST_FORMATS.join(', ')}.`);
+      invalid.code = 'INVALID_POST_FORMAT';
+      throw invalid;
+    }
+    const migrated = [];
+    const unchanged = [];
+    for (const dir of [publishedDir, draftsDir]) {
+      const files = (await safeList(dir)).filter(isPostFile);
+      for (const file of files) {
+        const filePath = path.join(dir, file);
+        const id = path.basename(file, POST_EXTENSION);
+        await lock(id, async () => {
+          const raw = await filing.read(filePath, 'utf8');
+          if (parseDocument(raw).format === format) {
+            unchanged.push(id);
+            return;
+          }
+          const stats = await fs.stat(filePath);
+          const post = parseFile(raw, filePath, stats);
+          // A file keeps the comments and counters it has; ones moved out stay out
+          const options = { activity: carriesActivity(post) };
+          const doc = serializePost(post, format, options);
+          if (serializePost(parseFile(doc, filePath, stats), format, options) !== doc) {
+            const mismatch = new Error(`Post ${id} would change when rewritten as ${format}.`);
+            mismatch.code = 'MIGRATION_MISMATCH';
+            mismatch.id = id;
+            throw mismatch;
+          }
+          migrated.push(id);
+          if (!dryRun) {
+            await writeAtomically(filePath, doc);
+            await indexWritten(filePath, doc);
+          }
+        });
+      }
+    }
+    if (!dryRun && migrated.length) {
+      log.info?.('Post files migrated', { format, migrated: migrated.length });
+    }
+    return { format, dryRun, migrated, unchanged };
+  };
+
+  const listRevisions = async (id) => {
+    await ensureReady();
+    return history.list(id);
+  };
+
+  const getRevision = async (id, rev) => {
+    await ensureReady();
+    return history.get(id, rev);
+  };
+
   const buildSamplePosts = () => {
     const samples = [];
     const author = normalizeAuthor('Stephen');
@@ -677,6 +1474,45 @@ He keeps it close to remember that drafts are promises, not debts.`;
     return samples;
   };
 
+  /**
+   * Reads one copy of a post found in both folders, to decide which copy to keep.
+   */
+  const readCopy = async (filePath) => {
+    const [raw, stats] = await Promise.all([filing.read(filePath, 'utf8'), fs.stat(filePath)]);
+    const post = parseFile(raw, filePath, stats);
+    return { filePath, updatedAt: new Date(post.updatedAt).getTime() || 0, version: post.version, mtimeMs: stats.mtimeMs };
+  };
+
+  /**
+   * Cleans up after writes a crash interrupted: removes temporary files that were never
+   * renamed into place, and resolves posts saved in both the drafts and published folders
+   * by keeping the copy updated last. The other copy is moved to `posts/recovered`.
+   */
+  const recoverInterruptedWrites = async () => {
+    for (const dir of [publishedDir, draftsDir]) {
+      const unfinished = (await safeList(dir)).filter((file) => file.endsWith(TEMP_EXTENSION));
+      for (const file of unfinished) {
+        await fs.rm(path.join(dir, file), { force: true });
+      }
+      if (unfinished.length) {
+        log.warn?.('Removed unfinished post writes', { dir, files: unfinished });
+      }
+    }
+
+    const drafts = new Set((await safeList(draftsDir)).filter(isPostFile));
+    const duplicates = (await safeList(publishedDir)).filter((file) => isPostFile(file) && drafts.has(file));
+    for (const file of duplicates) {
+      const copies = await Promise.all([publishedDir, draftsDir].map((dir) => readCopy(path.join(dir, file))));
+      copies.sort((a, b) => b.updatedAt - a.updatedAt || b.version - a.version || b.mtimeMs - a.mtimeMs);
+      const [kept, dropped] = copies;
+      const folder = path.basename(path.dirname(dropped.filePath));
+      const movedTo = path.join(recoveredDir, `${path.basename(file, POST_EXTENSION)}.${folder}.${Date.now()}${POST_EXTENSION}`);
+      await fs.mkdir(recoveredDir, { recursive: true });
+      await fs.rename(dropped.filePath, movedTo);
+      log.warn?.('Recovered a post saved in both folders', { file, kept: kept.filePath, movedTo });
+    }
+  };
+
   const seedIfNeeded = async () => {
     const publishedFiles = (await safeList(publishedDir)).filter(isPostFile);
     const draftFiles = (await safeList(draftsDir)).filter(isPostFile);
@@ -685,19 +1521,41 @@ He keeps it close to remember that drafts are promises, not debts.`;
     }
     const samples = buildSamplePosts();
     for (const sample of samples) {
-      await persistRecord(sample);
+      await writeRecord(sample);
     }
+    seeded = true;
     log.info?.('Seeded sample posts', { count: samples.length });
   };
 
+  /**
+   * Whether the store started on empty post folders and seeded the sample posts, as a new
+   * install does.
+   * @return {boolean}
+   */
+  const wasSeeded = () => seeded;
+
   return {
     ready: ensureReady,
+    wasSeeded,
+    directories: [publishedDir, draftsDir],
     listAll,
     get,
+    getBySlug,
+    findSlugOwner,
+    reload,
+    migrate,
     create,
     update,
-    remove
+    updateMany,
+    remove,
+    listRevisions,
+    getRevision,
+    diffRevisions: history.diff,
+    snapshotRevision: history.snapshot
   };
 }
 
+createFilePostStore.POST_EXTENSION = POST_EXTENSION;
+createFilePostStore.POST_FORMATS = POST_FORMATS;
+
 module.exports = createFilePostStore;
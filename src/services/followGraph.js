@@ -0,0 +1,223 @@
+'use strict';
+
+const createKeyedQueue = require('./keyedQueue');
+
+/**
+ * One in this many slots of a personalised feed goes to a trending post the reader
+ * does not follow, so the feed still surfaces something new.
+ */
+const TRENDING_EVERY = 4;
+
+const publishedTime = (post) => new Date(post.publishedAt || post.createdAt || 0).getTime();
+
+/**
+ * How much readers engaged with a post, weighed like the home feed's trending list.
+ */
+const popularity = (post) => (post.stats?.claps || 0) * 3 + (post.stats?.bookmarks || 0) * 2 + (post.stats?.views || 0);
+
+/**
+ * Creates the follow graph. Each follow is a record (`{reader, kind, target}`) in the
+ * follows container, one per reader and tag or author; `target` is the tag's slug or
+ * the author's handle. Readers are identified like bookmarks, so they can follow
+ * without signing in.
+ * @param {Object} deps
+ * @param {Object} deps.dataStore Blog data store
+ * @param {Object} deps.logger
+ * @param {Function} deps.toSlug
+ * @param {string} deps.postsContainer Container name for posts
+ * @param {string} deps.followsContainer Container name for follows
+ * @return {Object}
+ */
+function createFollowGraph({ dataStore, logger, toSlug, postsContainer, followsContainer }) {
+  if (!dataStore) {
+    throw new Error('followGraph requires the blog data store.');
+  }
+
+  const log = logger || {
+    info: () => {},
+    error: console.error.bind(console, '[followGraph:error]')
+  };
+
+  const { listRecords, createRecord, updateRecord, deleteRecord } = dataStore;
+
+  // Following the same tag twice at once must still produce a single follow
+  const serialize = createKeyedQueue();
+
+  const listFollows = () => listRecords(followsContainer);
+
+  const findFollow = async (reader, kind, target) =>
+    (await listFollows()).find((follow) => follow.reader === reader && follow.kind === kind && follow.target === target) || null;
+
+  const slugsOf = (post) => (post.tags || []).map((tag, index) => (post.tagSlugs || [])[index] || toSlug(tag));
+
+  /**
+   * Counts the followers of every tag or author.
+   * @param {string} kind `tag` or `author`
+   * @return {Promise<Map<string, number>>} Followers per slug or handle.
+   */
+  const countFollowers = async (kind) => {
+    const counts = new Map();
+    (await listFollows()).forEach((follow) => {
+      if (follow.kind === kind) counts.set(follow.target, (counts.get(follow.target) || 0) + 1);
+    });
+    return counts;
+  };
+
+  /**
+   * Describes how a reader relates to a tag or author.
+   * @param {string} reader Reader key
+   * @param {string} kind
+   * @param {string} target
+   * @return {Promise<{followers: number, following: boolean}>}
+   */
+  const describe = async (reader, kind, target) => {
+    const follows = (await listFollows()).filter((follow) => follow.kind === kind && follow.target === target);
+    return { followers: follows.length, following: follows.some((follow) => follow.reader === reader) };
+  };
+
+  /**
+   * Lists the tags and authors a reader follows, most recently followed first.
+   * @param {string} reader Reader key
+   * @return {Promise<{tags: Array<string>, authors: Array<string>}>}
+   */
+  const listFollowing = async (reader) => {
+    const follows = (await listFollows())
+      .filter((follow) => follow.reader === reader)
+      .sort((a, b) => new Date(b.createdAt || 0).getTime() - new Date(a.createdAt || 0).getTime());
+    return {
+      tags: follows.filter((follow) => follow.kind === 'tag').map((follow) => follow.target),
+      authors: follows.filter((follow) => follow.kind === 'author').map((follow) => follow.target)
+    };
+  };
+
+  /**
+   * Follows a tag or author. Following it again changes nothing.
+   * @param {string} reader Reader key
+   * @param {string} kind `tag` or `author`
+   * @param {string} target Tag slug or author handle
+   * @return {Promise<{created: boolean, followers: number, following: boolean}>}
+   */
+  const follow = (reader, kind, target) =>
+    serialize(`${kind}:${target}:${reader}`, async () => {
+      const existing = await findFollow(reader, kind, target);
+      if (!existing) {
+        await createRecord(followsContainer, { reader, kind, target });
+        log.info?.('Follow added', { kind, target });
+      }
+      return { created: !existing, ...(await describe(reader, kind, target)) };
+    });
+
+  /**
+   * Stops following a tag or author. Unfollowing what the reader does not follow changes nothing.
+   * @param {string} reader Reader key
+   * @param {string} kind `tag` or `author`
+   * @param {string} target Tag slug or author handle
+   * @return {Promise<{deleted: boolean, followers: number, following: boolean}>}
+   */
+  const unfollow = (reader, kind, target) =>
+    serialize(`${kind}:${target}:${reader}`, async () => {
+      const existing = await findFollow(reader, kind, target);
+      const deleted = existing ? Boolean(await deleteRecord(followsContainer, existing.id)) : false;
+      if (deleted) log.info?.('Follow removed', { kind, target });
+      return { deleted, ...(await describe(reader, kind, target)) };
+    });
+
+  /**
+   * Moves the followers of tags to another tag, after they were renamed or merged into it.
+   * A reader already following the target keeps a single follow.
+   * @param {string} kind
+   * @param {Array<string>} from Previous slugs or handles
+   * @param {string} to
+   * @return {Promise<number>} How many follows were moved or dropped.
+   */
+  const retarget = async (kind, from, to) => {
+    const follows = await listFollows();
+    const readers = new Set(follows.filter((entry) => entry.kind === kind && entry.target === to).map((entry) => entry.reader));
+    const moving = follows.filter((entry) => entry.kind === kind && entry.target !== to && from.includes(entry.target));
+    for (const entry of moving) {
+      if (readers.has(entry.reader)) {
+        await deleteRecord(followsContainer, entry.id);
+      } else {
+        readers.add(entry.reader);
+        await updateRecord(followsContainer, entry.id, (current) => ({ ...current, target: to }));
+      }
+    }
+    if (moving.length) log.info?.('Follows moved', { kind, from, to, follows: moving.length });
+    return moving.length;
+  };
+
+  /**
+   * Drops every follow of a tag or author that no longer exists.
+   * @param {string} kind
+   * @param {string} target
+   * @return {Promise<number>} How many follows were dropped.
+   */
+  const forget = async (kind, target) => {
+    const stale = (await listFollows()).filter((entry) => entry.kind === kind && entry.target === target);
+    for (const entry of stale) {
+      await deleteRecord(followsContainer, entry.id);
+    }
+    return stale.length;
+  };
+
+  /**
+   * Builds a reader's "For you" feed: published posts by followed authors or with followed
+   * tags, newest first, with every `TRENDING_EVERY`th slot given to the most engaging post
+   * they do not follow; trending posts fill the rest. Readers who follow nothing get the
+   * global trending order instead.
+   * @param {string} reader Reader key
+   * @param {{page: number, pageSize: number}} options
+   * @return {Promise<{items: Array<{post: Object, reason: Object}>, total: number, personalised: boolean,
+   *   following: {tags: Array<string>, authors: Array<string>}}>} Each `reason` is
+   *   `{type: 'author', handle}`, `{type: 'tag', slug, tag}` or `{type: 'trending'}`.
+   */
+  const recommend = async (reader, { page, pageSize }) => {
+    const [following, posts] = await Promise.all([listFollowing(reader), listRecords(postsContainer)]);
+    const tags = new Set(following.tags);
+    const authors = new Set(following.authors);
+    const published = posts.filter((post) => post.status === 'published');
+
+    const reasonFor = (post) => {
+      if (authors.has(post.author?.handle)) return { type: 'author', handle: post.author.handle };
+      const index = slugsOf(post).findIndex((slug) => tags.has(slug));
+      return index === -1 ? null : { type: 'tag', slug: slugsOf(post)[index], tag: post.tags[index] };
+    };
+
+    const followed = [];
+    const others = [];
+    published.forEach((post) => {
+      const reason = reasonFor(post);
+      if (reason) followed.push({ post, reason });
+      else others.push({ post, reason: { type: 'trending' } });
+    });
+    followed.sort((a, b) => publishedTime(b.post) - publishedTime(a.post));
+    others.sort((a, b) => popularity(b.post) - popularity(a.post) || publishedTime(b.post) - publishedTime(a.post));
+
+    const blended = [];
+    while (followed.length || others.length) {
+      const trendingSlot = (blended.length + 1) % TRENDING_EVERY === 0;
+      blended.push((trendingSlot && others.length) || !followed.length ? others.shift() : followed.shift());
+    }
+
+    const start = (page - 1) * pageSize;
+    return {
+      items: blended.slice(start, start + pageSize),
+      total: blended.length,
+      personalised: tags.size > 0 || authors.size > 0,
+      following
+    };
+  };
+
+  return {
+    countFollowers,
+    describe,
+    listFollowing,
+    follow,
+    unfollow,
+    retarget,
+    forget,
+    recommend
+  };
+}
+
+module.exports = createFollowGraph;
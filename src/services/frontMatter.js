@@ -0,0 +1,345 @@
+'use strict';
+
+/**
+ * Reads and writes the YAML front matter of `.post` files. Only the part of YAML that
+ * front matter needs is supported: block mappings and sequences, one-line flow
+ * sequences and mappings, plain, quoted and block (`|`, `>`) scalars, and comments.
+ * Anchors, tags and multi-line plain scalars are not. Timestamps stay strings.
+ */
+
+const fail = (line, reason) => {
+  const error = new Error(`Line ${line}: ${reason}`);
+  error.code = 'FRONT_MATTER_INVALID';
+  error.line = line;
+  error.reason = reason;
+  throw error;
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const indentOf = (raw) => raw.length - raw.trimStart().length;
+
+const isDash = (text) => text === '-' || text.startsWith('- ');
+
+/**
+ * Finds the quote closing the quoted scalar that starts at `start`.
+ * @return {number} Its index, or -1 when the quote is not closed.
+ */
+const closingQuote = (text, start) => {
+  const quote = text[start];
+  for (let index = start + 1; index < text.length; index++) {
+    if (quote === '"' && text[index] === '\\') {
+      index++;
+    } else if (text[index] === quote) {
+      if (quote === "'" && text[index + 1] === "'") {
+        index++;
+      } else {
+        return index;
+      }
+    }
+  }
+  return -1;
+};
+
+/**
+ * Drops a trailing `# comment`, which starts the line or follows a space outside quotes.
+ */
+const stripComment = (text) => {
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if ((char === '"' || char === "'") && (index === 0 || /[\s[{,:]/.test(text[index - 1]))) {
+      const end = closingQuote(text, index);
+      if (end === -1) return text;
+      index = end;
+    } else if (char === '#' && (index === 0 || /\s/.test(text[index - 1]))) {
+      return text.slice(0, index).trimEnd();
+    }
+  }
+  return text;
+};
+
+/**
+ * Finds the colon ending the key of a `key: value` pair.
+ * @return {number} Its index, or -1 when the text is not a pair.
+ */
+const keyEnd = (text) => {
+  let from = 0;
+  if (text[0] === '"' || text[0] === "'") {
+    from = closingQuote(text, 0);
+    if (from === -1) return -1;
+  } else if (/^[[{]/.test(text)) {
+    return -1;
+  }
+  const match = /:(?:\s|$)/.exec(text.slice(from));
+  return match && match.index + from > 0 ? match.index + from : -1;
+};
+
+const parseQuoted = (text, line) => {
+  if (text[0] === "'") {
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  try {
+    return JSON.parse(text.replace(/\t/g, '\\t'));
+  } catch (_) {
+    return fail(line, `Invalid double-quoted string ${text}.`);
+  }
+};
+
+/**
+ * Splits the inside of a flow collection at its top-level commas.
+ */
+const splitFlow = (text, line) => {
+  const items = [];
+  let depth = 0;
+  let start = 0;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === '"' || char === "'") {
+      const end = closingQuote(text, index);
+      if (end === -1) fail(line, 'Unclosed quote.');
+      index = end;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      items.push(text.slice(start, index).trim());
+      start = index + 1;
+    }
+  }
+  const last = text.slice(start).trim();
+  if (last) items.push(last);
+  return items;
+};
+
+const parseKey = (text, line) => {
+  const key = text.trim();
+  return key[0] === '"' || key[0] === "'" ? String(parseQuoted(key, line)) : key;
+};
+
+/**
+ * Parses a value written on one line: a flow collection or a scalar.
+ */
+const parseInline = (text, line) => {
+  if (text[0] === '"' || text[0] === "'") {
+    const end = closingQuote(text, 0);
+    if (end === -1) fail(line, `Unclosed quote in ${text}.`);
+    if (end !== text.length - 1) fail(line, `Unexpected text after the quoted string ${text.slice(0, end + 1)}.`);
+    return parseQuoted(text, line);
+  }
+  if (text[0] === '[') {
+    if (!text.endsWith(']')) fail(line, 'Unclosed "[".');
+    return splitFlow(text.slice(1, -1), line).map((item) => parseInline(item, line));
+  }
+  if (text[0] === '{') {
+    if (!text.endsWith('}')) fail(line, 'Unclosed "{".');
+    const result = {};
+    splitFlow(text.slice(1, -1), line).forEach((pair) => {
+      const colon = keyEnd(pair);
+      if (colon === -1) fail(line, `Expected "key: value" but found "${pair}".`);
+      result[parseKey(pair.slice(0, colon), line)] = parseInline(pair.slice(colon + 1).trim(), line);
+    });
+    return result;
+  }
+  if (text === '' || text === '~' || /^null$/i.test(text)) return null;
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+  if (/^[-+]?(?:\d+|\d+\.\d*|\.\d+)(?:[eE][-+]?\d+)?$/.test(text)) return Number(text);
+  if (/^[&*!|>%@`]/.test(text)) fail(line, `Unsupported YAML "${text[0]}" in "${text}"; quote the value.`);
+  return text;
+};
+
+/**
+ * Parses YAML front matter (without its `---` fences) into an object.
+ * @param {string} text
+ * @param {number=} firstLine Line number of the first line, for error messages
+ * @return {Object}
+ * @throws {Error} With code `FRONT_MATTER_INVALID` and the `line` at fault.
+ */
+function parseFrontMatter(text, firstLine = 1) {
+  const lines = text.split(/\r?\n/);
+  let index = 0;
+
+  const lineNumber = () => index + firstLine;
+
+  const skipBlank = () => {
+    while (index < lines.length && (!lines[index].trim() || lines[index].trim().startsWith('#'))) index++;
+  };
+
+  const peek = () => {
+    skipBlank();
+    if (index >= lines.length) return null;
+    const raw = lines[index];
+    if (/^\s*\t/.test(raw)) fail(lineNumber(), 'Indent with spaces; YAML does not allow tabs.');
+    return { raw, indent: indentOf(raw), text: stripComment(raw.trim()) };
+  };
+
+  const parseBlockScalar = (header, parentIndent, line) => {
+    const match = /^([|>])([-+]?)$/.exec(header);
+    if (!match) fail(line, `Unsupported block scalar "${header}".`);
+    const block = [];
+    while (index < lines.length && (!lines[index].trim() || indentOf(lines[index]) > parentIndent)) {
+      block.push(lines[index]);
+      index++;
+    }
+    const body = block.filter((raw) => raw.trim());
+    const indent = body.length ? indentOf(body[0]) : 0;
+    const content = block.map((raw) => raw.slice(indent));
+    while (content.length && !content[content.length - 1]) content.pop();
+    const trailing = block.length - content.length;
+
+    let value = match[1] === '|'
+      ? content.join('\n')
+      : content.reduce((folded, current) => {
+          if (!current) return `${folded}\n`;
+          return folded && !folded.endsWith('\n') ? `${folded} ${current}` : `${folded}${current}`;
+        }, '');
+    if (match[2] === '+') value += '\n'.repeat(trailing + (content.length ? 1 : 0));
+    else if (match[2] !== '-' && content.length) value += '\n';
+    return value;
+  };
+
+  const parseValue = (rest, parentIndent, line) => {
+    if (rest === '|' || rest === '>' || /^[|>][-+]$/.test(rest) || /^[|>][-+]?\d/.test(rest)) {
+      return parseBlockScalar(rest, parentIndent, line);
+    }
+    if (rest) return parseInline(rest, line);
+    const next = peek();
+    if (!next) return null;
+    if (next.indent > parentIndent) return parseBlock(next);
+    if (next.indent === parentIndent && isDash(next.text)) return parseSequence(next.indent);
+    return null;
+  };
+
+  const parseMapping = (indent) => {
+    const result = {};
+    for (let next = peek(); next && next.indent >= indent; next = peek()) {
+      if (next.indent > indent) fail(lineNumber(), 'Unexpected indentation.');
+      const colon = keyEnd(next.text);
+      if (colon === -1) fail(lineNumber(), `Expected "key: value" but found "${next.text}".`);
+      const line = lineNumber();
+      const key = parseKey(next.text.slice(0, colon), line);
+      if (Object.prototype.hasOwnProperty.call(result, key)) fail(line, `"${key}" is set more than once.`);
+      index++;
+      result[key] = parseValue(next.text.slice(colon + 1).trim(), indent, line);
+    }
+    return result;
+  };
+
+  const parseSequence = (indent) => {
+    const result = [];
+    for (let next = peek(); next && next.indent >= indent; next = peek()) {
+      if (next.indent > indent) fail(lineNumber(), 'Unexpected indentation.');
+      if (!isDash(next.text)) break;
+      const line = lineNumber();
+      const rest = next.text.slice(1).trim();
+      if (rest && keyEnd(rest) !== -1) {
+        // `- key: value` starts a mapping indented to where its first key is written
+        const afterDash = next.raw.slice(next.indent + 1);
+        const itemIndent = next.indent + 1 + indentOf(afterDash);
+        lines[index] = ' '.repeat(itemIndent) + next.raw.slice(itemIndent);
+        result.push(parseMapping(itemIndent));
+      } else {
+        index++;
+        result.push(parseValue(rest, indent, line));
+      }
+    }
+    return result;
+  };
+
+  const parseBlock = (next) => (isDash(next.text) ? parseSequence(next.indent) : parseMapping(next.indent));
+
+  const first = peek();
+  if (!first) return {};
+  if (first.indent > 0) fail(lineNumber(), 'Unexpected indentation.');
+  if (isDash(first.text)) fail(lineNumber(), 'Front matter must be a mapping of "key: value" pairs.');
+  const data = parseMapping(0);
+  const leftover = peek();
+  if (leftover) fail(lineNumber(), `Unexpected "${leftover.text}".`);
+  return data;
+}
+
+const RESERVED_SCALAR = /^(?:~|null|true|false|yes|no|on|off|y|n)$/i;
+const NUMERIC_SCALAR = /^[-+]?(?:\d[\d_]*|\d*\.\d+|\d+\.\d*)(?:[eE][-+]?\d+)?$|^[-+]?\.(?:inf|nan)$|^0[xo][0-9a-f]+$/i;
+
+/**
+ * Whether a string can be written unquoted and still read back as the same string.
+ */
+const isPlainSafe = (text) =>
+  Boolean(text) &&
+  text === text.trim() &&
+  !/[\n\r\t#]|: |:$/.test(text) &&
+  !/^[-?:,[\]{}&*!|>'"%@`]/.test(text) &&
+  !RESERVED_SCALAR.test(text) &&
+  !NUMERIC_SCALAR.test(text);
+
+const formatScalar = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+  if (typeof value === 'boolean') return String(value);
+  const text = String(value);
+  return isPlainSafe(text) ? text : JSON.stringify(text);
+};
+
+const formatKey = (key) => (/^[A-Za-z_][\w-]*$/.test(key) ? key : JSON.stringify(key));
+
+/**
+ * Multi-line strings are written as `|` blocks, unless their first line starts with a
+ * space, which a block could not tell apart from its indentation.
+ */
+const isBlockText = (value) => typeof value === 'string' && value.includes('\n') && !/^[ \n]/.test(value) && !/\r|\t/.test(value);
+
+const writeBlockText = (prefix, text, indent) => {
+  const trailing = text.length - text.replace(/\n+$/, '').length;
+  const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+  const pad = ' '.repeat(indent);
+  const body = (trailing ? text.slice(0, -1) : text).split('\n').map((line) => (line ? `${pad}${line}` : ''));
+  return [`${prefix} |${chomp}`, ...body];
+};
+
+const writeValue = (prefix, value, indent) => {
+  if (Array.isArray(value)) {
+    return value.length ? [prefix, ...writeSequence(value, indent + 2)] : [`${prefix} []`];
+  }
+  if (isObject(value)) {
+    const lines = writeMapping(value, indent + 2);
+    return lines.length ? [prefix, ...lines] : [`${prefix} {}`];
+  }
+  if (isBlockText(value)) {
+    return writeBlockText(prefix, value, indent + 2);
+  }
+  return [`${prefix} ${formatScalar(value)}`];
+};
+
+function writeMapping(object, indent) {
+  const pad = ' '.repeat(indent);
+  return Object.entries(object)
+    .filter(([, value]) => value !== undefined && typeof value !== 'function')
+    .flatMap(([key, value]) => writeValue(`${pad}${formatKey(key)}:`, value, indent));
+}
+
+function writeSequence(items, indent) {
+  const pad = ' '.repeat(indent);
+  return items.flatMap((item) => {
+    if (isObject(item) && Object.keys(item).length) {
+      const [first, ...rest] = writeMapping(item, indent + 2);
+      return [`${pad}- ${first.trimStart()}`, ...rest];
+    }
+    return writeValue(`${pad}-`, item, indent);
+  });
+}
+
+/**
+ * Writes an object as YAML front matter (without its `---` fences).
+ * `undefined` values are left out.
+ * @param {Object} data
+ * @return {string}
+ */
+function stringifyFrontMatter(data) {
+  const lines = writeMapping(data, 0);
+  return lines.length ? `${lines.join('\n')}\n` : '';
+}
+
+module.exports = {
+  parseFrontMatter,
+  stringifyFrontMatter
+};
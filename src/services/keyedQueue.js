@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Creates a queue that runs tasks sharing a key one at a time, in call order.
+ * Tasks with different keys still run concurrently.
+ * @return {function(string, function(): Promise<*>): Promise<*>}
+ */
+function createKeyedQueue() {
+  const pending = new Map();
+  return (key, task) => {
+    const previous = pending.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    // The caller handles the task's own rejection; the bookkeeping chain must not reject too
+    const settled = next
+      .catch(() => {})
+      .then(() => {
+        if (pending.get(key) === settled) pending.delete(key);
+      });
+    pending.set(key, settled);
+    return next;
+  };
+}
+
+module.exports = createKeyedQueue;
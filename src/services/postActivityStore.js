@@ -0,0 +1,307 @@
+'use strict';
+
+const createKeyedQueue = require('./keyedQueue');
+
+/**
+ * Counters kept in a post's stats record. `stats.comments` is not stored: it is counted
+ * from the post's published comments each time activity is attached.
+ */
+const COUNTERS = ['views', 'claps', 'bookmarks'];
+
+/**
+ * Marker record in the stats container, present once comments and counters have been
+ * moved out of the post files.
+ */
+const MOVED_MARKER = 'activity-moved-out-of-files';
+
+const EMPTY_ACTIVITY = Object.freeze({ comments: [], stats: null });
+
+const isPublished = (comment) => (comment.status || 'published') === 'published';
+
+const byCreatedAt = (a, b) => new Date(a.createdAt || 0).getTime() - new Date(b.createdAt || 0).getTime();
+
+/**
+ * Creates the post activity store. Reader activity (comments and the view, clap and
+ * bookmark counters) is kept in data service containers instead of the `.post` files, so
+ * readers never rewrite the files writers author; blogs whose files already hold some
+ * move it here with `npm run migrate:activity`: one record per comment in the comments container
+ * (`{commentId, postId, ...comment}`) and one record per post in the stats container
+ * (`{postId, views, claps, bookmarks}`). The move is refused while the data service
+ * forgets its records on restart, and `--undo` writes everything back into the files.
+ * @param {Object} deps
+ * @param {Object} deps.dataService
+ * @param {Object} deps.logger
+ * @param {string} deps.commentsContainer Container name for comments
+ * @param {string} deps.statsContainer Container name for post stats
+ * @return {Object}
+ */
+function createPostActivityStore({ dataService, logger, commentsContainer, statsContainer }) {
+  if (!dataService) {
+    throw new Error('postActivityStore requires the dataService.');
+  }
+
+  const log = logger || {
+    info: () => {},
+    error: console.error.bind(console, '[postActivity:error]')
+  };
+
+  // The file data service rewrites a whole container per write, so writes to one container never overlap
+  const enqueue = createKeyedQueue();
+  const store = {
+    add: (container, record) => enqueue(container, () => dataService.add(container, record)),
+    update: (container, id, record) => enqueue(container, () => dataService.update(container, id, record)),
+    remove: (container, id) => enqueue(container, () => dataService.remove(container, id))
+  };
+
+  const listContainer = async (container) => {
+    const records = await dataService.getAll(container);
+    return Array.isArray(records) ? records : [];
+  };
+
+  // Comment records keep the comment's own id as `commentId`; `id` belongs to the data service
+  const toComment = ({ id: _recordId, commentId, ...comment }) => ({ ...comment, id: commentId });
+
+  const toCommentRecord = (postId, { id, ...comment }) => ({ ...comment, commentId: id, postId });
+
+  const sameRecord = (stored, record) => {
+    const { id: _recordId, ...rest } = stored;
+    return JSON.stringify(rest) === JSON.stringify(record);
+  };
+
+  const countersOf = (stats) => Object.fromEntries(COUNTERS.map((counter) => [counter, Math.max(0, Number(stats?.[counter]) || 0)]));
+
+  /**
+   * Loads the stored activity of some posts, or of every post.
+   * @param {Array<string>=} postIds
+   * @return {Promise<Map<string, {comments: Array<Object>, stats: (Object|null)}>>} Stored records by post id.
+   */
+  const load = async (postIds) => {
+    const wanted = postIds ? new Set(postIds) : null;
+    const [comments, stats] = await Promise.all([listContainer(commentsContainer), listContainer(statsContainer)]);
+    const activity = new Map();
+    const entryFor = (postId) => {
+      if (!activity.has(postId)) activity.set(postId, { comments: [], stats: null });
+      return activity.get(postId);
+    };
+    comments.forEach((record) => {
+      if (!wanted || wanted.has(record.postId)) entryFor(record.postId).comments.push(record);
+    });
+    stats.forEach((record) => {
+      if (!record.postId) return;
+      if (!wanted || wanted.has(record.postId)) entryFor(record.postId).stats = record;
+    });
+    return activity;
+  };
+
+  /**
+   * Loads the stored activity of one post.
+   * @param {string} postId
+   * @return {Promise<{comments: Array<Object>, stats: (Object|null)}>}
+   */
+  const forPost = async (postId) => (await load([postId])).get(postId) || EMPTY_ACTIVITY;
+
+  /**
+   * Whether a post read from its file still carries comments or counters of its own.
+   * Only files written before activity moved out of them do.
+   * @param {Object} post
+   * @return {boolean}
+   */
+  const hasActivity = (post) =>
+    Boolean(post) && ((Array.isArray(post.comments) && post.comments.length > 0) || COUNTERS.some((counter) => Number(post.stats?.[counter]) > 0));
+
+  /**
+   * Returns a post with its stored comments and stats. Anything a file still carries is
+   * kept until the post's next write moves it out: comments the store does not know yet
+   * are added and each counter is the higher of the two.
+   * @param {Object} post
+   * @param {{comments: Array<Object>, stats: (Object|null)}=} activity As loaded for the post
+   * @return {Object}
+   */
+  const attach = (post, activity = EMPTY_ACTIVITY) => {
+    if (!post) return post;
+    const stored = activity.comments.map(toComment);
+    const storedIds = new Set(stored.map((comment) => comment.id));
+    const fromFile = (Array.isArray(post.comments) ? post.comments : []).filter((comment) => !storedIds.has(comment.id));
+    const comments = [...fromFile, ...stored].sort(byCreatedAt);
+    const fileCounters = countersOf(post.stats);
+    const storedCounters = countersOf(activity.stats);
+    const stats = Object.fromEntries(COUNTERS.map((counter) => [counter, Math.max(fileCounters[counter], storedCounters[counter])]));
+    stats.comments = comments.filter(isPublished).length;
+    return { ...post, stats, comments };
+  };
+
+  /**
+   * Returns a post without its comments and stats, as its file keeps it.
+   * @param {Object} post
+   * @return {Object}
+   */
+  const withoutActivity = (post) => {
+    const { comments: _comments, stats: _stats, ...authored } = post;
+    return authored;
+  };
+
+  /**
+   * Stores a post's comments and counters as given: new comments are added, changed ones
+   * updated and those no longer on the post removed.
+   * @param {string} postId
+   * @param {Object} post Post carrying `comments` and `stats`
+   * @param {{comments: Array<Object>, stats: (Object|null)}=} activity Stored activity the post was built from
+   */
+  const save = async (postId, post, activity = EMPTY_ACTIVITY) => {
+    const stored = new Map(activity.comments.map((record) => [record.commentId, record]));
+    const kept = new Set();
+    for (const comment of Array.isArray(post.comments) ? post.comments : []) {
+      kept.add(comment.id);
+      const record = toCommentRecord(postId, comment);
+      const existing = stored.get(comment.id);
+      if (!existing) {
+        await store.add(commentsContainer, record);
+      } else if (!sameRecord(existing, record)) {
+        await store.update(commentsContainer, existing.id, record);
+      }
+    }
+    for (const [commentId, record] of stored) {
+      if (!kept.has(commentId)) await store.remove(commentsContainer, record.id);
+    }
+
+    const counters = countersOf(post.stats);
+    const now = new Date().toISOString();
+    if (activity.stats) {
+      const previous = countersOf(activity.stats);
+      if (COUNTERS.some((counter) => counters[counter] !== previous[counter])) {
+        const { id: recordId, ...record } = activity.stats;
+        await store.update(statsContainer, recordId, { ...record, ...counters, postId, updatedAt: now });
+      }
+    } else if (COUNTERS.some((counter) => counters[counter] > 0)) {
+      await store.add(statsContainer, { postId, ...counters, createdAt: now, updatedAt: now });
+    }
+  };
+
+  /**
+   * Removes every comment and the stats of a deleted post.
+   * @param {string} postId
+   */
+  const remove = async (postId) => {
+    const { comments, stats } = await forPost(postId);
+    for (const record of comments) {
+      await store.remove(commentsContainer, record.id);
+    }
+    if (stats) {
+      await store.remove(statsContainer, stats.id);
+    }
+  };
+
+  /**
+   * Creates the comments and stats containers if the data service does not have them yet.
+   */
+  const ready = async () => {
+    for (const container of [commentsContainer, statsContainer]) {
+      if (dataService.provider?.containers?.has(container)) continue;
+      try {
+        await dataService.createContainer(container);
+      } catch (error) {
+        if (!(typeof error.message === 'string' && error.message.includes('already exists'))) throw error;
+      }
+    }
+  };
+
+  /**
+   * Whether the data service keeps its records across restarts. The memory provider holds
+   * each container as a Map and forgets it when the process exits; the file and database
+   * providers hold paths or handles instead.
+   * @return {boolean}
+   */
+  const isPersistent = () => {
+    const containers = dataService.provider?.containers;
+    if (!(containers instanceof Map)) return true;
+    return ![...containers.values()].some((container) => container instanceof Map);
+  };
+
+  const findMarker = async () => (await listContainer(statsContainer)).find((record) => record.marker === MOVED_MARKER) || null;
+
+  /**
+   * Whether comments and counters have been moved out of the post files.
+   * @return {Promise<boolean>}
+   */
+  const isMoved = async () => Boolean(await findMarker());
+
+  /**
+   * Moves every post's comments and counters from its file into the store and marks the
+   * store as holding them. Files are rewritten without their activity and keep their
+   * `updatedAt`.
+   * @param {Object} postStore The file post store
+   * @param {{dryRun?: boolean}=} options
+   * @return {Promise<{moved: Array<string>}>} Ids of the posts whose files held activity.
+   */
+  const moveOutOfFiles = async (postStore, { dryRun = false } = {}) => {
+    if (!isPersistent()) {
+      const error = new Error('The data service does not keep its records across restarts; use the file provider before moving comments and counters out of the post files.');
+      error.code = 'ACTIVITY_STORE_NOT_PERSISTENT';
+      throw error;
+    }
+    const moved = (await postStore.listAll()).filter(hasActivity).map((post) => post.id);
+    if (dryRun) return { moved };
+
+    if (!(await isMoved())) {
+      await store.add(statsContainer, { marker: MOVED_MARKER, movedAt: new Date().toISOString() });
+    }
+    for (const postId of moved) {
+      await postStore.update(
+        postId,
+        async (current) => {
+          const activity = await forPost(postId);
+          await save(postId, attach(current, activity), activity);
+          return { ...withoutActivity(current), comments: [] };
+        },
+        { touch: false, activity: false }
+      );
+    }
+    log.info?.('Moved comments and counters out of post files', { posts: moved.length });
+    return { moved };
+  };
+
+  /**
+   * Writes every post's stored comments and counters back into its file, then empties the
+   * store and removes its marker.
+   * @param {Object} postStore The file post store
+   * @param {{dryRun?: boolean}=} options
+   * @return {Promise<{moved: Array<string>}>} Ids of the posts that had stored activity.
+   */
+  const moveIntoFiles = async (postStore, { dryRun = false } = {}) => {
+    const activity = await load();
+    const posts = await postStore.listAll();
+    const moved = posts.filter((post) => activity.has(post.id)).map((post) => post.id);
+    if (dryRun) return { moved };
+
+    for (const postId of moved) {
+      await postStore.update(postId, (current) => attach(current, activity.get(postId)), { touch: false, activity: true });
+    }
+    for (const postId of activity.keys()) {
+      await remove(postId);
+    }
+    const marker = await findMarker();
+    if (marker) await store.remove(statsContainer, marker.id);
+    log.info?.('Moved comments and counters back into post files', { posts: moved.length });
+    return { moved };
+  };
+
+  return {
+    load,
+    forPost,
+    hasActivity,
+    attach,
+    withoutActivity,
+    save,
+    remove,
+    ready,
+    isPersistent,
+    isMoved,
+    moveOutOfFiles,
+    moveIntoFiles
+  };
+}
+
+createPostActivityStore.COUNTERS = COUNTERS;
+createPostActivityStore.MOVED_MARKER = MOVED_MARKER;
+
+module.exports = createPostActivityStore;
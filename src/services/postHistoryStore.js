@@ -0,0 +1,272 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs').promises;
+const createKeyedQueue = require('./keyedQueue');
+
+const REVISION_EXTENSION = '.json';
+
+/**
+ * Largest line-by-line table `diffLines` builds. Past it, the changed middle of the two
+ * texts is shown as removed and re-added instead of aligned line by line.
+ */
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Post fields that are authored content. Only changes to these create a revision,
+ * so engagement updates (views, claps, comments) never churn the history.
+ */
+const TRACKED_FIELDS = ['title', 'subtitle', 'slug', 'author', 'content', 'coverImage', 'tags', 'status', 'scheduledFor', 'seo'];
+
+/**
+ * Creates a file-backed revision store that keeps numbered snapshots of each post.
+ * Revisions live in `<baseDir>/<postId>/<rev>.json`.
+ * @param {Object} deps
+ * @param {Object} deps.filing
+ * @param {Object} deps.logger
+ * @param {string} deps.baseDir
+ * @param {Function} deps.normalizeAuthor
+ * @return {Object}
+ */
+function createPostHistoryStore({ filing, logger, baseDir, normalizeAuthor }) {
+  if (!filing) {
+    throw new Error('postHistoryStore requires a filing provider.');
+  }
+
+  const log = logger || {
+    info: () => {},
+    error: console.error.bind(console, '[postHistory:error]')
+  };
+
+  // Revision numbers come from the files already written, so one post's revisions are recorded one at a time
+  const lock = createKeyedQueue();
+
+  const postDir = (postId) => path.join(baseDir, postId);
+
+  const revisionPath = (postId, rev) => path.join(postDir(postId), `${String(rev).padStart(6, '0')}${REVISION_EXTENSION}`);
+
+  const snapshot = (post) => {
+    const result = {};
+    TRACKED_FIELDS.forEach((field) => {
+      const value = post ? post[field] : undefined;
+      result[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+    });
+    return result;
+  };
+
+  const isEqual = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+  const changedFields = (before, after) => TRACKED_FIELDS.filter((field) => !isEqual(before?.[field], after?.[field]));
+
+  const listRevisionFiles = async (postId) => {
+    try {
+      const files = await filing.list(postDir(postId));
+      return files.filter((file) => file.endsWith(REVISION_EXTENSION)).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  const readRevision = async (postId, fileName) => {
+    const raw = await filing.read(path.join(postDir(postId), fileName), 'utf8');
+    return JSON.parse(raw.toString());
+  };
+
+  const summarize = (revision) => {
+    const { snapshot: _snapshot, ...rest } = revision;
+    return rest;
+  };
+
+  /**
+   * Lists revision summaries (without snapshots), newest first.
+   */
+  const list = async (postId) => {
+    const files = await listRevisionFiles(postId);
+    const revisions = [];
+    for (const file of files) {
+      try {
+        revisions.push(summarize(await readRevision(postId, file)));
+      } catch (error) {
+        log.warn?.('Skipping unreadable revision', { postId, file, error: error.message });
+      }
+    }
+    return revisions.sort((a, b) => b.rev - a.rev);
+  };
+
+  /**
+   * Retrieves a full revision including its snapshot.
+   */
+  const get = async (postId, rev) => {
+    const number = Number(rev);
+    if (!Number.isInteger(number) || number < 1) return null;
+    try {
+      const raw = await filing.read(revisionPath(postId, number), 'utf8');
+      return JSON.parse(raw.toString());
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const latestRevisionNumber = async (postId) => {
+    const files = await listRevisionFiles(postId);
+    if (!files.length) return 0;
+    return Number(path.basename(files[files.length - 1], REVISION_EXTENSION)) || files.length;
+  };
+
+  const writeRevision = async (revision) => {
+    await fs.mkdir(postDir(revision.postId), { recursive: true });
+    await filing.create(revisionPath(revision.postId, revision.rev), JSON.stringify(revision, null, 2));
+    return revision;
+  };
+
+  /**
+   * Records a revision when tracked fields changed between `previous` and `next`.
+   * Posts that predate revision tracking get a baseline revision of their previous state first.
+   * @param {Object|null} previous
+   * @param {Object} next
+   * @param {{actor?: (Object|string), restoredFrom?: number}=} options
+   * @return {Promise<Object|null>} The recorded revision summary, or null when nothing changed.
+   */
+  const record = async (previous, next, options = {}) => {
+    if (!next || !next.id) return null;
+    return lock(next.id, () => recordRevision(previous, next, options));
+  };
+
+  const recordRevision = async (previous, next, options) => {
+    const postId = next.id;
+    const before = previous ? snapshot(previous) : null;
+    const after = snapshot(next);
+    const fields = before ? changedFields(before, after) : [...TRACKED_FIELDS];
+    if (!fields.length) return null;
+
+    let rev = await latestRevisionNumber(postId);
+    if (rev === 0 && previous) {
+      rev += 1;
+      await writeRevision({
+        rev,
+        postId,
+        author: normalizeAuthor(previous.author || null),
+        createdAt: previous.updatedAt || previous.createdAt || new Date().toISOString(),
+        changedFields: [],
+        baseline: true,
+        restoredFrom: null,
+        snapshot: before
+      });
+    }
+
+    rev += 1;
+    const revision = await writeRevision({
+      rev,
+      postId,
+      author: normalizeAuthor(options.actor || next.author || null),
+      createdAt: next.updatedAt || new Date().toISOString(),
+      changedFields: fields,
+      baseline: false,
+      restoredFrom: options.restoredFrom || null,
+      snapshot: after
+    });
+    log.info?.('Recorded post revision', { postId, rev, changedFields: fields });
+    return summarize(revision);
+  };
+
+  /**
+   * Removes every revision for a post.
+   */
+  const removeAll = async (postId) => {
+    try {
+      await fs.rm(postDir(postId), { recursive: true, force: true });
+    } catch (error) {
+      log.warn?.('Failed to remove post history', { postId, error: error.message });
+    }
+  };
+
+  /**
+   * Computes a line-level diff using the longest common subsequence of both texts. Lines
+   * both texts start or end with are matched first; when the rest is too large to align
+   * within `MAX_DIFF_CELLS`, it is shown as removed and re-added.
+   * @param {string} before
+   * @param {string} after
+   * @return {Array<{type: ('equal'|'add'|'remove'), line: string}>}
+   */
+  const diffLines = (before = '', after = '') => {
+    const a = (before || '').split('\n');
+    const b = (after || '').split('\n');
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const ops = a.slice(0, start).map((line) => ({ type: 'equal', line }));
+    const rows = endA - start;
+    const columns = endB - start;
+    if (rows * columns > MAX_DIFF_CELLS) {
+      a.slice(start, endA).forEach((line) => ops.push({ type: 'remove', line }));
+      b.slice(start, endB).forEach((line) => ops.push({ type: 'add', line }));
+    } else {
+      const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1));
+      for (let i = rows - 1; i >= 0; i--) {
+        for (let j = columns - 1; j >= 0; j--) {
+          lengths[i][j] = a[start + i] === b[start + j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+      }
+      let i = 0;
+      let j = 0;
+      while (i < rows && j < columns) {
+        if (a[start + i] === b[start + j]) {
+          ops.push({ type: 'equal', line: a[start + i] });
+          i++;
+          j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+          ops.push({ type: 'remove', line: a[start + i++] });
+        } else {
+          ops.push({ type: 'add', line: b[start + j++] });
+        }
+      }
+      while (i < rows) ops.push({ type: 'remove', line: a[start + i++] });
+      while (j < columns) ops.push({ type: 'add', line: b[start + j++] });
+    }
+    a.slice(endA).forEach((line) => ops.push({ type: 'equal', line }));
+    return ops;
+  };
+
+  /**
+   * Builds a field-level diff between two snapshots, with a line-level diff for text content.
+   * @param {Object|null} before
+   * @param {Object} after
+   * @return {Array<Object>}
+   */
+  const diff = (before, after) => {
+    return changedFields(before || {}, after || {}).map((field) => {
+      const entry = {
+        field,
+        before: before ? before[field] : null,
+        after: after ? after[field] : null
+      };
+      if (field === 'content') {
+        entry.lines = diffLines(entry.before || '', entry.after || '');
+      }
+      return entry;
+    });
+  };
+
+  return {
+    list,
+    get,
+    record,
+    removeAll,
+    diff,
+    diffLines,
+    snapshot
+  };
+}
+
+createPostHistoryStore.TRACKED_FIELDS = TRACKED_FIELDS;
+createPostHistoryStore.MAX_DIFF_CELLS = MAX_DIFF_CELLS;
+
+module.exports = createPostHistoryStore;
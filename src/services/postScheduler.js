@@ -0,0 +1,187 @@
+'use strict';
+
+const path = require('path');
+
+const TASK_NAME = 'blog-scheduled-publishing';
+const DEFAULT_INTERVAL_SECONDS = 30;
+
+/**
+ * Creates the scheduled publishing subsystem.
+ * Scheduled posts are persisted as `.post` files with `Status: scheduled`, so the
+ * schedule survives restarts; every tick (and startup) promotes posts whose
+ * `scheduledFor` has passed.
+ * @param {Object} deps
+ * @param {Object} deps.dataStore Blog data store
+ * @param {Object} deps.scheduling NooblyJS scheduling service (optional)
+ * @param {Object} deps.logger
+ * @param {string} deps.postsContainer Container name for posts
+ * @param {string} deps.runsContainer Container name for publication run records
+ * @param {number=} deps.intervalSeconds
+ * @return {Object}
+ */
+function createPostScheduler({ dataStore, scheduling, logger, postsContainer, runsContainer, intervalSeconds = DEFAULT_INTERVAL_SECONDS }) {
+  if (!dataStore) {
+    throw new Error('postScheduler requires the blog data store.');
+  }
+
+  const log = logger || {
+    info: () => {},
+    error: console.error.bind(console, '[postScheduler:error]')
+  };
+
+  const { listRecords, updateRecord, createRecord, upsertSearchIndex, invalidateFeedCache } = dataStore;
+
+  let running = null;
+  let fallbackTimer = null;
+  let lastRunAt = null;
+
+  const dueTime = (post) => new Date(post.scheduledFor || 0).getTime();
+
+  /**
+   * Lists scheduled posts ordered by their publication time.
+   */
+  const listUpcoming = async () => {
+    const posts = await listRecords(postsContainer);
+    return posts
+      .filter((post) => post.status === 'scheduled' && post.scheduledFor)
+      .sort((a, b) => dueTime(a) - dueTime(b));
+  };
+
+  const recordRun = async (post, outcome, error) => {
+    try {
+      await createRecord(runsContainer, {
+        postId: post.id,
+        title: post.title,
+        scheduledFor: post.scheduledFor,
+        status: outcome,
+        error: error ? error.message : null,
+        attemptedAt: new Date().toISOString()
+      });
+    } catch (recordError) {
+      log.warn?.('Failed to record scheduled publication outcome', { postId: post.id, error: recordError.message });
+    }
+  };
+
+  const promote = async (post) => {
+    try {
+      const updated = await updateRecord(postsContainer, post.id, (current) => {
+        // Skip posts that were unscheduled or rescheduled since the scan
+        if (current.status !== 'scheduled' || dueTime(current) > Date.now()) return null;
+        return {
+          ...current,
+          status: 'published',
+          publishedAt: current.scheduledFor || new Date().toISOString(),
+          scheduledFor: null
+        };
+      });
+      if (!updated) return null;
+      await upsertSearchIndex(updated);
+      await recordRun(post, 'published');
+      log.info?.('Published scheduled post', { postId: post.id, scheduledFor: post.scheduledFor });
+      return updated;
+    } catch (error) {
+      await recordRun(post, 'failed', error);
+      log.error?.('Failed to publish scheduled post', { postId: post.id, error: error.message });
+      return null;
+    }
+  };
+
+  /**
+   * Publishes every scheduled post whose time has arrived. Overlapping calls share one run.
+   * @return {Promise<Array<Object>>} The posts that were published.
+   */
+  const publishDue = () => {
+    if (running) return running;
+    running = (async () => {
+      const now = Date.now();
+      const due = (await listUpcoming()).filter((post) => dueTime(post) <= now);
+      const published = [];
+      for (const post of due) {
+        const updated = await promote(post);
+        if (updated) published.push(updated);
+      }
+      if (published.length) {
+        await invalidateFeedCache();
+      }
+      lastRunAt = new Date().toISOString();
+      return published;
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  };
+
+  const runSafely = () =>
+    publishDue().catch((error) => {
+      log.error?.('Scheduled publishing run failed', { error: error.message });
+      return [];
+    });
+
+  const startFallbackTimer = () => {
+    fallbackTimer = setInterval(runSafely, intervalSeconds * 1000);
+    if (typeof fallbackTimer.unref === 'function') fallbackTimer.unref();
+  };
+
+  /**
+   * Starts periodic publishing through the scheduling service, falling back to a timer.
+   */
+  const start = async () => {
+    // Catch up on anything that came due while the server was down
+    await runSafely();
+
+    if (!scheduling || typeof scheduling.start !== 'function') {
+      startFallbackTimer();
+      log.info?.('Scheduled publishing started with internal timer', { intervalSeconds });
+      return;
+    }
+    try {
+      await scheduling.start(TASK_NAME, path.join(__dirname, 'schedulerTick.js'), { task: TASK_NAME }, intervalSeconds, (status) => {
+        if (status === 'error' || status === 'failed') {
+          log.warn?.('Scheduler heartbeat reported a failure', { task: TASK_NAME, status });
+        }
+        runSafely();
+      });
+      log.info?.('Scheduled publishing registered with scheduling service', { task: TASK_NAME, intervalSeconds });
+    } catch (error) {
+      log.warn?.('Scheduling service unavailable, using internal timer', { error: error.message });
+      startFallbackTimer();
+    }
+  };
+
+  /**
+   * Stops periodic publishing.
+   */
+  const stop = async () => {
+    if (fallbackTimer) {
+      clearInterval(fallbackTimer);
+      fallbackTimer = null;
+    }
+    if (scheduling && typeof scheduling.stop === 'function') {
+      try {
+        await scheduling.stop(TASK_NAME);
+      } catch (_) {
+        // ignore stop errors
+      }
+    }
+  };
+
+  /**
+   * Lists recorded publication attempts, newest first.
+   */
+  const listRuns = async () => {
+    const runs = await listRecords(runsContainer);
+    return [...runs].sort((a, b) => new Date(b.attemptedAt || 0).getTime() - new Date(a.attemptedAt || 0).getTime());
+  };
+
+  return {
+    start,
+    stop,
+    publishDue,
+    listUpcoming,
+    listRuns,
+    getLastRunAt: () => lastRunAt,
+    intervalSeconds
+  };
+}
+
+module.exports = createPostScheduler;
@@ -0,0 +1,713 @@
+'use strict';
+
+const { escapeHtml } = require('../routes/shared/helpers');
+
+/**
+ * How much a match in each field counts towards a result's score.
+ */
+const FIELD_WEIGHTS = {
+  title: 5,
+  tags: 3,
+  subtitle: 2,
+  author: 1.5,
+  body: 1
+};
+
+const PHRASE_BONUS = 1.5;
+const FUZZY_PENALTY = 0.6;
+const FUZZY_THRESHOLD = 3;
+const MAX_FACET_VALUES = 20;
+const SNIPPET_RADIUS = 80;
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu;
+
+/**
+ * Suffixes stripped by the stemmer, longest first. Each entry is `[suffix, replacement]`.
+ */
+const STEM_RULES = [
+  ['ational', 'ate'],
+  ['ization', 'ize'],
+  ['fulness', 'ful'],
+  ['ousness', 'ous'],
+  ['iveness', 'ive'],
+  ['ingly', ''],
+  ['edly', ''],
+  ['ness', ''],
+  ['ment', ''],
+  ['ies', 'y'],
+  ['ing', ''],
+  ['ed', ''],
+  ['ly', '']
+];
+
+/**
+ * Reduces an English word to a crude stem so `publishing`, `published` and
+ * `publishes` all match `publish`. Deliberately conservative: short words and
+ * words ending in `ss`, `us` or `is` are left alone.
+ * @param {string} word Lower-case word
+ * @return {string}
+ */
+function stem(word) {
+  let value = word.replace(/['’]s$/, '');
+  if (value.length <= 3) return value;
+
+  if (/(?:ss|us|is)$/.test(value)) return value;
+  if (/(?:s|x|z|ch|sh)es$/.test(value)) {
+    value = value.slice(0, -2);
+  } else if (/[^s]s$/.test(value) && !/ies$/.test(value)) {
+    value = value.slice(0, -1);
+  }
+
+  for (const [suffix, replacement] of STEM_RULES) {
+    if (value.endsWith(suffix) && value.length - suffix.length >= 3) {
+      value = value.slice(0, -suffix.length) + replacement;
+      // running -> runn -> run, stopped -> stopp -> stop
+      if ((suffix === 'ing' || suffix === 'ed') && /([^aeiouls])\1$/.test(value)) {
+        value = value.slice(0, -1);
+      }
+      break;
+    }
+  }
+  return value;
+}
+
+/**
+ * Splits text into words, keeping where each word starts so matches can be highlighted.
+ * @param {string} text
+ * @return {Array<{word: string, stem: string, start: number, end: number}>}
+ */
+function tokenize(text = '') {
+  const tokens = [];
+  for (const match of String(text).matchAll(WORD_PATTERN)) {
+    const word = match[0].toLowerCase();
+    tokens.push({ word, stem: stem(word), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * The text to look a word up by in the substring-matching index: the part the word
+ * shares with its stem, so `stories` (stem `story`) finds both `story` and `stories`.
+ */
+function lookupKey(word, value) {
+  let length = 0;
+  while (length < word.length && word[length] === value[length]) length += 1;
+  return length >= 3 ? word.slice(0, length) : value;
+}
+
+/**
+ * Parses a query into clauses. Words and `"quoted phrases"` are ANDed together;
+ * `OR` between two of them makes either one satisfy the clause, so
+ * `markdown "static site" OR jekyll` means markdown AND ("static site" OR jekyll).
+ * @param {string} query
+ * @return {Array<Array<{text: string, stems: Array<string>, keys: Array<string>, phrase: boolean}>>}
+ */
+function parseQuery(query = '') {
+  const clauses = [];
+  let joinNext = false;
+  for (const match of String(query).matchAll(/"([^"]*)"|(\S+)/g)) {
+    const [, quoted, bare] = match;
+    if (bare === 'OR') {
+      joinNext = clauses.length > 0;
+      continue;
+    }
+    const text = (quoted !== undefined ? quoted : bare).trim();
+    const tokens = tokenize(text);
+    if (!tokens.length) continue;
+    const alternative = {
+      text,
+      stems: tokens.map((token) => token.stem),
+      keys: tokens.map((token) => lookupKey(token.word, token.stem)),
+      phrase: quoted !== undefined && tokens.length > 1
+    };
+    if (joinNext) {
+      clauses[clauses.length - 1].push(alternative);
+    } else {
+      clauses.push([alternative]);
+    }
+    joinNext = false;
+  }
+  return clauses;
+}
+
+/**
+ * Finds where an alternative (a word, or every word of a phrase in order) occurs in a field.
+ * @return {Array<{start: number, end: number}>} Character ranges of each occurrence.
+ */
+function findOccurrences(tokens, alternative) {
+  const { stems } = alternative;
+  const ranges = [];
+  for (let index = 0; index <= tokens.length - stems.length; index += 1) {
+    if (stems.every((value, offset) => tokens[index + offset].stem === value)) {
+      ranges.push({ start: tokens[index].start, end: tokens[index + stems.length - 1].end });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Escapes a piece of text and wraps the matched ranges in `<mark>`.
+ */
+function markRanges(text, ranges, from = 0, to = text.length) {
+  let html = '';
+  let cursor = from;
+  ranges
+    .filter((range) => range.start >= from && range.end <= to)
+    .sort((a, b) => a.start - b.start)
+    .forEach((range) => {
+      if (range.start < cursor) return;
+      html += `${escapeHtml(text.slice(cursor, range.start))}<mark>${escapeHtml(text.slice(range.start, range.end))}</mark>`;
+      cursor = range.end;
+    });
+  return html + escapeHtml(text.slice(cursor, to));
+}
+
+/**
+ * Builds a short snippet of a long field around its first match.
+ */
+function buildSnippet(text, ranges) {
+  const first = ranges.reduce((earliest, range) => (range.start < earliest.start ? range : earliest), ranges[0]);
+  let from = Math.max(0, first.start - SNIPPET_RADIUS);
+  let to = Math.min(text.length, first.end + SNIPPET_RADIUS);
+  // Do not cut words in half
+  if (from > 0) from = text.indexOf(' ', from) + 1 || from;
+  if (to < text.length) to = text.lastIndexOf(' ', to) > first.end ? text.lastIndexOf(' ', to) : to;
+  return `${from > 0 ? '…' : ''}${markRanges(text, ranges, from, to).replace(/\s+/g, ' ').trim()}${to < text.length ? '…' : ''}`;
+}
+
+/**
+ * The searchable fields of an indexed post document.
+ */
+function documentFields(doc) {
+  return {
+    title: doc.title || '',
+    tags: (doc.tags || []).join(', '),
+    subtitle: doc.subtitle || '',
+    author: doc.author?.name || '',
+    body: doc.content || doc.excerpt || ''
+  };
+}
+
+/**
+ * Scores a document against parsed clauses. Every clause must match in some field;
+ * repeated matches in a field add less and less (`tf / (tf + 1)`).
+ * @return {{score: number, highlights: Object<string, string>, matchedFields: Array<string>}|null}
+ *   null when the document does not satisfy the query.
+ */
+function scoreDocument(doc, clauses) {
+  const fields = documentFields(doc);
+  const tokens = Object.fromEntries(Object.entries(fields).map(([name, text]) => [name, tokenize(text)]));
+  const rangesByField = {};
+  let score = 0;
+
+  for (const clause of clauses) {
+    let clauseScore = 0;
+    clause.forEach((alternative) => {
+      Object.keys(FIELD_WEIGHTS).forEach((field) => {
+        const ranges = findOccurrences(tokens[field], alternative);
+        if (!ranges.length) return;
+        const frequency = ranges.length;
+        clauseScore +=
+          FIELD_WEIGHTS[field] * (frequency / (frequency + 1)) * (alternative.phrase ? PHRASE_BONUS : 1) * (alternative.fuzzy ? FUZZY_PENALTY : 1);
+        rangesByField[field] = (rangesByField[field] || []).concat(ranges);
+      });
+    });
+    if (!clauseScore) return null;
+    score += clauseScore;
+  }
+
+  const highlights = {};
+  Object.entries(rangesByField).forEach(([field, ranges]) => {
+    highlights[field] = field === 'body' ? buildSnippet(fields.body, ranges) : markRanges(fields[field], ranges);
+  });
+  return {
+    score: Math.round(score * 1000) / 1000,
+    highlights,
+    matchedFields: Object.keys(FIELD_WEIGHTS).filter((field) => rangesByField[field])
+  };
+}
+
+/**
+ * Whether a document passes the filters. Every selected tag must be on the post, while
+ * selected authors are alternatives (a post has one author). `except` skips one facet's
+ * own filter, so its counts show what selecting another value would give.
+ * @param {Object} doc Indexed post document
+ * @param {Object} filters
+ * @param {string=} except `tags` or `authors`
+ * @return {boolean}
+ */
+function matchesFilters(doc, filters, except) {
+  const { tags = [], authors = [], from, to, minRead, maxRead } = filters;
+  if (except !== 'tags' && tags.length && !tags.every((slug) => (doc.tagSlugs || []).includes(slug))) return false;
+  if (except !== 'authors' && authors.length && !authors.includes(doc.author?.handle)) return false;
+  if (from || to) {
+    const publishedAt = new Date(doc.publishedAt || 0).getTime();
+    if (from && publishedAt < from.getTime()) return false;
+    if (to && publishedAt > to.getTime()) return false;
+  }
+  const readTime = Number(doc.readTimeMinutes) || 0;
+  if (minRead !== undefined && minRead !== null && readTime < minRead) return false;
+  if (maxRead !== undefined && maxRead !== null && readTime > maxRead) return false;
+  return true;
+}
+
+/**
+ * Counts tag and author values across documents, most common first. Selected values
+ * are always listed so they can be toggled off.
+ * @return {{tags: Array<{slug: string, tag: string, count: number, selected: boolean}>,
+ *   authors: Array<{handle: string, name: string, count: number, selected: boolean}>}}
+ */
+function buildFacets(tagDocs, authorDocs, filters) {
+  const tags = new Map();
+  tagDocs.forEach((doc) => {
+    (doc.tagSlugs || []).forEach((slug, index) => {
+      const entry = tags.get(slug) || { slug, tag: (doc.tags || [])[index] || slug, count: 0 };
+      entry.count += 1;
+      tags.set(slug, entry);
+    });
+  });
+  const authors = new Map();
+  authorDocs.forEach((doc) => {
+    const handle = doc.author?.handle;
+    if (!handle) return;
+    const entry = authors.get(handle) || { handle, name: doc.author.name || handle, count: 0 };
+    entry.count += 1;
+    authors.set(handle, entry);
+  });
+
+  const rank = (entries, selected, key) => {
+    const values = Array.from(entries.values()).map((entry) => ({ ...entry, selected: selected.includes(entry[key]) }));
+    values.sort((a, b) => b.count - a.count || String(a[key]).localeCompare(String(b[key])));
+    const top = values.slice(0, MAX_FACET_VALUES);
+    values.slice(MAX_FACET_VALUES).forEach((entry) => entry.selected && top.push(entry));
+    selected
+      .filter((value) => !entries.has(value))
+      .forEach((value) => top.push(key === 'slug' ? { slug: value, tag: value, count: 0, selected: true } : { handle: value, name: value, count: 0, selected: true }));
+    return top;
+  };
+
+  return {
+    tags: rank(tags, filters.tags || [], 'slug'),
+    authors: rank(authors, filters.authors || [], 'handle')
+  };
+}
+
+/**
+ * Edit distance between two words, counting a swap of neighbouring letters as one edit.
+ * Gives up early and returns `max + 1` once the distance must exceed `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @return {number}
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const next = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (previous && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        next[j] = Math.min(next[j], previous[j - 2] + 1);
+      }
+      best = Math.min(best, next[j]);
+    }
+    if (best > max) return max + 1;
+    previous = row;
+    row = next;
+  }
+  return row[b.length];
+}
+
+/**
+ * How many typos a word may contain: none below four letters, one up to seven, two beyond.
+ */
+const typoTolerance = (word) => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+/**
+ * Counts each spelling of each stem in a document.
+ * @return {Map<string, Map<string, number>>}
+ */
+function countSpellings(doc) {
+  const spellings = new Map();
+  Object.values(documentFields(doc)).forEach((text) => {
+    tokenize(text).forEach(({ word, stem: value }) => {
+      const words = spellings.get(value) || new Map();
+      words.set(word, (words.get(word) || 0) + 1);
+      spellings.set(value, words);
+    });
+  });
+  return spellings;
+}
+
+/**
+ * Creates the vocabulary of the words used across documents, keyed by stem. Documents
+ * are added, replaced and removed one at a time, so it never has to be rebuilt. Stems
+ * are grouped by their first letter, and a misspelled word is only compared with the
+ * stems sharing its first letter; a typo in the first letter is not corrected.
+ * @return {Object}
+ */
+function createVocabulary() {
+  const spellings = new Map();
+  const byDocument = new Map();
+  const byLetter = new Map();
+
+  const adjust = (docSpellings, sign) => {
+    docSpellings.forEach((words, value) => {
+      const known = spellings.get(value) || new Map();
+      words.forEach((count, word) => {
+        const total = (known.get(word) || 0) + sign * count;
+        if (total > 0) known.set(word, total);
+        else known.delete(word);
+      });
+      const letter = value[0];
+      if (known.size) {
+        spellings.set(value, known);
+        if (!byLetter.has(letter)) byLetter.set(letter, new Set());
+        byLetter.get(letter).add(value);
+      } else {
+        spellings.delete(value);
+        byLetter.get(letter)?.delete(value);
+      }
+    });
+  };
+
+  /**
+   * Removes a document's words.
+   * @param {string} id
+   */
+  const remove = (id) => {
+    if (!byDocument.has(id)) return;
+    adjust(byDocument.get(id), -1);
+    byDocument.delete(id);
+  };
+
+  /**
+   * Adds a document's words, replacing those it had before.
+   * @param {Object} doc Search document
+   */
+  const set = (doc) => {
+    remove(doc.id);
+    const docSpellings = countSpellings(doc);
+    byDocument.set(doc.id, docSpellings);
+    adjust(docSpellings, 1);
+  };
+
+  /**
+   * The most common spelling of a stem and how often the stem occurs.
+   */
+  const entryOf = (value) => {
+    let word = null;
+    let best = 0;
+    let count = 0;
+    spellings.get(value).forEach((seen, spelling) => {
+      count += seen;
+      if (seen > best) {
+        word = spelling;
+        best = seen;
+      }
+    });
+    return { word, count };
+  };
+
+  /**
+   * Finds the closest known word to one that does not occur anywhere, preferring fewer
+   * edits and then more common words.
+   * @param {string} word
+   * @return {{word: string, stem: string}|null}
+   */
+  const closest = (word) => {
+    const max = typoTolerance(word);
+    if (!max) return null;
+    const wordStem = stem(word);
+    let best = null;
+    (byLetter.get(word[0]) || []).forEach((value) => {
+      if (Math.abs(value.length - wordStem.length) > max && Math.abs(value.length - word.length) > max) return;
+      const entry = entryOf(value);
+      const distance = Math.min(editDistance(word, entry.word, max), editDistance(wordStem, value, max));
+      if (distance > max) return;
+      if (!best || distance < best.distance || (distance === best.distance && entry.count > best.count)) {
+        best = { word: entry.word, stem: value, distance, count: entry.count };
+      }
+    });
+    return best && { word: best.word, stem: best.stem };
+  };
+
+  return {
+    set,
+    remove,
+    has: (value) => spellings.has(value),
+    closest
+  };
+}
+
+/**
+ * Corrects the query words that do not occur in any document. Each corrected
+ * alternative gains a fuzzy twin in its clause, which scores lower than an exact match.
+ * @return {{clauses: Array<Array<Object>>, corrections: Map<string, string>}}
+ *   The expanded clauses, and the misspelled words mapped to their corrections.
+ */
+function correctClauses(clauses, vocabulary) {
+  const corrections = new Map();
+  const expanded = clauses.map((clause) =>
+    clause.flatMap((alternative) => {
+      const tokens = tokenize(alternative.text);
+      const fixed = tokens.map((token) => (vocabulary.has(token.stem) ? null : vocabulary.closest(token.word)));
+      if (!fixed.some(Boolean)) return [alternative];
+      tokens.forEach((token, index) => fixed[index] && corrections.set(token.word, fixed[index].word));
+      const words = tokens.map((token, index) => (fixed[index] ? fixed[index].word : token.word));
+      return [
+        alternative,
+        {
+          text: words.join(' '),
+          stems: tokens.map((token, index) => (fixed[index] ? fixed[index].stem : token.stem)),
+          keys: tokens.map((token, index) => (fixed[index] ? lookupKey(fixed[index].word, fixed[index].stem) : lookupKey(token.word, token.stem))),
+          phrase: alternative.phrase,
+          fuzzy: true
+        }
+      ];
+    })
+  );
+  return { clauses: expanded, corrections };
+}
+
+/**
+ * Rewrites a query with its corrected words, keeping quotes and `OR` as typed.
+ */
+const applyCorrections = (text, corrections) =>
+  String(text).replace(WORD_PATTERN, (word) => corrections.get(word.toLowerCase()) || word);
+
+/**
+ * Checks whether a title, tag or name completes what was typed: every finished word
+ * must occur in it and, unless the input ends in a space, one of its words must start
+ * with the last, unfinished word.
+ * @return {Array<{start: number, end: number}>|null} The ranges to highlight, or null.
+ */
+function matchCompletion(text, typed) {
+  const tokens = tokenize(text);
+  const ranges = [];
+  for (const word of typed.complete) {
+    const token = tokens.find((candidate) => candidate.stem === word.stem);
+    if (!token) return null;
+    ranges.push({ start: token.start, end: token.end });
+  }
+  if (typed.partial) {
+    const token = tokens.find((candidate) => candidate.word.startsWith(typed.partial));
+    if (!token) return null;
+    ranges.push({ start: token.start, end: token.start + typed.partial.length });
+  }
+  return ranges;
+}
+
+/**
+ * Creates post search over the searching service index that the data store keeps
+ * up to date. The index narrows the candidates (one lookup per query word) and the
+ * candidates are then ranked here, because the service only matches substrings.
+ * Without a searching service, published posts are scanned instead.
+ * @param {Object} deps
+ * @param {Object} deps.dataStore Blog data store
+ * @param {Object=} deps.search NooblyJS searching service
+ * @param {Object} deps.logger
+ * @param {Function} deps.buildSearchDocument
+ * @param {string} deps.postsContainer Container name for posts
+ * @param {string} deps.indexName Search index holding published posts
+ * @return {Object}
+ */
+function createPostSearch({ dataStore, search, logger, buildSearchDocument, postsContainer, indexName }) {
+  if (!dataStore) {
+    throw new Error('postSearch requires the blog data store.');
+  }
+
+  const log = logger || {
+    info: () => {},
+    error: console.error.bind(console, '[postSearch:error]')
+  };
+
+  const { listRecords, getRecord, onSearchIndexChange } = dataStore;
+
+  const scanDocuments = async () =>
+    (await listRecords(postsContainer)).filter((post) => post.status === 'published').map(buildSearchDocument).filter(Boolean);
+
+  // Built from the published posts on the first query that needs it, then kept up to date
+  // as the data store indexes posts
+  let vocabularyReady = null;
+  const loadVocabulary = () => {
+    if (!vocabularyReady) {
+      vocabularyReady = scanDocuments()
+        .then((docs) => {
+          const vocabulary = createVocabulary();
+          docs.forEach((doc) => vocabulary.set(doc));
+          log.info?.('Search vocabulary built', { posts: docs.length });
+          return vocabulary;
+        })
+        .catch((error) => {
+          vocabularyReady = null;
+          throw error;
+        });
+    }
+    return vocabularyReady;
+  };
+
+  onSearchIndexChange?.((id, doc) => {
+    if (!vocabularyReady) return;
+    vocabularyReady
+      .then((vocabulary) => (doc ? vocabulary.set(doc) : vocabulary.remove(id)))
+      .catch(() => {});
+  });
+
+  /**
+   * Looks up candidate documents in the index, one lookup per distinct key.
+   * @param {Iterable<string>} keys
+   */
+  const lookupCandidates = async (keys) => {
+    if (!search || typeof search.search !== 'function') {
+      return scanDocuments();
+    }
+    const candidates = new Map();
+    try {
+      for (const value of new Set(keys)) {
+        const hits = (await search.search(value, indexName)) || [];
+        hits.forEach((hit) => {
+          const doc = hit && hit.obj ? hit.obj : hit;
+          if (doc && doc.id) candidates.set(doc.id, doc);
+        });
+      }
+    } catch (error) {
+      log.warn?.('Search index lookup failed, scanning posts instead', { error: error.message });
+      return scanDocuments();
+    }
+    return Array.from(candidates.values());
+  };
+
+  const clauseKeys = (clauses) => clauses.flat().flatMap((alternative) => alternative.keys);
+
+  /**
+   * Scores the published candidates that satisfy every clause.
+   */
+  const rankCandidates = (candidates, clauses) =>
+    candidates
+      .filter((doc) => (doc.status || 'published') === 'published')
+      .map((doc) => ({ doc, result: clauses.length ? scoreDocument(doc, clauses) : { score: 0, highlights: {}, matchedFields: [] } }))
+      .filter(({ result }) => result);
+
+  /**
+   * Runs a query and returns one page of ranked results with tag and author facets.
+   * Without any words, every published post passing the filters matches, newest first.
+   * When fewer than three posts match exactly, words that occur in no post are matched
+   * against their closest known spelling as well, and the corrected query is returned
+   * as `didYouMean`. Results are re-read from the data store so counters and bylines are current.
+   * @param {string} query
+   * @param {{page: number, pageSize: number, filters?: {tags?: Array<string>, authors?: Array<string>,
+   *   from?: Date, to?: Date, minRead?: number, maxRead?: number}}} options
+   * @return {Promise<{items: Array<{post: Object, score: number, highlights: Object, matchedFields: Array<string>}>,
+   *   total: number, terms: Array<string>, facets: Object, didYouMean: (string|null)}>}
+   */
+  const query = async (text, { page, pageSize, filters = {} }) => {
+    let clauses = parseQuery(text);
+    const terms = clauses.flat().map((alternative) => alternative.text);
+    if (!clauses.length && String(text || '').trim()) {
+      // Only punctuation was typed: match nothing rather than everything
+      return { items: [], total: 0, terms, facets: buildFacets([], [], filters), didYouMean: null };
+    }
+    let matched = rankCandidates(clauses.length ? await lookupCandidates(clauseKeys(clauses)) : await scanDocuments(), clauses);
+
+    let didYouMean = null;
+    if (clauses.length && matched.filter(({ doc }) => matchesFilters(doc, filters)).length < FUZZY_THRESHOLD) {
+      const corrected = correctClauses(clauses, await loadVocabulary());
+      if (corrected.corrections.size) {
+        clauses = corrected.clauses;
+        didYouMean = applyCorrections(text, corrected.corrections);
+        matched = rankCandidates(await lookupCandidates(clauseKeys(clauses)), clauses);
+      }
+    }
+
+    const ranked = matched
+      .filter(({ doc }) => matchesFilters(doc, filters))
+      .sort((a, b) => b.result.score - a.result.score || new Date(b.doc.publishedAt || 0).getTime() - new Date(a.doc.publishedAt || 0).getTime());
+    const facets = buildFacets(
+      ranked.map(({ doc }) => doc),
+      matched.filter(({ doc }) => matchesFilters(doc, filters, 'authors')).map(({ doc }) => doc),
+      filters
+    );
+
+    const start = (page - 1) * pageSize;
+    const items = [];
+    for (const { doc, result } of ranked.slice(start, start + pageSize)) {
+      const post = await getRecord(postsContainer, doc.id);
+      if (post && post.status === 'published') {
+        items.push({ post, ...result });
+      }
+    }
+    return { items, total: ranked.length, terms, facets, didYouMean };
+  };
+
+  /**
+   * Completes what has been typed so far into post titles, tags and authors. Titles are
+   * newest first; tags and authors are ordered by how many published posts use them.
+   * Each suggestion's `label` is escaped HTML with the typed part wrapped in `<mark>`.
+   * @param {string} text
+   * @param {{limit: number}} options Suggestions per kind
+   * @return {Promise<Array<{type: string, value: string, label: string}>>} Titles carry
+   *   `postId` and `slug`, tags `slug` and `count`, authors `handle` and `count`.
+   */
+  const suggest = async (text, { limit }) => {
+    const tokens = tokenize(text);
+    if (!tokens.length) return [];
+    const finished = /[^\p{L}\p{N}]$/u.test(String(text));
+    const typed = {
+      complete: finished ? tokens : tokens.slice(0, -1),
+      partial: finished ? null : tokens[tokens.length - 1].word
+    };
+    // The last word narrows the index lookup the most; a finished word is looked up by its key
+    const last = tokens[tokens.length - 1];
+    const candidates = rankCandidates(await lookupCandidates([typed.partial || lookupKey(last.word, last.stem)]), []).map(({ doc }) => doc);
+
+    const titles = candidates
+      .map((doc) => ({ doc, ranges: matchCompletion(doc.title || '', typed) }))
+      .filter(({ ranges }) => ranges)
+      .sort((a, b) => new Date(b.doc.publishedAt || 0).getTime() - new Date(a.doc.publishedAt || 0).getTime())
+      .slice(0, limit)
+      .map(({ doc, ranges }) => ({ type: 'title', value: doc.title, label: markRanges(doc.title, ranges), postId: doc.id, slug: doc.slug }));
+
+    const tags = new Map();
+    const authors = new Map();
+    candidates.forEach((doc) => {
+      (doc.tags || []).forEach((tag, index) => {
+        const ranges = matchCompletion(tag, typed);
+        if (!ranges) return;
+        const slug = (doc.tagSlugs || [])[index] || tag;
+        const entry = tags.get(slug) || { type: 'tag', value: tag, label: markRanges(tag, ranges), slug, count: 0 };
+        entry.count += 1;
+        tags.set(slug, entry);
+      });
+      const author = doc.author;
+      const ranges = author?.handle ? matchCompletion(author.name || author.handle, typed) : null;
+      if (!ranges) return;
+      const name = author.name || author.handle;
+      const entry = authors.get(author.handle) || { type: 'author', value: name, label: markRanges(name, ranges), handle: author.handle, count: 0 };
+      entry.count += 1;
+      authors.set(author.handle, entry);
+    });
+    const mostUsed = (entries) =>
+      Array.from(entries.values())
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+        .slice(0, limit);
+
+    return [...titles, ...mostUsed(tags), ...mostUsed(authors)];
+  };
+
+  return {
+    query,
+    suggest
+  };
+}
+
+createPostSearch.FIELD_WEIGHTS = FIELD_WEIGHTS;
+createPostSearch.stem = stem;
+createPostSearch.tokenize = tokenize;
+createPostSearch.parseQuery = parseQuery;
+createPostSearch.editDistance = editDistance;
+
+module.exports = createPostSearch;
@@ -0,0 +1,119 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const createKeyedQueue = require('./keyedQueue');
+const { POST_EXTENSION } = require('./filePostStore');
+
+/**
+ * How long a post file must stay quiet before it is reloaded, so an editor's save or a
+ * git checkout that touches a file several times only reloads it once.
+ */
+const DEFAULT_DEBOUNCE_MS = 300;
+
+/**
+ * Creates the post watcher. Writers may edit `.post` files by hand or pull them with git
+ * while the server runs; the watcher notices files being created, changed, deleted or
+ * renamed in the post folders, reloads them, updates the search index and clears the
+ * cached home feed. A rename is seen as the old file going and the new one arriving.
+ * @param {Object} deps
+ * @param {Object} deps.dataStore Blog data store
+ * @param {Object} deps.logger
+ * @param {number=} deps.debounceMs
+ * @return {Object}
+ */
+function createPostWatcher({ dataStore, logger, debounceMs = DEFAULT_DEBOUNCE_MS }) {
+  if (!dataStore) {
+    throw new Error('postWatcher requires the blog data store.');
+  }
+
+  const log = logger || {
+    info: () => {},
+    error: console.error.bind(console, '[postWatcher:error]')
+  };
+
+  const { postsReady, postDirectories, reloadPostFile, upsertSearchIndex, removeFromSearchIndex, invalidateFeedCache } = dataStore;
+
+  // A post moving between folders reports both paths; reload them one after the other
+  const serialize = createKeyedQueue();
+  const timers = new Map();
+  let watchers = [];
+
+  /**
+   * Reloads one file and brings the search index and home feed in step with it.
+   */
+  const apply = async (filePath) => {
+    const { id, post, changed, problems } = await reloadPostFile(filePath);
+    problems.forEach(({ line, message }) => {
+      log.warn?.('Problem in post file', { file: filePath, line, error: message });
+    });
+    if (!changed) return;
+
+    if (post) {
+      await upsertSearchIndex(post);
+    } else {
+      await removeFromSearchIndex(id);
+    }
+    await invalidateFeedCache();
+    log.info?.(post ? 'Post reloaded from disk' : 'Post removed from disk', { postId: id, file: filePath });
+  };
+
+  /**
+   * Reloads a file once it has been quiet for `debounceMs`.
+   */
+  const schedule = (filePath) => {
+    clearTimeout(timers.get(filePath));
+    const timer = setTimeout(() => {
+      timers.delete(filePath);
+      serialize(path.basename(filePath, POST_EXTENSION), () => apply(filePath)).catch((error) => {
+        log.error('Failed to reload post file', { file: filePath, error: error.message });
+      });
+    }, debounceMs);
+    if (typeof timer.unref === 'function') timer.unref();
+    timers.set(filePath, timer);
+  };
+
+  const watchDirectory = (dir) => {
+    // Not persistent: the watcher alone must not keep the process running
+    const watcher = fs.watch(dir, { persistent: false }, (_eventType, fileName) => {
+      // Editors' swap and backup files share the folder; only posts matter
+      if (fileName && fileName.endsWith(POST_EXTENSION)) {
+        schedule(path.join(dir, fileName));
+      }
+    });
+    watcher.on('error', (error) => {
+      log.error('Post folder watcher failed', { dir, error: error.message });
+    });
+    return watcher;
+  };
+
+  /**
+   * Starts watching the post folders, once the post store is ready.
+   */
+  const start = async () => {
+    await postsReady;
+    if (watchers.length) return;
+    watchers = postDirectories.map(watchDirectory);
+    log.info?.('Watching post files for changes', { directories: postDirectories, debounceMs });
+  };
+
+  /**
+   * Stops watching and drops reloads that have not run yet.
+   */
+  const stop = () => {
+    watchers.forEach((watcher) => watcher.close());
+    watchers = [];
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+  };
+
+  return {
+    start,
+    stop,
+    isWatching: () => watchers.length > 0
+  };
+}
+
+createPostWatcher.DEFAULT_DEBOUNCE_MS = DEFAULT_DEBOUNCE_MS;
+
+module.exports = createPostWatcher;
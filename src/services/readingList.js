@@ -0,0 +1,186 @@
+'use strict';
+
+const createKeyedQueue = require('./keyedQueue');
+
+const MAX_COLLECTION_LENGTH = 60;
+
+/**
+ * Normalizes a collection name; blank names mean the reader's unsorted list.
+ * @param {*} value
+ * @return {string|null}
+ */
+function normalizeCollection(value) {
+  if (typeof value !== 'string') return null;
+  const name = value.trim().replace(/\s+/g, ' ');
+  return name ? name.slice(0, MAX_COLLECTION_LENGTH) : null;
+}
+
+/**
+ * Creates the reading list subsystem. Each bookmark is a record
+ * (`{postId, reader, collection}`) in the bookmarks container, one per reader and
+ * post, and the post's `stats.bookmarks` counts how many readers saved it.
+ * @param {Object} deps
+ * @param {Object} deps.dataStore Blog data store
+ * @param {Object} deps.logger
+ * @param {string} deps.postsContainer Container name for posts
+ * @param {string} deps.bookmarksContainer Container name for bookmarks
+ * @return {Object}
+ */
+function createReadingList({ dataStore, logger, postsContainer, bookmarksContainer }) {
+  if (!dataStore) {
+    throw new Error('readingList requires the blog data store.');
+  }
+
+  const log = logger || {
+    info: () => {},
+    error: console.error.bind(console, '[readingList:error]')
+  };
+
+  const { listRecords, getRecord, createRecord, updateRecord, deleteRecord, invalidateFeedCache } = dataStore;
+
+  // One reader saving the same post twice at once must still produce a single bookmark
+  const serialize = createKeyedQueue();
+
+  const listReaderBookmarks = async (reader) => {
+    const bookmarks = await listRecords(bookmarksContainer);
+    return bookmarks.filter((bookmark) => bookmark.reader === reader);
+  };
+
+  const findBookmark = async (postId, reader) => (await listReaderBookmarks(reader)).find((bookmark) => bookmark.postId === postId) || null;
+
+  const adjustPostBookmarks = (postId, delta) =>
+    updateRecord(postsContainer, postId, (current) => {
+      if (!current) return null;
+      const stats = {
+        ...current.stats,
+        bookmarks: Math.max(0, (current.stats?.bookmarks || 0) + delta)
+      };
+      return { ...current, stats };
+    }, { touch: false });
+
+  const toPostSummary = (post) => ({
+    id: post.id,
+    slug: post.slug,
+    title: post.title,
+    subtitle: post.subtitle,
+    excerpt: post.excerpt,
+    coverImage: post.coverImage,
+    author: post.author,
+    tags: post.tags,
+    readTimeMinutes: post.readTimeMinutes,
+    publishedAt: post.publishedAt,
+    status: post.status
+  });
+
+  const byNewest = (a, b) => new Date(b.createdAt || 0).getTime() - new Date(a.createdAt || 0).getTime();
+
+  /**
+   * Returns the reader's bookmark for a post, if any.
+   * @param {string} postId
+   * @param {string} reader Reader key
+   * @return {Promise<Object|null>}
+   */
+  const getReaderBookmark = (postId, reader) => findBookmark(postId, reader);
+
+  /**
+   * Saves a post to the reader's list. Saving it again only moves it to `collection`.
+   * @param {string} postId
+   * @param {string} reader Reader key
+   * @param {{collection?: string, visible?: function(Object): boolean}=} options `visible` tells whether the reader may see the post
+   * @return {Promise<{post: Object, bookmark: Object, created: boolean}|null>} null when the post does not exist or is not visible.
+   */
+  const add = (postId, reader, { collection, visible = () => true } = {}) =>
+    serialize(`${postId}:${reader}`, async () => {
+      const post = await getRecord(postsContainer, postId);
+      if (!post || !visible(post)) return null;
+
+      const name = normalizeCollection(collection);
+      const existing = await findBookmark(post.id, reader);
+      if (existing) {
+        if (collection === undefined || existing.collection === name) {
+          return { post, bookmark: existing, created: false };
+        }
+        const moved = await updateRecord(bookmarksContainer, existing.id, (current) => ({ ...current, collection: name }));
+        return { post, bookmark: moved || existing, created: false };
+      }
+
+      const bookmark = await createRecord(bookmarksContainer, { postId: post.id, reader, collection: name });
+      const updated = await adjustPostBookmarks(post.id, 1);
+      await invalidateFeedCache();
+      return { post: updated || post, bookmark, created: true };
+    });
+
+  /**
+   * Moves one of the reader's bookmarks to another collection.
+   * @param {string} bookmarkId
+   * @param {string} reader Reader key
+   * @param {string|null} collection
+   * @return {Promise<Object|null>} null when the reader has no such bookmark.
+   */
+  const move = async (bookmarkId, reader, collection) => {
+    const bookmark = await getRecord(bookmarksContainer, bookmarkId);
+    if (!bookmark || bookmark.reader !== reader) return null;
+    return updateRecord(bookmarksContainer, bookmark.id, (current) => ({ ...current, collection: normalizeCollection(collection) }));
+  };
+
+  /**
+   * Removes one of the reader's bookmarks.
+   * @param {string} bookmarkId
+   * @param {string} reader Reader key
+   * @return {Promise<{bookmark: Object, post: (Object|null)}|null>} null when the reader has no such bookmark.
+   */
+  const remove = async (bookmarkId, reader) => {
+    const bookmark = await getRecord(bookmarksContainer, bookmarkId);
+    if (!bookmark || bookmark.reader !== reader) return null;
+    return serialize(`${bookmark.postId}:${reader}`, async () => {
+      const removed = await deleteRecord(bookmarksContainer, bookmark.id);
+      if (!removed) return null;
+      const post = await adjustPostBookmarks(bookmark.postId, -1);
+      await invalidateFeedCache();
+      log.info?.('Bookmark removed', { postId: bookmark.postId });
+      return { bookmark, post };
+    });
+  };
+
+  /**
+   * Lists a page of the reader's bookmarks, newest first, with a summary of each post.
+   * Bookmarks of posts that were deleted or unpublished are left out.
+   * @param {string} reader Reader key
+   * @param {{page: number, pageSize: number, collection?: string}} options
+   * @return {Promise<{items: Array<Object>, total: number, collections: Array<{name: string, count: number}>}>}
+   */
+  const list = async (reader, { page, pageSize, collection }) => {
+    const [bookmarks, posts] = await Promise.all([listReaderBookmarks(reader), listRecords(postsContainer)]);
+    const postsById = new Map(posts.filter((post) => post.status === 'published').map((post) => [post.id, post]));
+    const visible = bookmarks.filter((bookmark) => postsById.has(bookmark.postId)).sort(byNewest);
+
+    const counts = new Map();
+    visible.forEach((bookmark) => {
+      if (bookmark.collection) counts.set(bookmark.collection, (counts.get(bookmark.collection) || 0) + 1);
+    });
+    const collections = Array.from(counts.entries())
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const name = normalizeCollection(collection);
+    const scoped = name ? visible.filter((bookmark) => bookmark.collection === name) : visible;
+    const start = (page - 1) * pageSize;
+    const items = scoped.slice(start, start + pageSize).map((bookmark) => ({
+      ...bookmark,
+      post: toPostSummary(postsById.get(bookmark.postId))
+    }));
+    return { items, total: scoped.length, collections };
+  };
+
+  return {
+    getReaderBookmark,
+    add,
+    move,
+    remove,
+    list
+  };
+}
+
+createReadingList.MAX_COLLECTION_LENGTH = MAX_COLLECTION_LENGTH;
+
+module.exports = createReadingList;
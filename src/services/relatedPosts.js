@@ -0,0 +1,192 @@
+'use strict';
+
+const { tokenize } = require('./postSearch');
+
+/**
+ * How much each signal counts towards a related post's score, which stays between 0 and 1.
+ */
+const RELATED_WEIGHTS = {
+  tags: 0.5,
+  text: 0.35,
+  author: 0.15
+};
+
+/**
+ * Shared tags over all tags of the two posts (Jaccard index).
+ */
+const tagOverlap = (a, b) => {
+  if (!a.length || !b.length) return 0;
+  const shared = a.filter((slug) => b.includes(slug)).length;
+  return shared / (a.length + b.length - shared);
+};
+
+/**
+ * Counts the stems of a document's search text.
+ * @return {Map<string, number>}
+ */
+const termCounts = (doc) => {
+  const counts = new Map();
+  tokenize(doc.searchText).forEach(({ stem }) => counts.set(stem, (counts.get(stem) || 0) + 1));
+  return counts;
+};
+
+/**
+ * Weighs term counts by how rare each term is across the posts (TF-IDF), so words
+ * every post uses do not make posts look alike.
+ * @return {{weights: Map<string, number>, norm: number}}
+ */
+const weighTerms = (counts, idf) => {
+  const weights = new Map();
+  let sum = 0;
+  counts.forEach((count, term) => {
+    const weight = (1 + Math.log(count)) * (idf.get(term) || 0);
+    if (weight > 0) {
+      weights.set(term, weight);
+      sum += weight * weight;
+    }
+  });
+  return { weights, norm: Math.sqrt(sum) };
+};
+
+/**
+ * Cosine similarity of two weighted term vectors.
+ */
+const cosine = (a, b) => {
+  if (!a.norm || !b.norm) return 0;
+  const [small, large] = a.weights.size < b.weights.size ? [a.weights, b.weights] : [b.weights, a.weights];
+  let dot = 0;
+  small.forEach((weight, term) => {
+    dot += weight * (large.get(term) || 0);
+  });
+  return dot / (a.norm * b.norm);
+};
+
+/**
+ * Creates the related posts finder. Other published posts are scored by the tags they
+ * share with a post, whether the same author wrote them and how similar their search
+ * text is. The term model and every post's ranked ids and scores are kept until a post
+ * is published, unpublished, deleted or edited, which the published posts' ids and
+ * versions reveal; the posts themselves are read afresh for each response, so their
+ * counters and comments are never stale.
+ * @param {Object} deps
+ * @param {Object} deps.dataStore Blog data store
+ * @param {Object} deps.logger
+ * @param {Function} deps.buildSearchDocument
+ * @param {string} deps.postsContainer Container name for posts
+ * @return {Object}
+ */
+function createRelatedPosts({ dataStore, logger, buildSearchDocument, postsContainer }) {
+  if (!dataStore) {
+    throw new Error('relatedPosts requires the blog data store.');
+  }
+
+  const log = logger || {
+    info: () => {},
+    error: console.error.bind(console, '[relatedPosts:error]')
+  };
+
+  const { listRecords } = dataStore;
+
+  let model = null;
+
+  const fingerprintOf = (posts) =>
+    posts
+      .map((post) => `${post.id}:${post.version || 1}`)
+      .sort()
+      .join('|');
+
+  /**
+   * What ranking needs of a post: its id, publish date, tags, author and, once weighed, its term vector.
+   */
+  const toEntry = (post, doc, vector = null) => ({
+    id: post.id,
+    publishedAt: post.publishedAt || null,
+    tagSlugs: doc.tagSlugs,
+    handle: doc.author?.handle || null,
+    vector
+  });
+
+  /**
+   * Indexes the published posts: their tags, authors and weighted term vectors.
+   */
+  const buildModel = (posts, fingerprint) => {
+    const docs = posts.map((post) => ({ post, doc: buildSearchDocument(post) })).filter(({ doc }) => doc);
+    const counts = docs.map(({ doc }) => termCounts(doc));
+    const frequency = new Map();
+    counts.forEach((terms) => terms.forEach((_count, term) => frequency.set(term, (frequency.get(term) || 0) + 1)));
+    const idf = new Map(Array.from(frequency.entries()).map(([term, df]) => [term, Math.log(docs.length / df)]));
+
+    const entries = new Map(
+      docs.map(({ post, doc }, index) => [post.id, toEntry(post, doc, weighTerms(counts[index], idf))])
+    );
+    log.info?.('Related posts model built', { posts: entries.size, terms: idf.size });
+    return { fingerprint, idf, entries, results: new Map() };
+  };
+
+  /**
+   * Reads the published posts and rebuilds the model when they changed.
+   * @return {Promise<{current: Object, published: Map<string, Object>}>} The model and the posts just read, by id.
+   */
+  const currentModel = async () => {
+    const published = (await listRecords(postsContainer)).filter((post) => post.status === 'published');
+    const fingerprint = fingerprintOf(published);
+    if (!model || model.fingerprint !== fingerprint) {
+      model = buildModel(published, fingerprint);
+    }
+    return { current: model, published: new Map(published.map((post) => [post.id, post])) };
+  };
+
+  /**
+   * Scores every other published post against one post, best first.
+   */
+  const rank = ({ entries }, source) => {
+    return Array.from(entries.values())
+      .filter(({ id }) => id !== source.id)
+      .map(({ id, publishedAt, tagSlugs, handle, vector }) => {
+        const sharedTags = tagSlugs.filter((slug) => source.tagSlugs.includes(slug));
+        const sameAuthor = Boolean(source.handle && handle === source.handle);
+        const similarity = cosine(source.vector, vector);
+        const score =
+          RELATED_WEIGHTS.tags * tagOverlap(source.tagSlugs, tagSlugs) +
+          RELATED_WEIGHTS.text * similarity +
+          RELATED_WEIGHTS.author * (sameAuthor ? 1 : 0);
+        return { id, publishedAt, score: Math.round(score * 1000) / 1000, sharedTags, sameAuthor, similarity: Math.round(similarity * 1000) / 1000 };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || new Date(b.publishedAt || 0).getTime() - new Date(a.publishedAt || 0).getTime());
+  };
+
+  /**
+   * Finds the published posts most related to a post. Drafts get related posts too,
+   * so authors can preview them, but only published posts' results are kept.
+   * @param {Object} post
+   * @param {{limit: number}} options
+   * @return {Promise<Array<{post: Object, score: number, sharedTags: Array<string>, sameAuthor: boolean, similarity: number}>>}
+   */
+  const find = async (post, { limit }) => {
+    const { current, published } = await currentModel();
+    let ranked = current.results.get(post.id);
+    if (!ranked) {
+      let entry = current.entries.get(post.id);
+      if (!entry) {
+        const doc = buildSearchDocument(post);
+        if (!doc) return [];
+        entry = toEntry(post, doc, weighTerms(termCounts(doc), current.idf));
+      }
+      ranked = rank(current, entry);
+      if (current.entries.has(post.id)) current.results.set(post.id, ranked);
+    }
+    return ranked
+      .filter(({ id }) => published.has(id))
+      .slice(0, limit)
+      .map(({ id, publishedAt: _publishedAt, ...match }) => ({ post: published.get(id), ...match }));
+  };
+
+  return {
+    find
+  };
+}
+
+createRelatedPosts.RELATED_WEIGHTS = RELATED_WEIGHTS;
+
+module.exports = createRelatedPosts;
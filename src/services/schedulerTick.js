@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * @fileoverview Heartbeat script run by the NooblyJS scheduling service.
+ * The publishing work itself happens in the scheduler's completion callback,
+ * which runs in-process with access to the post store.
+ */
+
+/**
+ * @param {Object} data
+ * @return {Promise<{tickedAt: string, task: string}>}
+ */
+async function run(data = {}) {
+  return { tickedAt: new Date().toISOString(), task: data.task || 'blog-scheduled-publishing' };
+}
+
+module.exports = { run };
@@ -0,0 +1,364 @@
+'use strict';
+
+const createKeyedQueue = require('./keyedQueue');
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * Orders a tag's posts can be listed in.
+ */
+const TAG_SORTS = ['recent', 'popular'];
+
+const publishedTime = (post) => new Date(post.publishedAt || post.createdAt || 0).getTime();
+
+/**
+ * How much readers engaged with a post, weighed like the home feed's trending list.
+ */
+const popularity = (post) => (post.stats?.claps || 0) * 3 + (post.stats?.bookmarks || 0) * 2 + (post.stats?.views || 0);
+
+/**
+ * Builds an error carrying a code for the routes to map.
+ */
+const tagError = (code, message, details) => Object.assign(new Error(message), { code, ...details });
+
+/**
+ * Creates the tag directory. Tags live on posts; a record in the tags container
+ * (`{slug, tag, description, coverImage, color, aliases}`) adds what a tag's landing
+ * page shows and the alias slugs that are rewritten to it whenever a post is saved.
+ * Tags without a record are described from their posts alone.
+ *
+ * Renaming, merging, aliasing and deleting tags rewrite every affected post (drafts
+ * included) in one batch; each can be previewed with `dryRun` first. A tag's followers
+ * move with it when it is renamed or merged, and are dropped when it is deleted.
+ * @param {Object} deps
+ * @param {Object} deps.dataStore Blog data store
+ * @param {Object} deps.logger
+ * @param {Function} deps.toSlug
+ * @param {Function} deps.normalizeTags
+ * @param {Object=} deps.followGraph Follow graph whose tag follows are kept in step
+ * @param {string} deps.postsContainer Container name for posts
+ * @param {string} deps.tagsContainer Container name for tag metadata
+ * @return {Object}
+ */
+function createTagDirectory({ dataStore, logger, toSlug, normalizeTags, followGraph, postsContainer, tagsContainer }) {
+  if (!dataStore) {
+    throw new Error('tagDirectory requires the blog data store.');
+  }
+
+  const log = logger || {
+    info: () => {},
+    error: console.error.bind(console, '[tagDirectory:error]')
+  };
+
+  const { listRecords, createRecord, updateRecord, deleteRecord, updatePosts, upsertSearchIndex, invalidateFeedCache, refreshTagAliases } = dataStore;
+
+  // Tag records are created on first write and renames move them, so every change to
+  // tags is queued behind the last; two changes never interleave their post rewrites
+  const serialize = createKeyedQueue();
+  const TAGS_KEY = 'tags';
+
+  const listPublished = async () => (await listRecords(postsContainer)).filter((post) => post.status === 'published');
+
+  const slugsOf = (post) => (post.tags || []).map((tag, index) => (post.tagSlugs || [])[index] || toSlug(tag));
+
+  /**
+   * Counts published posts per tag, naming each tag as its posts spell it most often.
+   * @return {Map<string, {tag: string, count: number}>}
+   */
+  const countUsage = (posts) => {
+    const spellings = new Map();
+    posts.forEach((post) => {
+      const slugs = slugsOf(post);
+      (post.tags || []).forEach((tag, index) => {
+        const names = spellings.get(slugs[index]) || new Map();
+        names.set(tag, (names.get(tag) || 0) + 1);
+        spellings.set(slugs[index], names);
+      });
+    });
+    const usage = new Map();
+    spellings.forEach((names, slug) => {
+      const [tag] = Array.from(names.entries()).sort((a, b) => b[1] - a[1])[0];
+      usage.set(slug, { tag, count: Array.from(names.values()).reduce((sum, count) => sum + count, 0) });
+    });
+    return usage;
+  };
+
+  const toTag = (slug, usage, record) => ({
+    tag: usage?.tag || record?.tag || slug,
+    slug,
+    count: usage?.count || 0,
+    description: record?.description || null,
+    coverImage: record?.coverImage || null,
+    color: record?.color || null,
+    aliases: record?.aliases || []
+  });
+
+  /**
+   * Lists the tags on published posts with their metadata, most used first.
+   * @return {Promise<Array<{tag: string, slug: string, count: number, description: (string|null),
+   *   coverImage: (string|null), color: (string|null)}>>}
+   */
+  const list = async () => {
+    const [usage, records] = await Promise.all([listPublished().then(countUsage), listRecords(tagsContainer)]);
+    const bySlug = new Map(records.map((record) => [record.slug, record]));
+    return Array.from(usage.entries())
+      .map(([slug, entry]) => toTag(slug, entry, bySlug.get(slug)))
+      .sort((a, b) => b.count - a.count || a.slug.localeCompare(b.slug));
+  };
+
+  const describeFrom = async (slug, loadingPosts) => {
+    const [usage, records] = await Promise.all([loadingPosts.then(countUsage), listRecords(tagsContainer)]);
+    const record = records.find((candidate) => candidate.slug === slug);
+    if (!record && !usage.has(slug)) return null;
+    return { ...toTag(slug, usage.get(slug), record), id: record?.id || null, registered: Boolean(record) };
+  };
+
+  /**
+   * Returns a tag by slug with its metadata and published post count.
+   * @param {string} slug
+   * @return {Promise<Object|null>} null when no record or published post uses the tag.
+   */
+  const describe = (slug) => describeFrom(slug, listPublished());
+
+  /**
+   * Returns a tag as the admin operations see it: one used only by drafts or scheduled
+   * posts is found too, and `count` includes those posts.
+   * @param {string} slug
+   * @return {Promise<Object|null>} null when no record or post uses the tag.
+   */
+  const describeAny = (slug) => describeFrom(slug, listRecords(postsContainer));
+
+  /**
+   * Lists a tag's published posts, newest or most popular first.
+   * @param {string} slug
+   * @param {{page: number, pageSize: number, sort: string}} options
+   * @return {Promise<{items: Array<Object>, total: number}>}
+   */
+  const listPosts = async (slug, { page, pageSize, sort }) => {
+    const byRecency = (a, b) => publishedTime(b) - publishedTime(a);
+    const posts = (await listPublished())
+      .filter((post) => slugsOf(post).includes(slug))
+      .sort(sort === 'popular' ? (a, b) => popularity(b) - popularity(a) || byRecency(a, b) : byRecency);
+    const start = (page - 1) * pageSize;
+    return { items: posts.slice(start, start + pageSize), total: posts.length };
+  };
+
+  /**
+   * Updates a tag's metadata, creating its record on first update.
+   * @param {string} slug
+   * @param {{description?: string, coverImage?: string, color?: string}} changes
+   * @return {Promise<Object|null>} null when no record or post uses the tag.
+   */
+  const update = (slug, changes) =>
+    serialize(TAGS_KEY, async () => {
+      const current = await describeAny(slug);
+      if (!current) return null;
+
+      const next = { slug, tag: current.tag, description: current.description, coverImage: current.coverImage, color: current.color };
+      if (changes.description !== undefined) next.description = changes.description ? changes.description.trim() : null;
+      if (changes.coverImage !== undefined) next.coverImage = changes.coverImage || null;
+      if (changes.color !== undefined) next.color = changes.color ? changes.color.toLowerCase() : null;
+
+      if (!current.registered) {
+        await createRecord(tagsContainer, next);
+        log.info?.('Tag metadata created', { slug });
+      } else {
+        await updateRecord(tagsContainer, current.id, (existing) => ({ ...existing, ...next }));
+      }
+      return describeAny(slug);
+    });
+
+  /**
+   * Returns the tag an alias slug stands for.
+   * @param {string} slug
+   * @return {Promise<string|null>} The canonical tag's slug, or null when `slug` is no alias.
+   */
+  const resolveAlias = async (slug) => {
+    const record = (await listRecords(tagsContainer)).find((candidate) => (candidate.aliases || []).includes(slug));
+    return record ? record.slug : null;
+  };
+
+  /**
+   * Applies `mapTags` to the tags of every post, or only reports the posts it would change.
+   * @param {Function} mapTags Maps a post's tags to its new tags
+   * @param {{dryRun?: boolean, actor?: (Object|string)}} options
+   * @return {Promise<Array<{id: string, slug: string, title: string, status: string, before: Array<string>, after: Array<string>}>>}
+   */
+  const rewritePosts = async (mapTags, { dryRun, actor }) => {
+    const affected = (await listRecords(postsContainer))
+      .map((post) => ({ id: post.id, slug: post.slug, title: post.title, status: post.status, before: post.tags || [], after: normalizeTags(mapTags(post.tags || [])) }))
+      .filter(({ before, after }) => before.join('\n') !== after.join('\n'));
+    if (dryRun || !affected.length) return affected;
+
+    const updated = await updatePosts(
+      affected.map(({ id }) => id),
+      (post) => ({ ...post, tags: mapTags(post.tags || []) }),
+      { actor }
+    );
+    for (const post of updated) {
+      await upsertSearchIndex(post);
+    }
+    await invalidateFeedCache();
+    log.info?.('Post tags rewritten', { posts: updated.length });
+    return affected;
+  };
+
+  const saveRecord = async (current, changes) => {
+    if (current?.id) {
+      return updateRecord(tagsContainer, current.id, (existing) => ({ ...existing, ...changes }));
+    }
+    return createRecord(tagsContainer, { description: null, coverImage: null, color: null, aliases: [], ...changes });
+  };
+
+  /**
+   * Renames a tag on every post. A change of case keeps the slug; a new slug moves the
+   * tag's metadata along. Renaming onto another existing tag is a merge, not a rename.
+   * @param {string} slug
+   * @param {string} name New tag name
+   * @param {{dryRun?: boolean, actor?: (Object|string)}} options
+   * @return {Promise<{tag: Object, affected: Array<Object>}|null>} null when the tag is unknown.
+   * @throws {Error} With code `TAG_EXISTS` when the new name belongs to another tag or its aliases.
+   */
+  const rename = (slug, name, options = {}) =>
+    serialize(TAGS_KEY, async () => {
+      const current = await describeAny(slug);
+      if (!current) return null;
+      const target = toSlug(name);
+      const aliasOf = await resolveAlias(target);
+      if (target !== slug && ((await describeAny(target)) || (aliasOf && aliasOf !== slug))) {
+        throw tagError('TAG_EXISTS', `A tag with the slug "${target}" already exists.`, { slug: aliasOf || target });
+      }
+
+      const mapTags = (tags) => tags.map((tag) => (toSlug(tag) === slug ? name : tag));
+      if (options.dryRun) {
+        return { tag: { ...current, tag: name, slug: target }, affected: await rewritePosts(mapTags, options) };
+      }
+      // Move the record first: posts are saved through the aliases, which must already use the new name
+      if (current.registered) {
+        await saveRecord(current, { slug: target, tag: name, aliases: current.aliases.filter((alias) => alias !== target) });
+        await refreshTagAliases();
+      }
+      const affected = await rewritePosts(mapTags, options);
+      await followGraph?.retarget('tag', [slug], target);
+      log.info?.('Tag renamed', { from: slug, to: target });
+      return { tag: await describeAny(target), affected };
+    });
+
+  /**
+   * Merges tags into one, which may be new or one of the tags already in use. The merged
+   * tags' metadata is dropped; their aliases move to the tag they were merged into.
+   * @param {Array<string>} slugs Tags to merge
+   * @param {string} name The tag they become
+   * @param {{dryRun?: boolean, actor?: (Object|string)}} options
+   * @return {Promise<{tag: Object, affected: Array<Object>}>}
+   * @throws {Error} With code `TAG_NOT_FOUND` and the `slug` when a tag to merge is unknown,
+   *   or `TAG_ALIAS_CONFLICT` when the name is an alias of another tag.
+   */
+  const merge = (slugs, name, options = {}) =>
+    serialize(TAGS_KEY, async () => {
+      const target = toSlug(name);
+      const aliasOf = await resolveAlias(target);
+      if (aliasOf) {
+        // Posts saved with this name would be rewritten to the tag it is an alias of
+        throw tagError('TAG_ALIAS_CONFLICT', `"${target}" is an alias of the tag "${aliasOf}"; merge into that tag instead.`, { alias: target, owner: aliasOf });
+      }
+      const sources = [...new Set(slugs)].filter((slug) => slug !== target);
+      const described = [];
+      for (const slug of sources) {
+        const source = await describeAny(slug);
+        if (!source) throw tagError('TAG_NOT_FOUND', `Tag "${slug}" not found.`, { slug });
+        described.push(source);
+      }
+
+      const affected = await rewritePosts((tags) => tags.map((tag) => (sources.includes(toSlug(tag)) ? name : tag)), options);
+      const existing = await describeAny(target);
+      if (options.dryRun) {
+        return { tag: { ...(existing || { slug: target, count: 0, description: null, coverImage: null, color: null, aliases: [] }), tag: name }, affected };
+      }
+
+      const carried = described.flatMap((source) => source.aliases).filter((alias) => alias !== target);
+      if (carried.length || existing?.registered) {
+        const aliases = [...new Set([...(existing?.aliases || []), ...carried])];
+        await saveRecord(existing?.registered ? existing : null, { slug: target, tag: name, aliases });
+      }
+      for (const source of described) {
+        if (source.registered) await deleteRecord(tagsContainer, source.id);
+      }
+      await refreshTagAliases();
+      await followGraph?.retarget('tag', sources, target);
+      log.info?.('Tags merged', { from: sources, into: target });
+      return { tag: await describeAny(target), affected };
+    });
+
+  /**
+   * Sets the aliases of a tag: tags with these slugs are rewritten to it on every post
+   * now, and whenever a post is saved later.
+   * @param {string} slug
+   * @param {Array<string>} aliases Alias names or slugs
+   * @param {{dryRun?: boolean, actor?: (Object|string)}} options
+   * @return {Promise<{tag: Object, affected: Array<Object>}|null>} null when the tag is unknown.
+   * @throws {Error} With code `TAG_ALIAS_CONFLICT` and the `alias` when an alias already
+   *   belongs to another tag or is a tag with its own metadata.
+   */
+  const setAliases = (slug, aliases, options = {}) =>
+    serialize(TAGS_KEY, async () => {
+      const current = await describeAny(slug);
+      if (!current) return null;
+      const aliasSlugs = [...new Set(aliases.map((alias) => toSlug(alias)).filter(Boolean))].filter((alias) => alias !== slug);
+      const records = await listRecords(tagsContainer);
+      for (const alias of aliasSlugs) {
+        const owner = records.find((record) => record.slug !== slug && (record.slug === alias || (record.aliases || []).includes(alias)));
+        if (owner) {
+          throw tagError('TAG_ALIAS_CONFLICT', `"${alias}" already belongs to the tag "${owner.slug}".`, { alias, owner: owner.slug });
+        }
+      }
+
+      const affected = await rewritePosts((tags) => tags.map((tag) => (aliasSlugs.includes(toSlug(tag)) ? current.tag : tag)), options);
+      if (options.dryRun) {
+        return { tag: { ...current, aliases: aliasSlugs }, affected };
+      }
+      await saveRecord(current.registered ? current : null, { slug, tag: current.tag, aliases: aliasSlugs });
+      await refreshTagAliases();
+      log.info?.('Tag aliases set', { slug, aliases: aliasSlugs });
+      return { tag: await describeAny(slug), affected };
+    });
+
+  /**
+   * Removes a tag from every post and deletes its metadata and aliases.
+   * @param {string} slug
+   * @param {{dryRun?: boolean, actor?: (Object|string)}} options
+   * @return {Promise<{tag: Object, affected: Array<Object>}|null>} null when the tag is unknown.
+   */
+  const remove = (slug, options = {}) =>
+    serialize(TAGS_KEY, async () => {
+      const current = await describeAny(slug);
+      if (!current) return null;
+
+      const affected = await rewritePosts((tags) => tags.filter((tag) => toSlug(tag) !== slug), options);
+      if (options.dryRun) return { tag: current, affected };
+      if (current.registered) {
+        await deleteRecord(tagsContainer, current.id);
+        await refreshTagAliases();
+      }
+      await followGraph?.forget('tag', slug);
+      log.info?.('Tag deleted', { slug });
+      return { tag: current, affected };
+    });
+
+  return {
+    list,
+    describe,
+    listPosts,
+    update,
+    resolveAlias,
+    rename,
+    merge,
+    setAliases,
+    remove
+  };
+}
+
+createTagDirectory.TAG_SORTS = TAG_SORTS;
+createTagDirectory.MAX_DESCRIPTION_LENGTH = MAX_DESCRIPTION_LENGTH;
+
+module.exports = createTagDirectory;
@@ -3,41 +3,16 @@
 const path = require('path');
 const express = require('express');
 const { promises: fs } = require('fs');
+const { CONTAINERS, DEFAULT_SITE_SETTINGS, escapeHtml, resolveBaseUrl, toPublicPost } = require('../routes/shared/helpers');
+const { loadSettings } = require('../routes/shared/settings');
+const createTagDirectory = require('../services/tagDirectory');
+const { canView } = require('../routes/shared/permissions');
+const { buildPostHead, renderPostPage } = require('./postPage');
+const { buildTagHead, renderTagPage } = require('./tagPage');
 
 const VIEW_BASE_PATH = '/applications/blog';
 const STATIC_PATH = `${VIEW_BASE_PATH}/assets`;
-
-// Default site settings
-const DEFAULT_SITE_SETTINGS = {
-  title: 'NooblyJS Blog',
-  primaryColor: '#0d6efd',
-  backgroundColor: '#ffffff',
-  bannerImage: '',
-  links: {
-    twitter: '',
-    instagram: '',
-    tiktok: '',
-    custom: { name: '', url: '' }
-  }
-};
-
-const SETTINGS_FILE_PATH = path.join(process.cwd(), '.data', 'blog-settings.json');
-
-/**
- * Loads site settings from file or returns defaults
- */
-async function loadSettings() {
-  try {
-    const data = await fs.readFile(SETTINGS_FILE_PATH, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return DEFAULT_SITE_SETTINGS;
-    }
-    console.error('Error loading settings:', error);
-    return DEFAULT_SITE_SETTINGS;
-  }
-}
+const TAG_POSTS_PAGE_SIZE = 10;
 
 /**
  * Generates CSS string for custom theme
@@ -90,22 +65,43 @@ function injectThemeCSS(htmlContent, themeCSS) {
   );
 }
 
+/**
+ * Generates feed autodiscovery links for the site feeds
+ */
+function generateFeedLinks(settings) {
+  const title = escapeHtml(settings.title || DEFAULT_SITE_SETTINGS.title);
+  return [
+    `<link rel="alternate" type="application/rss+xml" title="${title} (RSS)" href="${VIEW_BASE_PATH}/feed.rss">`,
+    `<link rel="alternate" type="application/atom+xml" title="${title} (Atom)" href="${VIEW_BASE_PATH}/feed.atom">`,
+    `<link rel="alternate" type="application/feed+json" title="${title} (JSON Feed)" href="${VIEW_BASE_PATH}/feed.json">`
+  ].join('\n');
+}
+
 /**
  * Registers view routes for the blog experience.
  *
  * @param {Object} options Express binding
  * @param {import('events').EventEmitter} eventEmitter
  * @param {Object} services NooblyJS services (logger, cache, dataService, etc.)
+ *     plus `blog`, a promise of the data store, author registry, tag directory and
+ *     caller resolver created by the routes
  */
 module.exports = (options, eventEmitter, services) => {
   const app = options.app;
-  const { logger, servicesAuthMiddleware } = services;
+  const { logger, servicesAuthMiddleware, blog: blogReady } = services;
 
   const log = logger || {
     info: console.log.bind(console, '[blog:view]'),
     error: console.error.bind(console, '[blog:view]')
   };
 
+  // Logged once here; each page that needs the blog data then fails its own request
+  if (blogReady) {
+    Promise.resolve(blogReady).catch((error) => {
+      log.error('Blog routes failed to start', { error: error.message });
+    });
+  }
+
   const viewRoot = __dirname;
   const staticRoot = path.join(__dirname, 'js');
 
@@ -118,7 +114,7 @@ module.exports = (options, eventEmitter, services) => {
       const settings = await loadSettings();
       let htmlContent = await fs.readFile(path.join(viewRoot, 'index.html'), 'utf8');
       const themeCSS = generateThemeCSS(settings);
-      htmlContent = injectThemeCSS(htmlContent, themeCSS);
+      htmlContent = injectThemeCSS(htmlContent, `${generateFeedLinks(settings)}\n${themeCSS}`);
       res.setHeader('Content-Type', 'text/html; charset=utf-8');
       res.send(htmlContent);
     } catch (error) {
@@ -127,6 +123,126 @@ module.exports = (options, eventEmitter, services) => {
     }
   };
 
+  const sendNotFound = async (res) => {
+    try {
+      const settings = await loadSettings();
+      let htmlContent = await fs.readFile(path.join(viewRoot, '404.html'), 'utf8');
+      htmlContent = injectThemeCSS(htmlContent, generateThemeCSS(settings));
+      res.status(404).setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.send(htmlContent);
+    } catch (error) {
+      log.error('Error rendering not found page', { error: error.message });
+      res.status(404).sendFile(path.join(viewRoot, '404.html'));
+    }
+  };
+
+  /**
+   * Helper: Finds a post by its current or a previous slug (or id, for older links).
+   */
+  const findPost = async (slug) => {
+    const { dataStore } = await blogReady;
+    return (await dataStore.getPostBySlug(slug)) || dataStore.getRecord(CONTAINERS.POSTS, slug);
+  };
+
+  /**
+   * Helper: Counts the view, since the hydrated client no longer fetches the post itself.
+   */
+  const recordView = async (post) => {
+    const { dataStore } = await blogReady;
+    const viewed = await dataStore.updateRecord(CONTAINERS.POSTS, post.id, (existing) => ({
+      ...existing,
+      stats: { ...existing.stats, views: (existing.stats?.views || 0) + 1 }
+    }), { touch: false });
+    return viewed || post;
+  };
+
+  // Resolves `req.caller` as the API does, so drafts render only for those who may edit them
+  const resolveCaller = (req, res, next) => {
+    if (!blogReady) return next();
+    Promise.resolve(blogReady).then(({ resolveCaller: resolver }) => resolver(req, res, next), next);
+  };
+
+  // Post pages are rendered on the server so crawlers and link previews see the story
+  const sendPost = async (req, res) => {
+    if (!blogReady) {
+      return sendIndex(req, res);
+    }
+    try {
+      const found = await findPost(req.params.slug);
+      if (!canView(req.caller, found)) {
+        return sendNotFound(res);
+      }
+      // Old slugs and id links move permanently to the post's current URL
+      if (found.slug && found.slug !== req.params.slug) {
+        return res.redirect(301, `${VIEW_BASE_PATH}/posts/${encodeURIComponent(found.slug)}`);
+      }
+      const post = toPublicPost(await recordView(found));
+      const settings = await loadSettings();
+      let htmlContent = await fs.readFile(path.join(viewRoot, 'index.html'), 'utf8');
+      htmlContent = renderPostPage(htmlContent, post, buildPostHead(post, settings, resolveBaseUrl(req)));
+      htmlContent = injectThemeCSS(htmlContent, `${generateFeedLinks(settings)}\n${generateThemeCSS(settings)}`);
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.send(htmlContent);
+    } catch (error) {
+      log.error('Error rendering post page', { slug: req.params.slug, error: error.message });
+      sendIndex(req, res);
+    }
+  };
+
+  // Author profile pages are rendered by the reader client; unknown handles get the 404 page
+  const sendProfile = async (req, res) => {
+    if (!blogReady) {
+      return sendIndex(req, res);
+    }
+    try {
+      const { dataStore } = await blogReady;
+      const { handle } = req.params;
+      const [profiles, posts] = await Promise.all([dataStore.listRecords(CONTAINERS.AUTHORS), dataStore.listRecords(CONTAINERS.POSTS)]);
+      const known = profiles.some((profile) => profile.handle === handle) || posts.some((post) => post.author?.handle === handle);
+      if (!known) {
+        return sendNotFound(res);
+      }
+      sendIndex(req, res);
+    } catch (error) {
+      log.error('Error rendering author profile', { handle: req.params.handle, error: error.message });
+      sendIndex(req, res);
+    }
+  };
+
+  // Tag landing pages are rendered on the server with their first page of posts (`?page=&sort=`)
+  const sendTag = async (req, res) => {
+    if (!blogReady) {
+      return sendIndex(req, res);
+    }
+    try {
+      const { tagDirectory } = await blogReady;
+      const tag = await tagDirectory.describe(req.params.slug);
+      if (!tag) {
+        // Aliases move permanently to the tag they stand for
+        const canonical = await tagDirectory.resolveAlias(req.params.slug);
+        return canonical ? res.redirect(301, `${VIEW_BASE_PATH}/tags/${encodeURIComponent(canonical)}`) : sendNotFound(res);
+      }
+      const sort = createTagDirectory.TAG_SORTS.includes(req.query.sort) ? req.query.sort : createTagDirectory.TAG_SORTS[0];
+      const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+      const { items, total } = await tagDirectory.listPosts(tag.slug, { page, pageSize: TAG_POSTS_PAGE_SIZE, sort });
+      const { id, registered, ...metadata } = tag;
+      const tagPage = {
+        tag: metadata,
+        posts: items.map(toPublicPost),
+        meta: { sort, page, pageSize: TAG_POSTS_PAGE_SIZE, total, totalPages: Math.ceil(total / TAG_POSTS_PAGE_SIZE) }
+      };
+      const settings = await loadSettings();
+      let htmlContent = await fs.readFile(path.join(viewRoot, 'index.html'), 'utf8');
+      htmlContent = renderTagPage(htmlContent, tagPage, buildTagHead(metadata, settings, resolveBaseUrl(req)));
+      htmlContent = injectThemeCSS(htmlContent, `${generateFeedLinks(settings)}\n${generateThemeCSS(settings)}`);
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.send(htmlContent);
+    } catch (error) {
+      log.error('Error rendering tag page', { slug: req.params.slug, error: error.message });
+      sendIndex(req, res);
+    }
+  };
+
   const sendAuthor = async (_req, res) => {
     try {
       const settings = await loadSettings();
@@ -145,8 +261,12 @@ module.exports = (options, eventEmitter, services) => {
 
   app.get(VIEW_BASE_PATH, sendIndex);
   app.get(`${VIEW_BASE_PATH}/`, sendIndex);
-  app.get(`${VIEW_BASE_PATH}/posts/:slug`, sendIndex);
-  app.get(`${VIEW_BASE_PATH}/posts/:slug/`, sendIndex);
+  app.get(`${VIEW_BASE_PATH}/posts/:slug`, resolveCaller, sendPost);
+  app.get(`${VIEW_BASE_PATH}/posts/:slug/`, resolveCaller, sendPost);
+  app.get(`${VIEW_BASE_PATH}/@:handle`, sendProfile);
+  app.get(`${VIEW_BASE_PATH}/@:handle/`, sendProfile);
+  app.get(`${VIEW_BASE_PATH}/tags/:slug`, sendTag);
+  app.get(`${VIEW_BASE_PATH}/tags/:slug/`, sendTag);
   app.get(`${VIEW_BASE_PATH}/author`, protect, sendAuthor);
   app.get(`${VIEW_BASE_PATH}/author/`, protect, sendAuthor);
   app.get('/appplications/blog/author', (_req, res) => res.redirect(`${VIEW_BASE_PATH}/author`));
@@ -7,13 +7,71 @@
   const API_BASE = '/applications/blog/api';
   const BLOG_BASE_PATH = '/applications/blog';
   const POST_PATH_PREFIX = `${BLOG_BASE_PATH}/posts/`;
+  const AUTHOR_PATH_PREFIX = `${BLOG_BASE_PATH}/@`;
+  const TAG_PATH_PREFIX = `${BLOG_BASE_PATH}/tags/`;
 
   const DEFAULT_LATEST_HEADING = 'Latest posts';
+  const DEFAULT_SITE_TITLE = 'NooblyJS Blog';
+  const COMMENT_THREAD_DEPTH = 5;
+  const MAX_CLAPS_PER_READER = 50;
+  const READING_LIST_PAGE_SIZE = 10;
+  const AUTHOR_POSTS_PAGE_SIZE = 10;
+  const TAG_POSTS_PAGE_SIZE = 10;
+  const FOR_YOU_PAGE_SIZE = 10;
+  const RELATED_POSTS_LIMIT = 4;
+  const TAG_SORT_LABELS = {
+    recent: 'Newest',
+    popular: 'Most popular'
+  };
+  const SEARCH_PAGE_SIZE = 10;
+  const SUGGEST_DELAY_MS = 200;
+  const SUGGEST_MIN_LENGTH = 2;
+  const SUGGESTION_ICONS = {
+    title: 'bi-file-text',
+    tag: 'bi-hash',
+    author: 'bi-person'
+  };
+  const SEARCH_FIELD_LABELS = {
+    title: 'title',
+    tags: 'tags',
+    subtitle: 'subtitle',
+    author: 'author',
+    body: 'story'
+  };
+  const AUTHOR_LINK_ICONS = {
+    website: 'bi-globe',
+    twitter: 'bi-twitter',
+    instagram: 'bi-instagram',
+    tiktok: 'bi-tiktok',
+    github: 'bi-github',
+    linkedin: 'bi-linkedin',
+    mastodon: 'bi-mastodon'
+  };
+  const REPORT_REASONS = [
+    { value: 'spam', label: 'Spam' },
+    { value: 'harassment', label: 'Harassment' },
+    { value: 'hate', label: 'Hate speech' },
+    { value: 'off-topic', label: 'Off-topic' },
+    { value: 'other', label: 'Something else' }
+  ];
+
+  function emptySearchFilters() {
+    return { tags: [], authors: [], from: '', to: '', minRead: '', maxRead: '' };
+  }
 
   const state = {
+    siteTitle: DEFAULT_SITE_TITLE,
     feed: null,
     posts: new Map(),
     currentPostId: null,
+    replyTo: null,
+    readingList: { page: 1, collection: null },
+    authorHandle: null,
+    tagPage: { slug: null, sort: 'recent' },
+    feedTab: 'latest',
+    forYou: { page: 1 },
+    search: { active: false, query: '', page: 1, filters: emptySearchFilters() },
+    suggestions: { items: [], activeIndex: -1, timer: null, requestId: 0 },
     latestHeadingHtml: DEFAULT_LATEST_HEADING,
     latestHeadingHtmlBeforeReading: null
   };
@@ -23,6 +81,7 @@
     heroLayout: document.querySelector('.blog-layout-hero'),
     latestHeading: document.getElementById('latest-heading'),
     latestList: document.getElementById('latest-list'),
+    feedTabs: document.getElementById('feed-tabs'),
     trendingList: document.getElementById('trending-list'),
     topicsList: document.getElementById('topics-list'),
     draftList: document.getElementById('draft-list'),
@@ -30,6 +89,10 @@
     searchForm: document.getElementById('post-search-form'),
     searchInput: document.getElementById('post-search-input'),
     searchBtn: document.getElementById('search-btn'),
+    searchSuggestions: document.getElementById('search-suggestions'),
+    searchFilters: document.getElementById('search-filters'),
+    searchFacets: document.getElementById('search-facets'),
+    searchFilterForm: document.getElementById('search-filter-form'),
     createPostForm: document.getElementById('create-post-form'),
     createPostModal: document.getElementById('createPostModal'),
     readPostPanel: document.getElementById('read-post-panel'),
@@ -38,11 +101,14 @@
     readPostCover: document.getElementById('read-post-cover'),
     readPostContent: document.getElementById('read-post-content'),
     readPostActions: document.getElementById('read-post-actions'),
+    readPostRelated: document.getElementById('read-post-related'),
+    readPostRelatedList: document.getElementById('read-post-related-list'),
     readPostCommentCount: document.getElementById('read-post-comment-count'),
     readPostComments: document.getElementById('read-post-comments'),
     commentForm: document.getElementById('comment-form'),
     commentAuthor: document.getElementById('comment-author'),
     commentBody: document.getElementById('comment-body'),
+    commentReplyTarget: document.getElementById('comment-reply-target'),
     toastContainer: document.getElementById('toast-container')
   };
 
@@ -50,6 +116,7 @@
     create: null
   };
 
+  // The server recognises anonymous readers by the cookie it issues them
   const defaultHeaders = {
     Accept: 'application/json'
   };
@@ -115,7 +182,7 @@
     return `${POST_PATH_PREFIX}${slug}`;
   }
 
-  function getPostIdFromPath(pathname = window.location.pathname) {
+  function getPostSlugFromPath(pathname = window.location.pathname) {
     if (!pathname.startsWith(POST_PATH_PREFIX)) {
       return null;
     }
@@ -123,6 +190,35 @@
     return remainder ? decodeURIComponent(remainder) : null;
   }
 
+  function buildAuthorUrl(handle) {
+    return `${AUTHOR_PATH_PREFIX}${encodeURIComponent(handle || '')}`;
+  }
+
+  function getAuthorHandleFromPath(pathname = window.location.pathname) {
+    if (!pathname.startsWith(AUTHOR_PATH_PREFIX)) {
+      return null;
+    }
+    const remainder = pathname.slice(AUTHOR_PATH_PREFIX.length).replace(/\/+$/, '');
+    return remainder ? decodeURIComponent(remainder) : null;
+  }
+
+  function buildTagUrl(slug, sort = 'recent') {
+    return `${TAG_PATH_PREFIX}${encodeURIComponent(slug || '')}${sort !== 'recent' ? `?sort=${encodeURIComponent(sort)}` : ''}`;
+  }
+
+  function getTagSlugFromPath(pathname = window.location.pathname) {
+    if (!pathname.startsWith(TAG_PATH_PREFIX)) {
+      return null;
+    }
+    const remainder = pathname.slice(TAG_PATH_PREFIX.length).replace(/\/+$/, '');
+    return remainder ? decodeURIComponent(remainder) : null;
+  }
+
+  function getTagSortFromLocation() {
+    const sort = new URLSearchParams(window.location.search).get('sort');
+    return TAG_SORT_LABELS[sort] ? sort : 'recent';
+  }
+
   function formatDate(value) {
     if (!value) return '';
     try {
@@ -151,6 +247,18 @@
     return parts.filter(Boolean).join(' · ');
   }
 
+  // Same as buildPostMeta, with the author's name linking to their profile
+  function buildPostMetaHtml(post) {
+    const meta = escapeHtml(buildPostMeta(post));
+    const handle = post?.author?.handle;
+    if (!handle || !post.author.name || handle === 'anonymous') return meta;
+    const name = escapeHtml(post.author.name);
+    return meta.replace(
+      name,
+      `<a href="${escapeHtml(buildAuthorUrl(handle))}" class="link-secondary" data-action="show-author" data-handle="${escapeHtml(handle)}">${name}</a>`
+    );
+  }
+
   function setLoading(container, message) {
     if (!container) return;
     container.innerHTML = `
@@ -179,6 +287,16 @@
     }
   }
 
+  // Marks the home feed tab being shown; null when the list shows something else (a tag, a search…)
+  function setFeedTab(tab) {
+    state.feedTab = tab;
+    elements.feedTabs?.querySelectorAll('[data-tab]').forEach((button) => {
+      const active = button.getAttribute('data-tab') === tab;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+  }
+
   function hydratePosts(collections = []) {
     collections.flat().forEach((post) => {
       if (post && post.id) {
@@ -225,7 +343,9 @@
       setLatestHeading(state.latestHeadingHtml, { remember: false });
     }
     renderFeatured(state.feed?.featured?.[0]);
-    renderLatest(state.feed?.latest || []);
+    if (state.feedTab === 'latest') {
+      renderLatest(state.feed?.latest || []);
+    }
     renderTrending(state.feed?.trending || []);
     renderTopics(state.feed?.tags || []);
     renderDrafts(state.feed?.drafts || []);
@@ -272,7 +392,7 @@
     `;
   }
 
-  function renderLatest(posts) {
+  function renderLatest(posts, { label } = {}) {
     if (!elements.latestList) return;
     if (!posts.length) {
       elements.latestList.innerHTML = `
@@ -291,8 +411,9 @@
         return `
           <article class="card shadow-sm" data-post-id="${escapeHtml(post.id)}">
             <div class="card-body d-flex flex-column gap-3">
+              ${label ? label(post) : ''}
               <div class="d-flex align-items-center justify-content-between flex-wrap gap-2 text-muted small">
-                <span>${escapeHtml(buildPostMeta(post))}</span>
+                <span>${buildPostMetaHtml(post)}</span>
                 <span class="d-flex align-items-center gap-3">
                   <span><i class="bi bi-eye me-1"></i>${Number(stats.views || 0)}</span>
                   <span><i class="bi bi-hand-thumbs-up me-1"></i>${Number(stats.claps || 0)}</span>
@@ -367,9 +488,9 @@
     elements.topicsList.innerHTML = tags
       .map(
         (entry) => `
-          <button type="button" class="btn btn-primary btn-sm" data-tag="${escapeHtml(entry.tag)}" data-action="filter-tag">
+          <a href="${escapeHtml(buildTagUrl(entry.slug))}" class="btn btn-primary btn-sm" data-tag-slug="${escapeHtml(entry.slug)}" data-action="show-tag">
             <i class="bi bi-hash me-1"></i>${escapeHtml(entry.tag)}<span class="badge bg-light text-muted ms-2">${Number(entry.count)}</span>
-          </button>
+          </a>
         `
       )
       .join('');
@@ -468,23 +589,32 @@
     }
   }
 
-  async function openPost(postId, { historyMode = 'push' } = {}) {
+  async function showPost(post, { historyMode = 'push', focus = true } = {}) {
+    state.currentPostId = post.id;
+    syncPost(post);
+    if (elements.commentForm) {
+      elements.commentForm.reset();
+      elements.commentForm.classList.remove('was-validated');
+    }
+    setReplyTarget(null);
+    renderExpandedPost(post);
+    if (focus) {
+      focusExpandedPost();
+    }
+    await Promise.all([loadComments(post.id), loadRelatedPosts(post.id)]);
+    if (historyMode !== 'none') {
+      const mode = historyMode === 'replace' ? 'replace' : 'push';
+      updateHistoryForPost(post, mode);
+    }
+  }
+
+  async function openPost(postId, { historyMode = 'push', bySlug = false } = {}) {
     if (!postId) return;
     try {
-      const { data: post } = await request(`/posts/${encodeURIComponent(postId)}`);
-      state.currentPostId = post.id;
-      syncPost(post);
-      if (elements.commentForm) {
-        elements.commentForm.reset();
-        elements.commentForm.classList.remove('was-validated');
-      }
-      renderExpandedPost(post);
-      focusExpandedPost();
-      await loadComments(post.id);
-      if (historyMode !== 'none') {
-        const mode = historyMode === 'replace' ? 'replace' : 'push';
-        updateHistoryForPost(post, mode);
-      }
+      // URLs carry slugs; old slugs are redirected to the post's current one by the API
+      const path = bySlug ? `/posts/by-slug/${encodeURIComponent(postId)}` : `/posts/${encodeURIComponent(postId)}`;
+      const { data: post } = await request(path);
+      await showPost(post, { historyMode });
     } catch (error) {
       if (historyMode === 'replace') {
         resetHistoryToBase('replace');
@@ -498,7 +628,7 @@
     elements.readPostPanel.classList.remove('d-none');
     elements.readPostPanel.setAttribute('data-post-id', post.id);
     elements.readPostTitle.textContent = post.title || 'Untitled story';
-    elements.readPostMeta.textContent = buildPostMeta(post);
+    elements.readPostMeta.innerHTML = buildPostMetaHtml(post);
     if (post.coverImage) {
       elements.readPostCover.innerHTML = `<img src="${escapeHtml(post.coverImage)}" class="img-fluid rounded" alt="${escapeHtml(
         post.title
@@ -513,6 +643,7 @@
     if (elements.latestList) {
       elements.latestList.classList.add('d-none');
     }
+    elements.searchFilters?.classList.add('d-none');
     elements.heroLayout?.classList.add('d-none');
     if (!state.latestHeadingHtmlBeforeReading) {
       state.latestHeadingHtmlBeforeReading = elements.latestHeading
@@ -520,6 +651,11 @@
         : state.latestHeadingHtml;
     }
     setLatestHeading(`Reading “${escapeHtml(post.title || 'Untitled story')}”`, { remember: false });
+    updateDocumentTitle(post);
+  }
+
+  function updateDocumentTitle(post) {
+    document.title = post ? `${post.seo?.title || post.title || 'Untitled story'} · ${state.siteTitle}` : state.siteTitle;
   }
 
   function focusExpandedPost() {
@@ -548,20 +684,24 @@
     elements.readPostCover.classList.add('d-none');
     elements.readPostContent.innerHTML = '';
     elements.readPostActions.innerHTML = '';
+    hideRelatedPosts();
     elements.readPostComments.innerHTML = '';
     elements.readPostCommentCount.textContent = '0 comments';
     if (elements.commentForm) {
       elements.commentForm.reset();
       elements.commentForm.classList.remove('was-validated');
     }
+    setReplyTarget(null);
     if (elements.latestList) {
       elements.latestList.classList.remove('d-none');
     }
+    elements.searchFilters?.classList.toggle('d-none', !state.search.active);
     elements.heroLayout?.classList.remove('d-none');
     const restoredHeading = state.latestHeadingHtmlBeforeReading || state.latestHeadingHtml || DEFAULT_LATEST_HEADING;
     setLatestHeading(restoredHeading, { remember: false });
     state.latestHeadingHtmlBeforeReading = null;
     state.currentPostId = null;
+    updateDocumentTitle(null);
     if (options.updateHistory) {
       resetHistoryToBase('replace');
     }
@@ -569,20 +709,84 @@
 
   function renderActionButtons(post) {
     const stats = post.stats || {};
+    const myClaps = Number(post.myClaps) || 0;
+    const undoButton = myClaps
+      ? `<button class="btn btn-link btn-sm text-muted px-1" data-action="undo-clap" data-post-id="${escapeHtml(post.id)}" title="Take back your claps">
+          Undo
+        </button>`
+      : '';
     elements.readPostActions.innerHTML = `
-      <button class="btn btn-outline-primary btn-sm d-flex align-items-center gap-2" data-action="clap" data-post-id="${escapeHtml(
+      <button class="btn ${myClaps ? 'btn-primary' : 'btn-outline-primary'} btn-sm d-flex align-items-center gap-2" data-action="clap" data-post-id="${escapeHtml(
         post.id
-      )}">
-        <i class="bi bi-hand-thumbs-up"></i><span>${Number(stats.claps || 0)}</span>
+      )}" title="${myClaps ? `You clapped ${myClaps} of ${MAX_CLAPS_PER_READER} times` : 'Clap for this story'}">
+        <i class="bi ${myClaps ? 'bi-hand-thumbs-up-fill' : 'bi-hand-thumbs-up'}"></i><span>${Number(stats.claps || 0)}</span>
+        ${myClaps ? `<span class="badge text-bg-light">+${myClaps}</span>` : ''}
       </button>
-      <button class="btn btn-outline-secondary btn-sm d-flex align-items-center gap-2" data-action="bookmark" data-post-id="${escapeHtml(
+      ${undoButton}
+      <button class="btn ${post.myBookmark ? 'btn-secondary' : 'btn-outline-secondary'} btn-sm d-flex align-items-center gap-2" data-action="bookmark" data-post-id="${escapeHtml(
         post.id
-      )}">
-        <i class="bi bi-bookmark"></i><span>${Number(stats.bookmarks || 0)}</span>
+      )}" title="${post.myBookmark ? 'Remove from your reading list' : 'Save to your reading list'}">
+        <i class="bi ${post.myBookmark ? 'bi-bookmark-fill' : 'bi-bookmark'}"></i><span>${Number(stats.bookmarks || 0)}</span>
       </button>
     `;
   }
 
+  function hideRelatedPosts() {
+    elements.readPostRelated?.classList.add('d-none');
+    if (elements.readPostRelatedList) {
+      elements.readPostRelatedList.innerHTML = '';
+    }
+  }
+
+  function renderRelatedPosts(posts) {
+    if (!elements.readPostRelated || !elements.readPostRelatedList) return;
+    if (!posts.length) {
+      hideRelatedPosts();
+      return;
+    }
+    elements.readPostRelatedList.innerHTML = posts
+      .map((post) => {
+        const postUrl = escapeHtml(buildPostUrl(post));
+        const sharedTags = (post.related?.sharedTags || [])
+          .map((slug) => {
+            const index = (post.tagSlugs || []).indexOf(slug);
+            return `<span class="badge bg-primary-subtle text-primary-emphasis">${escapeHtml(index === -1 ? slug : post.tags[index])}</span>`;
+          })
+          .join('');
+        return `
+          <div class="col">
+            <article class="card h-100 shadow-sm" data-post-id="${escapeHtml(post.id)}">
+              <div class="card-body d-flex flex-column gap-2">
+                <h5 class="h6 mb-0">
+                  <a href="${postUrl}" class="text-decoration-none stretched-link" data-post-id="${escapeHtml(post.id)}" data-action="open-post">${escapeHtml(
+          post.title || 'Untitled story'
+        )}</a>
+                </h5>
+                <p class="small text-muted mb-0">${escapeHtml(buildPostMeta(post))}</p>
+                ${post.excerpt ? `<p class="small mb-0 text-body-secondary">${escapeHtml(post.excerpt)}</p>` : ''}
+                ${sharedTags ? `<div class="d-flex flex-wrap gap-1 mt-auto">${sharedTags}</div>` : ''}
+              </div>
+            </article>
+          </div>
+        `;
+      })
+      .join('');
+    elements.readPostRelated.classList.remove('d-none');
+  }
+
+  async function loadRelatedPosts(postId) {
+    hideRelatedPosts();
+    try {
+      const { data } = await request(`/posts/${encodeURIComponent(postId)}/related?limit=${RELATED_POSTS_LIMIT}`);
+      // The reader may have moved on to another post while these loaded
+      if (state.currentPostId !== postId) return;
+      renderRelatedPosts(Array.isArray(data) ? data : []);
+    } catch (_) {
+      // The article reads fine without suggestions
+      hideRelatedPosts();
+    }
+  }
+
   async function loadComments(postId) {
     if (!postId) return;
     setLoading(elements.readPostComments, 'Loading comments…');
@@ -590,9 +794,12 @@
       elements.readPostCommentCount.textContent = 'Loading…';
     }
     try {
-      const { data: comments } = await request(`/posts/${encodeURIComponent(postId)}/comments`);
+      const { data: comments, meta } = await request(
+        `/posts/${encodeURIComponent(postId)}/comments?depth=${COMMENT_THREAD_DEPTH}`
+      );
       if (state.currentPostId !== postId) return;
-      renderComments(Array.isArray(comments) ? comments : []);
+      const thread = Array.isArray(comments) ? comments : [];
+      renderComments(thread, meta?.total ?? thread.length);
     } catch (error) {
       if (state.currentPostId !== postId) return;
       setError(elements.readPostComments, `Unable to load comments: ${error.message}`);
@@ -600,7 +807,7 @@
     }
   }
 
-  function renderComments(comments) {
+  function renderComments(comments, total = comments.length) {
     if (!comments.length) {
       elements.readPostComments.innerHTML = `
         <div class="text-muted">No comments yet. Start the conversation!</div>
@@ -609,25 +816,109 @@
       return;
     }
 
-    elements.readPostComments.innerHTML = comments
-      .map((comment) => {
-        const name = comment.author?.name || 'Reader';
-        return `
-          <div class="card card-body bg-body-tertiary">
-            <div class="d-flex justify-content-between align-items-start mb-2">
-              <div>
-                <strong>${escapeHtml(name)}</strong>
-                <div class="text-muted small">${escapeHtml(formatDate(comment.createdAt))}</div>
-              </div>
-              <span class="badge bg-success-subtle text-success-emphasis">${escapeHtml(comment.status || 'published')}</span>
+    elements.readPostComments.innerHTML = comments.map(renderCommentNode).join('');
+    elements.readPostCommentCount.textContent = `${total} comment${total === 1 ? '' : 's'}`;
+  }
+
+  function renderCommentNode(comment) {
+    const name = comment.author?.name || 'Reader';
+    const replies = Array.isArray(comment.replies) ? comment.replies : [];
+    const replyCount = Number(comment.replyCount) || 0;
+    // Replies below the requested depth are counted but not included
+    const hiddenReplies = replyCount - replies.length;
+    const moreButton =
+      hiddenReplies > 0
+        ? `<button type="button" class="btn btn-link btn-sm p-0 align-self-start" data-action="load-replies" data-comment-id="${escapeHtml(
+            comment.id
+          )}">View ${hiddenReplies} more ${hiddenReplies === 1 ? 'reply' : 'replies'}</button>`
+        : '';
+    const thread =
+      replies.length || moreButton
+        ? `<div class="vstack gap-3 ms-3 ms-md-4 ps-3 border-start" data-replies-for="${escapeHtml(comment.id)}">
+            ${replies.map(renderCommentNode).join('')}${moreButton}
+          </div>`
+        : '';
+    return `
+      <div class="vstack gap-3" data-comment-id="${escapeHtml(comment.id)}">
+        <div class="card card-body bg-body-tertiary">
+          <div class="d-flex justify-content-between align-items-start mb-2">
+            <div>
+              <strong>${escapeHtml(name)}</strong>
+              <div class="text-muted small">${escapeHtml(formatDate(comment.createdAt))}</div>
             </div>
-            <p class="mb-0">${escapeHtml(comment.body || '')}</p>
+            <span class="badge bg-success-subtle text-success-emphasis">${escapeHtml(comment.status || 'published')}</span>
           </div>
-        `;
-      })
-      .join('');
+          <p class="mb-2">${escapeHtml(comment.body || '')}</p>
+          <div class="d-flex align-items-center gap-3 small">
+            <button type="button" class="btn btn-link btn-sm p-0" data-action="reply-comment" data-comment-id="${escapeHtml(
+              comment.id
+            )}" data-comment-author="${escapeHtml(name)}">
+              <i class="bi bi-reply me-1"></i>Reply
+            </button>
+            ${replyCount ? `<span class="text-muted">${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}</span>` : ''}
+            <div class="dropdown ms-auto">
+              <button type="button" class="btn btn-link btn-sm p-0 text-muted" data-bs-toggle="dropdown" aria-expanded="false">
+                <i class="bi bi-flag me-1"></i>Report
+              </button>
+              <ul class="dropdown-menu dropdown-menu-end">
+                ${REPORT_REASONS.map(
+                  (reason) => `<li><button type="button" class="dropdown-item" data-action="report-comment" data-comment-id="${escapeHtml(
+                    comment.id
+                  )}" data-reason="${reason.value}">${escapeHtml(reason.label)}</button></li>`
+                ).join('')}
+              </ul>
+            </div>
+          </div>
+        </div>
+        ${thread}
+      </div>
+    `;
+  }
+
+  async function loadReplies(commentId, button) {
+    if (!state.currentPostId || !commentId) return;
+    const postId = state.currentPostId;
+    if (button) button.disabled = true;
+    try {
+      const { data: replies } = await request(
+        `/posts/${encodeURIComponent(postId)}/comments?parentId=${encodeURIComponent(commentId)}&depth=${COMMENT_THREAD_DEPTH}`
+      );
+      if (state.currentPostId !== postId) return;
+      const container = button?.parentElement;
+      if (!container) return;
+      container.innerHTML = (Array.isArray(replies) ? replies : []).map(renderCommentNode).join('');
+    } catch (error) {
+      if (button) button.disabled = false;
+      showToast(error.message, 'danger', 'Unable to load replies');
+    }
+  }
+
+  async function reportComment(commentId, reason) {
+    if (!commentId || !reason) return;
+    try {
+      await request(`/comments/${encodeURIComponent(commentId)}/report`, {
+        method: 'POST',
+        body: { reason }
+      });
+      showToast('Thanks for letting us know. A moderator will take a look.', 'success', 'Report received');
+    } catch (error) {
+      showToast(error.message, 'warning', 'Unable to report comment');
+    }
+  }
 
-    elements.readPostCommentCount.textContent = `${comments.length} comment${comments.length === 1 ? '' : 's'}`;
+  function setReplyTarget(target) {
+    state.replyTo = target;
+    if (!elements.commentReplyTarget) return;
+    if (!target) {
+      elements.commentReplyTarget.classList.add('d-none');
+      elements.commentReplyTarget.innerHTML = '';
+      return;
+    }
+    elements.commentReplyTarget.innerHTML = `
+      <span><i class="bi bi-reply me-1"></i>Replying to <strong>${escapeHtml(target.name)}</strong></span>
+      <button type="button" class="btn btn-link btn-sm p-0" data-action="cancel-reply">Cancel</button>
+    `;
+    elements.commentReplyTarget.classList.remove('d-none');
   }
 
   function ensureCreateModal() {
@@ -696,15 +987,21 @@
     }
 
     try {
-      await request(`/posts/${encodeURIComponent(state.currentPostId)}/comments`, {
+      const { meta } = await request(`/posts/${encodeURIComponent(state.currentPostId)}/comments`, {
         method: 'POST',
         body: {
           body,
-          author: { name: author }
+          author: { name: author },
+          parentId: state.replyTo?.id || undefined
         }
       });
       elements.commentForm.reset();
-      showToast('Comment posted', 'success');
+      if (meta?.awaitingModeration) {
+        showToast('Thanks! Your comment will appear once it has been approved.', 'info', 'Awaiting moderation');
+      } else {
+        showToast(state.replyTo ? 'Reply posted' : 'Comment posted', 'success');
+      }
+      setReplyTarget(null);
       await loadComments(state.currentPostId);
       await refreshPostFromServer(state.currentPostId);
     } catch (error) {
@@ -712,58 +1009,729 @@
     }
   }
 
+  async function removeBookmarkFromPost(post) {
+    try {
+      const { meta } = await request(`/bookmarks/${encodeURIComponent(post.myBookmark.id)}`, { method: 'DELETE' });
+      const stats = { ...(post.stats || {}), bookmarks: meta.bookmarks ?? Math.max(0, Number(post.stats?.bookmarks || 0) - 1) };
+      const updated = { ...post, stats, myBookmark: null };
+      syncPost(updated);
+      renderActionButtons(updated);
+      renderFeed();
+      showToast('Removed from your reading list', 'success');
+    } catch (error) {
+      showToast(error.message, 'danger');
+    }
+  }
+
   async function handlePostAction(action, postId) {
     if (!postId) return;
+    const known = state.posts.get(postId);
+    if (action === 'bookmark' && known?.myBookmark) {
+      removeBookmarkFromPost(known);
+      return;
+    }
     let endpoint = null;
+    let method = 'POST';
     if (action === 'clap') endpoint = `/posts/${encodeURIComponent(postId)}/clap`;
+    if (action === 'undo-clap') {
+      endpoint = `/posts/${encodeURIComponent(postId)}/clap`;
+      method = 'DELETE';
+    }
     if (action === 'bookmark') endpoint = `/posts/${encodeURIComponent(postId)}/bookmark`;
     if (!endpoint) return;
 
+    const messages = {
+      clap: 'Thanks for showing support!',
+      'undo-clap': 'Your claps were withdrawn',
+      bookmark: 'Saved to your reading list'
+    };
+
     try {
-      const { data: post } = await request(endpoint, { method: 'POST' });
+      const { data: updated } = await request(endpoint, { method });
+      // Responses only report the reader state they change, so keep the rest from what we know
+      const previous = state.posts.get(updated.id) || {};
+      const post = {
+        ...updated,
+        myClaps: updated.myClaps !== undefined ? updated.myClaps : previous.myClaps,
+        myBookmark: updated.myBookmark !== undefined ? updated.myBookmark : previous.myBookmark
+      };
       syncPost(post);
       renderActionButtons(post);
       renderFeed();
-      showToast(action === 'clap' ? 'Thanks for showing support!' : 'Saved to your reading list', 'success');
+      showToast(messages[action], 'success');
+    } catch (error) {
+      showToast(error.message, action === 'clap' ? 'warning' : 'danger');
+    }
+  }
+
+  function renderReadingList(bookmarks, meta) {
+    if (!elements.latestList) return;
+    const { page = 1, totalPages = 0, total = 0, collections = [] } = meta || {};
+    const activeCollection = state.readingList.collection;
+    const chips = collections.length
+      ? `<div class="d-flex flex-wrap gap-2">
+          <button type="button" class="btn btn-sm ${activeCollection ? 'btn-outline-primary' : 'btn-primary'}" data-action="reading-list-collection" data-collection="">All</button>
+          ${collections
+            .map(
+              (collection) => `<button type="button" class="btn btn-sm ${
+                collection.name === activeCollection ? 'btn-primary' : 'btn-outline-primary'
+              }" data-action="reading-list-collection" data-collection="${escapeHtml(collection.name)}">${escapeHtml(collection.name)} <span class="badge text-bg-light ms-1">${collection.count}</span></button>`
+            )
+            .join('')}
+        </div>`
+      : '';
+
+    if (!bookmarks.length) {
+      elements.latestList.innerHTML = `
+        ${chips}
+        <div class="alert alert-secondary mb-0" role="alert">
+          ${total ? 'Nothing on this page.' : 'Your reading list is empty. Use the bookmark button on a story to save it for later.'}
+        </div>
+      `;
+      return;
+    }
+
+    const items = bookmarks
+      .map((bookmark) => {
+        const post = bookmark.post || {};
+        const postUrl = escapeHtml(buildPostUrl(post));
+        return `
+          <article class="card shadow-sm" data-bookmark-id="${escapeHtml(bookmark.id)}">
+            <div class="card-body d-flex flex-column gap-2">
+              <div class="d-flex align-items-center justify-content-between flex-wrap gap-2 text-muted small">
+                <span>${escapeHtml(buildPostMeta(post))}</span>
+                <span>Saved ${escapeHtml(formatDate(bookmark.createdAt))}${
+                  bookmark.collection ? ` · <i class="bi bi-folder2 me-1"></i>${escapeHtml(bookmark.collection)}` : ''
+                }</span>
+              </div>
+              <h3 class="h5 mb-0">
+                <a href="${postUrl}" class="text-decoration-none" data-post-id="${escapeHtml(post.id)}" data-action="open-post">${escapeHtml(
+          post.title || 'Untitled story'
+        )}</a>
+              </h3>
+              ${post.excerpt ? `<p class="mb-0 text-body-secondary">${escapeHtml(post.excerpt)}</p>` : ''}
+              <div class="d-flex gap-2">
+                <button type="button" class="btn btn-outline-secondary btn-sm" data-action="move-bookmark" data-bookmark-id="${escapeHtml(
+                  bookmark.id
+                )}" data-collection="${escapeHtml(bookmark.collection || '')}">
+                  <i class="bi bi-folder2-open me-1"></i>Collection
+                </button>
+                <button type="button" class="btn btn-outline-danger btn-sm" data-action="remove-bookmark" data-bookmark-id="${escapeHtml(
+                  bookmark.id
+                )}" data-post-id="${escapeHtml(post.id)}">
+                  <i class="bi bi-bookmark-x me-1"></i>Remove
+                </button>
+              </div>
+            </div>
+          </article>
+        `;
+      })
+      .join('');
+
+    const pager =
+      totalPages > 1
+        ? `<nav class="d-flex align-items-center justify-content-between" aria-label="Reading list pages">
+            <button type="button" class="btn btn-outline-secondary btn-sm" data-action="reading-list-page" data-page="${page - 1}" ${
+              page <= 1 ? 'disabled' : ''
+            }><i class="bi bi-chevron-left me-1"></i>Newer</button>
+            <span class="small text-muted">Page ${page} of ${totalPages}</span>
+            <button type="button" class="btn btn-outline-secondary btn-sm" data-action="reading-list-page" data-page="${page + 1}" ${
+              page >= totalPages ? 'disabled' : ''
+            }>Older<i class="bi bi-chevron-right ms-1"></i></button>
+          </nav>`
+        : '';
+
+    elements.latestList.innerHTML = `${chips}${items}${pager}`;
+  }
+
+  async function loadReadingList({ page = state.readingList.page, collection = state.readingList.collection } = {}) {
+    state.search.active = false;
+    hideExpandedPost();
+    setFeedTab(null);
+    state.readingList = { page, collection };
+    setLatestHeading('Your reading list');
+    setLoading(elements.latestList, 'Loading your reading list…');
+    elements.latestHeading?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(READING_LIST_PAGE_SIZE) });
+      if (collection) params.set('collection', collection);
+      const { data, meta } = await request(`/bookmarks?${params.toString()}`);
+      renderReadingList(Array.isArray(data) ? data : [], meta);
+    } catch (error) {
+      setError(elements.latestList, `Unable to load your reading list: ${error.message}`);
+    }
+  }
+
+  async function removeBookmark(bookmarkId, postId) {
+    try {
+      const { meta } = await request(`/bookmarks/${encodeURIComponent(bookmarkId)}`, { method: 'DELETE' });
+      const known = state.posts.get(postId);
+      if (known) {
+        syncPost({ ...known, myBookmark: null, stats: { ...(known.stats || {}), bookmarks: meta.bookmarks ?? known.stats?.bookmarks } });
+      }
+      showToast('Removed from your reading list', 'success');
+      await loadReadingList();
     } catch (error) {
       showToast(error.message, 'danger');
     }
   }
 
-  async function runSearch(term) {
+  async function moveBookmark(bookmarkId, currentCollection) {
+    const name = window.prompt('Move to collection (leave empty to remove it from a collection):', currentCollection || '');
+    if (name === null) return;
+    try {
+      await request(`/bookmarks/${encodeURIComponent(bookmarkId)}`, {
+        method: 'PATCH',
+        body: { collection: name.trim() || null }
+      });
+      await loadReadingList();
+    } catch (error) {
+      showToast(error.message, 'danger');
+    }
+  }
+
+  function renderAuthorHeading(profile) {
+    const avatar = profile.avatar
+      ? `<img src="${escapeHtml(profile.avatar)}" alt="" class="rounded-circle flex-shrink-0" width="64" height="64" style="object-fit: cover;">`
+      : `<span class="rounded-circle bg-primary-subtle text-primary-emphasis d-inline-flex align-items-center justify-content-center flex-shrink-0" style="width: 64px; height: 64px;"><i class="bi bi-person fs-3"></i></span>`;
+    const links = Object.entries(profile.links || {})
+      .map(
+        ([key, url]) =>
+          `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="link-secondary" title="${escapeHtml(key)}"><i class="bi ${
+            AUTHOR_LINK_ICONS[key] || 'bi-link-45deg'
+          }"></i></a>`
+      )
+      .join('');
+    const posts = Number(profile.stats?.posts || 0);
+    return `
+      <span class="d-flex align-items-center gap-3">
+        ${avatar}
+        <span class="d-flex flex-column gap-1">
+          <span class="d-flex align-items-center flex-wrap gap-2">${escapeHtml(profile.displayName || profile.handle)}${renderFollowButton(
+            'author',
+            profile.handle,
+            { following: profile.following, followers: profile.stats?.followers }
+          )}</span>
+          <span class="fs-6 fw-normal text-muted">@${escapeHtml(profile.handle)} · ${posts} ${posts === 1 ? 'story' : 'stories'}${
+            links ? ` <span class="d-inline-flex gap-2 ms-2">${links}</span>` : ''
+          }</span>
+          ${profile.bio ? `<span class="fs-6 fw-normal text-body-secondary">${escapeHtml(profile.bio)}</span>` : ''}
+        </span>
+      </span>
+    `;
+  }
+
+  function renderAuthorPager(meta) {
+    const { page = 1, totalPages = 0 } = meta || {};
+    if (totalPages <= 1) return '';
+    return `<nav class="d-flex align-items-center justify-content-between" aria-label="Author stories pages">
+        <button type="button" class="btn btn-outline-secondary btn-sm" data-action="author-page" data-page="${page - 1}" ${
+          page <= 1 ? 'disabled' : ''
+        }><i class="bi bi-chevron-left me-1"></i>Newer</button>
+        <span class="small text-muted">Page ${page} of ${totalPages}</span>
+        <button type="button" class="btn btn-outline-secondary btn-sm" data-action="author-page" data-page="${page + 1}" ${
+          page >= totalPages ? 'disabled' : ''
+        }>Older<i class="bi bi-chevron-right ms-1"></i></button>
+      </nav>`;
+  }
+
+  async function loadAuthorProfile(handle, { page = 1, historyMode = 'push' } = {}) {
+    if (!handle) return;
+    state.search.active = false;
+    hideExpandedPost();
+    setFeedTab(null);
+    state.authorHandle = handle;
+    setLoading(elements.latestList, 'Loading author…');
+    elements.latestHeading?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(AUTHOR_POSTS_PAGE_SIZE) });
+      const [{ data: profile }, { data: posts, meta }] = await Promise.all([
+        request(`/authors/${encodeURIComponent(handle)}`),
+        request(`/authors/${encodeURIComponent(handle)}/posts?${params.toString()}`)
+      ]);
+      const stories = Array.isArray(posts) ? posts : [];
+      hydratePosts([stories]);
+      setLatestHeading(renderAuthorHeading(profile));
+      renderLatest(stories);
+      elements.latestList?.insertAdjacentHTML('beforeend', renderAuthorPager(meta));
+      document.title = `${profile.displayName || profile.handle} · ${state.siteTitle}`;
+      if (window.history && historyMode !== 'none') {
+        const method = historyMode === 'replace' ? 'replaceState' : 'pushState';
+        window.history[method]({ postId: null, authorHandle: profile.handle }, '', buildAuthorUrl(profile.handle));
+      }
+    } catch (error) {
+      setLatestHeading(DEFAULT_LATEST_HEADING);
+      setError(elements.latestList, `Unable to load this author: ${error.message}`);
+    }
+  }
+
+  function renderTagHeading(tag, sort) {
+    const cover = tag.coverImage
+      ? `<img src="${escapeHtml(tag.coverImage)}" alt="" class="d-block img-fluid rounded mb-3" style="max-height: 240px; width: 100%; object-fit: cover;">`
+      : '';
+    const accent = tag.color ? ` style="color: ${escapeHtml(tag.color)};"` : '';
+    const count = Number(tag.count || 0);
+    const sorts = Object.entries(TAG_SORT_LABELS)
+      .map(
+        ([value, label]) =>
+          `<button type="button" class="btn ${value === sort ? 'btn-secondary' : 'btn-outline-secondary'}" data-action="tag-sort" data-sort="${value}" aria-pressed="${
+            value === sort ? 'true' : 'false'
+          }">${label}</button>`
+      )
+      .join('');
+    return `
+      ${cover}
+      <span class="d-flex flex-column gap-1">
+        <span class="d-flex align-items-center flex-wrap gap-2"><span><span${accent}>#</span>${escapeHtml(tag.tag)}</span>${renderFollowButton(
+          'tag',
+          tag.slug,
+          tag
+        )}</span>
+        ${tag.description ? `<span class="fs-6 fw-normal text-body-secondary">${escapeHtml(tag.description)}</span>` : ''}
+        <span class="d-flex align-items-center flex-wrap gap-2 fs-6 fw-normal text-muted">
+          ${count} ${count === 1 ? 'story' : 'stories'}
+          <span class="btn-group btn-group-sm ms-2" role="group" aria-label="Sort stories">${sorts}</span>
+        </span>
+      </span>
+    `;
+  }
+
+  function renderTagPager(meta) {
+    const { page = 1, totalPages = 0 } = meta || {};
+    if (totalPages <= 1) return '';
+    return `<nav class="d-flex align-items-center justify-content-between" aria-label="Tag stories pages">
+        <button type="button" class="btn btn-outline-secondary btn-sm" data-action="tag-page" data-page="${page - 1}" ${
+          page <= 1 ? 'disabled' : ''
+        }><i class="bi bi-chevron-left me-1"></i>Previous</button>
+        <span class="small text-muted">Page ${page} of ${totalPages}</span>
+        <button type="button" class="btn btn-outline-secondary btn-sm" data-action="tag-page" data-page="${page + 1}" ${
+          page >= totalPages ? 'disabled' : ''
+        }>Next<i class="bi bi-chevron-right ms-1"></i></button>
+      </nav>`;
+  }
+
+  function showTagPage(tag, posts, meta, { historyMode = 'push' } = {}) {
+    const sort = meta?.sort || 'recent';
+    setFeedTab(null);
+    state.tagPage = { slug: tag.slug, sort };
+    hydratePosts([posts]);
+    setLatestHeading(renderTagHeading(tag, sort));
+    renderLatest(posts);
+    if (!posts.length && elements.latestList) {
+      elements.latestList.innerHTML = '<div class="alert alert-info mb-0" role="alert">No stories are tagged with this yet.</div>';
+    }
+    elements.latestList?.insertAdjacentHTML('beforeend', renderTagPager(meta));
+    document.title = `#${tag.tag} · ${state.siteTitle}`;
+    if (window.history && historyMode !== 'none') {
+      const method = historyMode === 'replace' ? 'replaceState' : 'pushState';
+      window.history[method]({ postId: null, tagSlug: tag.slug }, '', buildTagUrl(tag.slug, sort));
+    }
+  }
+
+  async function loadTagPage(slug, { page = 1, sort = state.tagPage.sort, historyMode = 'push' } = {}) {
+    if (!slug) return;
+    state.search.active = false;
+    hideExpandedPost();
+    setFeedTab(null);
+    state.tagPage = { slug, sort };
+    setLoading(elements.latestList, 'Loading stories…');
+    elements.latestHeading?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(TAG_POSTS_PAGE_SIZE), sort });
+      const { data, meta } = await request(`/tags/${encodeURIComponent(slug)}?${params.toString()}`);
+      const { posts, ...tag } = data || {};
+      showTagPage(tag, Array.isArray(posts) ? posts : [], meta, { historyMode });
+    } catch (error) {
+      setLatestHeading(DEFAULT_LATEST_HEADING);
+      setError(elements.latestList, `Unable to load this tag: ${error.message}`);
+    }
+  }
+
+  // Tag pages rendered on the server do not know who is reading, so ask for the follow state
+  async function refreshTagFollow(slug) {
+    try {
+      const { data } = await request(`/tags/${encodeURIComponent(slug)}?pageSize=1`);
+      if (state.tagPage.slug !== slug || state.feedTab !== null || state.currentPostId) return;
+      const { posts, ...tag } = data || {};
+      setLatestHeading(renderTagHeading(tag, state.tagPage.sort));
+    } catch (_) {
+      // The page stays usable without the follow button
+    }
+  }
+
+  function renderFollowButton(kind, target, { following, followers } = {}) {
+    if (following === undefined) return '';
+    const count = Number(followers || 0);
+    return `<button type="button" class="btn btn-sm ${following ? 'btn-secondary' : 'btn-outline-primary'} fs-6" data-action="toggle-follow" data-kind="${kind}" data-target="${escapeHtml(
+      target
+    )}" data-following="${following ? 'true' : 'false'}" aria-pressed="${following ? 'true' : 'false'}" title="${count} ${count === 1 ? 'follower' : 'followers'}">
+        <i class="bi ${following ? 'bi-check2' : 'bi-plus-lg'} me-1"></i>${following ? 'Following' : 'Follow'}<span class="badge text-bg-light ms-2">${count}</span>
+      </button>`;
+  }
+
+  async function toggleFollow(button) {
+    const kind = button.getAttribute('data-kind');
+    const target = button.getAttribute('data-target');
+    const following = button.getAttribute('data-following') === 'true';
+    const path = `/${kind === 'author' ? 'authors' : 'tags'}/${encodeURIComponent(target)}/follow`;
+    const name = kind === 'author' ? `@${target}` : `#${target}`;
+    button.disabled = true;
+    try {
+      const { data } = await request(path, { method: following ? 'DELETE' : 'POST' });
+      button.outerHTML = renderFollowButton(kind, data.target, data);
+      showToast(data.following ? `Following ${name}. Their stories now show up under For you.` : `Unfollowed ${name}`, 'success');
+    } catch (error) {
+      button.disabled = false;
+      showToast(error.message, 'danger');
+    }
+  }
+
+  function renderRecommendationReason(post) {
+    const reason = post.reason || {};
+    let html = '<i class="bi bi-graph-up me-1"></i>Trending';
+    if (reason.type === 'author') {
+      html = `<i class="bi bi-person-check me-1"></i>Because you follow <a href="${escapeHtml(buildAuthorUrl(reason.handle))}" data-action="show-author" data-handle="${escapeHtml(
+        reason.handle
+      )}">@${escapeHtml(reason.handle)}</a>`;
+    } else if (reason.type === 'tag') {
+      html = `<i class="bi bi-hash me-1"></i>Because you follow <a href="${escapeHtml(buildTagUrl(reason.slug))}" data-action="show-tag" data-tag-slug="${escapeHtml(
+        reason.slug
+      )}">#${escapeHtml(reason.tag)}</a>`;
+    }
+    return `<p class="small text-muted mb-0">${html}</p>`;
+  }
+
+  function renderForYouPager(meta) {
+    const { page = 1, totalPages = 0 } = meta || {};
+    if (totalPages <= 1) return '';
+    return `<nav class="d-flex align-items-center justify-content-between" aria-label="For you pages">
+        <button type="button" class="btn btn-outline-secondary btn-sm" data-action="for-you-page" data-page="${page - 1}" ${
+          page <= 1 ? 'disabled' : ''
+        }><i class="bi bi-chevron-left me-1"></i>Previous</button>
+        <span class="small text-muted">Page ${page} of ${totalPages}</span>
+        <button type="button" class="btn btn-outline-secondary btn-sm" data-action="for-you-page" data-page="${page + 1}" ${
+          page >= totalPages ? 'disabled' : ''
+        }>Next<i class="bi bi-chevron-right ms-1"></i></button>
+      </nav>`;
+  }
+
+  async function loadForYou({ page = 1 } = {}) {
+    state.search.active = false;
+    elements.searchFilters?.classList.add('d-none');
+    hideExpandedPost();
+    setFeedTab('for-you');
+    state.forYou = { page };
+    setLatestHeading('For you');
+    setLoading(elements.latestList, 'Picking stories for you…');
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(FOR_YOU_PAGE_SIZE) });
+      const { data, meta } = await request(`/feed/recommended?${params.toString()}`);
+      if (state.feedTab !== 'for-you') return;
+      const posts = Array.isArray(data) ? data : [];
+      hydratePosts([posts]);
+      renderLatest(posts, { label: renderRecommendationReason });
+      if (!meta?.personalised) {
+        elements.latestList?.insertAdjacentHTML(
+          'afterbegin',
+          '<div class="alert alert-secondary mb-0" role="status"><i class="bi bi-stars me-2"></i>Follow tags and authors to fill this feed with their stories. Until then, here is what is trending.</div>'
+        );
+      }
+      elements.latestList?.insertAdjacentHTML('beforeend', renderForYouPager(meta));
+    } catch (error) {
+      setError(elements.latestList, `Unable to load your feed: ${error.message}`);
+    }
+  }
+
+  function showLatestFeed() {
+    state.search = { active: false, query: '', page: 1, filters: emptySearchFilters() };
+    elements.searchFilters?.classList.add('d-none');
+    hideExpandedPost();
+    setFeedTab('latest');
+    setLatestHeading(DEFAULT_LATEST_HEADING);
+    renderLatest(state.feed?.latest || []);
+    document.title = state.siteTitle;
+    if (getAuthorHandleFromPath() || getTagSlugFromPath()) {
+      resetHistoryToBase('push');
+    }
+  }
+
+  // Highlights arrive as escaped HTML from the API; only their <mark> tags are kept
+  function sanitizeHighlight(html = '') {
+    return String(html).replace(/<(?!\/?mark>)[^>]*>/g, '');
+  }
+
+  function renderSearchResults(results, meta) {
+    if (!elements.latestList) return;
+    const { query = '', page = 1, totalPages = 0, total = 0, didYouMean = null } = meta || {};
+    const correction =
+      didYouMean && didYouMean !== query
+        ? `<p class="mb-0">Did you mean <a href="#" class="fw-semibold" data-action="search-did-you-mean" data-query="${escapeHtml(didYouMean)}">${escapeHtml(
+            didYouMean
+          )}</a>?${results.length ? ' <span class="text-muted small">Close matches are included below.</span>' : ''}</p>`
+        : '';
+    if (!results.length) {
+      elements.latestList.innerHTML = `
+        ${correction}
+        <div class="alert alert-secondary mb-0" role="alert">
+          ${
+            total
+              ? 'Nothing on this page.'
+              : query
+                ? `No stories matched “${escapeHtml(query)}”. Try fewer words or filters, or join alternatives with OR.`
+                : 'No stories match these filters.'
+          }
+        </div>
+      `;
+      return;
+    }
+
+    const cards = results
+      .map((post) => {
+        const highlights = post.highlights || {};
+        const postUrl = escapeHtml(buildPostUrl(post));
+        const matched = (post.matchedFields || []).map((field) => SEARCH_FIELD_LABELS[field] || field);
+        const snippet = highlights.body || highlights.subtitle || escapeHtml(post.excerpt || '');
+        return `
+          <article class="card shadow-sm" data-post-id="${escapeHtml(post.id)}">
+            <div class="card-body d-flex flex-column gap-2">
+              <div class="d-flex align-items-center justify-content-between flex-wrap gap-2 text-muted small">
+                <span>${buildPostMetaHtml(post)}</span>
+                <span title="Relevance score">${matched.length ? `Matched in ${escapeHtml(matched.join(', '))} · ` : ''}score ${Number(post.score || 0).toFixed(2)}</span>
+              </div>
+              <h3 class="h4 mb-0">
+                <a href="${postUrl}" class="text-decoration-none" data-post-id="${escapeHtml(post.id)}" data-action="open-post">
+                  ${highlights.title ? sanitizeHighlight(highlights.title) : escapeHtml(post.title)}
+                </a>
+              </h3>
+              ${snippet ? `<p class="mb-0 text-body-secondary">${sanitizeHighlight(snippet)}</p>` : ''}
+              ${highlights.tags ? `<p class="small mb-0"><i class="bi bi-tags me-1"></i>${sanitizeHighlight(highlights.tags)}</p>` : ''}
+            </div>
+          </article>
+        `;
+      })
+      .join('');
+
+    const pager =
+      totalPages > 1
+        ? `<nav class="d-flex align-items-center justify-content-between" aria-label="Search result pages">
+            <button type="button" class="btn btn-outline-secondary btn-sm" data-action="search-page" data-page="${page - 1}" ${
+              page <= 1 ? 'disabled' : ''
+            }><i class="bi bi-chevron-left me-1"></i>Previous</button>
+            <span class="small text-muted">Page ${page} of ${totalPages} · ${total} ${total === 1 ? 'story' : 'stories'}</span>
+            <button type="button" class="btn btn-outline-secondary btn-sm" data-action="search-page" data-page="${page + 1}" ${
+              page >= totalPages ? 'disabled' : ''
+            }>Next<i class="bi bi-chevron-right ms-1"></i></button>
+          </nav>`
+        : '';
+
+    elements.latestList.innerHTML = `${correction}${cards}${pager}`;
+  }
+
+  function hasSearchFilters(filters) {
+    return Boolean(filters.tags.length || filters.authors.length || filters.from || filters.to || filters.minRead !== '' || filters.maxRead !== '');
+  }
+
+  function renderSearchFacets(facets, filters) {
+    if (!elements.searchFacets) return;
+    const chip = (facet, value, label, count, selected) => `
+      <button type="button" class="btn btn-sm ${selected ? 'btn-primary' : 'btn-outline-primary'}" data-action="toggle-search-facet" data-facet="${facet}" data-value="${escapeHtml(
+        value
+      )}" aria-pressed="${selected ? 'true' : 'false'}">${escapeHtml(label)} <span class="badge ${selected ? 'text-bg-light' : 'text-bg-secondary'} ms-1">${Number(count) || 0}</span></button>`;
+    const group = (title, chips) =>
+      chips.length
+        ? `<div class="d-flex flex-wrap align-items-center gap-2"><span class="small text-muted me-1">${title}</span>${chips.join('')}</div>`
+        : '';
+    const tags = (facets?.tags || []).map((entry) => chip('tags', entry.slug, `#${entry.tag}`, entry.count, entry.selected));
+    const authors = (facets?.authors || []).map((entry) => chip('authors', entry.handle, entry.name, entry.count, entry.selected));
+    elements.searchFacets.innerHTML = group('Tags', tags) + group('Authors', authors);
+
+    if (elements.searchFilterForm) {
+      const form = elements.searchFilterForm.elements;
+      form.from.value = filters.from;
+      form.to.value = filters.to;
+      form.minRead.value = filters.minRead;
+      form.maxRead.value = filters.maxRead;
+    }
+  }
+
+  async function runSearch(term, { page = 1, filters = emptySearchFilters() } = {}) {
     const query = term.trim();
+    hideSearchSuggestions();
     hideExpandedPost();
-    if (!query) {
+    if (!query && !hasSearchFilters(filters)) {
+      state.search = { active: false, query: '', page: 1, filters: emptySearchFilters() };
+      elements.searchFilters?.classList.add('d-none');
+      setFeedTab('latest');
       setLatestHeading(DEFAULT_LATEST_HEADING);
       renderLatest(state.feed?.latest || []);
       return;
     }
 
+    setFeedTab(null);
+    state.search = { active: true, query, page, filters };
+    elements.searchFilters?.classList.remove('d-none');
     setLoading(elements.latestList, 'Searching stories…');
     try {
-      const { data } = await request(`/search?q=${encodeURIComponent(query)}`);
+      const params = new URLSearchParams({ page: String(page), pageSize: String(SEARCH_PAGE_SIZE) });
+      if (query) params.set('q', query);
+      filters.tags.forEach((tag) => params.append('tag', tag));
+      filters.authors.forEach((author) => params.append('author', author));
+      ['from', 'to', 'minRead', 'maxRead'].forEach((key) => {
+        if (filters[key] !== '') params.set(key, filters[key]);
+      });
+      const { data, meta } = await request(`/search?${params.toString()}`);
       const results = Array.isArray(data) ? data : [];
+      // Keep the filters as the API normalized them, so chips toggle by slug and handle
+      state.search.filters = { ...filters, tags: meta.filters?.tag || filters.tags, authors: meta.filters?.author || filters.authors };
       hydratePosts([results]);
-      setLatestHeading(`Search results for “${escapeHtml(query)}”`);
-      renderLatest(results);
-      if (!results.length) {
-        elements.latestList.innerHTML = `
-          <div class="alert alert-secondary mb-0" role="alert">
-            No stories matched “${escapeHtml(query)}”.
-          </div>
-        `;
-      }
+      setLatestHeading(query ? `Search results for “${escapeHtml(query)}”` : 'Filtered stories');
+      renderSearchFacets(meta.facets, state.search.filters);
+      renderSearchResults(results, { ...meta, query });
     } catch (error) {
       setError(elements.latestList, `Search failed: ${error.message}`);
     }
   }
 
+  function hideSearchSuggestions() {
+    const suggestions = state.suggestions;
+    window.clearTimeout(suggestions.timer);
+    // Answers to requests still in flight are ignored
+    suggestions.requestId += 1;
+    suggestions.items = [];
+    suggestions.activeIndex = -1;
+    if (elements.searchSuggestions) {
+      elements.searchSuggestions.classList.remove('show');
+      elements.searchSuggestions.innerHTML = '';
+    }
+    elements.searchInput?.setAttribute('aria-expanded', 'false');
+    elements.searchInput?.removeAttribute('aria-activedescendant');
+  }
+
+  function renderSearchSuggestions(items) {
+    if (!elements.searchSuggestions) return;
+    state.suggestions.items = items;
+    state.suggestions.activeIndex = -1;
+    if (!items.length) {
+      elements.searchSuggestions.classList.remove('show');
+      elements.searchSuggestions.innerHTML = '';
+      elements.searchInput?.setAttribute('aria-expanded', 'false');
+      return;
+    }
+    elements.searchSuggestions.innerHTML = items
+      .map((item, index) => {
+        const detail = item.type === 'title' ? '' : `<span class="badge text-bg-light ms-auto">${Number(item.count) || 0}</span>`;
+        return `
+          <li role="presentation">
+            <button type="button" class="dropdown-item d-flex align-items-center gap-2" id="search-suggestion-${index}" role="option" aria-selected="false" data-index="${index}">
+              <i class="bi ${SUGGESTION_ICONS[item.type] || 'bi-search'} text-muted"></i>
+              <span class="text-truncate">${sanitizeHighlight(item.label || escapeHtml(item.value))}</span>
+              ${detail}
+            </button>
+          </li>
+        `;
+      })
+      .join('');
+    elements.searchSuggestions.classList.add('show');
+    elements.searchInput?.setAttribute('aria-expanded', 'true');
+  }
+
+  async function loadSearchSuggestions(term) {
+    const requestId = (state.suggestions.requestId += 1);
+    try {
+      const { data } = await request(`/search/suggest?${new URLSearchParams({ q: term }).toString()}`);
+      if (requestId !== state.suggestions.requestId) return;
+      renderSearchSuggestions(Array.isArray(data) ? data : []);
+    } catch (error) {
+      // Suggestions are a convenience; a failed lookup just leaves the box as it is
+      if (requestId === state.suggestions.requestId) renderSearchSuggestions([]);
+    }
+  }
+
+  function handleSearchInput() {
+    const term = elements.searchInput.value;
+    window.clearTimeout(state.suggestions.timer);
+    if (term.trim().length < SUGGEST_MIN_LENGTH) {
+      hideSearchSuggestions();
+      return;
+    }
+    state.suggestions.timer = window.setTimeout(() => loadSearchSuggestions(term), SUGGEST_DELAY_MS);
+  }
+
+  function highlightSearchSuggestion(index) {
+    const { items } = state.suggestions;
+    if (!items.length || !elements.searchSuggestions) return;
+    const next = (index + items.length) % items.length;
+    state.suggestions.activeIndex = next;
+    elements.searchSuggestions.querySelectorAll('[data-index]').forEach((option) => {
+      const active = Number(option.getAttribute('data-index')) === next;
+      option.classList.toggle('active', active);
+      option.setAttribute('aria-selected', active ? 'true' : 'false');
+    });
+    elements.searchInput.setAttribute('aria-activedescendant', `search-suggestion-${next}`);
+  }
+
+  function applySearchSuggestion(index) {
+    const item = state.suggestions.items[index];
+    if (!item) return;
+    hideSearchSuggestions();
+    if (item.type === 'title') {
+      elements.searchInput.value = '';
+      openPost(item.postId);
+    } else if (item.type === 'tag') {
+      elements.searchInput.value = '';
+      loadTagPage(item.slug, { sort: 'recent' });
+    } else if (item.type === 'author') {
+      elements.searchInput.value = '';
+      loadAuthorProfile(item.handle);
+    }
+  }
+
+  function handleSearchKeydown(event) {
+    const { items, activeIndex } = state.suggestions;
+    if (event.key === 'ArrowDown' && items.length) {
+      event.preventDefault();
+      highlightSearchSuggestion(activeIndex + 1);
+    } else if (event.key === 'ArrowUp' && items.length) {
+      event.preventDefault();
+      highlightSearchSuggestion(activeIndex < 0 ? items.length - 1 : activeIndex - 1);
+    } else if (event.key === 'Escape' && items.length) {
+      event.preventDefault();
+      hideSearchSuggestions();
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      if (activeIndex >= 0) {
+        applySearchSuggestion(activeIndex);
+      } else {
+        runSearch(elements.searchInput.value);
+      }
+    }
+  }
+
+  function refineSearch(changes) {
+    runSearch(state.search.query, { filters: { ...state.search.filters, ...changes } });
+  }
+
+  function toggleSearchFacet(facet, value) {
+    const selected = state.search.filters[facet] || [];
+    refineSearch({ [facet]: selected.includes(value) ? selected.filter((entry) => entry !== value) : [...selected, value] });
+  }
+
+  function handleSearchFilterSubmit(event) {
+    event.preventDefault();
+    const form = elements.searchFilterForm.elements;
+    refineSearch({
+      from: form.from.value,
+      to: form.to.value,
+      minRead: form.minRead.value.trim(),
+      maxRead: form.maxRead.value.trim()
+    });
+  }
+
   function handleGlobalClick(event) {
     const target = event.target.closest('[data-action]');
     if (!target) return;
     const action = target.getAttribute('data-action');
     const postId = target.getAttribute('data-post-id');
-    const tag = target.getAttribute('data-tag');
 
     if (action === 'open-post') {
       if (event.button !== undefined && event.button !== 0) {
@@ -774,23 +1742,108 @@
       }
       event.preventDefault();
       openPost(postId);
-    } else if (action === 'clap' || action === 'bookmark') {
+    } else if (action === 'clap' || action === 'undo-clap' || action === 'bookmark') {
       event.preventDefault();
       handlePostAction(action, postId);
-    } else if (action === 'filter-tag' && tag) {
+    } else if (action === 'show-tag') {
+      if (event.button !== undefined && event.button !== 0) {
+        return;
+      }
+      if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+        return;
+      }
       event.preventDefault();
-      elements.searchInput.value = tag;
-      runSearch(tag);
+      loadTagPage(target.getAttribute('data-tag-slug'), { sort: 'recent' });
+    } else if (action === 'tag-page') {
+      event.preventDefault();
+      loadTagPage(state.tagPage.slug, { page: Number(target.getAttribute('data-page')) || 1 });
+    } else if (action === 'tag-sort') {
+      event.preventDefault();
+      loadTagPage(state.tagPage.slug, { sort: target.getAttribute('data-sort') || 'recent', historyMode: 'replace' });
+    } else if (action === 'feed-tab') {
+      event.preventDefault();
+      if (target.getAttribute('data-tab') === 'for-you') {
+        loadForYou({ page: 1 });
+      } else {
+        showLatestFeed();
+      }
+    } else if (action === 'for-you-page') {
+      event.preventDefault();
+      loadForYou({ page: Number(target.getAttribute('data-page')) || 1 });
+    } else if (action === 'toggle-follow') {
+      event.preventDefault();
+      toggleFollow(target);
+    } else if (action === 'toggle-search-facet') {
+      event.preventDefault();
+      toggleSearchFacet(target.getAttribute('data-facet'), target.getAttribute('data-value'));
+    } else if (action === 'search-did-you-mean') {
+      event.preventDefault();
+      const corrected = target.getAttribute('data-query') || '';
+      elements.searchInput.value = corrected;
+      runSearch(corrected, { filters: state.search.filters });
+    } else if (action === 'clear-search-filters') {
+      event.preventDefault();
+      runSearch(state.search.query);
     } else if (action === 'close-expanded') {
       event.preventDefault();
       hideExpandedPost({ updateHistory: true });
+    } else if (action === 'reply-comment') {
+      event.preventDefault();
+      setReplyTarget({ id: target.getAttribute('data-comment-id'), name: target.getAttribute('data-comment-author') || 'Reader' });
+      elements.commentBody?.focus();
+    } else if (action === 'cancel-reply') {
+      event.preventDefault();
+      setReplyTarget(null);
+    } else if (action === 'load-replies') {
+      event.preventDefault();
+      loadReplies(target.getAttribute('data-comment-id'), target);
+    } else if (action === 'show-author') {
+      if (event.button !== undefined && event.button !== 0) {
+        return;
+      }
+      if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+        return;
+      }
+      event.preventDefault();
+      loadAuthorProfile(target.getAttribute('data-handle'));
+    } else if (action === 'author-page') {
+      event.preventDefault();
+      loadAuthorProfile(state.authorHandle, { page: Number(target.getAttribute('data-page')) || 1 });
+    } else if (action === 'search-page') {
+      event.preventDefault();
+      runSearch(state.search.query, { page: Number(target.getAttribute('data-page')) || 1, filters: state.search.filters });
+    } else if (action === 'show-reading-list') {
+      event.preventDefault();
+      loadReadingList({ page: 1, collection: null });
+    } else if (action === 'reading-list-page') {
+      event.preventDefault();
+      loadReadingList({ page: Number(target.getAttribute('data-page')) || 1 });
+    } else if (action === 'reading-list-collection') {
+      event.preventDefault();
+      loadReadingList({ page: 1, collection: target.getAttribute('data-collection') || null });
+    } else if (action === 'remove-bookmark') {
+      event.preventDefault();
+      removeBookmark(target.getAttribute('data-bookmark-id'), postId);
+    } else if (action === 'move-bookmark') {
+      event.preventDefault();
+      moveBookmark(target.getAttribute('data-bookmark-id'), target.getAttribute('data-collection'));
+    } else if (action === 'report-comment') {
+      event.preventDefault();
+      reportComment(target.getAttribute('data-comment-id'), target.getAttribute('data-reason'));
     }
   }
 
-  function handlePopState() {
-    const postId = getPostIdFromPath();
-    if (postId) {
-      openPost(postId, { historyMode: 'none' });
+  function handlePopState(event) {
+    const slug = getPostSlugFromPath();
+    const handle = getAuthorHandleFromPath();
+    const tagSlug = getTagSlugFromPath();
+    if (handle) {
+      loadAuthorProfile(handle, { historyMode: 'none' });
+    } else if (tagSlug) {
+      loadTagPage(tagSlug, { sort: getTagSortFromLocation(), historyMode: 'none' });
+    } else if (slug) {
+      const postId = event?.state?.postId;
+      openPost(postId || slug, { historyMode: 'none', bySlug: !postId });
     } else {
       if (state.currentPostId) {
         hideExpandedPost();
@@ -798,10 +1851,54 @@
     }
   }
 
-  function bootstrapFromLocation() {
-    const initialPostId = getPostIdFromPath();
-    if (initialPostId) {
-      openPost(initialPostId, { historyMode: 'replace' });
+  // Post pages are rendered on the server with the post embedded, so reuse it instead of refetching
+  function readInitialPost() {
+    const script = document.getElementById('blog-initial-post');
+    if (!script) return null;
+    try {
+      return JSON.parse(script.textContent);
+    } catch (_) {
+      return null;
+    } finally {
+      script.remove();
+    }
+  }
+
+  // Tag pages are rendered on the server with their first page of posts embedded
+  function readInitialTag() {
+    const script = document.getElementById('blog-initial-tag');
+    if (!script) return null;
+    try {
+      return JSON.parse(script.textContent);
+    } catch (_) {
+      return null;
+    } finally {
+      script.remove();
+    }
+  }
+
+  function bootstrapFromLocation(feedLoaded) {
+    const initialPost = readInitialPost();
+    const initialTag = readInitialTag();
+    const initialSlug = getPostSlugFromPath();
+    if (initialPost && initialPost.id) {
+      // The server rendered the heading as "Reading …"; closing the post should restore the default
+      state.latestHeadingHtmlBeforeReading = DEFAULT_LATEST_HEADING;
+      showPost(initialPost, { historyMode: 'replace', focus: false });
+    } else if (initialSlug) {
+      openPost(initialSlug, { historyMode: 'replace', bySlug: true });
+    } else if (getAuthorHandleFromPath()) {
+      // The home feed renders into the same list, so show the profile once it has loaded
+      const handle = getAuthorHandleFromPath();
+      feedLoaded.then(() => loadAuthorProfile(handle, { historyMode: 'none' }));
+    } else if (initialTag && initialTag.tag) {
+      feedLoaded.then(() => {
+        showTagPage(initialTag.tag, initialTag.posts || [], initialTag.meta, { historyMode: 'none' });
+        refreshTagFollow(initialTag.tag.slug);
+      });
+    } else if (getTagSlugFromPath()) {
+      const tagSlug = getTagSlugFromPath();
+      feedLoaded.then(() => loadTagPage(tagSlug, { sort: getTagSortFromLocation(), historyMode: 'none' }));
     } else if (window.history) {
       window.history.replaceState({ postId: null }, '', window.location.pathname + window.location.search);
     }
@@ -821,8 +1918,9 @@
   function applySettings(settings) {
     if (!settings) return;
 
-    // Update page title
-    document.title = settings.title || 'NooblyJS Blog';
+    // Update page title, keeping the story title while one is open
+    state.siteTitle = settings.title || DEFAULT_SITE_TITLE;
+    updateDocumentTitle(state.currentPostId ? state.posts.get(state.currentPostId) : null);
 
     // Update navbar brand
     const navbarBrand = document.querySelector('.navbar-brand span');
@@ -950,12 +2048,17 @@
       event.preventDefault();
       runSearch(elements.searchInput.value);
     });
-    elements.searchInput?.addEventListener('keydown', (event) => {
-      if (event.key === 'Enter') {
-        event.preventDefault();
-        runSearch(elements.searchInput.value);
-      }
+    elements.searchInput?.addEventListener('input', handleSearchInput);
+    elements.searchInput?.addEventListener('keydown', handleSearchKeydown);
+    elements.searchInput?.addEventListener('blur', hideSearchSuggestions);
+    // mousedown fires before the input blurs, so picking a suggestion still works
+    elements.searchSuggestions?.addEventListener('mousedown', (event) => {
+      const option = event.target.closest('[data-index]');
+      if (!option) return;
+      event.preventDefault();
+      applySearchSuggestion(Number(option.getAttribute('data-index')));
     });
+    elements.searchFilterForm?.addEventListener('submit', handleSearchFilterSubmit);
     elements.createPostForm?.addEventListener('submit', handleCreatePost);
     elements.commentForm?.addEventListener('submit', handleCommentSubmit);
     document.addEventListener('click', handleGlobalClick);
@@ -964,6 +2067,5 @@
 
   registerEvents();
   loadAndApplySettings();
-  bootstrapFromLocation();
-  loadFeed();
+  bootstrapFromLocation(loadFeed());
 })();
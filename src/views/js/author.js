@@ -7,6 +7,15 @@ const state = {
   posts: [],
   filtered: [],
   currentPostId: null,
+  currentVersion: null,
+  conflict: null,
+  historyPostId: null,
+  moderation: {
+    status: 'pending',
+    items: [],
+    selected: new Set(),
+    loaded: false
+  },
   loading: false
 };
 
@@ -19,6 +28,7 @@ const elements = {
   newPostBtn: document.getElementById('create-new-post-btn'),
   editorHeading: document.getElementById('editor-heading'),
   editorStatusBadge: document.getElementById('editor-status-badge'),
+  editorConflict: document.getElementById('editor-conflict'),
   inputs: {
     id: document.getElementById('post-id'),
     title: document.getElementById('post-title'),
@@ -30,6 +40,21 @@ const elements = {
     content: document.getElementById('post-content'),
     scheduledFor: document.getElementById('post-scheduled')
   },
+  history: {
+    drawer: document.getElementById('history-drawer'),
+    subtitle: document.getElementById('history-drawer-subtitle'),
+    list: document.getElementById('history-list'),
+    diff: document.getElementById('history-diff'),
+    diffHeading: document.getElementById('history-diff-heading'),
+    diffBody: document.getElementById('history-diff-body')
+  },
+  moderation: {
+    tableBody: document.querySelector('#moderation-table tbody'),
+    statusFilter: document.getElementById('moderation-status-filter'),
+    selectAll: document.getElementById('moderation-select-all'),
+    bulkActions: document.getElementById('moderation-bulk-actions'),
+    count: document.getElementById('moderation-count')
+  },
   settingsForm: document.getElementById('settings-form'),
   settingsResetBtn: document.getElementById('reset-settings-btn'),
   settingsPreviewBtn: document.getElementById('preview-settings-btn'),
@@ -40,6 +65,10 @@ const elements = {
     backgroundColor: document.getElementById('background-color'),
     backgroundColorText: document.getElementById('background-color-text'),
     bannerImage: document.getElementById('banner-image'),
+    feedContent: document.getElementById('feed-content'),
+    commentModeration: document.getElementById('comment-moderation'),
+    commentReportThreshold: document.getElementById('comment-report-threshold'),
+    postFormat: document.getElementById('post-format'),
     twitter: document.getElementById('link-twitter'),
     instagram: document.getElementById('link-instagram'),
     tiktok: document.getElementById('link-tiktok'),
@@ -90,6 +119,16 @@ function formatDate(value) {
   }
 }
 
+function escapeHtml(value = '') {
+  return value
+    .toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function statusBadge(status) {
   if (status === 'published') return '<span class="badge bg-success-subtle text-success-emphasis">Published</span>';
   if (status === 'scheduled') return '<span class="badge bg-warning-subtle text-warning-emphasis">Scheduled</span>';
@@ -114,12 +153,24 @@ async function apiRequest(path, options = {}) {
   const text = await response.text();
   const payload = text ? JSON.parse(text) : {};
   if (!response.ok) {
-    const message = payload?.errors?.[0]?.message || `Request failed (${response.status})`;
-    throw new Error(message);
+    const detail = payload?.errors?.[0] || {};
+    const error = new Error(detail.message || `Request failed (${response.status})`);
+    error.status = response.status;
+    error.code = detail.code;
+    error.details = detail.details || {};
+    throw error;
   }
   return payload;
 }
 
+function ifVersionHeaders(version) {
+  return version ? { 'If-Version': String(version) } : {};
+}
+
+function isConflict(error) {
+  return error?.status === 409 && error.details?.current;
+}
+
 function renderRows(posts) {
   if (!elements.tableBody) return;
   if (!posts.length) {
@@ -150,11 +201,19 @@ function renderRows(posts) {
               <button class="btn btn-outline-primary" data-action="edit" title="Edit post">
                 <i class="bi bi-pencil-square"></i>
               </button>
+              <button class="btn btn-outline-secondary" data-action="history" title="Revision history">
+                <i class="bi bi-clock-history"></i>
+              </button>
               ${
                 post.status === 'published'
                   ? `<button class="btn btn-outline-warning" data-action="unpublish" title="Unpublish"><i class="bi bi-eye-slash"></i></button>`
                   : `<button class="btn btn-outline-success" data-action="publish" title="Publish"><i class="bi bi-upload"></i></button>`
               }
+              ${
+                post.status === 'scheduled'
+                  ? `<button class="btn btn-outline-secondary" data-action="unschedule" title="Cancel scheduled publication"><i class="bi bi-calendar-x"></i></button>`
+                  : ''
+              }
               <button class="btn btn-outline-danger" data-action="delete" title="Delete post">
                 <i class="bi bi-trash"></i>
               </button>
@@ -216,6 +275,8 @@ function formatTagsInput(tags) {
 
 function populateForm(post) {
   state.currentPostId = post?.id || null;
+  state.currentVersion = post?.version || null;
+  hideConflict();
   elements.inputs.id.value = post?.id || '';
   elements.inputs.title.value = post?.title || '';
   elements.inputs.subtitle.value = post?.subtitle || '';
@@ -249,6 +310,8 @@ function populateForm(post) {
 
 function resetForm() {
   state.currentPostId = null;
+  state.currentVersion = null;
+  hideConflict();
   elements.form.classList.remove('was-validated');
   elements.form.reset();
   Object.values(elements.inputs).forEach((input) => {
@@ -284,6 +347,86 @@ function buildPayloadFromForm() {
   };
 }
 
+function findPostVersion(postId) {
+  return state.posts.find((item) => item.id === postId)?.version || null;
+}
+
+const CONFLICT_FIELDS = {
+  title: 'Title',
+  subtitle: 'Subtitle',
+  tags: 'Tags',
+  status: 'Status',
+  coverImage: 'Cover image',
+  content: 'Story'
+};
+
+function conflictingFields(local, server) {
+  return Object.keys(CONFLICT_FIELDS).filter((field) => {
+    const mine = field === 'tags' ? (local.tags || []).join(', ') : local[field] || '';
+    const theirs = field === 'tags' ? (server.tags || []).join(', ') : server[field] || '';
+    return mine !== theirs;
+  });
+}
+
+function showConflict(localPayload, serverPost) {
+  if (!elements.editorConflict) return;
+  state.conflict = { local: localPayload, server: serverPost };
+  const fields = conflictingFields(localPayload, serverPost).map((field) => CONFLICT_FIELDS[field]);
+  elements.editorConflict.innerHTML = `
+    <div class="fw-semibold mb-1"><i class="bi bi-exclamation-triangle me-2"></i>Someone else saved this story while you were editing.</div>
+    <div class="small mb-2">
+      ${fields.length ? `Your version differs in: ${escapeHtml(fields.join(', '))}.` : 'Your changes match the saved version.'}
+      Keep your version to overwrite theirs, or load theirs and re-apply your edits.
+    </div>
+    <div class="d-flex gap-2">
+      <button type="button" class="btn btn-sm btn-warning" data-conflict-action="overwrite">
+        <i class="bi bi-upload me-1"></i>Keep mine
+      </button>
+      <button type="button" class="btn btn-sm btn-outline-secondary" data-conflict-action="reload">
+        <i class="bi bi-arrow-clockwise me-1"></i>Load theirs
+      </button>
+    </div>
+  `;
+  elements.editorConflict.classList.remove('d-none');
+}
+
+function hideConflict() {
+  state.conflict = null;
+  if (!elements.editorConflict) return;
+  elements.editorConflict.classList.add('d-none');
+  elements.editorConflict.innerHTML = '';
+}
+
+async function handleConflictClick(event) {
+  const button = event.target.closest('button[data-conflict-action]');
+  if (!button || !state.conflict) return;
+  const { local, server } = state.conflict;
+  if (button.getAttribute('data-conflict-action') === 'reload') {
+    populateForm(server);
+    setAlert('Loaded the latest saved version. Re-apply your edits and save again.', 'info');
+    return;
+  }
+  // Overwrite: retry against the server's current version
+  state.currentVersion = server.version;
+  hideConflict();
+  try {
+    await apiRequest(`/posts/${encodeURIComponent(server.id)}`, {
+      method: 'PATCH',
+      body: local,
+      headers: ifVersionHeaders(server.version)
+    });
+    setAlert('Post updated successfully.', 'success');
+    await loadPosts();
+    resetForm();
+  } catch (error) {
+    if (isConflict(error)) {
+      showConflict(local, error.details.current);
+      return;
+    }
+    setAlert(error.message || 'Unable to save post.', 'danger');
+  }
+}
+
 async function handleFormSubmit(event) {
   event.preventDefault();
   event.stopPropagation();
@@ -303,7 +446,19 @@ async function handleFormSubmit(event) {
     setAlert('');
     const postId = state.currentPostId;
     if (postId) {
-      await apiRequest(`/posts/${encodeURIComponent(postId)}`, { method: 'PATCH', body: payload });
+      try {
+        await apiRequest(`/posts/${encodeURIComponent(postId)}`, {
+          method: 'PATCH',
+          body: payload,
+          headers: ifVersionHeaders(state.currentVersion)
+        });
+      } catch (error) {
+        if (isConflict(error)) {
+          showConflict(payload, error.details.current);
+          return;
+        }
+        throw error;
+      }
       setAlert('Post updated successfully.', 'success');
     } else {
       const body = { ...payload };
@@ -329,13 +484,21 @@ async function handleDelete(postId) {
     return;
   }
   try {
-    await apiRequest(`/posts/${encodeURIComponent(postId)}`, { method: 'DELETE' });
+    await apiRequest(`/posts/${encodeURIComponent(postId)}`, {
+      method: 'DELETE',
+      headers: ifVersionHeaders(findPostVersion(postId))
+    });
     setAlert('Post deleted.', 'success');
     if (state.currentPostId === postId) {
       resetForm();
     }
     await loadPosts();
   } catch (error) {
+    if (isConflict(error)) {
+      setAlert('This post changed since you loaded it. The list has been refreshed; review it before deleting.', 'warning');
+      await loadPosts();
+      return;
+    }
     setAlert(error.message || 'Unable to delete post.', 'danger');
   }
 }
@@ -344,7 +507,8 @@ async function handlePublish(postId) {
   if (!postId) return;
   try {
     await apiRequest(`/posts/${encodeURIComponent(postId)}/publish`, {
-      method: 'POST'
+      method: 'POST',
+      headers: ifVersionHeaders(findPostVersion(postId))
     });
     setAlert('Post published.', 'success');
     if (state.currentPostId === postId) {
@@ -352,6 +516,11 @@ async function handlePublish(postId) {
     }
     await loadPosts();
   } catch (error) {
+    if (isConflict(error)) {
+      setAlert('This post changed since you loaded it. The list has been refreshed; review it before publishing.', 'warning');
+      await loadPosts();
+      return;
+    }
     setAlert(error.message || 'Unable to publish post.', 'danger');
   }
 }
@@ -361,7 +530,8 @@ async function handleUnpublish(postId) {
   try {
     await apiRequest(`/posts/${encodeURIComponent(postId)}`, {
       method: 'PATCH',
-      body: { status: 'draft' }
+      body: { status: 'draft' },
+      headers: ifVersionHeaders(findPostVersion(postId))
     });
     setAlert('Post moved back to draft.', 'info');
     if (state.currentPostId === postId) {
@@ -369,10 +539,38 @@ async function handleUnpublish(postId) {
     }
     await loadPosts();
   } catch (error) {
+    if (isConflict(error)) {
+      setAlert('This post changed since you loaded it. The list has been refreshed; review it before unpublishing.', 'warning');
+      await loadPosts();
+      return;
+    }
     setAlert(error.message || 'Unable to update post status.', 'danger');
   }
 }
 
+async function handleUnschedule(postId) {
+  if (!postId) return;
+  try {
+    await apiRequest(`/posts/${encodeURIComponent(postId)}/unschedule`, {
+      method: 'POST',
+      headers: ifVersionHeaders(findPostVersion(postId))
+    });
+    setAlert('Scheduled publication cancelled. The post is a draft again.', 'info');
+    if (state.currentPostId === postId) {
+      elements.inputs.status.value = 'draft';
+      elements.inputs.scheduledFor.value = '';
+    }
+    await loadPosts();
+  } catch (error) {
+    if (isConflict(error)) {
+      setAlert('This post changed since you loaded it. The list has been refreshed; review it before unscheduling.', 'warning');
+      await loadPosts();
+      return;
+    }
+    setAlert(error.message || 'Unable to unschedule post.', 'danger');
+  }
+}
+
 function handleTableClick(event) {
   const button = event.target.closest('button[data-action]');
   if (!button) return;
@@ -388,11 +586,352 @@ function handleTableClick(event) {
     handlePublish(postId);
   } else if (action === 'unpublish') {
     handleUnpublish(postId);
+  } else if (action === 'unschedule') {
+    handleUnschedule(postId);
   } else if (action === 'delete') {
     handleDelete(postId);
+  } else if (action === 'history') {
+    openHistory(post || { id: postId });
   }
 }
 
+// Revision history functionality
+let historyDrawer = null;
+
+function ensureHistoryDrawer() {
+  if (!historyDrawer && elements.history.drawer && typeof bootstrap !== 'undefined') {
+    historyDrawer = new bootstrap.Offcanvas(elements.history.drawer);
+  }
+  return historyDrawer;
+}
+
+function formatFieldValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return value.name || JSON.stringify(value);
+  return String(value);
+}
+
+function renderHistoryList(revisions) {
+  if (!revisions.length) {
+    elements.history.list.innerHTML = `
+      <div class="text-muted small">No revisions recorded yet. Edits to this story will appear here.</div>
+    `;
+    return;
+  }
+  elements.history.list.innerHTML = revisions
+    .map((revision) => {
+      const fields = revision.baseline ? 'Original version' : (revision.changedFields || []).join(', ');
+      const restored = revision.restoredFrom ? ` · restored from r${revision.restoredFrom}` : '';
+      return `
+        <div class="list-group-item" data-rev="${revision.rev}">
+          <div class="d-flex justify-content-between align-items-start gap-2">
+            <div>
+              <div class="fw-semibold">r${revision.rev} · ${escapeHtml(revision.author?.name || 'Unknown')}</div>
+              <div class="text-muted small">${escapeHtml(formatDate(revision.createdAt))}${escapeHtml(restored)}</div>
+              <div class="small">${escapeHtml(fields)}</div>
+            </div>
+            <div class="btn-group btn-group-sm">
+              <button class="btn btn-outline-secondary" data-history-action="diff" title="Compare with previous revision">
+                <i class="bi bi-file-diff"></i>
+              </button>
+              <button class="btn btn-outline-warning" data-history-action="restore" title="Restore this revision">
+                <i class="bi bi-arrow-counterclockwise"></i>
+              </button>
+            </div>
+          </div>
+        </div>
+      `;
+    })
+    .join('');
+}
+
+function renderDiff(rev, changes) {
+  elements.history.diff.classList.remove('d-none');
+  elements.history.diffHeading.textContent = `Changes in r${rev}`;
+  if (!changes.length) {
+    elements.history.diffBody.innerHTML = '<div class="text-muted">No authored fields changed.</div>';
+    return;
+  }
+  elements.history.diffBody.innerHTML = changes
+    .map((change) => {
+      if (Array.isArray(change.lines)) {
+        const lines = change.lines
+          .map((op) => {
+            const prefix = op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' ';
+            const tone = op.type === 'add' ? 'text-success' : op.type === 'remove' ? 'text-danger' : 'text-muted';
+            return `<div class="${tone}">${prefix} ${escapeHtml(op.line)}</div>`;
+          })
+          .join('');
+        return `
+          <div class="card card-body p-2">
+            <div class="fw-semibold mb-1">${escapeHtml(change.field)}</div>
+            <pre class="mb-0 small" style="white-space: pre-wrap;">${lines}</pre>
+          </div>
+        `;
+      }
+      return `
+        <div class="card card-body p-2">
+          <div class="fw-semibold mb-1">${escapeHtml(change.field)}</div>
+          <div class="text-danger">- ${escapeHtml(formatFieldValue(change.before))}</div>
+          <div class="text-success">+ ${escapeHtml(formatFieldValue(change.after))}</div>
+        </div>
+      `;
+    })
+    .join('');
+}
+
+async function loadHistory(postId) {
+  elements.history.list.innerHTML = '<div class="text-muted small">Loading revisions…</div>';
+  elements.history.diff.classList.add('d-none');
+  try {
+    const { data } = await apiRequest(`/posts/${encodeURIComponent(postId)}/history`);
+    if (state.historyPostId !== postId) return;
+    renderHistoryList(Array.isArray(data) ? data : []);
+  } catch (error) {
+    elements.history.list.innerHTML = `<div class="text-danger small">${escapeHtml(error.message || 'Unable to load history.')}</div>`;
+  }
+}
+
+function openHistory(post) {
+  if (!post?.id || !elements.history.drawer) return;
+  state.historyPostId = post.id;
+  elements.history.subtitle.textContent = post.title || post.id;
+  ensureHistoryDrawer()?.show();
+  loadHistory(post.id);
+}
+
+async function handleHistoryDiff(rev) {
+  const postId = state.historyPostId;
+  if (!postId) return;
+  try {
+    const { data } = await apiRequest(`/posts/${encodeURIComponent(postId)}/history/${rev}/diff`);
+    renderDiff(rev, Array.isArray(data) ? data : []);
+  } catch (error) {
+    setAlert(error.message || 'Unable to compare revisions.', 'danger');
+  }
+}
+
+async function handleHistoryRestore(rev) {
+  const postId = state.historyPostId;
+  if (!postId) return;
+  if (!confirm(`Restore revision r${rev}? The current version stays in the history.`)) {
+    return;
+  }
+  try {
+    const { data } = await apiRequest(`/posts/${encodeURIComponent(postId)}/history/${rev}/restore`, { method: 'POST' });
+    setAlert(`Revision r${rev} restored.`, 'success');
+    if (state.currentPostId === postId) {
+      populateForm(data);
+    }
+    await Promise.all([loadPosts(), loadHistory(postId)]);
+  } catch (error) {
+    setAlert(error.message || 'Unable to restore revision.', 'danger');
+  }
+}
+
+function handleHistoryClick(event) {
+  const button = event.target.closest('button[data-history-action]');
+  if (!button) return;
+  const rev = Number(button.closest('[data-rev]')?.getAttribute('data-rev'));
+  if (!rev) return;
+  const action = button.getAttribute('data-history-action');
+  if (action === 'diff') {
+    handleHistoryDiff(rev);
+  } else if (action === 'restore') {
+    handleHistoryRestore(rev);
+  }
+}
+
+// Comment moderation functionality
+const MODERATION_LABELS = {
+  approve: { done: 'approved', variant: 'success' },
+  reject: { done: 'rejected', variant: 'secondary' },
+  spam: { done: 'marked as spam', variant: 'warning' },
+  delete: { done: 'deleted', variant: 'danger' }
+};
+
+function updateModerationCount(total) {
+  if (!elements.moderation.count) return;
+  elements.moderation.count.textContent = String(total);
+  elements.moderation.count.classList.toggle('d-none', !total);
+}
+
+function updateModerationToolbar() {
+  const { selected, items, status } = state.moderation;
+  elements.moderation.bulkActions?.querySelectorAll('button[data-moderate]').forEach((button) => {
+    const action = button.getAttribute('data-moderate');
+    // Approving approved comments (and so on) is a no-op, so those buttons stay off for that view
+    const redundant = (action === 'approve' && status === 'published') || (action === 'reject' && status === 'rejected') || (action === 'spam' && status === 'spam');
+    button.disabled = !selected.size || redundant;
+  });
+  if (elements.moderation.selectAll) {
+    elements.moderation.selectAll.checked = items.length > 0 && selected.size === items.length;
+    elements.moderation.selectAll.indeterminate = selected.size > 0 && selected.size < items.length;
+  }
+}
+
+const REPORT_REASON_LABELS = {
+  spam: 'Spam',
+  harassment: 'Harassment',
+  hate: 'Hate speech',
+  'off-topic': 'Off-topic',
+  other: 'Other'
+};
+
+function renderReportSummary(comment) {
+  const reports = Array.isArray(comment.reports) ? comment.reports : [];
+  if (!reports.length) return '';
+  const counts = reports.reduce((acc, report) => {
+    acc[report.reason] = (acc[report.reason] || 0) + 1;
+    return acc;
+  }, {});
+  const reasons = Object.entries(counts)
+    .map(([reason, count]) => `${escapeHtml(REPORT_REASON_LABELS[reason] || reason)}${count > 1 ? ` ×${count}` : ''}`)
+    .join(', ');
+  const notes = reports
+    .filter((report) => report.details)
+    .map((report) => `<li>${escapeHtml(report.details)} <span class="text-muted">· ${formatDate(report.createdAt)}</span></li>`)
+    .join('');
+  return `
+    <div class="small mt-1">
+      <span class="badge bg-danger-subtle text-danger-emphasis"><i class="bi bi-flag me-1"></i>${reports.length} report${reports.length === 1 ? '' : 's'}</span>
+      <span class="text-muted ms-1">${reasons}</span>
+      ${notes ? `<ul class="mb-0 ps-3 text-muted">${notes}</ul>` : ''}
+    </div>
+  `;
+}
+
+function renderModerationRows() {
+  const { items, selected, status } = state.moderation;
+  if (!elements.moderation.tableBody) return;
+  if (!items.length) {
+    elements.moderation.tableBody.innerHTML = `
+      <tr>
+        <td colspan="5" class="text-center py-5 text-muted">
+          ${status === 'pending' ? 'Nothing waiting for review. 🎉' : 'No comments with this status.'}
+        </td>
+      </tr>
+    `;
+    updateModerationToolbar();
+    return;
+  }
+
+  elements.moderation.tableBody.innerHTML = items
+    .map((comment) => {
+      const id = escapeHtml(comment.id);
+      return `
+        <tr data-comment-id="${id}">
+          <td>
+            <input class="form-check-input" type="checkbox" data-select-comment="${id}" ${selected.has(comment.id) ? 'checked' : ''} aria-label="Select comment">
+          </td>
+          <td>
+            <div class="fw-semibold">${escapeHtml(comment.author?.name || 'Reader')}</div>
+            <div class="small text-body-secondary text-break">${escapeHtml(comment.body || '')}</div>
+            ${comment.parentId ? '<span class="badge bg-body-secondary text-body-secondary mt-1">Reply</span>' : ''}
+            ${renderReportSummary(comment)}
+          </td>
+          <td class="small">${escapeHtml(comment.post?.title || comment.postId || '')}</td>
+          <td class="text-nowrap small text-muted">${formatDate(comment.createdAt)}</td>
+          <td class="text-end">
+            <div class="btn-group btn-group-sm" role="group">
+              ${status !== 'published' ? `<button type="button" class="btn btn-outline-success" data-moderate-one="approve" title="Approve"><i class="bi bi-check-lg"></i></button>` : ''}
+              ${status !== 'spam' ? `<button type="button" class="btn btn-outline-warning" data-moderate-one="spam" title="Mark as spam"><i class="bi bi-exclamation-octagon"></i></button>` : ''}
+              <button type="button" class="btn btn-outline-danger" data-moderate-one="delete" title="Delete"><i class="bi bi-trash"></i></button>
+            </div>
+          </td>
+        </tr>
+      `;
+    })
+    .join('');
+  updateModerationToolbar();
+}
+
+async function loadModerationQueue() {
+  const { status } = state.moderation;
+  if (elements.moderation.tableBody) {
+    elements.moderation.tableBody.innerHTML = `
+      <tr>
+        <td colspan="5" class="text-center py-5 text-muted">
+          <div class="spinner-border text-primary mb-3" role="status"></div>
+          <div>Loading comments…</div>
+        </td>
+      </tr>
+    `;
+  }
+  try {
+    const { data } = await apiRequest(`/admin/moderation/queue?status=${encodeURIComponent(status)}`);
+    state.moderation.items = Array.isArray(data) ? data : [];
+    state.moderation.selected = new Set();
+    state.moderation.loaded = true;
+    if (status === 'pending') {
+      updateModerationCount(state.moderation.items.length);
+    }
+    renderModerationRows();
+  } catch (error) {
+    setAlert(error.message || 'Unable to load the moderation queue.', 'danger');
+  }
+}
+
+async function refreshModerationCount() {
+  try {
+    const { meta } = await apiRequest('/admin/moderation/queue?status=pending');
+    updateModerationCount(Number(meta?.total) || 0);
+  } catch (_) {
+    // the badge is a hint; the tab reports errors when opened
+  }
+}
+
+async function moderateComments(action, ids) {
+  if (!ids.length) return;
+  if (action === 'delete' && !confirm(`Delete ${ids.length === 1 ? 'this comment' : `${ids.length} comments`}? This cannot be undone.`)) {
+    return;
+  }
+  try {
+    const { data } = await apiRequest(`/admin/moderation/${action}`, { method: 'POST', body: { ids } });
+    const count = data?.updated?.length || 0;
+    const label = MODERATION_LABELS[action];
+    setAlert(`${count} comment${count === 1 ? '' : 's'} ${label.done}.`, label.variant === 'danger' ? 'success' : label.variant);
+    await loadModerationQueue();
+    if (state.moderation.status !== 'pending') {
+      await refreshModerationCount();
+    }
+  } catch (error) {
+    setAlert(error.message || 'Unable to moderate comments.', 'danger');
+  }
+}
+
+function handleModerationClick(event) {
+  const bulk = event.target.closest('button[data-moderate]');
+  if (bulk) {
+    moderateComments(bulk.getAttribute('data-moderate'), [...state.moderation.selected]);
+    return;
+  }
+  const single = event.target.closest('button[data-moderate-one]');
+  if (single) {
+    const id = single.closest('tr[data-comment-id]')?.getAttribute('data-comment-id');
+    if (id) moderateComments(single.getAttribute('data-moderate-one'), [id]);
+  }
+}
+
+function handleModerationSelect(event) {
+  const checkbox = event.target.closest('input[data-select-comment]');
+  if (!checkbox) return;
+  const id = checkbox.getAttribute('data-select-comment');
+  if (checkbox.checked) {
+    state.moderation.selected.add(id);
+  } else {
+    state.moderation.selected.delete(id);
+  }
+  updateModerationToolbar();
+}
+
+function handleModerationSelectAll() {
+  const checked = elements.moderation.selectAll.checked;
+  state.moderation.selected = checked ? new Set(state.moderation.items.map((comment) => comment.id)) : new Set();
+  renderModerationRows();
+}
+
 // Settings functionality
 let currentSettings = null;
 
@@ -415,6 +954,10 @@ function populateSettingsForm(settings) {
   elements.settings.backgroundColor.value = settings.backgroundColor || '#ffffff';
   elements.settings.backgroundColorText.value = settings.backgroundColor || '#ffffff';
   elements.settings.bannerImage.value = settings.bannerImage || '';
+  elements.settings.feedContent.value = settings.feedContent === 'full' ? 'full' : 'excerpt';
+  elements.settings.commentModeration.value = settings.commentModeration || 'first-time';
+  elements.settings.commentReportThreshold.value = settings.commentReportThreshold || 3;
+  elements.settings.postFormat.value = settings.postFormat === 'yaml' ? 'yaml' : 'legacy';
   elements.settings.twitter.value = settings.links?.twitter || '';
   elements.settings.instagram.value = settings.links?.instagram || '';
   elements.settings.tiktok.value = settings.links?.tiktok || '';
@@ -469,6 +1012,10 @@ async function handleSettingsSubmit(event) {
     primaryColor: elements.settings.primaryColor.value,
     backgroundColor: elements.settings.backgroundColor.value,
     bannerImage: elements.settings.bannerImage.value.trim() || '',
+    feedContent: elements.settings.feedContent.value,
+    commentModeration: elements.settings.commentModeration.value,
+    commentReportThreshold: Number(elements.settings.commentReportThreshold.value),
+    postFormat: elements.settings.postFormat.value,
     links: {
       twitter: elements.settings.twitter.value.trim() || '',
       instagram: elements.settings.instagram.value.trim() || '',
@@ -529,6 +1076,10 @@ function registerEvents() {
 
   elements.tableBody?.addEventListener('click', handleTableClick);
 
+  elements.history.list?.addEventListener('click', handleHistoryClick);
+
+  elements.editorConflict?.addEventListener('click', handleConflictClick);
+
   elements.form?.addEventListener('submit', handleFormSubmit);
 
   elements.resetBtn?.addEventListener('click', resetForm);
@@ -549,6 +1100,19 @@ function registerEvents() {
   syncColorPickerWithText(elements.settings.primaryColor, elements.settings.primaryColorText);
   syncColorPickerWithText(elements.settings.backgroundColor, elements.settings.backgroundColorText);
 
+  // Moderation events
+  elements.moderation.bulkActions?.addEventListener('click', handleModerationClick);
+  elements.moderation.tableBody?.addEventListener('click', handleModerationClick);
+  elements.moderation.tableBody?.addEventListener('change', handleModerationSelect);
+  elements.moderation.selectAll?.addEventListener('change', handleModerationSelectAll);
+  elements.moderation.statusFilter?.addEventListener('change', () => {
+    state.moderation.status = elements.moderation.statusFilter.value;
+    loadModerationQueue();
+  });
+  document.getElementById('moderation-tab')?.addEventListener('shown.bs.tab', () => {
+    loadModerationQueue();
+  });
+
   // Load settings when Customise tab is clicked
   document.getElementById('customise-tab')?.addEventListener('shown.bs.tab', () => {
     if (!currentSettings) {
@@ -557,7 +1121,29 @@ function registerEvents() {
   });
 }
 
-function init() {
+// Tabs that need more than the author role
+const RESTRICTED_TABS = {
+  'moderation-tab': 'comment:moderate',
+  'customise-tab': 'settings:manage'
+};
+
+async function applyPermissions() {
+  try {
+    const { data: caller } = await apiRequest('/me');
+    const permissions = new Set(caller?.permissions || []);
+    Object.entries(RESTRICTED_TABS).forEach(([tabId, action]) => {
+      if (!permissions.has(action)) {
+        document.getElementById(tabId)?.closest('.nav-item')?.classList.add('d-none');
+      }
+    });
+    return permissions;
+  } catch (_) {
+    // leave every tab visible; the API still enforces access
+    return null;
+  }
+}
+
+async function init() {
   if (!authToken && !localStorage.getItem(TOKEN_STORAGE_KEY)) {
     setAlert('Authentication token missing. Please sign in again.', 'danger');
     return;
@@ -565,6 +1151,10 @@ function init() {
   registerEvents();
   resetForm();
   loadPosts();
+  const permissions = await applyPermissions();
+  if (!permissions || permissions.has('comment:moderate')) {
+    refreshModerationCount();
+  }
 }
 
 document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,176 @@
+'use strict';
+
+const { VIEW_BASE_PATH, escapeHtml, renderMarkdown } = require('../routes/shared/helpers');
+
+const DEFAULT_SITE_TITLE = 'NooblyJS Blog';
+
+/**
+ * Formats a post date the way the reader client does (e.g. `Mar 4, 2025`)
+ */
+function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Builds the byline shown under the post title, mirroring `buildPostMeta` in app.js
+ */
+function buildPostMeta(post) {
+  const minutes = Number(post.readTimeMinutes) || Math.max(1, Math.ceil((post.content || '').split(/\s+/).length / 220));
+  const parts = [post.author?.name, `${minutes} min read`];
+  const date = post.publishedAt || post.updatedAt || post.createdAt;
+  if (date) parts.push(formatDate(date));
+  return parts.filter(Boolean).join(' · ');
+}
+
+/**
+ * Resolves the absolute URL of a post, preferring the author's canonical URL
+ */
+function buildCanonicalUrl(post, baseUrl) {
+  if (post.seo?.canonicalUrl) return post.seo.canonicalUrl;
+  return `${baseUrl}${VIEW_BASE_PATH}/posts/${encodeURIComponent(post.slug || post.id)}`;
+}
+
+/**
+ * Resolves a possibly relative asset URL against the site origin
+ */
+function absoluteUrl(value, baseUrl) {
+  if (!value) return '';
+  if (/^https?:\/\//i.test(value) || !baseUrl) return value;
+  return `${baseUrl}${value.startsWith('/') ? '' : '/'}${value}`;
+}
+
+/**
+ * Serializes JSON for embedding inside a <script> element
+ */
+function toScriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Builds the schema.org Article description of a post
+ */
+function buildArticleJsonLd(post, { siteTitle, canonicalUrl, description, image, authorUrl }) {
+  const article = {
+    '@context': 'https://schema.org',
+    '@type': 'Article',
+    headline: post.seo?.title || post.title || 'Untitled story',
+    description,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': canonicalUrl },
+    url: canonicalUrl,
+    author: { '@type': 'Person', name: post.author?.name || 'Anonymous', ...(authorUrl ? { url: authorUrl } : {}) },
+    publisher: { '@type': 'Organization', name: siteTitle },
+    keywords: (post.tags || []).join(', ')
+  };
+  if (image) article.image = [image];
+  if (post.publishedAt) article.datePublished = post.publishedAt;
+  if (post.updatedAt || post.publishedAt) article.dateModified = post.updatedAt || post.publishedAt;
+  if (post.readTimeMinutes) article.timeRequired = `PT${post.readTimeMinutes}M`;
+  return article;
+}
+
+/**
+ * Builds the <head> markup for a post page: title, description, canonical link,
+ * Open Graph, Twitter Card and Article JSON-LD.
+ * @param {Object} post
+ * @param {Object} settings Site settings
+ * @param {string} baseUrl Public origin of the request
+ * @return {{title: string, tags: string}}
+ */
+function buildPostHead(post, settings, baseUrl) {
+  const siteTitle = settings.title || DEFAULT_SITE_TITLE;
+  const headline = post.seo?.title || post.title || 'Untitled story';
+  const description = post.seo?.description || post.excerpt || post.subtitle || '';
+  const canonicalUrl = buildCanonicalUrl(post, baseUrl);
+  const image = absoluteUrl(post.coverImage, baseUrl);
+  const attr = escapeHtml;
+
+  const tags = [
+    `<meta name="description" content="${attr(description)}">`,
+    `<link rel="canonical" href="${attr(canonicalUrl)}">`,
+    `<meta property="og:type" content="article">`,
+    `<meta property="og:site_name" content="${attr(siteTitle)}">`,
+    `<meta property="og:title" content="${attr(headline)}">`,
+    `<meta property="og:description" content="${attr(description)}">`,
+    `<meta property="og:url" content="${attr(canonicalUrl)}">`,
+    `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+    `<meta name="twitter:title" content="${attr(headline)}">`,
+    `<meta name="twitter:description" content="${attr(description)}">`
+  ];
+  if (image) {
+    tags.push(`<meta property="og:image" content="${attr(image)}">`);
+    tags.push(`<meta property="og:image:alt" content="${attr(post.title || headline)}">`);
+    tags.push(`<meta name="twitter:image" content="${attr(image)}">`);
+  }
+  if (post.publishedAt) {
+    tags.push(`<meta property="article:published_time" content="${attr(post.publishedAt)}">`);
+  }
+  if (post.updatedAt) {
+    tags.push(`<meta property="article:modified_time" content="${attr(post.updatedAt)}">`);
+  }
+  if (post.author?.name) {
+    tags.push(`<meta property="article:author" content="${attr(post.author.name)}">`);
+  }
+  (post.tags || []).forEach((tag) => tags.push(`<meta property="article:tag" content="${attr(tag)}">`));
+  if (post.status !== 'published') {
+    // Drafts and scheduled posts are reachable by link for previews, but must not be indexed
+    tags.push('<meta name="robots" content="noindex, nofollow">');
+  }
+
+  const authorUrl = post.author?.handle ? `${baseUrl}${VIEW_BASE_PATH}/@${encodeURIComponent(post.author.handle)}` : null;
+  const jsonLd = buildArticleJsonLd(post, { siteTitle, canonicalUrl, description, image, authorUrl });
+  tags.push(`<script type="application/ld+json">${toScriptJson(jsonLd)}</script>`);
+
+  return {
+    title: `${headline} · ${siteTitle}`,
+    tags: tags.join('\n')
+  };
+}
+
+/**
+ * Renders the post into the reader shell so the article is readable without
+ * JavaScript, and embeds the post for the client to hydrate from.
+ * @param {string} html The index.html shell
+ * @param {Object} post
+ * @param {{title: string, tags: string}} head Output of buildPostHead
+ * @return {string}
+ */
+function renderPostPage(html, post, head) {
+  const title = escapeHtml(post.title || 'Untitled story');
+  const cover = post.coverImage
+    ? `<div id="read-post-cover" class="my-4"><img src="${escapeHtml(post.coverImage)}" class="img-fluid rounded" alt="${title}"></div>`
+    : '<div id="read-post-cover" class="my-4 d-none"></div>';
+
+  // Replacements are functions so `$&`, `$'` and the like in post text are kept as written
+  return html
+    .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(head.title)}</title>\n${head.tags}`)
+    .replace('<section class="blog-layout blog-layout-hero mb-4">', () => '<section class="blog-layout blog-layout-hero mb-4 d-none">')
+    .replace('<h2 class="h4 mb-0" id="latest-heading">Latest posts</h2>', () => `<h2 class="h4 mb-0" id="latest-heading">Reading “${title}”</h2>`)
+    .replace(
+      '<section id="read-post-panel" class="card shadow-sm blog-expanded-panel mb-4 d-none">',
+      () => `<section id="read-post-panel" class="card shadow-sm blog-expanded-panel mb-4" data-post-id="${escapeHtml(post.id)}">`
+    )
+    .replace('<h3 class="h3 mb-1" id="read-post-title"></h3>', () => `<h3 class="h3 mb-1" id="read-post-title">${title}</h3>`)
+    .replace('<p class="text-muted mb-0 small" id="read-post-meta"></p>', () => `<p class="text-muted mb-0 small" id="read-post-meta">${escapeHtml(buildPostMeta(post))}</p>`)
+    .replace('<div id="read-post-cover" class="my-4 d-none"></div>', () => cover)
+    .replace(
+      '<article id="read-post-content" class="blog-article"></article>',
+      () => `<article id="read-post-content" class="blog-article">${renderMarkdown(post.content || post.excerpt || '')}</article>`
+    )
+    .replace('<div id="latest-list" class="vstack gap-4"></div>', () => '<div id="latest-list" class="vstack gap-4 d-none"></div>')
+    .replace(
+      '<script src="/applications/blog/assets/app.js"></script>',
+      () => `<script id="blog-initial-post" type="application/json">${toScriptJson(post)}</script>\n  <script src="/applications/blog/assets/app.js"></script>`
+    );
+}
+
+module.exports = {
+  buildPostHead,
+  renderPostPage
+};
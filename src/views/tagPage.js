@@ -0,0 +1,144 @@
+'use strict';
+
+const { VIEW_BASE_PATH, escapeHtml } = require('../routes/shared/helpers');
+
+const DEFAULT_SITE_TITLE = 'NooblyJS Blog';
+
+/**
+ * Formats a post date the way the reader client does (e.g. `Mar 4, 2025`)
+ */
+function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Resolves a possibly relative asset URL against the site origin
+ */
+function absoluteUrl(value, baseUrl) {
+  if (!value) return '';
+  if (/^https?:\/\//i.test(value) || !baseUrl) return value;
+  return `${baseUrl}${value.startsWith('/') ? '' : '/'}${value}`;
+}
+
+/**
+ * Serializes JSON for embedding inside a <script> element
+ */
+function toScriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+const describeTag = (tag) => tag.description || `Stories tagged ${tag.tag} on this blog.`;
+
+/**
+ * Builds the <head> markup for a tag landing page: title, description, canonical
+ * link, Open Graph, Twitter Card, the tag's feeds and CollectionPage JSON-LD.
+ * @param {Object} tag Tag with its metadata
+ * @param {Object} settings Site settings
+ * @param {string} baseUrl Public origin of the request
+ * @return {{title: string, tags: string}}
+ */
+function buildTagHead(tag, settings, baseUrl) {
+  const siteTitle = settings.title || DEFAULT_SITE_TITLE;
+  const headline = `#${tag.tag}`;
+  const description = describeTag(tag);
+  const tagPath = `${VIEW_BASE_PATH}/tags/${encodeURIComponent(tag.slug)}`;
+  const canonicalUrl = `${baseUrl}${tagPath}`;
+  const image = absoluteUrl(tag.coverImage, baseUrl);
+  const attr = escapeHtml;
+
+  const tags = [
+    `<meta name="description" content="${attr(description)}">`,
+    `<link rel="canonical" href="${attr(canonicalUrl)}">`,
+    `<meta property="og:type" content="website">`,
+    `<meta property="og:site_name" content="${attr(siteTitle)}">`,
+    `<meta property="og:title" content="${attr(headline)}">`,
+    `<meta property="og:description" content="${attr(description)}">`,
+    `<meta property="og:url" content="${attr(canonicalUrl)}">`,
+    `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+    `<meta name="twitter:title" content="${attr(headline)}">`,
+    `<meta name="twitter:description" content="${attr(description)}">`,
+    `<link rel="alternate" type="application/rss+xml" title="${attr(`${headline} · ${siteTitle}`)} (RSS)" href="${tagPath}/feed.rss">`,
+    `<link rel="alternate" type="application/atom+xml" title="${attr(`${headline} · ${siteTitle}`)} (Atom)" href="${tagPath}/feed.atom">`
+  ];
+  if (image) {
+    tags.push(`<meta property="og:image" content="${attr(image)}">`);
+    tags.push(`<meta name="twitter:image" content="${attr(image)}">`);
+  }
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'CollectionPage',
+    name: headline,
+    description,
+    url: canonicalUrl,
+    isPartOf: { '@type': 'WebSite', name: siteTitle }
+  };
+  if (image) jsonLd.image = [image];
+  tags.push(`<script type="application/ld+json">${toScriptJson(jsonLd)}</script>`);
+
+  return {
+    title: `${headline} · ${siteTitle}`,
+    tags: tags.join('\n')
+  };
+}
+
+/**
+ * Renders one post of a tag's list, as a plainer version of the reader client's cards
+ */
+function renderPostCard(post) {
+  const url = `${VIEW_BASE_PATH}/posts/${encodeURIComponent(post.slug || post.id)}`;
+  const minutes = Number(post.readTimeMinutes) || 1;
+  const meta = [post.author?.name, `${minutes} min read`, post.publishedAt ? formatDate(post.publishedAt) : ''].filter(Boolean).join(' · ');
+  return `
+          <article class="card shadow-sm" data-post-id="${escapeHtml(post.id)}">
+            <div class="card-body d-flex flex-column gap-2">
+              <p class="text-muted small mb-0">${escapeHtml(meta)}</p>
+              <h3 class="h4 mb-0"><a href="${escapeHtml(url)}" class="text-decoration-none">${escapeHtml(post.title || 'Untitled story')}</a></h3>
+              ${post.subtitle ? `<p class="text-muted mb-0">${escapeHtml(post.subtitle)}</p>` : ''}
+              ${post.excerpt ? `<p class="mb-0">${escapeHtml(post.excerpt)}</p>` : ''}
+            </div>
+          </article>`;
+}
+
+/**
+ * Renders a tag's heading and first page of posts into the reader shell so the
+ * page is readable without JavaScript, and embeds them for the client to hydrate from.
+ * @param {string} html The index.html shell
+ * @param {{tag: Object, posts: Array<Object>, meta: Object}} page Tag, posts and pagination
+ * @param {{title: string, tags: string}} head Output of buildTagHead
+ * @return {string}
+ */
+function renderTagPage(html, page, head) {
+  const { tag, posts } = page;
+  const cover = tag.coverImage
+    ? `<img src="${escapeHtml(tag.coverImage)}" alt="" class="d-block img-fluid rounded mb-3" style="max-height: 240px; width: 100%; object-fit: cover;">`
+    : '';
+  const heading = `<h2 class="h4 mb-0" id="latest-heading">${cover}#${escapeHtml(tag.tag)}${
+    tag.description ? `<span class="d-block fs-6 fw-normal text-body-secondary mt-1">${escapeHtml(tag.description)}</span>` : ''
+  }</h2>`;
+  const list = posts.length
+    ? posts.map(renderPostCard).join('')
+    : '\n          <div class="alert alert-info mb-0" role="alert">No stories are tagged with this yet.</div>';
+
+  // Replacements are functions so `$&`, `$'` and the like in tag and post text are kept as written
+  return html
+    .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(head.title)}</title>\n${head.tags}`)
+    .replace('<h2 class="h4 mb-0" id="latest-heading">Latest posts</h2>', () => heading)
+    .replace('<div id="latest-list" class="vstack gap-4"></div>', () => `<div id="latest-list" class="vstack gap-4">${list}\n        </div>`)
+    .replace(
+      '<script src="/applications/blog/assets/app.js"></script>',
+      () => `<script id="blog-initial-tag" type="application/json">${toScriptJson(page)}</script>\n  <script src="/applications/blog/assets/app.js"></script>`
+    );
+}
+
+module.exports = {
+  buildTagHead,
+  renderTagPage
+};